@@ -1,63 +1,132 @@
-import { useState, useMemo, useEffect, useCallback, useRef } from "react";
+import { useState, useMemo, useEffect, useCallback, useRef, createContext, useContext } from "react";
 import {
   LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip,
-  ResponsiveContainer, AreaChart, Area, ReferenceLine, ComposedChart
+  ResponsiveContainer, AreaChart, Area, ReferenceLine, ReferenceDot, ReferenceArea, ComposedChart
 } from "recharts";
+import { weekNum, sortKey, weekKey, splitWeekKey, keySortKey, compareWeekKeys, yearTag, weekLabel } from "./weeks";
+import { IMPORT_FIELDS, readSheetRows, parseScorecardRows, diffImport, applyImport } from "./dataImport";
+import { parseOrderRows, aggregateOrders, defectTotals } from "./orderImport";
+import { readUrlState, writeUrlState, DRIVER_RANKS } from "./urlState";
+import { buildDriverProfile } from "./driverProfile";
+import { SCORE_PARTS, YEAR_TO_DATE, SEVERITY_LEVELS, DEFAULT_SCORING, scoreDriver, scoreSeverity, scoreReason, parseScoring, loadScoring, saveScoring } from "./scoring";
+import { COACHING_KINDS, COACHING_DEFECTS, EFFECT_WEEKS, isCoachingDate, newCoachingId, mergeCoaching, coachingIndex, coachingEffect, parseCoaching, loadCoaching, saveCoaching } from "./coaching";
+import { KPI_KEYS, CARD_KEYS, STATUS_KEYS, DEFAULT_THRESHOLDS, thresholdsFor, statusOf, kpiLevel, withThreshold, parseThresholds, loadThresholds, saveThresholds } from "./thresholds";
+import { downloadFile, downloadJson } from "./download";
+import { exportTable } from "./tableExport";
+import { detectCycles, DEFAULT_MIN_AMPLITUDE } from "./cycles";
+import { findAnomalies, COUNT_KPIS, DEFAULT_ANOMALY_OPTIONS } from "./anomalies";
+import { DEFAULT_TARGETS, targetFor, targetStatus, targetStreak, isTargetWeek, newTargetId, parseTargets, loadTargets, saveTargets } from "./targets";
+import { COMPARE_MODES, baselineWeek, compareDepots } from "./compare";
+import { flowByWeek, flowWeeks, flowWeeksLabel, aggregateFlow, attributionShift } from "./flow";
+import { geoWeeks, geoWeek, heatColor } from "./geo";
+import { parseFlowRows, applyFlow } from "./flowImport";
+import { flowGraph, sankeyLayout, pathThrough, SANKEY_COLUMNS, SANKEY_MAX_DRIVERS } from "./sankey";
+import { ITALY_OUTLINE } from "./italyOutline";
+import { EMPTY_VOLUME, RATE_PER, parseVolumeRows, applyVolume, volumeWeeks, volumeIndex, defectRate } from "./driverVolume";
+import { EMPTY_ZONES, parseZoneAreas, mergeZoneAreas, parseZoneDefectRows, applyZoneDefects, zoneWeeks, zoneStats, zoneColor } from "./zones";
+import { DEFAULT_STATIONS, FALLBACK_STATION_COLOR, stationIndex, parseStations, isStationCode, loadStations, saveStations } from "./stations";
+import { datasetVersion, listSnapshots, saveSnapshot, loadSnapshot, deleteSnapshot, getActiveSnapshotId, setActiveSnapshotId, diffSnapshots } from "./snapshots";
+import { forecastKpi, FORECAST_METHODS, FORECAST_HORIZON, SEASON_LENGTHS, DEFAULT_FORECAST, BAND_LEVEL } from "./forecast";
+import { buildRegistry, nameOf, tidOf, nameKey, displayName, isTid, isPlaceholder, isIdLabel, unresolvedDrivers, loadOverrides, saveOverrides } from "./driverRegistry";
 
 // ─── LEAFLET MAP COMPONENT ───────────────────────────────────────────
-function LeafletMap({ sites, selectedSite, onSiteClick, defectFilter, hoveredSite, onSiteHover }) {
+// Leaflet and its stylesheet are bundled, loaded when the Geo View first opens
+const loadLeaflet = () => Promise.all([import("leaflet"), import("leaflet/dist/leaflet.css")]).then(([mod]) => mod.default);
+// Without a single tile by then, or after this many failed tiles in a row before the first one
+// loads, the map falls back to the bundled Italy outline (its badge offers to try the tiles again)
+const TILE_TIMEOUT_MS = 8000;
+const TILE_MAX_FAILURES = 3;
+// Registry and imported GeoJSON values go into Leaflet's HTML tooltips, so they are escaped first
+const escapeHtml = v => String(v ?? "").replace(/[&<>"']/g, c => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" })[c]);
+
+// maxCount: count drawn at full radius (default: the largest site); site.color overrides the depot colour
+// zones: [{ key, station, feature, color, tooltip }] delivery areas drawn under the markers
+function LeafletMap({ sites, selectedSite, onSiteClick, defectFilter, hoveredSite, onSiteHover, maxCount: fixedMax, zones = [], selectedZone, onZoneClick, t }) {
   const mapRef = useRef(null);
   const leafletRef = useRef(null);
   const markersRef = useRef({});
   const mapInstanceRef = useRef(null);
-  const [leafletReady, setLeafletReady] = useState(false);
+  const tileTimerRef = useRef(null);
+  const retryTilesRef = useRef(null);
+  const zonesRef = useRef(null);
+  const [status, setStatus] = useState("loading");
+  const [attempt, setAttempt] = useState(0);
+  const [basemap, setBasemap] = useState("tiles");
+  const leafletReady = status === "ready";
+  const { byCode, colorOf } = useStations();
 
-  // Load Leaflet CSS + JS from CDN once
   useEffect(() => {
-    if (window.L) { setLeafletReady(true); return; }
-
-    // Inject CSS
-    if (!document.getElementById("leaflet-css")) {
-      const link = document.createElement("link");
-      link.id = "leaflet-css";
-      link.rel = "stylesheet";
-      link.href = "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css";
-      document.head.appendChild(link);
-    }
-
-    // Inject JS
-    const script = document.createElement("script");
-    script.src = "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js";
-    script.onload = () => setLeafletReady(true);
-    document.head.appendChild(script);
-  }, []);
+    let live = true;
+    setStatus("loading");
+    loadLeaflet()
+      .then(L => { if (!live) return; leafletRef.current = L; setStatus("ready"); })
+      .catch(() => { if (live) setStatus("error"); });
+    return () => { live = false; };
+  }, [attempt]);
 
   // Initialize map once Leaflet is ready and container is mounted
   useEffect(() => {
     if (!leafletReady || !mapRef.current || mapInstanceRef.current) return;
-    const L = window.L;
-
-    const map = L.map(mapRef.current, {
-      center: [42.5, 12.5],
-      zoom: 6,
-      zoomControl: true,
-      attributionControl: true,
-    });
+    const L = leafletRef.current;
+    let map = null;
+    try {
+      map = L.map(mapRef.current, {
+        center: [42.5, 12.5],
+        zoom: 6,
+        zoomControl: true,
+        attributionControl: true,
+      });
 
-    // ESRI World Dark Gray Base — free, no API key required
-    L.tileLayer("https://server.arcgisonline.com/ArcGIS/rest/services/Canvas/World_Dark_Gray_Base/MapServer/tile/{z}/{y}/{x}", {
-      attribution: 'Tiles &copy; Esri &mdash; Esri, DeLorme, NAVTEQ',
-      maxZoom: 16,
-    }).addTo(map);
+      // ESRI World Dark Gray Base — free, no API key required
+      const base = L.tileLayer("https://server.arcgisonline.com/ArcGIS/rest/services/Canvas/World_Dark_Gray_Base/MapServer/tile/{z}/{y}/{x}", {
+        attribution: 'Tiles &copy; Esri &mdash; Esri, DeLorme, NAVTEQ',
+        maxZoom: 16,
+      });
+      // ESRI reference labels layer on top
+      const labels = L.tileLayer("https://server.arcgisonline.com/ArcGIS/rest/services/Canvas/World_Dark_Gray_Reference/MapServer/tile/{z}/{y}/{x}", {
+        maxZoom: 16,
+        opacity: 0.8,
+      });
+      const tiles = L.layerGroup([base, labels]);
 
-    // ESRI reference labels layer on top
-    L.tileLayer("https://server.arcgisonline.com/ArcGIS/rest/services/Canvas/World_Dark_Gray_Reference/MapServer/tile/{z}/{y}/{x}", {
-      maxZoom: 16,
-      opacity: 0.8,
-    }).addTo(map);
+      // Offline basemap in its own pane, under the station markers
+      map.createPane("outline").style.zIndex = 250;
+      map.createPane("zones").style.zIndex = 350;
+      const outline = L.geoJSON(ITALY_OUTLINE, {
+        pane: "outline",
+        style: f => f.properties.kind === "land"
+          ? { color:"#334155", weight:1, fillColor:"#0f172a", fillOpacity:1 }
+          : { color:"#334155", weight:0.8, dashArray:"3 4" },
+        pointToLayer: (f, latlng) => L.marker(latlng, { pane:"outline", interactive:false,
+          icon: L.divIcon({ className:"", html:`<div class="leaflet-region">${f.properties.name}</div>` }) }),
+      });
+      const showOutline = () => {
+        clearTimeout(tileTimerRef.current);
+        if (map.hasLayer(outline)) return;
+        map.removeLayer(tiles);
+        outline.addTo(map);
+        setBasemap("outline");
+      };
+      let tileSeen = false, failures = 0;
+      const showTiles = () => {
+        tileSeen = false;
+        failures = 0;
+        map.removeLayer(outline);
+        tiles.addTo(map);
+        setBasemap("tiles");
+        tileTimerRef.current = setTimeout(() => { if (!tileSeen) showOutline(); }, TILE_TIMEOUT_MS);
+      };
+      base.on("tileload", () => { tileSeen = true; failures = 0; clearTimeout(tileTimerRef.current); });
+      base.on("tileerror", () => { if (!tileSeen && ++failures >= TILE_MAX_FAILURES) showOutline(); });
+      retryTilesRef.current = showTiles;
+      if (navigator.onLine === false) showOutline();
+      else showTiles();
 
-    mapInstanceRef.current = map;
-    leafletRef.current = L;
+      mapInstanceRef.current = map;
+    } catch {
+      if (map) map.remove();
+      setStatus("error");
+    }
   }, [leafletReady]);
 
   // Update markers when data/filter changes
@@ -67,24 +136,23 @@ function LeafletMap({ sites, selectedSite, onSiteClick, defectFilter, hoveredSit
     const map = mapInstanceRef.current;
 
     // Remove old markers
-    Object.values(markersRef.current).forEach(m => map.removeLayer(m));
+    Object.values(markersRef.current).forEach(m => { map.removeLayer(m.circle); map.removeLayer(m.labelMarker); });
     markersRef.current = {};
 
-    const DEPOT_C = { UIT4:"#f59e0b", UIT1:"#22c55e", UBA1:"#3b82f6", UIL7:"#a855f7" };
-    const COORDS  = { UIT4:[41.90, 12.49], UIT1:[45.46, 9.19], UBA1:[44.49, 11.34], UIL7:[41.47, 12.90] };
-
-    const maxCount = Math.max(...sites.map(s => {
+    const maxCount = fixedMax || Math.max(...sites.map(s => {
       return defectFilter.reduce((sum, dt) => sum + (s.defects[dt] || 0), 0);
-    }));
+    }), 1);
 
     sites.forEach(site => {
       const filtCount = defectFilter.reduce((sum, dt) => sum + (site.defects[dt] || 0), 0);
       const radius = Math.max(12, (filtCount / maxCount) * 55);
-      const color = DEPOT_C[site.key] || "#8b5cf6";
+      const stn = byCode[site.key];
+      const color = site.color || colorOf(site.key);
       const isSel = selectedSite === site.key;
       const isHov = hoveredSite === site.key;
-      const coords = COORDS[site.key];
-      if (!coords) return;
+      // Stations without a position in the registry stay off the map
+      if (stn?.lat == null || stn?.lng == null) return;
+      const coords = [stn.lat, stn.lng];
 
       const circle = L.circleMarker(coords, {
         radius,
@@ -98,7 +166,7 @@ function LeafletMap({ sites, selectedSite, onSiteClick, defectFilter, hoveredSit
       // Tooltip
       circle.bindTooltip(`
         <div style="font-family:monospace;font-size:12px;line-height:1.6;padding:4px;">
-          <strong style="color:${color}">${site.key}</strong> — ${site.label}<br/>
+          <strong style="color:${color}">${escapeHtml(site.key)}</strong>${stn.city ? ` — ${escapeHtml(stn.city)}` : ""}<br/>
           <span style="color:#aaa">Defects:</span> <strong>${filtCount.toLocaleString()}</strong><br/>
           ${defectFilter.map(dt => `<span style="color:#888">${dt}:</span> ${site.defects[dt]||0}`).join("  ")}
         </div>`, { permanent:false, direction:"top", className:"leaflet-dsptip" });
@@ -109,7 +177,7 @@ function LeafletMap({ sites, selectedSite, onSiteClick, defectFilter, hoveredSit
 
       // Station label
       const label = L.divIcon({
-        html: `<div style="font-family:monospace;font-size:11px;font-weight:700;color:${color};text-shadow:0 1px 3px #000,0 0 8px #000;white-space:nowrap;pointer-events:none">${site.key}<br><span style="font-size:9px;color:#ccc">${filtCount}</span></div>`,
+        html: `<div style="font-family:monospace;font-size:11px;font-weight:700;color:${color};text-shadow:0 1px 3px #000,0 0 8px #000;white-space:nowrap;pointer-events:none">${escapeHtml(site.key)}<br><span style="font-size:9px;color:#ccc">${filtCount}</span></div>`,
         className: "",
         iconAnchor: [-radius - 4, radius / 2],
       });
@@ -119,10 +187,35 @@ function LeafletMap({ sites, selectedSite, onSiteClick, defectFilter, hoveredSit
       labelMarker.addTo(map);
       markersRef.current[site.key] = { circle, labelMarker };
     });
-  }, [leafletReady, sites, selectedSite, defectFilter, hoveredSite]);
+  }, [leafletReady, sites, selectedSite, defectFilter, hoveredSite, fixedMax, byCode]);
+
+  // Delivery-zone choropleth
+  useEffect(() => {
+    const map = mapInstanceRef.current, L = leafletRef.current;
+    if (!map || !L) return;
+    if (zonesRef.current) map.removeLayer(zonesRef.current);
+    zonesRef.current = L.layerGroup(zones.map(z => {
+      const isSel = selectedZone === z.key;
+      return L.geoJSON(z.feature, {
+        pane: "zones", station: z.station,
+        style: { color: isSel ? "#fff" : "#0f172a", weight: isSel ? 2 : 0.6, fillColor: z.color, fillOpacity: isSel ? 0.8 : 0.55 },
+      }).bindTooltip(z.tooltip, { sticky:true, className:"leaflet-dsptip" }).on("click", () => onZoneClick(z.key));
+    })).addTo(map);
+  }, [leafletReady, zones, selectedZone]);
+
+  // Zones are street-level: picking a station zooms to its zones, clearing it zooms back out
+  const zoneStations = [...new Set(zones.map(z => z.station))].join();
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || !zonesRef.current) return;
+    const own = zonesRef.current.getLayers().filter(l => l.options.station === selectedSite);
+    if (own.length) map.fitBounds(leafletRef.current.featureGroup(own).getBounds(), { padding:[20, 20] });
+    else if (!selectedSite) map.setView([42.5, 12.5], 6);
+  }, [leafletReady, selectedSite, zoneStations]);
 
   // Cleanup on unmount
   useEffect(() => () => {
+    clearTimeout(tileTimerRef.current);
     if (mapInstanceRef.current) {
       mapInstanceRef.current.remove();
       mapInstanceRef.current = null;
@@ -132,10 +225,15 @@ function LeafletMap({ sites, selectedSite, onSiteClick, defectFilter, hoveredSit
   return (
     <div style={{ position: "relative", height: "100%", minHeight: 360 }}>
       {!leafletReady && (
-        <div style={{ position:"absolute",inset:0,display:"flex",alignItems:"center",justifyContent:"center",background:"#0a0f1a",zIndex:10,borderRadius:10 }}>
-          <div style={{ fontSize:11,color:"#475569",fontFamily:"'DM Mono',monospace" }}>Loading map…</div>
+        <div style={{ position:"absolute",inset:0,display:"flex",flexDirection:"column",gap:10,alignItems:"center",justifyContent:"center",background:"#0a0f1a",zIndex:10,borderRadius:10 }}>
+          <div style={{ fontSize:11,color:status==="error"?"#fca5a5":"#475569",fontFamily:"'DM Mono',monospace" }}>{t(status==="error"?"geoMapError":"geoMapLoading")}</div>
+          {status==="error"&&<button onClick={()=>setAttempt(a=>a+1)} style={impBtn(false)}>{t("geoMapRetry")}</button>}
         </div>
       )}
+      {basemap==="outline"&&<div style={{ position:"absolute",left:8,bottom:8,zIndex:500,display:"flex",gap:6,alignItems:"center",fontSize:9,color:"#64748b",background:"#0a0f1acc",border:"1px solid #1e293b",borderRadius:4,padding:"2px 6px",fontFamily:"'DM Mono',monospace" }}>
+        {t("geoMapOffline")}
+        <button onClick={()=>retryTilesRef.current?.()} style={{background:"transparent",border:"none",color:"#94a3b8",cursor:"pointer",fontSize:9,fontFamily:"'DM Mono',monospace",padding:0,textDecoration:"underline"}}>{t("geoMapRetry")}</button>
+      </div>}
       <div ref={mapRef} style={{ width:"100%", height:"100%", minHeight:360, borderRadius:10 }}/>
       <style>{`
         .leaflet-dsptip { background:#0f172a!important; border:1px solid #334155!important; border-radius:6px!important; color:#e2e8f0!important; box-shadow:0 8px 32px rgba(0,0,0,0.6)!important; }
@@ -145,6 +243,7 @@ function LeafletMap({ sites, selectedSite, onSiteClick, defectFilter, hoveredSit
         .leaflet-bar a:hover { background:#1e293b!important; }
         .leaflet-control-attribution { background:#0a0f1a!important; color:#334155!important; font-size:8px!important; }
         .leaflet-control-attribution a { color:#475569!important; }
+        .leaflet-region { font-family:monospace; font-size:9px; color:#334155; white-space:nowrap; transform:translate(-50%,-50%); pointer-events:none; }
       `}</style>
     </div>
   );
@@ -171,7 +270,7 @@ const T = {
     brand: "Last Mile DSP — Italy", title: "Delivery Performance", latestInRange: "Latest in Range",
     stations: "stations", station: "station",
     tabOverview: "Overview", tabDepots: "Depot Deep-Dive", tabUpstream: "Upstream vs Controllable",
-    tabCycles: "UIT4 Cycles", tabNcc: "NCC Drivers", tabLate: "Late Drivers", tabScorecard: "Driver Scorecard",
+    tabCycles: "Cycles", tabNcc: "NCC Drivers", tabLate: "Late Drivers", tabScorecard: "Driver Scorecard",
     year: "Year", weeks: "Weeks", reset: "Reset",
     // Heatmap
     depot: "Depot", week: "Week", latePlus15: "Late +15", fondCtrl: "FOND Ctrl", ftfdf: "FTFDF",
@@ -197,16 +296,18 @@ const T = {
     ofTotal: "of total", lateByStationWeekly: "Late Deliveries by Station — Weekly",
     allLate: "All Late", latePlus15Only: "Late +15 Only",
     driverId: "Driver", gt15: "+15", pct: "%",
-    keyInsight: "KEY INSIGHT", keyInsightText: "was catastrophic — {n} late deliveries network-wide ({m} UIT4). {w2} repeated the pattern with {n2}.",
-    gt15Rate: "GT15 RATE", gt15RateText: "of lates are >15min — UIT4 has {n}/{m} of all severe lates.",
-    attribution: "ATTRIBUTION", attributionText: "100% classified as 'Late Batch Ops Controllable' — these are DSP-owned.",
+    keyInsight: "KEY INSIGHT", keyInsightText: "{wk} stood out — {n} late deliveries at {stn} against a usual {base} (score {score}); {total} across the selected stations that week.",
+    gt15Rate: "GT15 RATE", gt15RateText: "{pct}% of lates are >15min — {stn} has {n}/{m} of all severe lates.",
+    attribution: "ATTRIBUTION", attributionText: "{pct}% of attributed lates in {wks} are '{label}'.", attributionNone: "No flow attributions for these weeks and stations.",
+    gt15Estimated: "≈ +15 counts are estimated for {n} drivers — the source only has totals, not per-week +15 counts. Upload the order-level extract for exact values.",
+    gt15EstTip: "Estimated from the driver's overall +15 ratio",
     // Scorecard
     combinedDefects: "Combined Defects", nccDefects: "NCC Defects", lateDefects: "Late Defects",
     notCallCompliant: "Not Call Compliant", severe15min: "severe (+15min)",
     dualOffenders: "Dual Offenders", driversWithBoth: "drivers with both NCC + Late",
     minCombined: "Min combined", severity: "Severity", defectMix: "Defect Mix",
     ncc: "NCC", late: "Late", latePlus15Label: "Late +15",
-    severityLegend: "Severity: CRITICAL = 15+ GT15 defects · HIGH = 40+ combined · MEDIUM = 20+ combined",
+    severityLegend: "Ranked by weighted score — set weights and severity bands under ⚙ Score weights. Hover a score for its breakdown.",
     tabGeo: "Geo View",
     geoTitle: "Defects by Site & Attribution",
     geoMap: "Defect Map — Italy",
@@ -219,6 +320,156 @@ const T = {
     tabFlow: "Defect Flow", flowSnap: "W8 2026 Snapshot", flowInstr: "← Click to drill down: defect → attribution → site → driver",
     flowDefectType: "Defect Type", flowAttribution: "Root Cause", flowSite: "Site", flowDriver: "Driver",
     flowSelectHint: "Select a defect type to explore root causes",
+    // Import
+    tabImport: "Data Import", impTitle: "Weekly Scorecard Import",
+    impHint: "CSV or XLSX export · one row per station and week · station = NETWORK for network totals",
+    impChoose: "Choose file", impReading: "Reading…", impRow: "Row",
+    impAdded: "Added weeks", impChanged: "Changed weeks", impUnchanged: "unchanged",
+    impErrors: "Errors", impWarnings: "Warnings", impApply: "Apply import", impCancel: "Cancel",
+    impApplied: "{n} station-weeks merged from {file}", impNothing: "Nothing to change — every row matches the current data.",
+    impBlocked: "Fix the errors and upload again — nothing has been imported.",
+    impErrNoRows: "The file has no data rows.", impErrMissingCols: "Missing required columns: {cols}",
+    impErrNoStation: "Station is empty", impErrBadWeek: "Malformed week \"{value}\"",
+    impErrBadYear: "Malformed or missing year \"{value}\"", impErrDuplicate: "Duplicate key {key} (first on row {first})",
+    impErrBadNumber: "Column {col}: \"{value}\" is not a valid number", impReadFailed: "Could not read the file: {msg}",
+    impWarnIgnoredCols: "Ignored columns: {cols}", impWarnUnknownStations: "Not in the station list: {stations} — stored but not shown",
+    ordTitle: "Order-Level Defect Import", ordOrders: "orders", ordWeeks: "Weeks",
+    ordHint: "One row per order · TID, station, year, week, defect type (NCC / Late), minutes late · rebuilds the NCC and Late driver aggregates",
+    ordCurrent: "Current", ordImported: "From file", ordReplace: "Replace aggregates",
+    ordApplied: "NCC and Late aggregates rebuilt from {n} orders in {file}",
+    ordErrNoTid: "TID is empty", ordErrNoDefect: "Defect type is empty", ordErrDuplicate: "Order {order} appears twice (first on row {first})",
+    ordWarnOtherDefects: "{n} rows with other defect types ignored", ordWarnNoMinutes: "{n} late rows have no minutes late — counted as ≤15 min",
+    // Driver profile
+    profTitle: "Driver Profile", profOpen: "Open driver profile", profClose: "Close", profNoTid: "No TID on record",
+    profStations: "Stations", profHistory: "Weekly NCC & Late History", profSeverity: "Severity (cumulative)",
+    profCombined: "Combined", profAttributions: "{week} Root-Cause Attributions", profNoAttributions: "Not in the {week} defect flow",
+    profGeo: "Defects by Type — {year}", profNoGeo: "Not in the Geo driver matrix", profNotFound: "No defect records for this driver",
+    profGt15Est: "+15 per week estimated from the driver's overall +15 ratio",
+    // Driver registry
+    tabRegistry: "Driver Registry", regDrivers: "Registered drivers", regAliases: "Name aliases",
+    regUnresolvedTids: "TIDs without a name", regUnresolvedNames: "NCC names without a TID",
+    regTidsHint: "These TIDs appear in the defect data but not in the roster — add the driver's name (Last, First).",
+    regNamesHint: "These NCC names cannot be joined to late deliveries — enter the driver's TID.",
+    regName: "Name", regNamePh: "Last, First", regTidPh: "A1B2C3D4E5F6G7", regSave: "Save",
+    regBadTid: "Not a valid TID", regSuggest: "Use {tid}", regAllResolved: "✓ Everything is resolved",
+    regManual: "Manual resolutions", regRemove: "Remove",
+    regConflicts: "Names on more than one TID", regConflictsHint: "Each of these names is registered for several TIDs, so it is not joined to any of them — pick the driver it belongs to.",
+    // Thresholds
+    tabThresholds: "Thresholds", thrTitle: "KPI Thresholds", thrExport: "Export JSON", thrImport: "Import JSON", thrResetAll: "Reset to defaults",
+    thrHint: "Colour bands for the heatmap and depot cards, and the rules behind each status badge. Saved in this browser.",
+    thrImported: "Thresholds loaded from {file}", thrScope: "Applies to", thrNetwork: "All stations",
+    thrStationHint: "Empty fields inherit the all-stations value shown in grey.", thrClearStation: "Clear {station} overrides",
+    thrBands: "Heatmap colour bands", thrCardBands: "Depot card colour bands", thrWarn: "Amber", thrBad: "Red", thrStatus: "Status rules",
+    thr_lateCritical: "CRITICAL when Late +15 >", thr_lateWarning: "WARNING when Late +15 >", thr_lateExcellent: "EXCELLENT when Late +15 <",
+    thr_fondCritical: "CRITICAL when FOND Ctrl >", thr_fondWarning: "WARNING when FOND Ctrl >",
+    thrErrFormat: "The file is not a thresholds config.", thrErrValue: "{path}: {value} is not a valid threshold", thrErrOrder: "{path}: amber must not be above red",
+    // PDF report
+    repExport: "Export report", repExportTip: "Download a PDF of the current filters and language", repBuilding: "Building PDF…",
+    repFailed: "Could not build the report: {msg}", repTitle: "Weekly Report", repGenerated: "Generated",
+    repOverview: "Overview", repLatestWeek: "Latest week", repRangeAvg: "Range avg", repNoData: "No data in the selected range",
+    repTopOffenders: "Top Offenders", repOrdersTotal: "Orders total", repWithDefects: "Orders with defects",
+    repOrdersOk: "Orders OK", repTotalDefects: "Total defects",
+    // Table export
+    expFilters: "Filters", expCsvTip: "Download the rows shown as CSV", expXlsxTip: "Download the rows shown as Excel", expFailed: "Export failed",
+    expTid: "TID", expEstimated: "+15 estimated", expYes: "yes",
+    // Cycles
+    cycMinAmp: "Min amplitude", cycLates: "Late +15 cycles", cycBaseline: "Mean trough {v}%", cycCycle: "CYCLE", cycOpen: "peak not confirmed",
+    cycRise: "{n} wk rise", cycPeriod: "{n} wk to next trough", cycNone: "No trough-to-peak swing of at least {min}pp in the selected range",
+    cycSummary: "{n} cycles · avg +{amp}pp · avg rise {rise} wk · avg period {period} wk",
+    // Alerts
+    tabAlerts: "Alerts", alrTitle: "Unusual weeks", alrIntro: "Each week is compared with the median of the {window} weeks before it; a robust z-score of {threshold}+ is flagged.",
+    alrAll: "All", alrKpi: "KPI", alrValue: "Value", alrBaseline: "Usual", alrChange: "Change", alrScore: "Score",
+    alrNccCount: "NCC defects", alrLateCount: "Late deliveries", alrNone: "No unusual weeks for the selected stations and range.",
+    alrOpen: "Open chart",
+    keyInsightNone: "No unusual weekly late volume in the selected range.",
+    // Forecast
+    fcForecast: "Forecast", fcBand: "{level}% band", fcOff: "Off", fcHolt: "Holt (damped)", fcHoltWinters: "Holt-Winters", fcSeasonalNaive: "Seasonal naive",
+    fcSeason: "Season", fcWeeks: "{n} wk", fcNetwork: "Network {kpi}", fcByDepot: "{kpi} by Depot",
+    fcBacktest: "Backtest ({n} forecasts, up to {h} wk ahead): MAE {mae}pp · MAPE {mape}% · {coverage}% inside the band",
+    fcShort: "not enough history for this method", fcBacktestShort: "backtest MAE / MAPE",
+    // Targets
+    tabTargets: "Targets", tgtTitle: "KPI Targets", tgtHint: "A target is met when the KPI is at or below it. Station targets take precedence over network ones; From/By limit the weeks it applies to (e.g. 2026-W12). Saved in this browser.",
+    tgtImported: "Targets loaded from {file}", tgtAdd: "+ Add target", tgtNetwork: "Network", tgtValue: "Target ≤", tgtFrom: "From", tgtBy: "By", tgtNone: "No targets yet.",
+    tgtGap: "Gap to target", tgtStreak: "On target", tgtWeeks: "{n} wk", tgtStreakText: "{n} wk on target",
+    tgtLine: "Target {value}%", tgtLineBy: "Target {value}% by {wk}",
+    tgtErrFormat: "The file is not a targets list.", tgtErrStation: "unknown station {station}", tgtErrKpi: "unknown KPI {kpi}",
+    tgtErrValue: "{value} is not a valid target", tgtErrWeek: "{value} is not a week like 2026-W12", tgtErrOrder: "From is after By",
+    // Comparison
+    cmpTitle: "Period comparison", cmpWow: "Week over week", cmpYoy: "Year over year", cmpWeek: "Week", cmpVs: "{cur} vs {base}",
+    cmpMovers: "Biggest movers", cmpBefore: "Before", cmpNow: "Now", cmpDelta: "Δ pp",
+    cmpNone: "Nothing to compare: no selected station reported both {cur} and {base}.", cmpNoBase: "{cur} has no counterpart a year earlier.",
+    // Snapshots
+    tabSnapshots: "Snapshots", snpTitle: "Data snapshots", snpHint: "Every import is saved in this browser as a new snapshot. Open one to see the dashboard as it was, or tick two to see what changed between them.",
+    snp_bundled: "Bundled data", snp_scorecard: "Scorecard import", snp_orders: "Order import", snp_zones: "Zone import", snp_volume: "Volume import", snp_flow: "Flow import",
+    snpSaved: "Saved", snpSource: "Source", snpWeeks: "Weeks", snpDrivers: "NCC / late drivers", snpOpen: "Open", snpInUse: "In use", snpDelete: "Delete",
+    snpPickTwo: "Tick two snapshots to compare them.", snpLoading: "Loading…", snpNoDiff: "The two snapshots hold the same data.",
+    snpAdded: "added", snpRemoved: "removed", snpChanged: "changed", snpWeekChanges: "Scorecard weeks", snpCountChanges: "NCC / late weekly counts",
+    snpFlowChanged: "Defect flow data differs", snpGeoChanged: "Geo data differs", snpMore: "+{n} more",
+    snpError: "Snapshots are unavailable in this browser: {msg}", snpViewing: "Snapshot #{id} · {date}",
+    // Defect flow weeks
+    flowAllWeeks: "All weeks in range ({n})", flowCompare: "Compare weeks", flowCompareNeedTwo: "Comparing needs flow data for at least two weeks — import more on the Data Import tab",
+    flowNoWeeks: "No defect flow data in {from}–{to}. Flow weeks available: {weeks}",
+    flowShiftTitle: "Root-cause mix {a} → {b}", flowShiftHint: "Share of each root cause within its defect type; Δ in percentage points",
+    flowShiftNone: "No root-cause shift between these weeks",
+    flowLayoutSankey: "Sankey", flowLayoutColumns: "Drill-down", flowTopDrivers: "Top {n} drivers",
+    flowSankeyHint: "Hover to trace a path · click a node to keep only its flow, again to clear · click a driver for the profile",
+    flowSankeyEmpty: "Nothing flows through this selection — reset it to see the full flow",
+    // Geo week slider
+    geoPlay: "Play", geoPause: "Pause", geoCumulative: "Cumulative {year}", geoWeekSub: "week by week",
+    geoNoWeeks: "No weekly station data in the selected range",
+    geoHeatLegend: "Marker colour: this week against the site's average week in the range (below → well above)",
+    geoMissing: "Week by week only {types} have data (late aggregates and the defect flow extract); {missing} are in the cumulative year only",
+    geoMatrixYtd: "{year} cumulative, not the selected week",
+    geoMapLoading: "Loading map…", geoMapError: "The map could not be loaded.", geoMapRetry: "Retry", geoMapOffline: "Offline map — Italy outline",
+    geoZones: "Delivery Zones", geoZone: "Zone", geoZoneName: "Name", geoZoneDefects: "Defects", geoZoneRate: "Rate", geoZoneOrders: "Orders / week",
+    geoZoneWeeks: "{n} weeks", geoZoneByRate: "defects per 100 orders, against the worst zone shown", geoZoneByCount: "defect count, against the worst zone shown (no zone volumes loaded)",
+    geoZoneUnmapped: "{n} defects in zones without a polygon", geoZonePick: "Click a zone on the map or in the list for its root causes and drivers.", geoZoneVolume: "{n} orders/week",
+    geoZonesNone: "No delivery zones loaded. Import zone polygons (GeoJSON) and a zone defect extract on the Import tab.",
+    zonTitle: "Delivery Zones", zonStationFromFile: "Station from file", zonAreas: "Zone polygons (GeoJSON)", zonDefects: "Zone defects (CSV/XLSX)",
+    zonHint: "Polygons: one GeoJSON feature per postcode/CAP or route zone, with a zone property, station (or pick it above) and optional orders per week; a file replaces that station's zones · Defects: station, zone, year, week, defect type, root cause, driver, count; imported weeks replace the same station's weeks",
+    zonCurrent: "In use: {zones} zones · {weeks} weeks of zone defects", zonPendingAreas: "{n} zones for {stations}", zonPendingDefects: "{n} defects · {weeks} weeks · {stations}",
+    zonApply: "Apply", zonAppliedAreas: "Zones loaded from {file}", zonAppliedDefects: "Zone defects loaded from {file}",
+    zonErrFormat: "The file is not a GeoJSON FeatureCollection.", zonErrGeometry: "{type} is not a polygon", zonErrNoZone: "Zone is empty",
+    zonErrStation: "Zone {zone} has no station — pick one before importing", zonErrUnknownStation: "Zone {zone}: {station} is not in the station list — add it on the Stations tab first", zonErrDuplicate: "Zone {zone} appears twice for {station}", zonErrOrders: "{value} is not a valid order volume for zone {zone}",
+    // Scoring
+    scoTitle: "Driver score", scoWeights: "Score weights", scoBands: "Severity bands", scoPoints: "Points", scoPer1000: "Per 1,000 pkgs",
+    scoHint: "Each defect counts its weight in points. With delivered-package volume the score is points per 1,000 packages and uses the second band column. Saved in this browser.",
+    scoImported: "Scoring loaded from {file}", scoYtd: "year to date", scoScore: "Score", scoWhy: "Mostly from",
+    scoReasonWeeks: "{share}% from {part} in {weeks}", scoReasonYtd: "{share}% from {part} (year to date)",
+    scoPart_ncc: "NCC", scoPart_late: "lates", scoPart_gt15: "+15 lates", scoPart_ftfdf: "FTFDF", scoPart_ftpdf: "FTPDF", scoPart_pdnr: "PDNR", scoPart_fdnr: "FDNR", scoPart_ftdc: "FTDC",
+    scoErrFormat: "The file is not a scoring config.", scoErrValue: "{path}: {value} is not a valid weight or band", scoErrOrder: "{path}: bands must run CRITICAL ≥ HIGH ≥ MEDIUM",
+    // Driver volume
+    volTitle: "Driver Volume", volApply: "Apply", volApplied: "Driver volume from {file} applied",
+    volHint: "One row per driver and week: TID (or name), year, week and delivered packages — or routes. An imported driver-week replaces the same driver and week, others are kept; a file in the other unit replaces all volume.",
+    volCurrent: "In use: {drivers} drivers · {weeks} weeks of {unit}", volNone: "No driver volume yet — the driver tables rank by raw count only",
+    volPending: "{n} {unit} · {drivers} drivers · {weeks} weeks", volReplacesUnit: "Replaces the {unit} loaded now",
+    volUnit_packages: "packages", volUnit_routes: "routes", volPer_packages: "/1k pkgs", volPer_routes: "/100 routes",
+    volTip: "{n} {unit} in these weeks", volNoDriver: "No volume for this driver in every week shown", volMissing: "Import driver volume on the Import tab to rank by rate",
+    volWarnNoTid: "{n} drivers have a name but no TID — they can only match NCC rows by name", volErrNoDriver: "No TID or driver name",
+    volErrDuplicate: "{driver} appears twice for {week} (first on row {first})",
+    tabCoaching: "Coaching", coaTitle: "Coaching Log", coaNone: "No coaching recorded for this driver yet.", coaNoneAll: "No coaching recorded yet — open a driver and add a session, warning or action plan.",
+    coaNeedsTid: "Coaching is recorded against a TID — map this driver to one on the Driver Registry tab first.",
+    coaDate: "Date", coaKind: "Type", coaDefect: "Defect addressed", coaAuthor: "Author", coaNotes: "Notes", coaAdd: "+ Add",
+    coaEffect: "Before → after ({n} wk)", coaEffectTip: "{measure}: weekly average over {before} weeks before and {after} weeks after the week of the entry",
+    coaNoBefore: "no earlier weeks", coaPending: "{before} → pending",
+    coaHint: "Entries mark their week in the NCC and Late tables (◆). The effect compares the weekly average of the defect addressed over up to {n} weeks before and after that week. Stored in this browser — export to share or back up.",
+    coaImported: "Added {n} entries from {file}", coaCount: "{n} coaching entries", coaOther: "Other",
+    coaKind_coaching: "Coaching", coaKind_warning: "Warning", coaKind_actionPlan: "Action plan",
+    coaMeasure_ncc: "NCC/wk", coaMeasure_late: "late/wk", coaMeasure_gt15: "+15/wk", coaMeasure_all: "NCC+late/wk",
+    coaErrFormat: "Expected a JSON list of coaching entries", coaErrTid: "\"{value}\" is not a driver TID",
+    coaErrDate: "\"{value}\" is not a date (YYYY-MM-DD)", coaErrKind: "Unknown entry type \"{value}\"", coaErrDefect: "Unknown defect type \"{value}\"",
+    rankBy: "Rank by", rankCount: "Count", scoPerVolume: "Per 1,000 packages",
+    // Stations
+    tabStations: "Stations", stnTitle: "Station Registry",
+    stnHint: "Every tab takes station names, colours, map positions and deep-dive tiers from here. A station shows in the filter only for weeks between From and To (either may be left open); codes cannot be renamed once added.",
+    stnImported: "Stations loaded from {file}", stnAdd: "+ Add station", stnCity: "City", stnRegion: "Region", stnLat: "Lat", stnLng: "Lng",
+    stnColor: "Colour", stnTier: "Tier", stnTo: "To",
+    stnErrFormat: "The file is not a station list.", stnErrCode: "{value} is not a station code (3–6 letters or digits)", stnErrDuplicate: "{station} is listed twice",
+    stnErrColor: "{value} is not a colour like #60a5fa", stnErrCoord: "{value} is not a valid coordinate", stnErrWeek: "{value} is not a week like 2026-W12", stnErrOrder: "From is after To",
+    flwTitle: "Defect Flow Weeks", flwApply: "Apply", flwApplied: "Defect flow from {file} applied",
+    flwHint: "One row per defective order (or a count column): station, year, week, defect type, attribution, driver, and the station's total orders that week. Imported weeks replace the same weeks.",
+    flwCurrent: "In use: {n} weeks ({weeks})", flwPending: "{n} defects · {weeks}", flwReplaces: "Replaces {weeks}",
+    flwErrOrders: "{station} has {value} orders in {week}, but row {first} gave a different total",
     // Footer
     footer: "LAST MILE DSP ITALY", generated: "GENERATED",
     // Shared
@@ -228,7 +479,7 @@ const T = {
     brand: "Ultimo Miglio DSP — Italia", title: "Performance di Consegna", latestInRange: "Ultima nel Range",
     stations: "stazioni", station: "stazione",
     tabOverview: "Panoramica", tabDepots: "Analisi Depositi", tabUpstream: "Upstream vs Controllabile",
-    tabCycles: "Cicli UIT4", tabNcc: "Autisti NCC", tabLate: "Autisti in Ritardo", tabScorecard: "Scorecard Autisti",
+    tabCycles: "Cicli", tabNcc: "Autisti NCC", tabLate: "Autisti in Ritardo", tabScorecard: "Scorecard Autisti",
     year: "Anno", weeks: "Settimane", reset: "Resetta",
     depot: "Deposito", week: "Sett.", latePlus15: "Ritardo +15", fondCtrl: "FOND Ctrl", ftfdf: "FTFDF",
     ftpdf: "FTPDF", pdnr: "PDNR", fdnr: "FDNR", pp: "PP", status: "Stato",
@@ -248,15 +499,17 @@ const T = {
     ofTotal: "del totale", lateByStationWeekly: "Ritardi per Stazione — Settimanale",
     allLate: "Tutti i Ritardi", latePlus15Only: "Solo Ritardo +15",
     driverId: "Autista", gt15: "+15", pct: "%",
-    keyInsight: "DATO CHIAVE", keyInsightText: "è stato catastrofico — {n} ritardi nella rete ({m} UIT4). {w2} ha ripetuto con {n2}.",
-    gt15Rate: "TASSO GT15", gt15RateText: "dei ritardi sono >15min — UIT4 ha {n}/{m} dei ritardi gravi.",
-    attribution: "ATTRIBUZIONE", attributionText: "100% classificati come 'Late Batch Ops Controllable' — responsabilità DSP.",
+    keyInsight: "DATO CHIAVE", keyInsightText: "{wk} si è distinta — {n} ritardi a {stn} contro i soliti {base} (punteggio {score}); {total} sulle stazioni selezionate quella settimana.",
+    gt15Rate: "TASSO GT15", gt15RateText: "{pct}% dei ritardi sono >15min — {stn} ha {n}/{m} dei ritardi gravi.",
+    attribution: "ATTRIBUZIONE", attributionText: "Il {pct}% dei ritardi attribuiti in {wks} è '{label}'.", attributionNone: "Nessuna attribuzione di flusso per queste settimane e stazioni.",
+    gt15Estimated: "≈ I conteggi +15 sono stimati per {n} autisti — la fonte ha solo i totali, non i +15 settimanali. Carica l'estrazione per ordine per valori esatti.",
+    gt15EstTip: "Stimato dal rapporto +15 complessivo dell'autista",
     combinedDefects: "Difetti Combinati", nccDefects: "Difetti NCC", lateDefects: "Difetti Ritardo",
     notCallCompliant: "Non Conforme Chiamata", severe15min: "gravi (+15min)",
     dualOffenders: "Doppi Trasgressori", driversWithBoth: "autisti con NCC + Ritardo",
     minCombined: "Min combinati", severity: "Gravità", defectMix: "Mix Difetti",
     ncc: "NCC", late: "Ritardo", latePlus15Label: "Ritardo +15",
-    severityLegend: "Gravità: CRITICO = 15+ difetti GT15 · ALTO = 40+ combinati · MEDIO = 20+ combinati",
+    severityLegend: "Ordinati per punteggio pesato — pesi e fasce di gravità in ⚙ Pesi punteggio. Passa sul punteggio per il dettaglio.",
     tabGeo: "Vista Geo",
     geoTitle: "Difetti per Stazione e Attribuzione",
     geoMap: "Mappa Difetti — Italia",
@@ -268,6 +521,139 @@ const T = {
     tabFlow: "Flusso Difetti", flowSnap: "Snapshot S8 2026", flowInstr: "← Clicca per esplorare: difetto → causa → stazione → autista",
     flowDefectType: "Tipo Difetto", flowAttribution: "Causa Radice", flowSite: "Stazione", flowDriver: "Autista",
     flowSelectHint: "Seleziona un tipo di difetto per esplorare le cause",
+    tabImport: "Importa Dati", impTitle: "Importazione Scorecard Settimanale",
+    impHint: "Export CSV o XLSX · una riga per stazione e settimana · stazione = NETWORK per i totali di rete",
+    impChoose: "Scegli file", impReading: "Lettura…", impRow: "Riga",
+    impAdded: "Settimane aggiunte", impChanged: "Settimane modificate", impUnchanged: "invariate",
+    impErrors: "Errori", impWarnings: "Avvisi", impApply: "Applica importazione", impCancel: "Annulla",
+    impApplied: "{n} settimane-stazione unite da {file}", impNothing: "Nessuna modifica — tutte le righe coincidono con i dati attuali.",
+    impBlocked: "Correggi gli errori e ricarica — non è stato importato nulla.",
+    impErrNoRows: "Il file non contiene righe di dati.", impErrMissingCols: "Colonne obbligatorie mancanti: {cols}",
+    impErrNoStation: "Stazione vuota", impErrBadWeek: "Settimana non valida \"{value}\"",
+    impErrBadYear: "Anno non valido o mancante \"{value}\"", impErrDuplicate: "Chiave duplicata {key} (prima alla riga {first})",
+    impErrBadNumber: "Colonna {col}: \"{value}\" non è un numero valido", impReadFailed: "Impossibile leggere il file: {msg}",
+    impWarnIgnoredCols: "Colonne ignorate: {cols}", impWarnUnknownStations: "Non nell'elenco stazioni: {stations} — salvate ma non mostrate",
+    ordTitle: "Importazione Difetti per Ordine", ordOrders: "ordini", ordWeeks: "Settimane",
+    ordHint: "Una riga per ordine · TID, stazione, anno, settimana, tipo difetto (NCC / Ritardo), minuti di ritardo · ricalcola gli aggregati NCC e Ritardi",
+    ordCurrent: "Attuale", ordImported: "Da file", ordReplace: "Sostituisci aggregati",
+    ordApplied: "Aggregati NCC e Ritardi ricalcolati da {n} ordini in {file}",
+    ordErrNoTid: "TID vuoto", ordErrNoDefect: "Tipo difetto vuoto", ordErrDuplicate: "Ordine {order} presente due volte (prima alla riga {first})",
+    ordWarnOtherDefects: "{n} righe con altri tipi di difetto ignorate", ordWarnNoMinutes: "{n} ritardi senza minuti — contati come ≤15 min",
+    profTitle: "Profilo Autista", profOpen: "Apri profilo autista", profClose: "Chiudi", profNoTid: "Nessun TID registrato",
+    profStations: "Stazioni", profHistory: "Storico Settimanale NCC e Ritardi", profSeverity: "Gravità (cumulativa)",
+    profCombined: "Combinati", profAttributions: "Cause Radice {week}", profNoAttributions: "Non presente nel flusso difetti {week}",
+    profGeo: "Difetti per Tipo — {year}", profNoGeo: "Non presente nella matrice autisti Geo", profNotFound: "Nessun difetto registrato per questo autista",
+    profGt15Est: "+15 settimanali stimati dal rapporto +15 complessivo dell'autista",
+    tabRegistry: "Anagrafica Autisti", regDrivers: "Autisti registrati", regAliases: "Alias dei nomi",
+    regUnresolvedTids: "TID senza nome", regUnresolvedNames: "Nomi NCC senza TID",
+    regTidsHint: "Questi TID compaiono nei difetti ma non nell'anagrafica — aggiungi il nome dell'autista (Cognome, Nome).",
+    regNamesHint: "Questi nomi NCC non si collegano ai ritardi — inserisci il TID dell'autista.",
+    regName: "Nome", regNamePh: "Cognome, Nome", regTidPh: "A1B2C3D4E5F6G7", regSave: "Salva",
+    regBadTid: "TID non valido", regSuggest: "Usa {tid}", regAllResolved: "✓ Tutto risolto",
+    regManual: "Risoluzioni manuali", regRemove: "Rimuovi",
+    regConflicts: "Nomi su più TID", regConflictsHint: "Ognuno di questi nomi è registrato per più TID, quindi non viene collegato a nessuno — scegli l'autista a cui appartiene.",
+    tabThresholds: "Soglie", thrTitle: "Soglie KPI", thrExport: "Esporta JSON", thrImport: "Importa JSON", thrResetAll: "Ripristina predefinite",
+    thrHint: "Fasce colore per la mappa e le schede deposito, e le regole di ogni stato. Salvate in questo browser.",
+    thrImported: "Soglie caricate da {file}", thrScope: "Si applica a", thrNetwork: "Tutte le stazioni",
+    thrStationHint: "I campi vuoti ereditano il valore di tutte le stazioni, mostrato in grigio.", thrClearStation: "Rimuovi soglie {station}",
+    thrBands: "Fasce colore heatmap", thrCardBands: "Fasce colore schede deposito", thrWarn: "Ambra", thrBad: "Rosso", thrStatus: "Regole di stato",
+    thr_lateCritical: "CRITICAL se Ritardi +15 >", thr_lateWarning: "WARNING se Ritardi +15 >", thr_lateExcellent: "EXCELLENT se Ritardi +15 <",
+    thr_fondCritical: "CRITICAL se FOND Ctrl >", thr_fondWarning: "WARNING se FOND Ctrl >",
+    thrErrFormat: "Il file non è una configurazione di soglie.", thrErrValue: "{path}: {value} non è una soglia valida", thrErrOrder: "{path}: ambra non può superare rosso",
+    repExport: "Esporta report", repExportTip: "Scarica un PDF con i filtri e la lingua correnti", repBuilding: "Creazione PDF…",
+    repFailed: "Impossibile creare il report: {msg}", repTitle: "Report Settimanale", repGenerated: "Generato il",
+    repOverview: "Panoramica", repLatestWeek: "Ultima settimana", repRangeAvg: "Media periodo", repNoData: "Nessun dato nel periodo selezionato",
+    repTopOffenders: "Autisti Peggiori", repOrdersTotal: "Ordini totali", repWithDefects: "Ordini con difetti",
+    repOrdersOk: "Ordini OK", repTotalDefects: "Difetti totali",
+    expFilters: "Filtri", expCsvTip: "Scarica le righe visualizzate in CSV", expXlsxTip: "Scarica le righe visualizzate in Excel", expFailed: "Esportazione non riuscita",
+    expTid: "TID", expEstimated: "+15 stimato", expYes: "sì",
+    cycMinAmp: "Ampiezza min", cycLates: "Cicli Ritardo +15", cycBaseline: "Minimo medio {v}%", cycCycle: "CICLO", cycOpen: "picco non confermato",
+    cycRise: "salita {n} sett.", cycPeriod: "{n} sett. al minimo successivo", cycNone: "Nessuna oscillazione minimo-massimo di almeno {min}pp nel periodo selezionato",
+    cycSummary: "{n} cicli · media +{amp}pp · salita media {rise} sett. · periodo medio {period} sett.",
+    tabAlerts: "Allerte", alrTitle: "Settimane anomale", alrIntro: "Ogni settimana è confrontata con la mediana delle {window} settimane precedenti; uno z-score robusto di {threshold}+ viene segnalato.",
+    alrAll: "Tutte", alrKpi: "KPI", alrValue: "Valore", alrBaseline: "Abituale", alrChange: "Variazione", alrScore: "Punteggio",
+    alrNccCount: "Difetti NCC", alrLateCount: "Consegne in ritardo", alrNone: "Nessuna settimana anomala per le stazioni e il periodo selezionati.",
+    alrOpen: "Apri grafico",
+    keyInsightNone: "Nessun volume settimanale di ritardi anomalo nel periodo selezionato.",
+    fcForecast: "Previsione", fcBand: "banda {level}%", fcOff: "No", fcHolt: "Holt (smorzato)", fcHoltWinters: "Holt-Winters", fcSeasonalNaive: "Naive stagionale",
+    fcSeason: "Stagione", fcWeeks: "{n} sett.", fcNetwork: "{kpi} — Rete", fcByDepot: "{kpi} per Deposito",
+    fcBacktest: "Backtest ({n} previsioni, fino a {h} sett.): MAE {mae}pp · MAPE {mape}% · {coverage}% dentro la banda",
+    fcShort: "storico insufficiente per questo metodo", fcBacktestShort: "backtest MAE / MAPE",
+    tabTargets: "Obiettivi", tgtTitle: "Obiettivi KPI", tgtHint: "Un obiettivo è raggiunto quando il KPI è pari o inferiore. Gli obiettivi di stazione prevalgono su quelli di rete; Da/Entro limitano le settimane (es. 2026-W12). Salvati in questo browser.",
+    tgtImported: "Obiettivi caricati da {file}", tgtAdd: "+ Aggiungi obiettivo", tgtNetwork: "Rete", tgtValue: "Obiettivo ≤", tgtFrom: "Da", tgtBy: "Entro", tgtNone: "Nessun obiettivo.",
+    tgtGap: "Scarto dall'obiettivo", tgtStreak: "In obiettivo", tgtWeeks: "{n} sett.", tgtStreakText: "{n} sett. in obiettivo",
+    tgtLine: "Obiettivo {value}%", tgtLineBy: "Obiettivo {value}% entro {wk}",
+    tgtErrFormat: "Il file non è un elenco di obiettivi.", tgtErrStation: "stazione sconosciuta {station}", tgtErrKpi: "KPI sconosciuto {kpi}",
+    tgtErrValue: "{value} non è un obiettivo valido", tgtErrWeek: "{value} non è una settimana come 2026-W12", tgtErrOrder: "Da è dopo Entro",
+    cmpTitle: "Confronto periodi", cmpWow: "Settimana su settimana", cmpYoy: "Anno su anno", cmpWeek: "Settimana", cmpVs: "{cur} vs {base}",
+    cmpMovers: "Maggiori variazioni", cmpBefore: "Prima", cmpNow: "Ora", cmpDelta: "Δ pp",
+    cmpNone: "Niente da confrontare: nessuna stazione selezionata ha dati sia per {cur} sia per {base}.", cmpNoBase: "{cur} non ha una settimana corrispondente l'anno prima.",
+    tabSnapshots: "Snapshot", snpTitle: "Snapshot dei dati", snpHint: "Ogni importazione è salvata in questo browser come nuovo snapshot. Aprine uno per vedere la dashboard com'era, o selezionane due per vedere cosa è cambiato.",
+    snp_bundled: "Dati inclusi", snp_scorecard: "Importazione scorecard", snp_orders: "Importazione ordini", snp_zones: "Importazione zone", snp_volume: "Importazione volumi", snp_flow: "Importazione flusso",
+    snpSaved: "Salvato", snpSource: "Origine", snpWeeks: "Settimane", snpDrivers: "Autisti NCC / ritardi", snpOpen: "Apri", snpInUse: "In uso", snpDelete: "Elimina",
+    snpPickTwo: "Seleziona due snapshot per confrontarli.", snpLoading: "Caricamento…", snpNoDiff: "I due snapshot contengono gli stessi dati.",
+    snpAdded: "aggiunte", snpRemoved: "rimosse", snpChanged: "modificate", snpWeekChanges: "Settimane scorecard", snpCountChanges: "Conteggi settimanali NCC / ritardi",
+    snpFlowChanged: "I dati del flusso difetti sono diversi", snpGeoChanged: "I dati geo sono diversi", snpMore: "+{n} altre",
+    snpError: "Snapshot non disponibili in questo browser: {msg}", snpViewing: "Snapshot #{id} · {date}",
+    flowAllWeeks: "Tutte le settimane nel periodo ({n})", flowCompare: "Confronta settimane", flowCompareNeedTwo: "Il confronto richiede dati di flusso per almeno due settimane — importane altre nella scheda Importa Dati",
+    flowNoWeeks: "Nessun dato di flusso difetti in {from}–{to}. Settimane disponibili: {weeks}",
+    flowShiftTitle: "Mix cause radice {a} → {b}", flowShiftHint: "Quota di ogni causa radice nel suo tipo di difetto; Δ in punti percentuali",
+    flowShiftNone: "Nessuno spostamento di cause radice tra queste settimane",
+    flowLayoutSankey: "Sankey", flowLayoutColumns: "Drill-down", flowTopDrivers: "Primi {n} autisti",
+    flowSankeyHint: "Passa sopra per seguire un percorso · clicca un nodo per tenere solo il suo flusso, di nuovo per annullare · clicca un autista per il profilo",
+    flowSankeyEmpty: "Nessun flusso passa per questa selezione — reimpostala per vedere il flusso completo",
+    geoPlay: "Avvia", geoPause: "Pausa", geoCumulative: "Cumulativo {year}", geoWeekSub: "settimana per settimana",
+    geoNoWeeks: "Nessun dato settimanale per stazione nel periodo selezionato",
+    geoHeatLegend: "Colore marcatore: questa settimana rispetto alla settimana media della stazione nel periodo (sotto → molto sopra)",
+    geoMissing: "Settimana per settimana solo {types} hanno dati (aggregati dei ritardi ed estrazione del flusso difetti); {missing} sono solo nell'anno cumulativo",
+    geoMatrixYtd: "{year} cumulativo, non la settimana scelta",
+    geoMapLoading: "Caricamento mappa…", geoMapError: "Impossibile caricare la mappa.", geoMapRetry: "Riprova", geoMapOffline: "Mappa offline — contorno dell'Italia",
+    geoZones: "Zone di consegna", geoZone: "Zona", geoZoneName: "Nome", geoZoneDefects: "Difetti", geoZoneRate: "Tasso", geoZoneOrders: "Ordini / settimana",
+    geoZoneWeeks: "{n} settimane", geoZoneByRate: "difetti ogni 100 ordini, rispetto alla zona peggiore mostrata", geoZoneByCount: "numero di difetti, rispetto alla zona peggiore mostrata (volumi di zona non caricati)",
+    geoZoneUnmapped: "{n} difetti in zone senza poligono", geoZonePick: "Clicca una zona sulla mappa o nell'elenco per cause e driver.", geoZoneVolume: "{n} ordini/settimana",
+    geoZonesNone: "Nessuna zona di consegna caricata. Importa i poligoni (GeoJSON) e l'estrazione dei difetti per zona nella scheda Importa.",
+    zonTitle: "Zone di consegna", zonStationFromFile: "Stazione dal file", zonAreas: "Poligoni zone (GeoJSON)", zonDefects: "Difetti per zona (CSV/XLSX)",
+    zonHint: "Poligoni: un elemento GeoJSON per CAP o zona di giro, con proprietà zone, station (o sceglila sopra) e ordini settimanali opzionali; un file sostituisce le zone di quella stazione · Difetti: stazione, zona, anno, settimana, tipo difetto, causa, driver, conteggio; le settimane importate sostituiscono quelle della stessa stazione",
+    zonCurrent: "In uso: {zones} zone · {weeks} settimane di difetti per zona", zonPendingAreas: "{n} zone per {stations}", zonPendingDefects: "{n} difetti · {weeks} settimane · {stations}",
+    zonApply: "Applica", zonAppliedAreas: "Zone caricate da {file}", zonAppliedDefects: "Difetti per zona caricati da {file}",
+    zonErrFormat: "Il file non è una FeatureCollection GeoJSON.", zonErrGeometry: "{type} non è un poligono", zonErrNoZone: "Zona vuota",
+    zonErrStation: "La zona {zone} non ha stazione — sceglila prima di importare", zonErrUnknownStation: "Zona {zone}: {station} non è nell'elenco stazioni — aggiungila prima nella scheda Stazioni", zonErrDuplicate: "La zona {zone} compare due volte per {station}", zonErrOrders: "{value} non è un volume ordini valido per la zona {zone}",
+    scoTitle: "Punteggio autisti", scoWeights: "Pesi punteggio", scoBands: "Fasce di gravità", scoPoints: "Punti", scoPer1000: "Per 1.000 pacchi",
+    scoHint: "Ogni difetto vale il suo peso in punti. Con il volume di pacchi consegnati il punteggio è in punti per 1.000 pacchi e usa la seconda colonna di fasce. Salvato in questo browser.",
+    scoImported: "Punteggio caricato da {file}", scoYtd: "da inizio anno", scoScore: "Punteggio", scoWhy: "Dovuto a",
+    scoReasonWeeks: "{share}% da {part} in {weeks}", scoReasonYtd: "{share}% da {part} (da inizio anno)",
+    scoPart_ncc: "NCC", scoPart_late: "ritardi", scoPart_gt15: "ritardi +15", scoPart_ftfdf: "FTFDF", scoPart_ftpdf: "FTPDF", scoPart_pdnr: "PDNR", scoPart_fdnr: "FDNR", scoPart_ftdc: "FTDC",
+    scoErrFormat: "Il file non è una configurazione di punteggio.", scoErrValue: "{path}: {value} non è un peso o una fascia valida", scoErrOrder: "{path}: le fasce devono essere CRITICO ≥ ALTO ≥ MEDIO",
+    volTitle: "Volume Autisti", volApply: "Applica", volApplied: "Volume autisti da {file} applicato",
+    volHint: "Una riga per autista e settimana: TID (o nome), anno, settimana e pacchi consegnati — o giri. Ogni autista-settimana importato sostituisce lo stesso autista e settimana, gli altri restano; un file nell'altra unità sostituisce tutto il volume.",
+    volCurrent: "In uso: {drivers} autisti · {weeks} settimane di {unit}", volNone: "Nessun volume autisti — le tabelle autisti ordinano solo per conteggio",
+    volPending: "{n} {unit} · {drivers} autisti · {weeks} settimane", volReplacesUnit: "Sostituisce il volume in {unit} caricato ora",
+    volUnit_packages: "pacchi", volUnit_routes: "giri", volPer_packages: "/1k pacchi", volPer_routes: "/100 giri",
+    volTip: "{n} {unit} in queste settimane", volNoDriver: "Nessun volume per questo autista in tutte le settimane mostrate", volMissing: "Importa il volume autisti nella scheda Importa per ordinare per tasso",
+    volWarnNoTid: "{n} autisti hanno un nome ma nessun TID — possono corrispondere solo alle righe NCC per nome", volErrNoDriver: "Nessun TID o nome autista",
+    volErrDuplicate: "{driver} compare due volte per {week} (prima alla riga {first})",
+    tabCoaching: "Coaching", coaTitle: "Registro coaching", coaNone: "Nessun coaching registrato per questo autista.", coaNoneAll: "Nessun coaching registrato — apri un autista e aggiungi una sessione, un richiamo o un piano d'azione.",
+    coaNeedsTid: "Il coaching si registra su un TID — associa prima questo autista a un TID nella scheda Anagrafica Autisti.",
+    coaDate: "Data", coaKind: "Tipo", coaDefect: "Difetto trattato", coaAuthor: "Autore", coaNotes: "Note", coaAdd: "+ Aggiungi",
+    coaEffect: "Prima → dopo ({n} sett.)", coaEffectTip: "{measure}: media settimanale su {before} settimane prima e {after} settimane dopo la settimana della voce",
+    coaNoBefore: "nessuna settimana precedente", coaPending: "{before} → in attesa",
+    coaHint: "Le voci segnano la loro settimana nelle tabelle NCC e Ritardi (◆). L'effetto confronta la media settimanale del difetto trattato su fino a {n} settimane prima e dopo quella settimana. Salvato in questo browser — esporta per condividere o fare un backup.",
+    coaImported: "Aggiunte {n} voci da {file}", coaCount: "{n} voci di coaching", coaOther: "Altro",
+    coaKind_coaching: "Coaching", coaKind_warning: "Richiamo", coaKind_actionPlan: "Piano d'azione",
+    coaMeasure_ncc: "NCC/sett.", coaMeasure_late: "ritardi/sett.", coaMeasure_gt15: "+15/sett.", coaMeasure_all: "NCC+ritardi/sett.",
+    coaErrFormat: "Atteso un elenco JSON di voci di coaching", coaErrTid: "\"{value}\" non è un TID autista",
+    coaErrDate: "\"{value}\" non è una data (AAAA-MM-GG)", coaErrKind: "Tipo di voce sconosciuto \"{value}\"", coaErrDefect: "Tipo di difetto sconosciuto \"{value}\"",
+    rankBy: "Ordina per", rankCount: "Conteggio", scoPerVolume: "Per 1.000 pacchi",
+    tabStations: "Stazioni", stnTitle: "Anagrafica stazioni",
+    stnHint: "Ogni scheda prende da qui nomi, colori, posizione sulla mappa e fascia delle stazioni. Una stazione compare nel filtro solo per le settimane tra Da e A (entrambi possono restare vuoti); il codice non si può cambiare dopo l'aggiunta.",
+    stnImported: "Stazioni caricate da {file}", stnAdd: "+ Aggiungi stazione", stnCity: "Città", stnRegion: "Regione", stnLat: "Lat", stnLng: "Lng",
+    stnColor: "Colore", stnTier: "Fascia", stnTo: "A",
+    stnErrFormat: "Il file non è un elenco di stazioni.", stnErrCode: "{value} non è un codice stazione (3–6 lettere o cifre)", stnErrDuplicate: "{station} compare due volte",
+    stnErrColor: "{value} non è un colore come #60a5fa", stnErrCoord: "{value} non è una coordinata valida", stnErrWeek: "{value} non è una settimana come 2026-W12", stnErrOrder: "Da è dopo A",
+    flwTitle: "Settimane Flusso Difetti", flwApply: "Applica", flwApplied: "Flusso difetti da {file} applicato",
+    flwHint: "Una riga per ordine difettoso (o una colonna conteggio): stazione, anno, settimana, tipo difetto, causa, autista e il totale ordini della stazione in quella settimana. Le settimane importate sostituiscono le stesse settimane.",
+    flwCurrent: "In uso: {n} settimane ({weeks})", flwPending: "{n} difetti · {weeks}", flwReplaces: "Sostituisce {weeks}",
+    flwErrOrders: "{station} ha {value} ordini in {week}, ma la riga {first} indica un totale diverso",
     footer: "ULTIMO MIGLIO DSP ITALIA", generated: "GENERATO",
     defects: "difetti", across: "su",
   },
@@ -275,7 +661,7 @@ const T = {
     brand: "Última Milla DSP — Italia", title: "Rendimiento de Entrega", latestInRange: "Última en Rango",
     stations: "estaciones", station: "estación",
     tabOverview: "Resumen", tabDepots: "Análisis de Depósitos", tabUpstream: "Upstream vs Controlable",
-    tabCycles: "Ciclos UIT4", tabNcc: "Conductores NCC", tabLate: "Conductores con Retraso", tabScorecard: "Scorecard Conductores",
+    tabCycles: "Ciclos", tabNcc: "Conductores NCC", tabLate: "Conductores con Retraso", tabScorecard: "Scorecard Conductores",
     year: "Año", weeks: "Semanas", reset: "Reiniciar",
     depot: "Depósito", week: "Sem.", latePlus15: "Retraso +15", fondCtrl: "FOND Ctrl", ftfdf: "FTFDF",
     ftpdf: "FTPDF", pdnr: "PDNR", fdnr: "FDNR", pp: "PP", status: "Estado",
@@ -295,15 +681,17 @@ const T = {
     ofTotal: "del total", lateByStationWeekly: "Retrasos por Estación — Semanal",
     allLate: "Todos los Retrasos", latePlus15Only: "Solo Retraso +15",
     driverId: "Conductor", gt15: "+15", pct: "%",
-    keyInsight: "DATO CLAVE", keyInsightText: "fue catastrófico — {n} retrasos en la red ({m} UIT4). {w2} repitió con {n2}.",
-    gt15Rate: "TASA GT15", gt15RateText: "de los retrasos son >15min — UIT4 tiene {n}/{m} de retrasos graves.",
-    attribution: "ATRIBUCIÓN", attributionText: "100% clasificados como 'Late Batch Ops Controllable' — responsabilidad DSP.",
+    keyInsight: "DATO CLAVE", keyInsightText: "{wk} destacó — {n} retrasos en {stn} frente a los habituales {base} (puntuación {score}); {total} en las estaciones seleccionadas esa semana.",
+    gt15Rate: "TASA GT15", gt15RateText: "{pct}% de los retrasos son >15min — {stn} tiene {n}/{m} de retrasos graves.",
+    attribution: "ATRIBUCIÓN", attributionText: "El {pct}% de los retrasos atribuidos en {wks} es '{label}'.", attributionNone: "No hay atribuciones de flujo para estas semanas y estaciones.",
+    gt15Estimated: "≈ Los conteos +15 son estimados para {n} conductores — la fuente solo tiene totales, no +15 semanales. Sube la extracción por pedido para valores exactos.",
+    gt15EstTip: "Estimado a partir de la proporción +15 global del conductor",
     combinedDefects: "Defectos Combinados", nccDefects: "Defectos NCC", lateDefects: "Defectos Retraso",
     notCallCompliant: "No Conforme Llamada", severe15min: "graves (+15min)",
     dualOffenders: "Dobles Infractores", driversWithBoth: "conductores con NCC + Retraso",
     minCombined: "Mín combinados", severity: "Severidad", defectMix: "Mix Defectos",
     ncc: "NCC", late: "Retraso", latePlus15Label: "Retraso +15",
-    severityLegend: "Severidad: CRÍTICO = 15+ defectos GT15 · ALTO = 40+ combinados · MEDIO = 20+ combinados",
+    severityLegend: "Ordenados por puntuación ponderada — pesos y bandas de severidad en ⚙ Pesos de puntuación. Pasa sobre la puntuación para ver el desglose.",
     tabGeo: "Vista Geo",
     geoTitle: "Defectos por Sitio y Atribución",
     geoMap: "Mapa Defectos — Italia",
@@ -315,11 +703,146 @@ const T = {
     tabFlow: "Flujo Defectos", flowSnap: "Instantánea S8 2026", flowInstr: "← Clic para profundizar: defecto → atribución → sitio → conductor",
     flowDefectType: "Tipo Defecto", flowAttribution: "Causa Raíz", flowSite: "Sitio", flowDriver: "Conductor",
     flowSelectHint: "Selecciona un tipo de defecto para explorar causas",
+    tabImport: "Importar Datos", impTitle: "Importación Scorecard Semanal",
+    impHint: "Export CSV o XLSX · una fila por estación y semana · estación = NETWORK para totales de red",
+    impChoose: "Elegir archivo", impReading: "Leyendo…", impRow: "Fila",
+    impAdded: "Semanas añadidas", impChanged: "Semanas modificadas", impUnchanged: "sin cambios",
+    impErrors: "Errores", impWarnings: "Avisos", impApply: "Aplicar importación", impCancel: "Cancelar",
+    impApplied: "{n} semanas-estación fusionadas desde {file}", impNothing: "Nada que cambiar — todas las filas coinciden con los datos actuales.",
+    impBlocked: "Corrige los errores y vuelve a subir — no se ha importado nada.",
+    impErrNoRows: "El archivo no tiene filas de datos.", impErrMissingCols: "Faltan columnas obligatorias: {cols}",
+    impErrNoStation: "Estación vacía", impErrBadWeek: "Semana no válida \"{value}\"",
+    impErrBadYear: "Año no válido o ausente \"{value}\"", impErrDuplicate: "Clave duplicada {key} (primera en fila {first})",
+    impErrBadNumber: "Columna {col}: \"{value}\" no es un número válido", impReadFailed: "No se pudo leer el archivo: {msg}",
+    impWarnIgnoredCols: "Columnas ignoradas: {cols}", impWarnUnknownStations: "No están en la lista de estaciones: {stations} — guardadas pero no mostradas",
+    ordTitle: "Importación de Defectos por Pedido", ordOrders: "pedidos", ordWeeks: "Semanas",
+    ordHint: "Una fila por pedido · TID, estación, año, semana, tipo de defecto (NCC / Retraso), minutos de retraso · recalcula los agregados NCC y Retrasos",
+    ordCurrent: "Actual", ordImported: "Del archivo", ordReplace: "Reemplazar agregados",
+    ordApplied: "Agregados NCC y Retrasos recalculados desde {n} pedidos en {file}",
+    ordErrNoTid: "TID vacío", ordErrNoDefect: "Tipo de defecto vacío", ordErrDuplicate: "Pedido {order} aparece dos veces (primero en fila {first})",
+    ordWarnOtherDefects: "{n} filas con otros tipos de defecto ignoradas", ordWarnNoMinutes: "{n} retrasos sin minutos — contados como ≤15 min",
+    profTitle: "Perfil del Conductor", profOpen: "Abrir perfil del conductor", profClose: "Cerrar", profNoTid: "Sin TID registrado",
+    profStations: "Estaciones", profHistory: "Historial Semanal NCC y Retrasos", profSeverity: "Severidad (acumulada)",
+    profCombined: "Combinados", profAttributions: "Causas Raíz {week}", profNoAttributions: "No aparece en el flujo de defectos {week}",
+    profGeo: "Defectos por Tipo — {year}", profNoGeo: "No aparece en la matriz de conductores Geo", profNotFound: "Sin defectos registrados para este conductor",
+    profGt15Est: "+15 semanales estimados a partir de la proporción +15 global del conductor",
+    tabRegistry: "Registro Conductores", regDrivers: "Conductores registrados", regAliases: "Alias de nombres",
+    regUnresolvedTids: "TID sin nombre", regUnresolvedNames: "Nombres NCC sin TID",
+    regTidsHint: "Estos TID aparecen en los defectos pero no en la plantilla — añade el nombre del conductor (Apellido, Nombre).",
+    regNamesHint: "Estos nombres NCC no se pueden unir a los retrasos — introduce el TID del conductor.",
+    regName: "Nombre", regNamePh: "Apellido, Nombre", regTidPh: "A1B2C3D4E5F6G7", regSave: "Guardar",
+    regBadTid: "TID no válido", regSuggest: "Usar {tid}", regAllResolved: "✓ Todo resuelto",
+    regManual: "Resoluciones manuales", regRemove: "Quitar",
+    regConflicts: "Nombres en más de un TID", regConflictsHint: "Cada uno de estos nombres está registrado para varios TID, así que no se une a ninguno — elige el conductor al que pertenece.",
+    tabThresholds: "Umbrales", thrTitle: "Umbrales KPI", thrExport: "Exportar JSON", thrImport: "Importar JSON", thrResetAll: "Restablecer",
+    thrHint: "Bandas de color del mapa de calor y las tarjetas de depósito, y las reglas de cada estado. Guardados en este navegador.",
+    thrImported: "Umbrales cargados desde {file}", thrScope: "Se aplica a", thrNetwork: "Todas las estaciones",
+    thrStationHint: "Los campos vacíos heredan el valor de todas las estaciones, mostrado en gris.", thrClearStation: "Quitar umbrales de {station}",
+    thrBands: "Bandas de color del heatmap", thrCardBands: "Bandas de color de las tarjetas de depósito", thrWarn: "Ámbar", thrBad: "Rojo", thrStatus: "Reglas de estado",
+    thr_lateCritical: "CRITICAL si Retrasos +15 >", thr_lateWarning: "WARNING si Retrasos +15 >", thr_lateExcellent: "EXCELLENT si Retrasos +15 <",
+    thr_fondCritical: "CRITICAL si FOND Ctrl >", thr_fondWarning: "WARNING si FOND Ctrl >",
+    thrErrFormat: "El archivo no es una configuración de umbrales.", thrErrValue: "{path}: {value} no es un umbral válido", thrErrOrder: "{path}: ámbar no puede superar rojo",
+    repExport: "Exportar informe", repExportTip: "Descarga un PDF con los filtros y el idioma actuales", repBuilding: "Generando PDF…",
+    repFailed: "No se pudo generar el informe: {msg}", repTitle: "Informe Semanal", repGenerated: "Generado el",
+    repOverview: "Resumen", repLatestWeek: "Última semana", repRangeAvg: "Media del rango", repNoData: "Sin datos en el rango seleccionado",
+    repTopOffenders: "Principales Infractores", repOrdersTotal: "Pedidos totales", repWithDefects: "Pedidos con defectos",
+    repOrdersOk: "Pedidos OK", repTotalDefects: "Defectos totales",
+    expFilters: "Filtros", expCsvTip: "Descarga las filas mostradas en CSV", expXlsxTip: "Descarga las filas mostradas en Excel", expFailed: "Error al exportar",
+    expTid: "TID", expEstimated: "+15 estimado", expYes: "sí",
+    cycMinAmp: "Amplitud mín", cycLates: "Ciclos Retraso +15", cycBaseline: "Mínimo medio {v}%", cycCycle: "CICLO", cycOpen: "pico no confirmado",
+    cycRise: "subida {n} sem.", cycPeriod: "{n} sem. al siguiente mínimo", cycNone: "Ninguna oscilación mínimo-máximo de al menos {min}pp en el rango seleccionado",
+    cycSummary: "{n} ciclos · media +{amp}pp · subida media {rise} sem. · periodo medio {period} sem.",
+    tabAlerts: "Alertas", alrTitle: "Semanas inusuales", alrIntro: "Cada semana se compara con la mediana de las {window} semanas anteriores; se marca un z-score robusto de {threshold}+.",
+    alrAll: "Todas", alrKpi: "KPI", alrValue: "Valor", alrBaseline: "Habitual", alrChange: "Variación", alrScore: "Puntuación",
+    alrNccCount: "Defectos NCC", alrLateCount: "Entregas con retraso", alrNone: "No hay semanas inusuales para las estaciones y el periodo seleccionados.",
+    alrOpen: "Abrir gráfico",
+    keyInsightNone: "Ningún volumen semanal de retrasos inusual en el periodo seleccionado.",
+    fcForecast: "Previsión", fcBand: "banda {level}%", fcOff: "No", fcHolt: "Holt (amortiguado)", fcHoltWinters: "Holt-Winters", fcSeasonalNaive: "Ingenuo estacional",
+    fcSeason: "Temporada", fcWeeks: "{n} sem.", fcNetwork: "{kpi} — Red", fcByDepot: "{kpi} por Depósito",
+    fcBacktest: "Backtest ({n} previsiones, hasta {h} sem.): MAE {mae}pp · MAPE {mape}% · {coverage}% dentro de la banda",
+    fcShort: "historial insuficiente para este método", fcBacktestShort: "backtest MAE / MAPE",
+    tabTargets: "Objetivos", tgtTitle: "Objetivos KPI", tgtHint: "Un objetivo se cumple cuando el KPI es igual o inferior. Los objetivos de estación prevalecen sobre los de red; Desde/Hasta limitan las semanas (p. ej. 2026-W12). Guardados en este navegador.",
+    tgtImported: "Objetivos cargados de {file}", tgtAdd: "+ Añadir objetivo", tgtNetwork: "Red", tgtValue: "Objetivo ≤", tgtFrom: "Desde", tgtBy: "Hasta", tgtNone: "Sin objetivos.",
+    tgtGap: "Brecha al objetivo", tgtStreak: "En objetivo", tgtWeeks: "{n} sem.", tgtStreakText: "{n} sem. en objetivo",
+    tgtLine: "Objetivo {value}%", tgtLineBy: "Objetivo {value}% para {wk}",
+    tgtErrFormat: "El archivo no es una lista de objetivos.", tgtErrStation: "estación desconocida {station}", tgtErrKpi: "KPI desconocido {kpi}",
+    tgtErrValue: "{value} no es un objetivo válido", tgtErrWeek: "{value} no es una semana como 2026-W12", tgtErrOrder: "Desde es posterior a Hasta",
+    cmpTitle: "Comparación de periodos", cmpWow: "Semana a semana", cmpYoy: "Año a año", cmpWeek: "Semana", cmpVs: "{cur} vs {base}",
+    cmpMovers: "Mayores variaciones", cmpBefore: "Antes", cmpNow: "Ahora", cmpDelta: "Δ pp",
+    cmpNone: "Nada que comparar: ninguna estación seleccionada tiene datos de {cur} y de {base}.", cmpNoBase: "{cur} no tiene semana equivalente el año anterior.",
+    tabSnapshots: "Snapshots", snpTitle: "Snapshots de datos", snpHint: "Cada importación se guarda en este navegador como un nuevo snapshot. Abre uno para ver el panel como estaba, o marca dos para ver qué cambió.",
+    snp_bundled: "Datos incluidos", snp_scorecard: "Importación de scorecard", snp_orders: "Importación de pedidos", snp_zones: "Importación de zonas", snp_volume: "Importación de volumen", snp_flow: "Importación de flujo",
+    snpSaved: "Guardado", snpSource: "Origen", snpWeeks: "Semanas", snpDrivers: "Conductores NCC / retraso", snpOpen: "Abrir", snpInUse: "En uso", snpDelete: "Eliminar",
+    snpPickTwo: "Marca dos snapshots para compararlos.", snpLoading: "Cargando…", snpNoDiff: "Los dos snapshots tienen los mismos datos.",
+    snpAdded: "añadidas", snpRemoved: "eliminadas", snpChanged: "modificadas", snpWeekChanges: "Semanas de scorecard", snpCountChanges: "Conteos semanales NCC / retraso",
+    snpFlowChanged: "Los datos del flujo de defectos difieren", snpGeoChanged: "Los datos geo difieren", snpMore: "+{n} más",
+    snpError: "Los snapshots no están disponibles en este navegador: {msg}", snpViewing: "Snapshot #{id} · {date}",
+    flowAllWeeks: "Todas las semanas del periodo ({n})", flowCompare: "Comparar semanas", flowCompareNeedTwo: "La comparación necesita datos de flujo de al menos dos semanas — importa más en la pestaña Importar Datos",
+    flowNoWeeks: "Sin datos de flujo de defectos en {from}–{to}. Semanas disponibles: {weeks}",
+    flowShiftTitle: "Mezcla de causas raíz {a} → {b}", flowShiftHint: "Cuota de cada causa raíz dentro de su tipo de defecto; Δ en puntos porcentuales",
+    flowShiftNone: "Sin cambios de causas raíz entre estas semanas",
+    flowLayoutSankey: "Sankey", flowLayoutColumns: "Desglose", flowTopDrivers: "Top {n} conductores",
+    flowSankeyHint: "Pasa el cursor para seguir un recorrido · clic en un nodo para ver solo su flujo, otra vez para quitarlo · clic en un conductor para el perfil",
+    flowSankeyEmpty: "Ningún flujo pasa por esta selección — restablécela para ver el flujo completo",
+    geoPlay: "Reproducir", geoPause: "Pausa", geoCumulative: "Acumulado {year}", geoWeekSub: "semana a semana",
+    geoNoWeeks: "Sin datos semanales por estación en el periodo seleccionado",
+    geoHeatLegend: "Color del marcador: esta semana frente a la semana media de la estación en el periodo (debajo → muy por encima)",
+    geoMissing: "Semana a semana solo {types} tienen datos (agregados de retrasos y extracción del flujo de defectos); {missing} están solo en el año acumulado",
+    geoMatrixYtd: "{year} acumulado, no la semana elegida",
+    geoMapLoading: "Cargando mapa…", geoMapError: "No se pudo cargar el mapa.", geoMapRetry: "Reintentar", geoMapOffline: "Mapa sin conexión — contorno de Italia",
+    geoZones: "Zonas de entrega", geoZone: "Zona", geoZoneName: "Nombre", geoZoneDefects: "Defectos", geoZoneRate: "Tasa", geoZoneOrders: "Pedidos / semana",
+    geoZoneWeeks: "{n} semanas", geoZoneByRate: "defectos por cada 100 pedidos, frente a la peor zona mostrada", geoZoneByCount: "número de defectos, frente a la peor zona mostrada (sin volúmenes de zona)",
+    geoZoneUnmapped: "{n} defectos en zonas sin polígono", geoZonePick: "Haz clic en una zona del mapa o de la lista para ver causas y conductores.", geoZoneVolume: "{n} pedidos/semana",
+    geoZonesNone: "No hay zonas de entrega cargadas. Importa los polígonos (GeoJSON) y el extracto de defectos por zona en la pestaña Importar.",
+    zonTitle: "Zonas de entrega", zonStationFromFile: "Estación del archivo", zonAreas: "Polígonos de zona (GeoJSON)", zonDefects: "Defectos por zona (CSV/XLSX)",
+    zonHint: "Polígonos: un elemento GeoJSON por código postal o zona de ruta, con propiedad zone, station (o elígela arriba) y pedidos semanales opcionales; un archivo reemplaza las zonas de esa estación · Defectos: estación, zona, año, semana, tipo de defecto, causa, conductor, cantidad; las semanas importadas reemplazan las de la misma estación",
+    zonCurrent: "En uso: {zones} zonas · {weeks} semanas de defectos por zona", zonPendingAreas: "{n} zonas para {stations}", zonPendingDefects: "{n} defectos · {weeks} semanas · {stations}",
+    zonApply: "Aplicar", zonAppliedAreas: "Zonas cargadas de {file}", zonAppliedDefects: "Defectos por zona cargados de {file}",
+    zonErrFormat: "El archivo no es una FeatureCollection GeoJSON.", zonErrGeometry: "{type} no es un polígono", zonErrNoZone: "La zona está vacía",
+    zonErrStation: "La zona {zone} no tiene estación — elígela antes de importar", zonErrUnknownStation: "Zona {zone}: {station} no está en la lista de estaciones — añádela primero en la pestaña Estaciones", zonErrDuplicate: "La zona {zone} aparece dos veces para {station}", zonErrOrders: "{value} no es un volumen de pedidos válido para la zona {zone}",
+    scoTitle: "Puntuación de conductores", scoWeights: "Pesos de puntuación", scoBands: "Bandas de severidad", scoPoints: "Puntos", scoPer1000: "Por 1.000 paquetes",
+    scoHint: "Cada defecto suma su peso en puntos. Con el volumen de paquetes entregados la puntuación es en puntos por 1.000 paquetes y usa la segunda columna de bandas. Guardado en este navegador.",
+    scoImported: "Puntuación cargada desde {file}", scoYtd: "en lo que va de año", scoScore: "Puntuación", scoWhy: "Debido a",
+    scoReasonWeeks: "{share}% por {part} en {weeks}", scoReasonYtd: "{share}% por {part} (en lo que va de año)",
+    scoPart_ncc: "NCC", scoPart_late: "retrasos", scoPart_gt15: "retrasos +15", scoPart_ftfdf: "FTFDF", scoPart_ftpdf: "FTPDF", scoPart_pdnr: "PDNR", scoPart_fdnr: "FDNR", scoPart_ftdc: "FTDC",
+    scoErrFormat: "El archivo no es una configuración de puntuación.", scoErrValue: "{path}: {value} no es un peso o banda válido", scoErrOrder: "{path}: las bandas deben ser CRÍTICO ≥ ALTO ≥ MEDIO",
+    volTitle: "Volumen de Conductores", volApply: "Aplicar", volApplied: "Volumen de conductores de {file} aplicado",
+    volHint: "Una fila por conductor y semana: TID (o nombre), año, semana y paquetes entregados — o rutas. Cada conductor-semana importado sustituye el mismo conductor y semana, los demás se conservan; un archivo en la otra unidad sustituye todo el volumen.",
+    volCurrent: "En uso: {drivers} conductores · {weeks} semanas de {unit}", volNone: "Sin volumen de conductores — las tablas de conductores ordenan solo por cantidad",
+    volPending: "{n} {unit} · {drivers} conductores · {weeks} semanas", volReplacesUnit: "Sustituye el volumen en {unit} cargado ahora",
+    volUnit_packages: "paquetes", volUnit_routes: "rutas", volPer_packages: "/1k paq.", volPer_routes: "/100 rutas",
+    volTip: "{n} {unit} en estas semanas", volNoDriver: "Sin volumen para este conductor en todas las semanas mostradas", volMissing: "Importa el volumen de conductores en la pestaña Importar para ordenar por tasa",
+    volWarnNoTid: "{n} conductores tienen nombre pero no TID — solo pueden coincidir con filas NCC por nombre", volErrNoDriver: "Sin TID ni nombre de conductor",
+    volErrDuplicate: "{driver} aparece dos veces para {week} (primero en la fila {first})",
+    tabCoaching: "Coaching", coaTitle: "Registro de coaching", coaNone: "Aún no hay coaching registrado para este conductor.", coaNoneAll: "Aún no hay coaching registrado — abre un conductor y añade una sesión, una advertencia o un plan de acción.",
+    coaNeedsTid: "El coaching se registra sobre un TID — asocia primero este conductor a un TID en la pestaña Registro Conductores.",
+    coaDate: "Fecha", coaKind: "Tipo", coaDefect: "Defecto tratado", coaAuthor: "Autor", coaNotes: "Notas", coaAdd: "+ Añadir",
+    coaEffect: "Antes → después ({n} sem.)", coaEffectTip: "{measure}: media semanal de {before} semanas antes y {after} semanas después de la semana de la entrada",
+    coaNoBefore: "sin semanas anteriores", coaPending: "{before} → pendiente",
+    coaHint: "Las entradas marcan su semana en las tablas NCC y Retrasos (◆). El efecto compara la media semanal del defecto tratado en hasta {n} semanas antes y después de esa semana. Guardado en este navegador — exporta para compartir o hacer una copia.",
+    coaImported: "Añadidas {n} entradas de {file}", coaCount: "{n} entradas de coaching", coaOther: "Otro",
+    coaKind_coaching: "Coaching", coaKind_warning: "Advertencia", coaKind_actionPlan: "Plan de acción",
+    coaMeasure_ncc: "NCC/sem.", coaMeasure_late: "retrasos/sem.", coaMeasure_gt15: "+15/sem.", coaMeasure_all: "NCC+retrasos/sem.",
+    coaErrFormat: "Se esperaba una lista JSON de entradas de coaching", coaErrTid: "\"{value}\" no es un TID de conductor",
+    coaErrDate: "\"{value}\" no es una fecha (AAAA-MM-DD)", coaErrKind: "Tipo de entrada desconocido \"{value}\"", coaErrDefect: "Tipo de defecto desconocido \"{value}\"",
+    rankBy: "Ordenar por", rankCount: "Cantidad", scoPerVolume: "Por 1.000 paquetes",
+    tabStations: "Estaciones", stnTitle: "Registro de estaciones",
+    stnHint: "Todas las pestañas toman de aquí nombres, colores, posición en el mapa y nivel de las estaciones. Una estación aparece en el filtro solo en las semanas entre Desde y Hasta (ambos pueden quedar vacíos); el código no se puede cambiar una vez añadido.",
+    stnImported: "Estaciones cargadas de {file}", stnAdd: "+ Añadir estación", stnCity: "Ciudad", stnRegion: "Región", stnLat: "Lat", stnLng: "Lng",
+    stnColor: "Color", stnTier: "Nivel", stnTo: "Hasta",
+    stnErrFormat: "El archivo no es una lista de estaciones.", stnErrCode: "{value} no es un código de estación (3–6 letras o cifras)", stnErrDuplicate: "{station} aparece dos veces",
+    stnErrColor: "{value} no es un color como #60a5fa", stnErrCoord: "{value} no es una coordenada válida", stnErrWeek: "{value} no es una semana como 2026-W12", stnErrOrder: "Desde es posterior a Hasta",
+    flwTitle: "Semanas de Flujo de Defectos", flwApply: "Aplicar", flwApplied: "Flujo de defectos de {file} aplicado",
+    flwHint: "Una fila por pedido defectuoso (o una columna de conteo): estación, año, semana, tipo de defecto, atribución, conductor y el total de pedidos de la estación esa semana. Las semanas importadas sustituyen las mismas semanas.",
+    flwCurrent: "En uso: {n} semanas ({weeks})", flwPending: "{n} defectos · {weeks}", flwReplaces: "Sustituye {weeks}",
+    flwErrOrders: "{station} tiene {value} pedidos en {week}, pero la fila {first} da otro total",
     footer: "ÚLTIMA MILLA DSP ITALIA", generated: "GENERADO",
     defects: "defectos", across: "en",
   }
 };
 const LANGS = [{code:"en",label:"EN"},{code:"it",label:"IT"},{code:"es",label:"ES"}];
+// Fill {placeholders} in a translated string
+const fill = (str, params = {}) => str.replace(/\{(\w+)\}/g, (m, k) => params[k] ?? m);
 
 // ─── NETWORK DATA (with year) ──────────────────────────────────────
 const NETWORK = [
@@ -550,22 +1073,32 @@ const ALL_DEPOT_DATA = {
 
 // ─── CONSTANTS ──────────────────────────────────────────────────────
 const ALL_YEARS = [2025, 2026];
-const ALL_DEPOTS = ["UIT4","UIT1","UIT7","UBA1","UIL7"];
-const DEPOT_COLORS = {UIT4:"#60a5fa",UIT1:"#34d399",UIT7:"#a78bfa",UBA1:"#fb923c",UIL7:"#94a3b8"};
-const DEPOT_LABELS = {UIT4:"Roma",UIT1:"Milano",UIT7:"Milano",UBA1:"Bologna",UIL7:"—"};
-const weekNum = w => parseInt(w.slice(1));
-const sortKey = (year, week) => year * 100 + weekNum(week);
+
+// Station metadata comes from the registry (see stations.js); components
+// read the current one through this context
+const StationsContext = createContext(stationIndex(DEFAULT_STATIONS));
+const useStations = () => useContext(StationsContext);
+
+// Years present in a dataset (always includes the baseline years)
+function datasetYears(dataset) {
+  const s = new Set(ALL_YEARS);
+  dataset.network.forEach(d => s.add(d.year));
+  Object.values(dataset.depots).forEach(arr => arr.forEach(d => s.add(d.year)));
+  return [...s].sort((a, b) => a - b);
+}
 
 // Build ordered week list per year
-const WEEKS_BY_YEAR = {};
-ALL_YEARS.forEach(y => {
-  const s = new Set();
-  NETWORK.filter(d => d.year === y).forEach(d => s.add(d.week));
-  Object.values(ALL_DEPOT_DATA).forEach(arr => arr.filter(d => d.year === y).forEach(d => s.add(d.week)));
-  WEEKS_BY_YEAR[y] = [...s].sort((a, b) => weekNum(a) - weekNum(b));
-});
-
-const CYCLES = [{id:1,trough:"W4",peak:"W6",troughVal:2.11,peakVal:6.34},{id:2,trough:"W28",peak:"W25",troughVal:1.27,peakVal:4.35},{id:3,trough:"W35",peak:"W39",troughVal:0.44,peakVal:5.53},{id:4,trough:"W45",peak:"W51",troughVal:2.09,peakVal:7.03}];
+function buildWeeksByYear(dataset, years) {
+  const out = {};
+  years.forEach(y => {
+    const s = new Set();
+    dataset.network.filter(d => d.year === y).forEach(d => s.add(d.week));
+    Object.values(dataset.depots).forEach(arr => arr.filter(d => d.year === y).forEach(d => s.add(d.week)));
+    out[y] = [...s].sort((a, b) => weekNum(a) - weekNum(b));
+  });
+  return out;
+}
+
 const UPSTREAM_DATA = [{depot:"UIT7",ctrl:0.09,upstream:0.36,total:0.45},{depot:"UIT1",ctrl:0.66,upstream:1.02,total:1.68},{depot:"UBA1",ctrl:0.61,upstream:1.06,total:1.67},{depot:"UIT4",ctrl:1.19,upstream:2.22,total:3.41},{depot:"UIL7",ctrl:0.75,upstream:0.00,total:0.75}];
 
 // ─── NCC (NOT CALL COMPLIANT) DATA ─────────────────────────────────
@@ -624,11 +1157,15 @@ const NCC_DRIVERS = [
   {name:"ID:A1NIE3GKC42IM",loc:"?",stations:["UBA1"],total:3,w:{"2026-W7":3,"2026-W8":0}},
   {name:"Dolofan, Florin",loc:"Milano",stations:["UBA1"],total:2,w:{"2026-W7":2,"2026-W8":0}}
 ];
-function NCCCell({val}) {
-  if (!val) return <td style={{padding:"3px 6px",textAlign:"center",fontSize:10,fontFamily:"'DM Mono',monospace",color:"#1e293b"}}>·</td>;
+// Weeks with a coaching entry get a cyan ring; `coached` is the entries' tooltip text.
+// Faint cells are raised so the ring stays visible
+const COACHED_COLOR = "#22d3ee";
+const coachedStyle = (coached, op) => coached ? { boxShadow:`inset 0 0 0 2px ${COACHED_COLOR}`, opacity:Math.max(op, 0.8) } : { opacity:op };
+function NCCCell({val,coached}) {
+  if (!val) return <td title={coached} style={{padding:"3px 6px",textAlign:"center",fontSize:10,fontFamily:"'DM Mono',monospace",color:coached?COACHED_COLOR:"#1e293b",borderRadius:2,...(coached&&coachedStyle(coached,1))}}>{coached?"◆":"·"}</td>;
   const bg = val >= 5 ? "#dc2626" : val >= 3 ? "#ea580c" : val >= 2 ? "#d97706" : "#ca8a04";
   const op = Math.min(0.15 + (val / 10) * 0.85, 1);
-  return <td style={{padding:"3px 6px",textAlign:"center",fontSize:10,fontWeight:700,fontFamily:"'DM Mono',monospace",color:"#fff",background:bg,opacity:op,borderRadius:2}}>{val}</td>;
+  return <td title={coached} style={{padding:"3px 6px",textAlign:"center",fontSize:10,fontWeight:700,fontFamily:"'DM Mono',monospace",color:"#fff",background:bg,borderRadius:2,...coachedStyle(coached,op)}}>{val}</td>;
 }
 
 // ─── LATE DELIVERY DATA (Order-Level, W47/25–W7/26) ──────────────────
@@ -692,12 +1229,30 @@ const LATE_DRIVERS = [
   {tid:"A20GNNM65U5LV1",s:["UIT4"],l:1,g:0,t:1,w:{"2026-W7":1}},
   {tid:"A3OSZ1G9ERRUK6",s:["UIT4"],l:1,g:0,t:1,w:{"2026-W7":1}}
 ];
-function LateCell({val,isGt15}) {
-  if (!val) return <td style={{padding:"3px 5px",textAlign:"center",fontSize:10,fontFamily:"'DM Mono',monospace",color:"#1e293b"}}>·</td>;
+// Per-week +15 counts can be recovered from totals when the split is unambiguous:
+// no +15 at all, every late was +15, or all lates fall in a single week.
+function withExactGt15(d) {
+  if (d.gw) return d;
+  const wks = Object.keys(d.w).filter(wk => d.w[wk] > 0);
+  if (d.g === 0) return { ...d, gw: {} };
+  if (d.g === d.t) return { ...d, gw: { ...d.w } };
+  if (wks.length === 1) return { ...d, gw: { [wks[0]]: d.g } };
+  return d;
+}
+// +15 count for a late driver over the given weeks. Exact when the source carries
+// per-week +15 counts (gw); otherwise estimated from the driver's overall +15 ratio.
+function lateGt15(d, weeks) {
+  if (d.gw) return { gt15: weeks.reduce((s, wk) => s + (d.gw[wk]||0), 0), estimated: false };
+  const total = weeks.reduce((s, wk) => s + (d.w[wk]||0), 0);
+  return { gt15: Math.round(total * (d.t > 0 ? d.g / d.t : 0)), estimated: true };
+}
+function LateCell({val,isGt15,coached}) {
+  if (!val) return <td title={coached} style={{padding:"3px 5px",textAlign:"center",fontSize:10,fontFamily:"'DM Mono',monospace",color:coached?COACHED_COLOR:"#1e293b",borderRadius:2,...(coached&&coachedStyle(coached,1))}}>{coached?"◆":"·"}</td>;
   const bg = isGt15 ? (val>=8?"#dc2626":val>=4?"#ea580c":"#d97706") : (val>=10?"#dc2626":val>=5?"#ea580c":val>=3?"#d97706":"#ca8a04");
   const op = Math.min(0.2+(val/(isGt15?15:20))*0.8, 1);
-  return <td style={{padding:"3px 5px",textAlign:"center",fontSize:10,fontWeight:700,fontFamily:"'DM Mono',monospace",color:"#fff",background:bg,opacity:op,borderRadius:2}}>{val}</td>;
+  return <td title={coached} style={{padding:"3px 5px",textAlign:"center",fontSize:10,fontWeight:700,fontFamily:"'DM Mono',monospace",color:"#fff",background:bg,borderRadius:2,...coachedStyle(coached,op)}}>{val}</td>;
 }
+const SEVERITY_COLORS = {CRITICAL:{bg:"#450a0a",text:"#fca5a5",border:"#dc2626"},HIGH:{bg:"#451a03",text:"#fcd34d",border:"#d97706"},MEDIUM:{bg:"#172554",text:"#93c5fd",border:"#3b82f6"},LOW:{bg:"#0f172a",text:"#64748b",border:"#334155"}};
 // TID->Name lookup (from staff roster cross-reference)
 const TID_NAME = {
   "A12RS30DTIRY4F":"Raiser Bolzan, Renato","A1HBAD70KF4BJS":"ID:A1HBAD70KF4B","A1IXQUV0C1M8OW":"Cimarosa, Mirko",
@@ -735,7 +1290,6 @@ const TID_NAME = {
   "AAHWPKIHARD9Y":"Kouam, Pascal","AG6T008EE2QH6":"Moustafa, Mohamed",
   "AHD1SZOR5VLMU":"Nunez Flores, Cesar Augusto","AWPKQW2HKLE5I":"Rodriguez Quijije, Stefano D.",
 };
-function resolveName(tid){return TID_NAME[tid]||tid;}
 // NCC TID map (NCC driver name -> TID from order data cross-ref)
 const NCC_TID_MAP = {
   "De Souza Nunes, Thassio":"A35T9P10PKPSF7","Farag, Francesco":"AHLZ4D2QV0N33","Lagrotta, Pietro":"AW075GUQVI8S0",
@@ -761,92 +1315,92 @@ const NCC_TID_MAP = {
   "ID:A1NIE3GKC42IM":"A1NIE3GKC42IME","Dolofan, Florin":"A5RCJALTYW9J7",
 };
 
-// ─── DEFECT FLOW SNAPSHOT (W8 2026) ─────────────────────────────────
-const FLOW_W8 = {
-  week: "W8 2026",
-  ordersTotal: 7982,
-  ordersWithDefects: 613,
-  pctDef: 8,
-  pctOk: 92,
-  totalDefects: 633,
-  defectTypes: [
-    { key:"ftfdf",    label:"_ftfdf",    count:228, pct:2.86 },
-    { key:"late_gt15",label:"_late15",   count:228, pct:2.86 },
-    { key:"ftpdf",    label:"_ftpdf",    count:113, pct:1.42 },
-    { key:"pdnr",     label:"_pdnr",     count:44,  pct:0.55 },
-    { key:"fdnr",     label:"_fdnr",     count:13,  pct:0.16 },
-    { key:"ftdc",     label:"_ftdc",     count:7,   pct:0.09 },
-  ],
-  attributions: {
-    late_gt15: [
-      { key:"pickup_delay",    label:"Pickup Delay",                count:165, sites:{UIT4:134,UIT1:23,UBA1:6,UIL7:2} },
-      { key:"root_cause",      label:"** Root Cause Unattributed",  count:22,  sites:{UIT4:18,UIT1:3,UBA1:1} },
-      { key:"assign_delay",    label:"Assignment Delay - Other",    count:19,  sites:{UIT4:16,UIT1:2,UBA1:1} },
-      { key:"otr_route",       label:"OTR - Route Non Compliant",   count:16,  sites:{UIT4:13,UIT1:2,UIL7:1} },
-      { key:"late_batch",      label:"Late Batch Ops Controllable", count:3,   sites:{UIT4:2,UIT1:1} },
-      { key:"otr_others",      label:"OTR - Others",                count:3,   sites:{UIT4:3} },
-    ],
-    ftfdf: [
-      { key:"upstream",        label:"Upstream — Carrier/Seller",   count:142, sites:{UIT4:91,UIT1:29,UBA1:19,UIL7:3} },
-      { key:"pickup_delay",    label:"Pickup Delay",                count:52,  sites:{UIT4:35,UIT1:12,UBA1:5} },
-      { key:"dsp_other",       label:"DSP — Other",                 count:34,  sites:{UIT4:22,UIT1:8,UBA1:4} },
-    ],
-    ftpdf: [
-      { key:"upstream",        label:"Upstream — Carrier/Seller",   count:78,  sites:{UIT4:52,UIT1:18,UBA1:8} },
-      { key:"pickup_delay",    label:"Pickup Delay",                count:21,  sites:{UIT4:15,UIT1:4,UBA1:2} },
-      { key:"dsp_other",       label:"DSP — Other",                 count:14,  sites:{UIT4:9,UIT1:3,UBA1:2} },
-    ],
-    pdnr: [
-      { key:"upstream",        label:"Upstream",                    count:28,  sites:{UIT4:20,UIT1:6,UBA1:2} },
-      { key:"dsp_ctrl",        label:"DSP Controllable",            count:16,  sites:{UIT4:12,UIT1:3,UIL7:1} },
-    ],
-    fdnr: [
-      { key:"upstream",        label:"Upstream",                    count:9,   sites:{UIT4:7,UIT1:2} },
-      { key:"dsp_ctrl",        label:"DSP Controllable",            count:4,   sites:{UIT4:3,UIT1:1} },
-    ],
-    ftdc: [
-      { key:"dsp_ctrl",        label:"DSP Controllable",            count:5,   sites:{UIT4:4,UIT1:1} },
-      { key:"other",           label:"Other",                       count:2,   sites:{UIT4:2} },
-    ],
-  },
-  drivers: {
-    "UIT4-pickup_delay": [
-      {name:"Marcelo, Chirico",count:13},{name:"Subhani, Shafqat",count:12},{name:"Arben, Selimaj",count:10},
-      {name:"Marrocchini, Mario",count:10},{name:"Medici, Sergio",count:9},{name:"Cau, Daniele",count:6},
-      {name:"Ornatelli, Massimiliano",count:6},{name:"Palma, Maicol",count:6},{name:"Parisi, Luca",count:6},
-      {name:"Ruggeri, Ruggero",count:6},{name:"Fernandes De Souza, Cayo",count:5},{name:"(Blank)",count:4},
-    ],
-    "UIT1-pickup_delay": [
-      {name:"Zandonato, Luiz Carlos",count:6},{name:"Dnibi, Walid",count:5},{name:"De Souza Nunes, Thassio",count:4},
-      {name:"Kumarsamy Perumal, Manoj A.",count:4},{name:"Maddalon, Tiago",count:4},
-    ],
-    "UBA1-pickup_delay": [
-      {name:"Dolofan, Florin",count:4},{name:"Da Silva Santos, Andre",count:2},
-    ],
-    "UIL7-pickup_delay": [
-      {name:"Rodriguez Quijije, Stefano D.",count:2},
-    ],
-    "UIT4-root_cause": [
-      {name:"Brahmi, Achraf",count:5},{name:"Torres, Miguel Angel",count:4},{name:"Moustafa, Mohamed",count:3},
-      {name:"Tawfiq, Nafia",count:3},{name:"Mitri, Giovanni",count:3},
-    ],
-    "UIT4-assign_delay": [
-      {name:"Marcelo, Chirico",count:4},{name:"Subhani, Shafqat",count:3},{name:"Medici, Sergio",count:3},
-      {name:"Palma, Maicol",count:3},{name:"Cau, Daniele",count:3},
-    ],
-    "UIT4-otr_route": [
-      {name:"Pozzi, Manuel",count:4},{name:"Torres, Miguel Angel",count:3},{name:"Mitri, Giovanni",count:3},{name:"Moustafa, Mohamed",count:3},
-    ],
-    "UIT4-upstream": [
-      {name:"Marcelo, Chirico",count:11},{name:"Subhani, Shafqat",count:10},{name:"Arben, Selimaj",count:9},
-      {name:"Marrocchini, Mario",count:8},{name:"Medici, Sergio",count:7},{name:"Palma, Maicol",count:6},
-      {name:"Cau, Daniele",count:6},{name:"Parisi, Luca",count:6},{name:"Ruggeri, Ruggero",count:5},
-      {name:"Ornatelli, Massimiliano",count:5},{name:"Fernandes De Souza, Cayo",count:4},
-    ],
-    "UIT1-upstream": [
-      {name:"Zandonato, Luiz Carlos",count:7},{name:"Dnibi, Walid",count:6},{name:"Kumarsamy Perumal, Manoj A.",count:5},
-      {name:"De Souza Nunes, Thassio",count:4},{name:"Maddalon, Tiago",count:4},{name:"Cimarosa, Mirko",count:3},
+// ─── DEFECT FLOW BY WEEK ────────────────────────────────────────────
+// One breakdown per week, keyed like the defect datasets ("2026-W8")
+const FLOW_WEEKS = {
+  "2026-W8": {
+    ordersTotal: 7982,
+    ordersWithDefects: 613,
+    totalDefects: 633,
+    defectTypes: [
+      { key:"ftfdf",    label:"_ftfdf",    count:228 },
+      { key:"late_gt15",label:"_late15",   count:228 },
+      { key:"ftpdf",    label:"_ftpdf",    count:113 },
+      { key:"pdnr",     label:"_pdnr",     count:44 },
+      { key:"fdnr",     label:"_fdnr",     count:13 },
+      { key:"ftdc",     label:"_ftdc",     count:7 },
     ],
+    attributions: {
+      late_gt15: [
+        { key:"pickup_delay",    label:"Pickup Delay",                count:165, sites:{UIT4:134,UIT1:23,UBA1:6,UIL7:2} },
+        { key:"root_cause",      label:"** Root Cause Unattributed",  count:22,  sites:{UIT4:18,UIT1:3,UBA1:1} },
+        { key:"assign_delay",    label:"Assignment Delay - Other",    count:19,  sites:{UIT4:16,UIT1:2,UBA1:1} },
+        { key:"otr_route",       label:"OTR - Route Non Compliant",   count:16,  sites:{UIT4:13,UIT1:2,UIL7:1} },
+        { key:"late_batch",      label:"Late Batch Ops Controllable", count:3,   sites:{UIT4:2,UIT1:1} },
+        { key:"otr_others",      label:"OTR - Others",                count:3,   sites:{UIT4:3} },
+      ],
+      ftfdf: [
+        { key:"upstream",        label:"Upstream — Carrier/Seller",   count:142, sites:{UIT4:91,UIT1:29,UBA1:19,UIL7:3} },
+        { key:"pickup_delay",    label:"Pickup Delay",                count:52,  sites:{UIT4:35,UIT1:12,UBA1:5} },
+        { key:"dsp_other",       label:"DSP — Other",                 count:34,  sites:{UIT4:22,UIT1:8,UBA1:4} },
+      ],
+      ftpdf: [
+        { key:"upstream",        label:"Upstream — Carrier/Seller",   count:78,  sites:{UIT4:52,UIT1:18,UBA1:8} },
+        { key:"pickup_delay",    label:"Pickup Delay",                count:21,  sites:{UIT4:15,UIT1:4,UBA1:2} },
+        { key:"dsp_other",       label:"DSP — Other",                 count:14,  sites:{UIT4:9,UIT1:3,UBA1:2} },
+      ],
+      pdnr: [
+        { key:"upstream",        label:"Upstream",                    count:28,  sites:{UIT4:20,UIT1:6,UBA1:2} },
+        { key:"dsp_ctrl",        label:"DSP Controllable",            count:16,  sites:{UIT4:12,UIT1:3,UIL7:1} },
+      ],
+      fdnr: [
+        { key:"upstream",        label:"Upstream",                    count:9,   sites:{UIT4:7,UIT1:2} },
+        { key:"dsp_ctrl",        label:"DSP Controllable",            count:4,   sites:{UIT4:3,UIT1:1} },
+      ],
+      ftdc: [
+        { key:"dsp_ctrl",        label:"DSP Controllable",            count:5,   sites:{UIT4:4,UIT1:1} },
+        { key:"other",           label:"Other",                       count:2,   sites:{UIT4:2} },
+      ],
+    },
+    drivers: {
+      "UIT4-pickup_delay": [
+        {name:"Marcelo, Chirico",count:13},{name:"Subhani, Shafqat",count:12},{name:"Arben, Selimaj",count:10},
+        {name:"Marrocchini, Mario",count:10},{name:"Medici, Sergio",count:9},{name:"Cau, Daniele",count:6},
+        {name:"Ornatelli, Massimiliano",count:6},{name:"Palma, Maicol",count:6},{name:"Parisi, Luca",count:6},
+        {name:"Ruggeri, Ruggero",count:6},{name:"Fernandes De Souza, Cayo",count:5},{name:"(Blank)",count:4},
+      ],
+      "UIT1-pickup_delay": [
+        {name:"Zandonato, Luiz Carlos",count:6},{name:"Dnibi, Walid",count:5},{name:"De Souza Nunes, Thassio",count:4},
+        {name:"Kumarsamy Perumal, Manoj A.",count:4},{name:"Maddalon, Tiago",count:4},
+      ],
+      "UBA1-pickup_delay": [
+        {name:"Dolofan, Florin",count:4},{name:"Da Silva Santos, Andre",count:2},
+      ],
+      "UIL7-pickup_delay": [
+        {name:"Rodriguez Quijije, Stefano D.",count:2},
+      ],
+      "UIT4-root_cause": [
+        {name:"Brahmi, Achraf",count:5},{name:"Torres, Miguel Angel",count:4},{name:"Moustafa, Mohamed",count:3},
+        {name:"Tawfiq, Nafia",count:3},{name:"Mitri, Giovanni",count:3},
+      ],
+      "UIT4-assign_delay": [
+        {name:"Marcelo, Chirico",count:4},{name:"Subhani, Shafqat",count:3},{name:"Medici, Sergio",count:3},
+        {name:"Palma, Maicol",count:3},{name:"Cau, Daniele",count:3},
+      ],
+      "UIT4-otr_route": [
+        {name:"Pozzi, Manuel",count:4},{name:"Torres, Miguel Angel",count:3},{name:"Mitri, Giovanni",count:3},{name:"Moustafa, Mohamed",count:3},
+      ],
+      "UIT4-upstream": [
+        {name:"Marcelo, Chirico",count:11},{name:"Subhani, Shafqat",count:10},{name:"Arben, Selimaj",count:9},
+        {name:"Marrocchini, Mario",count:8},{name:"Medici, Sergio",count:7},{name:"Palma, Maicol",count:6},
+        {name:"Cau, Daniele",count:6},{name:"Parisi, Luca",count:6},{name:"Ruggeri, Ruggero",count:5},
+        {name:"Ornatelli, Massimiliano",count:5},{name:"Fernandes De Souza, Cayo",count:4},
+      ],
+      "UIT1-upstream": [
+        {name:"Zandonato, Luiz Carlos",count:7},{name:"Dnibi, Walid",count:6},{name:"Kumarsamy Perumal, Manoj A.",count:5},
+        {name:"De Souza Nunes, Thassio",count:4},{name:"Maddalon, Tiago",count:4},{name:"Cimarosa, Mirko",count:3},
+      ],
+    },
   },
 };
 
@@ -865,10 +1419,10 @@ const GEO_DATA = {
     ftdc:     { label:"ftdc",     count:28   },
   },
   sites: [
-    { key:"UIT4", label:"Roma",    cx:115, cy:252, defects:{late:850,late_gt15:380,ftfdf:240,ftpdf:140,pdnr:72,fdnr:14,ftdc:16}, total:1712 },
-    { key:"UIT1", label:"Milano",  cx:72,  cy:52,  defects:{late:360,late_gt15:140,ftfdf:110,ftpdf:72,pdnr:36,fdnr:10,ftdc:8},  total:736  },
-    { key:"UBA1", label:"Bologna", cx:112, cy:115, defects:{late:185,late_gt15:72,ftfdf:60,ftpdf:32,pdnr:14,fdnr:3,ftdc:3},    total:369  },
-    { key:"UIL7", label:"Latina",  cx:120, cy:278, defects:{late:60,late_gt15:21,ftfdf:20,ftpdf:14,pdnr:3,fdnr:1,ftdc:1},     total:120  },
+    { key:"UIT4", defects:{late:850,late_gt15:380,ftfdf:240,ftpdf:140,pdnr:72,fdnr:14,ftdc:16}, total:1712 },
+    { key:"UIT1", defects:{late:360,late_gt15:140,ftfdf:110,ftpdf:72,pdnr:36,fdnr:10,ftdc:8},  total:736  },
+    { key:"UBA1", defects:{late:185,late_gt15:72,ftfdf:60,ftpdf:32,pdnr:14,fdnr:3,ftdc:3},    total:369  },
+    { key:"UIL7", defects:{late:60,late_gt15:21,ftfdf:20,ftpdf:14,pdnr:3,fdnr:1,ftdc:1},     total:120  },
   ],
   attributions: [
     { defect:"late",      attribution:"Pickup Delay",                            count:1204 },
@@ -908,17 +1462,96 @@ const GEO_DATA = {
   ],
 };
 
-function getStatusConfig(d) {
-  if (!d || d.late == null) return {bg:"#1e293b",border:"#475569",text:"#94a3b8",label:"NO DATA",icon:"?"};
-  if (d.late > 6 || (d.fondCtrl != null && d.fondCtrl > 2)) return {bg:"#450a0a",border:"#dc2626",text:"#fca5a5",label:"CRITICAL",icon:"◆"};
-  if (d.late > 3 || (d.fondCtrl != null && d.fondCtrl > 1)) return {bg:"#451a03",border:"#d97706",text:"#fcd34d",label:"WARNING",icon:"▲"};
-  if (d.late < 1.5) return {bg:"#052e16",border:"#16a34a",text:"#86efac",label:"EXCELLENT",icon:"●"};
-  return {bg:"#0c1a2e",border:"#2563eb",text:"#93c5fd",label:"ON TRACK",icon:"■"};
+const STATUS_STYLES = {
+  "NO DATA":{bg:"#1e293b",border:"#475569",text:"#94a3b8",icon:"?"},
+  CRITICAL:{bg:"#450a0a",border:"#dc2626",text:"#fca5a5",icon:"◆"},
+  WARNING:{bg:"#451a03",border:"#d97706",text:"#fcd34d",icon:"▲"},
+  EXCELLENT:{bg:"#052e16",border:"#16a34a",text:"#86efac",icon:"●"},
+  "ON TRACK":{bg:"#0c1a2e",border:"#2563eb",text:"#93c5fd",icon:"■"},
+};
+// th: effective thresholds for the station (thresholdsFor)
+function getStatusConfig(d, th) {
+  const label = statusOf(d, th);
+  return {...STATUS_STYLES[label], label};
+}
+const LEVEL_TEXT = {bad:"#fca5a5",warn:"#fcd34d",ok:"#86efac"};
+// KPI → label key; FTDC has no translation
+const KPI_LABELS = {late:"latePlus15",fondCtrl:"fondCtrl",ftfdf:"ftfdf",ftpdf:"ftpdf",pdnr:"pdnr",fdnr:"fdnr",ftdc:null,pondPP:"pp"};
+const kpiName = (k, t) => KPI_LABELS[k] ? t(KPI_LABELS[k]) : k.toUpperCase();
+const gapText = s => s.gap==null ? "—" : `${s.gap>0?"+":""}${s.gap.toFixed(2)}pp`;
+// Gap to target for each KPI that has one: red above the target, green at or below
+function TargetGaps({status,t,inline}) {
+  if (!status.length) return <span style={{fontSize:9,color:"#334155",fontFamily:"'DM Mono',monospace"}}>—</span>;
+  return (<div style={{display:"flex",flexDirection:inline?"row":"column",flexWrap:"wrap",gap:inline?10:2,alignItems:inline?"baseline":"center"}}>
+    {status.map(s=>(<span key={s.kpi} title={`≤ ${s.target.value}%`} style={{fontSize:9,fontWeight:600,fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap",color:s.gap==null?"#64748b":s.met?"#86efac":"#fca5a5"}}>{kpiName(s.kpi,t)} {gapText(s)}</span>))}
+  </div>);
 }
 function ChartTooltip({active,payload,label}) {
   if (!active||!payload?.length) return null;
-  return (<div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:6,padding:"8px 12px",boxShadow:"0 8px 32px rgba(0,0,0,0.5)"}}><p style={{color:"#64748b",fontSize:10,margin:"0 0 4px",fontFamily:"'DM Mono',monospace"}}>{label}</p>{payload.filter(p=>p.value!=null).map((p,i)=>(<p key={i} style={{color:p.color||p.stroke,fontSize:11,margin:"2px 0",fontFamily:"'DM Mono',monospace"}}>{p.name}: <strong>{typeof p.value==="number"?p.value.toFixed(2):p.value}%</strong></p>))}</div>);
+  return (<div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:6,padding:"8px 12px",boxShadow:"0 8px 32px rgba(0,0,0,0.5)"}}><p style={{color:"#64748b",fontSize:10,margin:"0 0 4px",fontFamily:"'DM Mono',monospace"}}>{label}</p>{payload.filter(p=>p.value!=null).map((p,i)=>(<p key={i} style={{color:p.color||p.stroke,fontSize:11,margin:"2px 0",fontFamily:"'DM Mono',monospace"}}>{p.name}: <strong>{typeof p.value==="number"?p.value.toFixed(2):Array.isArray(p.value)?p.value.map(v=>v.toFixed(2)).join("–"):p.value}%</strong></p>))}</div>);
+}
+function EstimateNotice({n,t}) {
+  return (<div style={{display:"flex",alignItems:"center",gap:8,marginBottom:12,padding:"8px 12px",background:"#451a03",border:"1px solid #d9770640",borderRadius:6,fontSize:9,color:"#fcd34d",fontFamily:"'DM Mono',monospace"}}>
+    <span style={{fontWeight:800}}>⚠</span>{fill(t("gt15Estimated"),{n})}
+  </div>);
+}
+// CSV / XLSX download pair shown next to a table or chart title
+function ExportButtons({onExport,t}) {
+  // XLSX loads its library on demand, so a failed export can surface late; both formats report it here
+  const [failed, setFailed] = useState(null);
+  const run = format => {
+    setFailed(null);
+    Promise.resolve().then(() => onExport(format)).catch(err => setFailed(err?.message || String(err)));
+  };
+  const bs = {background:"transparent",border:"1px solid #1e293b",color:"#64748b",borderRadius:4,padding:"2px 7px",cursor:"pointer",fontSize:8,fontWeight:700,fontFamily:"'DM Mono',monospace",letterSpacing:0.5};
+  return (<span style={{display:"inline-flex",gap:4,flexShrink:0,alignItems:"center"}}>
+    <button onClick={()=>run("csv")} title={t("expCsvTip")} style={bs}>↓ CSV</button>
+    <button onClick={()=>run("xlsx")} title={t("expXlsxTip")} style={bs}>↓ XLSX</button>
+    {failed&&<span title={failed} style={{fontSize:8,color:"#fca5a5",fontFamily:"'DM Mono',monospace"}}>{t("expFailed")}</span>}
+  </span>);
+}
+// KPIs that can be trended and forecast on the Overview and Depot charts
+const TREND_KPIS = [{key:"late",l:"latePlus15",color:"#ef4444"},{key:"fondCtrl",l:"fondCtrl",color:"#38bdf8"},{key:"ftfdf",l:"ftfdf",color:"#f59e0b"},{key:"pdnr",l:"pdnr",color:"#a78bfa"}];
+const FORECAST_LABELS = {holt:"fcHolt",holtWinters:"fcHoltWinters",seasonalNaive:"fcSeasonalNaive"};
+function ForecastControls({kpi,setKpi,method,setMethod,season,setSeason,t}) {
+  const chip = (active,color="#e2e8f0") => ({background:active?`${color}18`:"transparent",border:`1px solid ${active?color+"50":"#1e293b"}`,color:active?color:"#475569",borderRadius:4,padding:"3px 8px",cursor:"pointer",fontSize:9,fontWeight:700,fontFamily:"'DM Mono',monospace"});
+  const label = {fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase"};
+  return (<div style={{display:"flex",gap:6,alignItems:"center",flexWrap:"wrap",marginBottom:12}}>
+    {TREND_KPIS.map(k=>(<button key={k.key} onClick={()=>setKpi(k.key)} style={chip(kpi===k.key,k.color)}>{t(k.l)}</button>))}
+    <div style={{width:1,height:18,background:"#1e293b",margin:"0 4px"}}/>
+    <span style={label}>{t("fcForecast")}</span>
+    {[null,...FORECAST_METHODS].map(m=>(<button key={m||"off"} onClick={()=>setMethod(m)} style={chip(method===m)}>{m?t(FORECAST_LABELS[m]):t("fcOff")}</button>))}
+    {(method==="holtWinters"||method==="seasonalNaive")&&<>
+      <span style={{...label,marginLeft:4}}>{t("fcSeason")}</span>
+      {SEASON_LENGTHS.map(n=>(<button key={n} onClick={()=>setSeason(n)} style={chip(season===n)}>{fill(t("fcWeeks"),{n})}</button>))}
+    </>}
+  </div>);
+}
+// Backtest summary line under a forecast chart
+const backtestText = (error, t) => error ? fill(t("fcBacktest"), {
+  n:error.n, h:FORECAST_HORIZON, mae:error.mae.toFixed(2), mape:error.mape!=null?Math.round(error.mape):"—", coverage:Math.round(error.coverage),
+}) : t("fcShort");
+// Adds forecasts to chart rows: `${key}_fc` (dashed line, starting at the last actual
+// point) and `${key}_band` ([lo, hi]); weeks past the data become new rows
+function withForecast(rows, forecasts, labelOf) {
+  const out = rows.map(r => ({...r}));
+  const byLabel = new Map(out.map(r => [r.label, r]));
+  const points = [];
+  Object.entries(forecasts).forEach(([key, f]) => {
+    if (!f) return;
+    points.push({ key, p:{...f.last, lo:f.last.value, hi:f.last.value} }, ...f.points.map(p => ({ key, p })));
+  });
+  points.sort((a,b) => sortKey(a.p.year,a.p.week) - sortKey(b.p.year,b.p.week)).forEach(({key, p}) => {
+    const label = labelOf(p);
+    let row = byLabel.get(label);
+    if (!row) { row = { label }; byLabel.set(label, row); out.push(row); }
+    row[`${key}_fc`] = +p.value.toFixed(2);
+    row[`${key}_band`] = [+p.lo.toFixed(2), +p.hi.toFixed(2)];
+  });
+  return out;
 }
+// Export column: header label and a field name or (row) => value
+const col = (label, value) => ({ label, value: typeof value === "function" ? value : r => r[value] });
 function MiniSpark({data,width=90,height=24}) {
   const vals=data.filter(d=>d.late!=null).map(d=>d.late);
   if (vals.length<2) return null;
@@ -929,9 +1562,14 @@ function MiniSpark({data,width=90,height=24}) {
 }
 
 // ─── FILTER BAR ─────────────────────────────────────────────────────
-function FilterBar({selectedYear,setSelectedYear,selectedDepots,setSelectedDepots,weekFrom,setWeekFrom,weekTo,setWeekTo,availableWeeks,t,isMobile}) {
+function FilterBar({years,selectedYear,setSelectedYear,selectedDepots,setSelectedDepots,weekFrom,setWeekFrom,weekTo,setWeekTo,availableWeeks,t,isMobile}) {
+  const { colorOf, codes: stationCodes, activeIn } = useStations();
+  // Only stations operating somewhere in the chosen weeks are offered
+  const activeCodes = activeIn(weekFrom, weekTo);
   const toggleDepot = d => setSelectedDepots(prev => prev.includes(d) ? (prev.length > 1 ? prev.filter(x=>x!==d) : prev) : [...prev, d]);
-  const allSelected = selectedDepots.length === ALL_DEPOTS.length;
+  const allSelected = activeCodes.every(d => selectedDepots.includes(d));
+  // Week options are "2025-W47" keys; a single year only needs the week label
+  const weekOption = k => selectedYear === "ALL" ? k : splitWeekKey(k).week;
   const ss = {background:"#0f172a",color:"#e2e8f0",border:"1px solid #334155",borderRadius:5,padding:"5px 8px",fontSize:11,fontFamily:"'DM Mono',monospace",cursor:"pointer",outline:"none",minWidth:70};
   const yrBtn = (yr, active) => ({
     background: active ? (yr === "ALL" ? "#1e293b" : `${yr===2025?"#3b82f6":"#f59e0b"}18`) : "transparent",
@@ -943,117 +1581,1594 @@ function FilterBar({selectedYear,setSelectedYear,selectedDepots,setSelectedDepot
     <div style={{display:"flex",alignItems:"center",gap:isMobile?8:14,padding:isMobile?"10px 16px":"12px 32px",background:"#0a0f1a",borderBottom:"1px solid #1e293b",flexWrap:"wrap"}}>
       <div style={{display:"flex",alignItems:"center",gap:6,flexWrap:"wrap"}}>
         <span style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",whiteSpace:"nowrap"}}>{t("year")}</span>
-        {["ALL",...ALL_YEARS].map(yr => (
+        {["ALL",...years].map(yr => (
           <button key={yr} onClick={()=>setSelectedYear(yr)} style={yrBtn(yr,selectedYear===yr)}>{yr==="ALL"?"All":yr}</button>
         ))}
       </div>
       {!isMobile&&<div style={{width:1,height:24,background:"#1e293b"}}/>}
       <div style={{display:"flex",alignItems:"center",gap:6,flexWrap:"wrap"}}>
         <span style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",whiteSpace:"nowrap"}}>{t("station")}</span>
-        <button onClick={()=>setSelectedDepots([...ALL_DEPOTS])} style={{background:allSelected?"#1e293b":"transparent",border:allSelected?"1px solid #475569":"1px solid #1e293b",color:allSelected?"#e2e8f0":"#475569",borderRadius:5,padding:"4px 10px",cursor:"pointer",fontSize:10,fontWeight:600,fontFamily:"'DM Mono',monospace"}}>ALL</button>
-        {ALL_DEPOTS.map(d=>{const a=selectedDepots.includes(d);return(<button key={d} onClick={()=>toggleDepot(d)} style={{background:a?`${DEPOT_COLORS[d]}18`:"transparent",border:a?`1px solid ${DEPOT_COLORS[d]}50`:"1px solid #1e293b",color:a?DEPOT_COLORS[d]:"#334155",borderRadius:5,padding:"4px 10px",cursor:"pointer",fontSize:10,fontWeight:700,fontFamily:"'DM Mono',monospace",opacity:a?1:0.5}}><span style={{display:"inline-block",width:6,height:6,borderRadius:"50%",background:a?DEPOT_COLORS[d]:"#334155",marginRight:5,verticalAlign:"middle"}}/>{d}</button>);})}
+        <button onClick={()=>setSelectedDepots([...stationCodes])} style={{background:allSelected?"#1e293b":"transparent",border:allSelected?"1px solid #475569":"1px solid #1e293b",color:allSelected?"#e2e8f0":"#475569",borderRadius:5,padding:"4px 10px",cursor:"pointer",fontSize:10,fontWeight:600,fontFamily:"'DM Mono',monospace"}}>ALL</button>
+        {activeCodes.map(d=>{const a=selectedDepots.includes(d);return(<button key={d} onClick={()=>toggleDepot(d)} style={{background:a?`${colorOf(d)}18`:"transparent",border:a?`1px solid ${colorOf(d)}50`:"1px solid #1e293b",color:a?colorOf(d):"#334155",borderRadius:5,padding:"4px 10px",cursor:"pointer",fontSize:10,fontWeight:700,fontFamily:"'DM Mono',monospace",opacity:a?1:0.5}}><span style={{display:"inline-block",width:6,height:6,borderRadius:"50%",background:a?colorOf(d):"#334155",marginRight:5,verticalAlign:"middle"}}/>{d}</button>);})}
       </div>
       <div style={{width:1,height:24,background:"#1e293b"}}/>
       <div style={{display:"flex",alignItems:"center",gap:6}}>
         <span style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",whiteSpace:"nowrap"}}>{t("weeks")}</span>
-        <select value={weekFrom} onChange={e=>{const nv=e.target.value;setWeekFrom(nv);if(weekNum(nv)>weekNum(weekTo))setWeekTo(nv);}} style={ss}>{availableWeeks.map(w=><option key={w} value={w}>{w}</option>)}</select>
+        <select value={weekFrom} onChange={e=>{const nv=e.target.value;setWeekFrom(nv);if(keySortKey(nv)>keySortKey(weekTo))setWeekTo(nv);}} style={ss}>{availableWeeks.map(w=><option key={w} value={w}>{weekOption(w)}</option>)}</select>
         <span style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace"}}>→</span>
-        <select value={weekTo} onChange={e=>{const nv=e.target.value;setWeekTo(nv);if(weekNum(nv)<weekNum(weekFrom))setWeekFrom(nv);}} style={ss}>{availableWeeks.map(w=><option key={w} value={w}>{w}</option>)}</select>
+        <select value={weekTo} onChange={e=>{const nv=e.target.value;setWeekTo(nv);if(keySortKey(nv)<keySortKey(weekFrom))setWeekFrom(nv);}} style={ss}>{availableWeeks.map(w=><option key={w} value={w}>{weekOption(w)}</option>)}</select>
         <button onClick={()=>{if(availableWeeks.length){setWeekFrom(availableWeeks[0]);setWeekTo(availableWeeks[availableWeeks.length-1]);}}} style={{background:"transparent",border:"1px solid #1e293b",color:"#64748b",borderRadius:5,padding:"4px 8px",cursor:"pointer",fontSize:9,fontFamily:"'DM Mono',monospace"}}>{t("reset")}</button>
       </div>
-      <div style={{marginLeft:"auto",fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{selectedYear==="ALL"?"2025+2026":selectedYear} · {selectedDepots.length}/{ALL_DEPOTS.length} {t("stations")} · {availableWeeks.filter(w=>weekNum(w)>=weekNum(weekFrom)&&weekNum(w)<=weekNum(weekTo)).length}w</div>
+      <div style={{marginLeft:"auto",fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{selectedYear==="ALL"?years.join("+"):selectedYear} · {selectedDepots.length}/{activeCodes.length} {t("stations")} · {availableWeeks.filter(w=>keySortKey(w)>=keySortKey(weekFrom)&&keySortKey(w)<=keySortKey(weekTo)).length}w</div>
     </div>
   );
 }
 
 // ─── DEPOT CARD ─────────────────────────────────────────────────────
-function DepotCard({depot,weekData}) {
-  const latest=weekData.length>0?weekData[weekData.length-1]:null;const cfg=getStatusConfig(latest);
+function DepotCard({depot,weekData,th,targets,t}) {
+  const { colorOf, cityOf } = useStations();
+  const latest=weekData.length>0?weekData[weekData.length-1]:null;const cfg=getStatusConfig(latest,th);
+  const goals=targetStatus(targets,depot,latest);const streak=targetStreak(targets,depot,weekData);
+  const kpiColor=(k,fallback="#86efac")=>LEVEL_TEXT[kpiLevel(latest?.[k],th.card[k])]||fallback;
   const up=UPSTREAM_DATA.find(u=>u.depot===depot);const upPct=up&&up.total>0?Math.round(((up.total-up.ctrl)/up.total)*100):null;
   return (
     <div style={{background:cfg.bg,border:`1px solid ${cfg.border}30`,borderRadius:10,padding:"16px 18px",borderLeft:`3px solid ${cfg.border}`,position:"relative",overflow:"hidden"}}>
       <div style={{position:"absolute",top:0,right:0,background:`${cfg.border}18`,color:cfg.text,fontSize:8,fontWeight:700,padding:"3px 10px",borderBottomLeftRadius:6,fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase"}}>{cfg.icon} {cfg.label}</div>
       <div style={{display:"flex",alignItems:"baseline",gap:8,marginBottom:2}}>
-        <span style={{fontSize:17,fontWeight:800,color:DEPOT_COLORS[depot],fontFamily:"'Outfit',sans-serif"}}>{depot}</span>
-        <span style={{fontSize:10,color:"#64748b",fontFamily:"'DM Mono',monospace"}}>{DEPOT_LABELS[depot]}</span>
+        <span style={{fontSize:17,fontWeight:800,color:colorOf(depot),fontFamily:"'Outfit',sans-serif"}}>{depot}</span>
+        <span style={{fontSize:10,color:"#64748b",fontFamily:"'DM Mono',monospace"}}>{cityOf(depot)}</span>
         {latest&&<span style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",marginLeft:"auto"}}>{latest.week}{latest.year?" '"+String(latest.year).slice(2):""}</span>}
       </div>
       <div style={{display:"grid",gridTemplateColumns:"1fr 1fr 1fr",gap:"10px",marginTop:12}}>
-        <div><div style={{fontSize:8,color:"#64748b",textTransform:"uppercase",letterSpacing:1.2,fontFamily:"'DM Mono',monospace",marginBottom:1}}>Late +15</div><div style={{fontSize:20,fontWeight:800,color:latest?.late>5?"#fca5a5":latest?.late>3?"#fcd34d":"#86efac",fontFamily:"'Outfit',sans-serif"}}>{latest?.late!=null?`${latest.late}%`:"—"}</div><MiniSpark data={weekData}/></div>
-        <div><div style={{fontSize:8,color:"#64748b",textTransform:"uppercase",letterSpacing:1.2,fontFamily:"'DM Mono',monospace",marginBottom:1}}>FOND Ctrl</div><div style={{fontSize:20,fontWeight:800,color:latest?.fondCtrl>1.5?"#fca5a5":latest?.fondCtrl>0.8?"#fcd34d":"#86efac",fontFamily:"'Outfit',sans-serif"}}>{latest?.fondCtrl!=null?`${latest.fondCtrl}%`:"—"}</div><div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",marginTop:2}}>FTFDF: {latest?.ftfdf!=null?`${latest.ftfdf}%`:"—"}</div></div>
-        <div><div style={{fontSize:8,color:"#64748b",textTransform:"uppercase",letterSpacing:1.2,fontFamily:"'DM Mono',monospace",marginBottom:1}}>PDNR</div><div style={{fontSize:20,fontWeight:800,color:latest?.pdnr>0.7?"#fca5a5":latest?.pdnr>0.5?"#fcd34d":"#86efac",fontFamily:"'Outfit',sans-serif"}}>{latest?.pdnr!=null?`${latest.pdnr}%`:"—"}</div>{upPct!=null&&<div style={{fontSize:9,color:"#f59e0b",fontFamily:"'DM Mono',monospace",marginTop:2}}>{upPct}% upstream</div>}</div>
+        <div><div style={{fontSize:8,color:"#64748b",textTransform:"uppercase",letterSpacing:1.2,fontFamily:"'DM Mono',monospace",marginBottom:1}}>Late +15</div><div style={{fontSize:20,fontWeight:800,color:kpiColor("late"),fontFamily:"'Outfit',sans-serif"}}>{latest?.late!=null?`${latest.late}%`:"—"}</div><MiniSpark data={weekData}/></div>
+        <div><div style={{fontSize:8,color:"#64748b",textTransform:"uppercase",letterSpacing:1.2,fontFamily:"'DM Mono',monospace",marginBottom:1}}>FOND Ctrl</div><div style={{fontSize:20,fontWeight:800,color:kpiColor("fondCtrl"),fontFamily:"'Outfit',sans-serif"}}>{latest?.fondCtrl!=null?`${latest.fondCtrl}%`:"—"}</div><div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",marginTop:2}}>FTFDF: {latest?.ftfdf!=null?`${latest.ftfdf}%`:"—"}</div></div>
+        <div><div style={{fontSize:8,color:"#64748b",textTransform:"uppercase",letterSpacing:1.2,fontFamily:"'DM Mono',monospace",marginBottom:1}}>PDNR</div><div style={{fontSize:20,fontWeight:800,color:kpiColor("pdnr"),fontFamily:"'Outfit',sans-serif"}}>{latest?.pdnr!=null?`${latest.pdnr}%`:"—"}</div>{upPct!=null&&<div style={{fontSize:9,color:"#f59e0b",fontFamily:"'DM Mono',monospace",marginTop:2}}>{upPct}% upstream</div>}</div>
       </div>
       <div style={{display:"grid",gridTemplateColumns:"repeat(4,1fr)",gap:6,marginTop:10,paddingTop:10,borderTop:"1px solid rgba(255,255,255,0.05)"}}>
-        {[{label:"FTPDF",val:latest?.ftpdf},{label:"FDNR",val:latest?.fdnr},{label:"FTDC",val:latest?.ftdc},{label:"PP",val:latest?.pondPP}].map(({label,val})=>(<div key={label}><div style={{fontSize:7,color:"#475569",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{label}</div><div style={{fontSize:11,fontWeight:600,color:val>0.8?"#fca5a5":"#94a3b8",fontFamily:"'DM Mono',monospace"}}>{val!=null?`${val}%`:"—"}</div></div>))}
+        {[{label:"FTPDF",k:"ftpdf"},{label:"FDNR",k:"fdnr"},{label:"FTDC",k:"ftdc"},{label:"PP",k:"pondPP"}].map(({label,k})=>{const val=latest?.[k];return(<div key={label}><div style={{fontSize:7,color:"#475569",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{label}</div><div style={{fontSize:11,fontWeight:600,color:kpiLevel(val,th.card[k])==="ok"?"#94a3b8":kpiColor(k,"#94a3b8"),fontFamily:"'DM Mono',monospace"}}>{val!=null?`${val}%`:"—"}</div></div>);})}
+      </div>
+      {goals.length>0&&<div style={{display:"flex",alignItems:"baseline",gap:10,marginTop:10,paddingTop:10,borderTop:"1px solid rgba(255,255,255,0.05)"}}>
+        <span style={{fontSize:7,color:"#475569",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{t("tgtGap")}</span>
+        <TargetGaps status={goals} t={t} inline/>
+        <span style={{marginLeft:"auto",fontSize:9,fontWeight:700,color:streak>0?"#86efac":"#64748b",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap"}}>{fill(t("tgtStreakText"),{n:streak})}</span>
+      </div>}
+    </div>
+  );
+}
+
+// ─── DATA IMPORT PANELS ─────────────────────────────────────────────
+const impBox = {background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"18px 20px",marginBottom:16};
+const impH3 = {fontSize:11,fontWeight:700,color:"#64748b",margin:"0 0 12px",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"};
+const impBtn = primary => ({background:primary?"#14532d":"transparent",border:`1px solid ${primary?"#22c55e":"#334155"}`,color:primary?"#86efac":"#64748b",borderRadius:5,padding:"5px 12px",cursor:"pointer",fontSize:10,fontWeight:700,fontFamily:"'DM Mono',monospace"});
+const impMsg = (m,t) => (m.row ? `${t("impRow")} ${m.row}: ` : "") + fill(t(m.code), m.params);
+
+function ImportFileButton({label,onFile,accept=".csv,.xlsx,.xls,text/csv"}) {
+  return (
+    <label style={{...impBtn(false),color:"#e2e8f0",display:"inline-block"}}>
+      {label}
+      <input type="file" accept={accept} onChange={e=>{const f=e.target.files?.[0];e.target.value="";if(f)onFile(f);}} style={{display:"none"}}/>
+    </label>
+  );
+}
+
+function ImportMessages({errors,warnings,t}) {
+  return (<>
+    {errors.length>0&&(<div style={{...impBox,background:"#450a0a",borderColor:"#dc262640"}}>
+      <h3 style={{...impH3,color:"#fca5a5"}}>{t("impErrors")} ({errors.length})</h3>
+      {errors.slice(0,50).map((m,i)=>(<div key={i} style={{fontSize:10,color:"#fca5a5",fontFamily:"'DM Mono',monospace",padding:"2px 0"}}>{impMsg(m,t)}</div>))}
+      <div style={{fontSize:10,color:"#f87171",fontFamily:"'DM Mono',monospace",marginTop:10,fontWeight:700}}>{t("impBlocked")}</div>
+    </div>)}
+    {warnings.length>0&&(<div style={{...impBox,background:"#451a03",borderColor:"#d9770640"}}>
+      <h3 style={{...impH3,color:"#fcd34d"}}>{t("impWarnings")}</h3>
+      {warnings.map((m,i)=>(<div key={i} style={{fontSize:10,color:"#fcd34d",fontFamily:"'DM Mono',monospace",padding:"2px 0"}}>{impMsg(m,t)}</div>))}
+    </div>)}
+  </>);
+}
+
+function ImportPanel({dataset,knownStations,onApply,t,isMobile}) {
+  const { colorOf } = useStations();
+  const [fileName, setFileName] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [parsed, setParsed] = useState(null);
+  const [applied, setApplied] = useState(null);
+  const diff = useMemo(() => parsed && !parsed.errors.length ? diffImport(dataset, parsed.records) : null, [parsed, dataset]);
+
+  const onFile = async file => {
+    setFileName(file.name); setApplied(null); setParsed(null); setBusy(true);
+    try {
+      const rows = await readSheetRows(file);
+      setParsed(parseScorecardRows(rows, { knownStations }));
+    } catch (err) {
+      setParsed({ records:[], warnings:[], errors:[{ row:null, code:"impReadFailed", params:{ msg:err.message } }] });
+    }
+    setBusy(false);
+  };
+  const apply = () => {
+    onApply(parsed.records);
+    setApplied({ n: diff.added.length + diff.changed.length, file: fileName });
+    setParsed(null);
+  };
+
+  const th = {padding:"6px",fontSize:8,color:"#475569",textAlign:"left",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"};
+  const td = {padding:"4px 6px",fontSize:10,color:"#94a3b8",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap"};
+  const fmtVal = v => v == null ? "—" : v;
+  const stnColor = s => colorOf(s) || "#e2e8f0";
+
+  return (<>
+    <div style={impBox}>
+      <h3 style={impH3}>{t("impTitle")}</h3>
+      <div style={{display:"flex",alignItems:"center",gap:12,flexWrap:"wrap"}}>
+        <ImportFileButton label={t("impChoose")} onFile={onFile}/>
+        <span style={{fontSize:10,color:"#94a3b8",fontFamily:"'DM Mono',monospace"}}>{busy ? t("impReading") : fileName || ""}</span>
+      </div>
+      <div style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",marginTop:10}}>{t("impHint")} · {["station","year","week",...IMPORT_FIELDS].join(", ")}</div>
+      {applied&&<div style={{marginTop:12,fontSize:10,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>✓ {fill(t("impApplied"), applied)}</div>}
+    </div>
+
+    {parsed&&<ImportMessages errors={parsed.errors} warnings={parsed.warnings} t={t}/>}
+
+    {diff&&(<div style={impBox}>
+      <div style={{display:"flex",alignItems:"center",gap:isMobile?8:16,flexWrap:"wrap",marginBottom:14}}>
+        <span style={{fontSize:11,fontWeight:700,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>+{diff.added.length} {t("impAdded")}</span>
+        <span style={{fontSize:11,fontWeight:700,color:"#fcd34d",fontFamily:"'DM Mono',monospace"}}>~{diff.changed.length} {t("impChanged")}</span>
+        <span style={{fontSize:11,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{diff.unchanged} {t("impUnchanged")}</span>
+        <div style={{marginLeft:"auto",display:"flex",gap:8}}>
+          <button onClick={()=>{setParsed(null);setFileName(null);}} style={impBtn(false)}>{t("impCancel")}</button>
+          <button onClick={apply} disabled={!diff.added.length&&!diff.changed.length} style={{...impBtn(true),opacity:!diff.added.length&&!diff.changed.length?0.4:1}}>{t("impApply")}</button>
+        </div>
+      </div>
+      {!diff.added.length&&!diff.changed.length&&<div style={{fontSize:10,color:"#64748b",fontFamily:"'DM Mono',monospace"}}>{t("impNothing")}</div>}
+      <div style={{overflowX:"auto",maxHeight:420,overflowY:"auto"}}>
+        <table style={{width:"100%",borderCollapse:"separate",borderSpacing:"2px 2px"}}>
+          <tbody>
+            {diff.added.length>0&&<tr><th colSpan={3} style={{...th,color:"#86efac"}}>{t("impAdded")}</th></tr>}
+            {diff.added.map((r,i)=>(<tr key={"a"+i} style={{background:"#052e1620"}}>
+              <td style={{...td,color:stnColor(r.station),fontWeight:700,width:70}}>{r.station}</td>
+              <td style={{...td,width:80}}>{r.year}-{r.week}</td>
+              <td style={{...td,color:"#86efac"}}>{Object.entries(r.values).map(([f,v])=>`${f} ${v}`).join(" · ")||"—"}</td>
+            </tr>))}
+            {diff.changed.length>0&&<tr><th colSpan={3} style={{...th,color:"#fcd34d",paddingTop:12}}>{t("impChanged")}</th></tr>}
+            {diff.changed.map((r,i)=>(<tr key={"c"+i} style={{background:"#451a0320"}}>
+              <td style={{...td,color:stnColor(r.station),fontWeight:700,width:70}}>{r.station}</td>
+              <td style={{...td,width:80}}>{r.year}-{r.week}</td>
+              <td style={{...td,color:"#fcd34d"}}>{r.fields.map(c=>`${c.field} ${fmtVal(c.from)} → ${c.to}`).join(" · ")}</td>
+            </tr>))}
+          </tbody>
+        </table>
+      </div>
+    </div>)}
+  </>);
+}
+
+function OrderImportPanel({dataset,registry,onApply,t}) {
+  const { cityOf } = useStations();
+  const [fileName, setFileName] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [parsed, setParsed] = useState(null);
+  const [applied, setApplied] = useState(null);
+  const aggregates = useMemo(() => parsed && !parsed.errors.length && parsed.orders.length
+    ? aggregateOrders(parsed.orders, { resolveName: tid => nameOf(registry, tid), cityOf: s => cityOf(s) || "?" })
+    : null, [parsed, registry]);
+  const current = useMemo(() => defectTotals(dataset), [dataset]);
+  const incoming = useMemo(() => aggregates ? defectTotals(aggregates) : null, [aggregates]);
+
+  const onFile = async file => {
+    setFileName(file.name); setApplied(null); setParsed(null); setBusy(true);
+    try {
+      setParsed(parseOrderRows(await readSheetRows(file)));
+    } catch (err) {
+      setParsed({ orders:[], warnings:[], errors:[{ row:null, code:"impReadFailed", params:{ msg:err.message } }] });
+    }
+    setBusy(false);
+  };
+  const apply = () => {
+    onApply(aggregates);
+    setApplied({ n: parsed.orders.length.toLocaleString(), file: fileName });
+    setParsed(null);
+  };
+
+  const rows = [
+    {l:t("ordWeeks"),k:"weeks"},
+    {l:t("totalNccDefects"),k:"nccTotal"},
+    {l:`${t("ncc")} · ${t("uniqueDrivers")}`,k:"nccDrivers"},
+    {l:t("totalLateDefects"),k:"lateTotal"},
+    {l:t("latePlus15min"),k:"gt15Total"},
+    {l:`${t("late")} · ${t("uniqueDrivers")}`,k:"lateDrivers"},
+  ];
+  const cell = {padding:"5px 8px",fontSize:10,fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap"};
+
+  return (<>
+    <div style={impBox}>
+      <h3 style={impH3}>{t("ordTitle")}</h3>
+      <div style={{display:"flex",alignItems:"center",gap:12,flexWrap:"wrap"}}>
+        <ImportFileButton label={t("impChoose")} onFile={onFile}/>
+        <span style={{fontSize:10,color:"#94a3b8",fontFamily:"'DM Mono',monospace"}}>{busy ? t("impReading") : fileName || ""}</span>
+      </div>
+      <div style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",marginTop:10}}>{t("ordHint")}</div>
+      {applied&&<div style={{marginTop:12,fontSize:10,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>✓ {fill(t("ordApplied"), applied)}</div>}
+    </div>
+
+    {parsed&&<ImportMessages errors={parsed.errors} warnings={parsed.warnings} t={t}/>}
+
+    {incoming&&(<div style={impBox}>
+      <div style={{display:"flex",alignItems:"center",gap:12,marginBottom:14}}>
+        <span style={{fontSize:11,fontWeight:700,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>{parsed.orders.length.toLocaleString()} {t("ordOrders")}</span>
+        <div style={{marginLeft:"auto",display:"flex",gap:8}}>
+          <button onClick={()=>{setParsed(null);setFileName(null);}} style={impBtn(false)}>{t("impCancel")}</button>
+          <button onClick={apply} style={impBtn(true)}>{t("ordReplace")}</button>
+        </div>
+      </div>
+      <table style={{borderCollapse:"separate",borderSpacing:"2px 2px"}}>
+        <thead><tr>
+          <th/>
+          <th style={{...cell,fontSize:8,color:"#475569",textTransform:"uppercase",letterSpacing:1}}>{t("ordCurrent")}</th>
+          <th style={{...cell,fontSize:8,color:"#86efac",textTransform:"uppercase",letterSpacing:1}}>{t("ordImported")}</th>
+        </tr></thead>
+        <tbody>{rows.map(r=>(<tr key={r.k}>
+          <td style={{...cell,color:"#64748b"}}>{r.l}</td>
+          <td style={{...cell,color:"#94a3b8",textAlign:"right"}}>{current[r.k].toLocaleString()}</td>
+          <td style={{...cell,color:current[r.k]===incoming[r.k]?"#94a3b8":"#fcd34d",fontWeight:700,textAlign:"right"}}>{incoming[r.k].toLocaleString()}</td>
+        </tr>))}</tbody>
+      </table>
+    </div>)}
+  </>);
+}
+
+function ZoneImportPanel({dataset,onApply,t}) {
+  const { codes: stationCodes } = useStations();
+  const [station, setStation] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [applied, setApplied] = useState(null);
+  const zones = dataset.zones;
+
+  const onAreas = async file => {
+    setApplied(null); setBusy(true);
+    try {
+      const { areas, errors } = parseZoneAreas(JSON.parse(await file.text()), station || null, { knownStations:stationCodes });
+      setPending({ kind:"areas", areas, errors, warnings:[], file:file.name });
+    } catch (err) {
+      setPending({ kind:"areas", areas:null, warnings:[], errors:[{ row:null, code:"impReadFailed", params:{ msg:err.message } }], file:file.name });
+    }
+    setBusy(false);
+  };
+  const onDefects = async file => {
+    setApplied(null); setBusy(true);
+    try {
+      setPending({ kind:"defects", ...parseZoneDefectRows(await readSheetRows(file), { knownStations:stationCodes }), file:file.name });
+    } catch (err) {
+      setPending({ kind:"defects", defects:[], warnings:[], errors:[{ row:null, code:"impReadFailed", params:{ msg:err.message } }], file:file.name });
+    }
+    setBusy(false);
+  };
+  const ready = pending && !pending.errors.length && (pending.kind==="areas" ? pending.areas : pending.defects.length>0);
+  const summary = !ready ? null : pending.kind==="areas"
+    ? fill(t("zonPendingAreas"), { n:pending.areas.length, stations:[...new Set(pending.areas.map(a=>a.properties.station))].join(", ") })
+    : fill(t("zonPendingDefects"), { n:pending.defects.reduce((s,d)=>s+d.count,0).toLocaleString(), weeks:zoneWeeks(pending).length, stations:[...new Set(pending.defects.map(d=>d.station))].join(", ") });
+  const apply = () => {
+    onApply(pending.kind==="areas" ? mergeZoneAreas(zones, pending.areas) : applyZoneDefects(zones, pending.defects));
+    setApplied(fill(t(pending.kind==="areas"?"zonAppliedAreas":"zonAppliedDefects"), { file:pending.file }));
+    setPending(null);
+  };
+
+  return (<>
+    <div style={impBox}>
+      <h3 style={impH3}>{t("zonTitle")}</h3>
+      <div style={{display:"flex",alignItems:"center",gap:12,flexWrap:"wrap"}}>
+        <select value={station} onChange={e=>setStation(e.target.value)} style={{...regInput,width:150}}>
+          <option value="">{t("zonStationFromFile")}</option>{stationCodes.map(d=><option key={d} value={d}>{d}</option>)}
+        </select>
+        <ImportFileButton label={t("zonAreas")} accept=".geojson,.json,application/geo+json,application/json" onFile={onAreas}/>
+        <ImportFileButton label={t("zonDefects")} onFile={onDefects}/>
+        <span style={{fontSize:10,color:"#94a3b8",fontFamily:"'DM Mono',monospace"}}>{busy ? t("impReading") : pending?.file || ""}</span>
+      </div>
+      <div style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",marginTop:10}}>{t("zonHint")}</div>
+      <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",marginTop:6}}>{fill(t("zonCurrent"),{zones:zones.areas.length,weeks:zoneWeeks(zones).length})}</div>
+      {applied&&<div style={{marginTop:12,fontSize:10,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>✓ {applied}</div>}
+    </div>
+
+    {pending&&<ImportMessages errors={pending.errors} warnings={pending.warnings} t={t}/>}
+
+    {ready&&(<div style={impBox}>
+      <div style={{display:"flex",alignItems:"center",gap:12,flexWrap:"wrap"}}>
+        <span style={{fontSize:11,fontWeight:700,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>{summary}</span>
+        <div style={{marginLeft:"auto",display:"flex",gap:8}}>
+          <button onClick={()=>setPending(null)} style={impBtn(false)}>{t("impCancel")}</button>
+          <button onClick={apply} style={impBtn(true)}>{t("zonApply")}</button>
+        </div>
+      </div>
+    </div>)}
+  </>);
+}
+
+function VolumeImportPanel({dataset,registry,onApply,t}) {
+  const [busy, setBusy] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [applied, setApplied] = useState(null);
+  const volume = dataset.volume;
+
+  const onFile = async file => {
+    setApplied(null); setBusy(true);
+    try {
+      setPending({ ...parseVolumeRows(await readSheetRows(file)), file:file.name });
+    } catch (err) {
+      setPending({ volume:null, warnings:[], errors:[{ row:null, code:"impReadFailed", params:{ msg:err.message } }], file:file.name });
+    }
+    setBusy(false);
+  };
+  const ready = pending?.volume && pending.volume.rows.length > 0;
+  // Drivers the registry cannot tie to a TID still match NCC rows by name, but never late rows
+  const unresolved = useMemo(() => ready ? new Set(pending.volume.rows.filter(r => !r.tid && !tidOf(registry, r.name)).map(r => r.name)).size : 0, [ready, pending, registry]);
+  const apply = () => {
+    onApply(applyVolume(volume, pending.volume, registry));
+    setApplied(fill(t("volApplied"), { file:pending.file }));
+    setPending(null);
+  };
+
+  return (<>
+    <div style={impBox}>
+      <h3 style={impH3}>{t("volTitle")}</h3>
+      <div style={{display:"flex",alignItems:"center",gap:12,flexWrap:"wrap"}}>
+        <ImportFileButton label={t("impChoose")} onFile={onFile}/>
+        <span style={{fontSize:10,color:"#94a3b8",fontFamily:"'DM Mono',monospace"}}>{busy ? t("impReading") : pending?.file || ""}</span>
+      </div>
+      <div style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",marginTop:10}}>{t("volHint")}</div>
+      <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",marginTop:6}}>{volume.rows.length ? fill(t("volCurrent"),{drivers:new Set(volume.rows.map(r=>r.tid||r.name)).size,weeks:volumeWeeks(volume).length,unit:t(`volUnit_${volume.unit}`)}) : t("volNone")}</div>
+      {applied&&<div style={{marginTop:12,fontSize:10,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>✓ {applied}</div>}
+    </div>
+
+    {pending&&<ImportMessages errors={pending.errors} warnings={unresolved?[...pending.warnings,{row:null,code:"volWarnNoTid",params:{n:unresolved}}]:pending.warnings} t={t}/>}
+
+    {ready&&(<div style={impBox}>
+      <div style={{display:"flex",alignItems:"center",gap:12,flexWrap:"wrap"}}>
+        <span style={{fontSize:11,fontWeight:700,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>{fill(t("volPending"),{n:pending.volume.rows.reduce((s,r)=>s+r.n,0).toLocaleString(),unit:t(`volUnit_${pending.volume.unit}`),drivers:new Set(pending.volume.rows.map(r=>r.tid||r.name)).size,weeks:volumeWeeks(pending.volume).length})}</span>
+        {pending.volume.unit!==volume.unit&&volume.rows.length>0&&<span style={{fontSize:10,color:"#fcd34d",fontFamily:"'DM Mono',monospace"}}>{fill(t("volReplacesUnit"),{unit:t(`volUnit_${volume.unit}`)})}</span>}
+        <div style={{marginLeft:"auto",display:"flex",gap:8}}>
+          <button onClick={()=>setPending(null)} style={impBtn(false)}>{t("impCancel")}</button>
+          <button onClick={apply} style={impBtn(true)}>{t("volApply")}</button>
+        </div>
+      </div>
+    </div>)}
+  </>);
+}
+
+function FlowImportPanel({dataset,onApply,t}) {
+  const { codes: stationCodes } = useStations();
+  const [busy, setBusy] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [applied, setApplied] = useState(null);
+  const current = flowWeeks(dataset.flow);
+
+  const onFile = async file => {
+    setApplied(null); setBusy(true);
+    try {
+      setPending({ ...parseFlowRows(await readSheetRows(file), { knownStations:stationCodes }), file:file.name });
+    } catch (err) {
+      setPending({ flow:null, warnings:[], errors:[{ row:null, code:"impReadFailed", params:{ msg:err.message } }], file:file.name });
+    }
+    setBusy(false);
+  };
+  const ready = pending?.flow && Object.keys(pending.flow).length > 0;
+  const apply = () => {
+    onApply(applyFlow(dataset.flow, pending.flow));
+    setApplied(fill(t("flwApplied"), { file:pending.file }));
+    setPending(null);
+  };
+
+  return (<>
+    <div style={impBox}>
+      <h3 style={impH3}>{t("flwTitle")}</h3>
+      <div style={{display:"flex",alignItems:"center",gap:12,flexWrap:"wrap"}}>
+        <ImportFileButton label={t("impChoose")} onFile={onFile}/>
+        <span style={{fontSize:10,color:"#94a3b8",fontFamily:"'DM Mono',monospace"}}>{busy ? t("impReading") : pending?.file || ""}</span>
+      </div>
+      <div style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",marginTop:10}}>{t("flwHint")}</div>
+      <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",marginTop:6}}>{fill(t("flwCurrent"),{n:current.length,weeks:current.map(wk=>flowWeeksLabel([wk])).join(", ")||"—"})}</div>
+      {applied&&<div style={{marginTop:12,fontSize:10,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>✓ {applied}</div>}
+    </div>
+
+    {pending&&<ImportMessages errors={pending.errors} warnings={pending.warnings} t={t}/>}
+
+    {ready&&(()=>{const wks=flowWeeks(pending.flow);const replaced=wks.filter(wk=>current.includes(wk));return(<div style={impBox}>
+      <div style={{display:"flex",alignItems:"center",gap:12,flexWrap:"wrap"}}>
+        <span style={{fontSize:11,fontWeight:700,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>{fill(t("flwPending"),{n:wks.reduce((s,wk)=>s+pending.flow[wk].totalDefects,0).toLocaleString(),weeks:flowWeeksLabel(wks)})}</span>
+        {replaced.length>0&&<span style={{fontSize:10,color:"#fcd34d",fontFamily:"'DM Mono',monospace"}}>{fill(t("flwReplaces"),{weeks:replaced.map(wk=>flowWeeksLabel([wk])).join(", ")})}</span>}
+        <div style={{marginLeft:"auto",display:"flex",gap:8}}>
+          <button onClick={()=>setPending(null)} style={impBtn(false)}>{t("impCancel")}</button>
+          <button onClick={apply} style={impBtn(true)}>{t("flwApply")}</button>
+        </div>
+      </div>
+    </div>);})()}
+  </>);
+}
+
+// ─── DRIVER PROFILE ─────────────────────────────────────────────────
+const profLabel = {fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase"};
+const profBox = {background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"16px 20px",marginBottom:16};
+
+// Clickable driver name used by every driver table
+function DriverLink({onOpen,t,children}) {
+  return <span onClick={onOpen} title={t("profOpen")} style={{cursor:"pointer",borderBottom:"1px dotted #475569"}}>{children}</span>;
+}
+
+// Count/rate switch of the driver tables; rate needs driver volume from the Import tab
+function RankToggle({rank,setRank,volume,t}) {
+  return (<div style={{display:"flex",gap:4,alignItems:"center"}}>
+    <span style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginRight:2}}>{t("rankBy")}</span>
+    {DRIVER_RANKS.map(r=>{const a=rank===r;const off=r==="rate"&&!volume.has;return(
+      <button key={r} onClick={()=>setRank(r)} disabled={off} title={off?t("volMissing"):undefined} style={{background:a&&!off?"#1e293b":"transparent",border:a&&!off?"1px solid #475569":"1px solid #1e293b",color:off?"#334155":a?"#e2e8f0":"#475569",borderRadius:4,padding:"3px 8px",cursor:off?"not-allowed":"pointer",fontSize:10,fontWeight:600,fontFamily:"'DM Mono',monospace"}}>
+        {r==="rate"?t(`volPer_${volume.unit}`):t("rankCount")}
+      </button>);})}
+  </div>);
+}
+const RateTh = ({volume,t}) => <th style={{padding:"6px",fontSize:8,color:"#94a3b8",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",fontWeight:800,width:55}}>{t(`volPer_${volume.unit}`)}</th>;
+function RateCell({rate,vol,volume,t}) {
+  return <td title={vol!=null?fill(t("volTip"),{n:vol.toLocaleString(),unit:t(`volUnit_${volume.unit}`)}):t("volNoDriver")} style={{padding:"5px 6px",textAlign:"center",fontSize:11,fontWeight:700,color:rate!=null?"#e2e8f0":"#334155",fontFamily:"'DM Mono',monospace"}}>{rate??"·"}</td>;
+}
+
+function DriverProfile({profile,coaching,defaultAuthor,onAddCoaching,onRemoveCoaching,t,isMobile}) {
+  const { colorOf } = useStations();
+  useEffect(() => {
+    const onKey = e => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+  const p = profile;
+  const sc = SEVERITY_COLORS[p.severity];
+  const chartData = p.history.map(h => ({ label: weekLabel(h.wk), ncc: h.ncc, late: h.late - h.gt15, gt15: h.gt15 }));
+  const est = p.gt15Exact ? "" : "≈";
+  const kpis = [
+    {l:"NCC",v:p.totals.ncc,c:"#fb923c"},
+    {l:"Late",v:p.totals.late,c:"#a5b4fc"},
+    {l:"+15",v:`${est}${p.totals.gt15}`,c:"#fca5a5"},
+    {l:t("profCombined"),v:p.totals.ncc+p.totals.late,c:"#86efac"},
+  ];
+  const geoTypes = p.geo ? p.geoTypes.filter(dt => p.geo[dt] > 0) : [];
+  return (
+    <div onClick={onClose} style={{position:"fixed",inset:0,zIndex:1000,background:"#020617e6",overflowY:"auto",padding:isMobile?"12px":"40px 24px"}}>
+      <div onClick={e=>e.stopPropagation()} style={{maxWidth:1100,margin:"0 auto",background:"#0a0f1a",border:"1px solid #1e293b",borderRadius:14,padding:isMobile?"16px":"24px 28px"}}>
+        {/* Header */}
+        <div style={{display:"flex",alignItems:"flex-start",gap:16,marginBottom:20,flexWrap:"wrap"}}>
+          <div style={{flex:1,minWidth:220}}>
+            <div style={profLabel}>{t("profTitle")}</div>
+            <h2 style={{fontSize:isMobile?20:26,fontWeight:800,color:"#f8fafc",margin:"6px 0 4px",fontFamily:"'Outfit',sans-serif"}}>{p.name}</h2>
+            <div style={{fontSize:10,color:p.tid?"#94a3b8":"#64748b",fontFamily:"'DM Mono',monospace",fontStyle:p.tid?"normal":"italic"}}>{p.tid?`TID ${p.tid}`:t("profNoTid")}{p.loc?` · ${p.loc}`:""}</div>
+            <div style={{display:"flex",alignItems:"center",gap:4,marginTop:8,flexWrap:"wrap"}}>
+              <span style={{...profLabel,marginRight:4}}>{t("profStations")}</span>
+              {p.stations.length?p.stations.map(s=><span key={s} style={{fontSize:9,fontWeight:700,color:colorOf(s,"#94a3b8"),background:`${colorOf(s,"#94a3b8")}15`,padding:"2px 7px",borderRadius:3,fontFamily:"'DM Mono',monospace"}}>{s}</span>):<span style={{fontSize:9,color:"#334155",fontFamily:"'DM Mono',monospace"}}>—</span>}
+            </div>
+          </div>
+          <span style={{fontSize:10,fontWeight:700,color:sc.text,background:`${sc.border}18`,border:`1px solid ${sc.border}50`,padding:"4px 12px",borderRadius:5,fontFamily:"'DM Mono',monospace",letterSpacing:0.5}}>{p.severity}</span>
+          <button onClick={onClose} style={{background:"transparent",border:"1px solid #334155",color:"#94a3b8",borderRadius:5,padding:"4px 12px",cursor:"pointer",fontSize:10,fontFamily:"'DM Mono',monospace"}}>✕ {t("profClose")}</button>
+        </div>
+
+        {!p.found&&<div style={{...profBox,fontSize:11,color:"#64748b",fontFamily:"'DM Mono',monospace"}}>{t("profNotFound")}</div>}
+
+        {/* KPIs */}
+        <div style={{display:"grid",gridTemplateColumns:isMobile?"repeat(2,1fr)":"repeat(4,1fr)",gap:10,marginBottom:16}}>
+          {kpis.map(k=>(<div key={k.l} style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:8,padding:"12px 16px"}}>
+            <div style={{...profLabel,fontSize:8,marginBottom:4}}>{k.l}</div>
+            <div style={{fontSize:isMobile?22:28,fontWeight:800,color:k.c,fontFamily:"'Outfit',sans-serif",lineHeight:1}}>{k.v}</div>
+          </div>))}
+        </div>
+
+        {/* Weekly history */}
+        <div style={profBox}>
+          <div style={{...profLabel,marginBottom:12}}>{t("profHistory")}</div>
+          <ResponsiveContainer width="100%" height={isMobile?180:220}>
+            <BarChart data={chartData} margin={{top:5,right:10,bottom:5,left:-20}}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#1e293b"/>
+              <XAxis dataKey="label" tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}}/>
+              <YAxis allowDecimals={false} tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}}/>
+              <Tooltip contentStyle={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:6,fontSize:10,fontFamily:"DM Mono"}}/>
+              <Bar dataKey="ncc" stackId="a" fill="#fb923c" name="NCC"/>
+              <Bar dataKey="late" stackId="a" fill="#6366f1" name="Late ≤15"/>
+              <Bar dataKey="gt15" stackId="a" fill="#dc2626" name="+15" radius={[3,3,0,0]}/>
+            </BarChart>
+          </ResponsiveContainer>
+          <div style={{overflowX:"auto",marginTop:12}}>
+            <table style={{borderCollapse:"separate",borderSpacing:"2px 3px",width:"100%"}}>
+              <thead><tr>
+                <th style={{minWidth:90}}/>
+                {p.history.map(h=><th key={h.wk} style={{padding:"3px 4px",fontSize:8,color:"#475569",fontFamily:"'DM Mono',monospace",fontWeight:600,whiteSpace:"nowrap"}}>{weekLabel(h.wk)}</th>)}
+              </tr></thead>
+              <tbody>
+                <tr><td style={{...profLabel,fontSize:8}}>NCC</td>{p.history.map(h=><NCCCell key={h.wk} val={h.ncc} coached={coachTip(coaching?.byWeek[h.wk],t)}/>)}</tr>
+                <tr><td style={{...profLabel,fontSize:8}}>Late</td>{p.history.map(h=><LateCell key={h.wk} val={h.late} coached={coachTip(coaching?.byWeek[h.wk],t)}/>)}</tr>
+                <tr><td style={{...profLabel,fontSize:8}} title={p.gt15Exact?undefined:t("profGt15Est")}>{est}+15</td>{p.history.map(h=><LateCell key={h.wk} val={h.gt15} isGt15 coached={coachTip(coaching?.byWeek[h.wk],t)}/>)}</tr>
+                <tr><td style={{...profLabel,fontSize:8}}>{t("profSeverity")}</td>{p.history.map(h=>{const c=SEVERITY_COLORS[h.severity];return <td key={h.wk} title={h.severity} style={{textAlign:"center"}}><span style={{display:"inline-block",width:16,fontSize:8,fontWeight:800,color:c.text,background:`${c.border}30`,borderRadius:3,fontFamily:"'DM Mono',monospace"}}>{h.severity[0]}</span></td>;})}</tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Coaching log */}
+        <div style={profBox}>
+          <div style={{...profLabel,marginBottom:12}}>{t("coaTitle")}</div>
+          {p.tid?(<>
+            {coaching?.entries.length
+              ? <CoachingTable entries={[...coaching.entries].reverse()} historyOf={()=>p.history} onRemove={onRemoveCoaching} t={t}/>
+              : <div style={{fontSize:10,color:"#334155",fontFamily:"'DM Mono',monospace",marginBottom:12}}>{t("coaNone")}</div>}
+            <CoachingForm tid={p.tid} defaultAuthor={defaultAuthor} onAdd={onAddCoaching} t={t}/>
+          </>):<div style={{fontSize:10,color:"#64748b",fontFamily:"'DM Mono',monospace"}}>{t("coaNeedsTid")}</div>}
+        </div>
+
+        <div style={{display:"grid",gridTemplateColumns:isMobile?"1fr":"1fr 1fr",gap:16}}>
+          {/* W8 attributions */}
+          <div style={{...profBox,marginBottom:0}}>
+            <div style={{...profLabel,marginBottom:12}}>{fill(t("profAttributions"),{week:p.flowWeek})}</div>
+            {p.attributions.length?p.attributions.map((a,i)=>(<div key={i} style={{display:"flex",alignItems:"center",gap:8,padding:"5px 0",borderBottom:"1px solid #1e293b"}}>
+              <span style={{fontSize:8,fontWeight:700,color:colorOf(a.site,"#94a3b8"),background:`${colorOf(a.site,"#94a3b8")}15`,padding:"1px 6px",borderRadius:3,fontFamily:"'DM Mono',monospace"}}>{a.site}</span>
+              <span style={{flex:1,fontSize:10,color:"#cbd5e1",fontFamily:"'DM Mono',monospace"}}>{a.label}</span>
+              <span style={{fontSize:13,fontWeight:800,color:"#5eead4",fontFamily:"'Outfit',sans-serif"}}>{a.count}</span>
+            </div>)):<div style={{fontSize:10,color:"#334155",fontFamily:"'DM Mono',monospace"}}>{fill(t("profNoAttributions"),{week:p.flowWeek})}</div>}
+          </div>
+          {/* Geo defect mix */}
+          <div style={{...profBox,marginBottom:0}}>
+            <div style={{...profLabel,marginBottom:12}}>{fill(t("profGeo"),{year:p.geoYear})}</div>
+            {p.geo?geoTypes.map(dt=>(<div key={dt} style={{display:"flex",alignItems:"center",gap:8,padding:"4px 0"}}>
+              <span style={{width:70,fontSize:10,color:"#94a3b8",fontFamily:"'DM Mono',monospace"}}>{dt}</span>
+              <div style={{flex:1,height:6,background:"#1e293b",borderRadius:3,overflow:"hidden"}}><div style={{width:`${(p.geo[dt]/p.geo.total)*100}%`,height:"100%",background:"#8b5cf6"}}/></div>
+              <span style={{width:30,textAlign:"right",fontSize:11,fontWeight:700,color:"#c4b5fd",fontFamily:"'DM Mono',monospace"}}>{p.geo[dt]}</span>
+            </div>)):<div style={{fontSize:10,color:"#334155",fontFamily:"'DM Mono',monospace"}}>{t("profNoGeo")}</div>}
+          </div>
+        </div>
       </div>
     </div>
   );
 }
 
+// ─── COACHING LOG ───────────────────────────────────────────────────
+const coachDefectLabel = (d, t) => d === "other" ? t("coaOther") : scorePartLabel(d, t);
+// Tooltip of a heat cell in a week with coaching entries; undefined leaves the cell unmarked
+const coachTip = (entries, t) => entries?.length
+  ? entries.map(e => `◆ ${t(`coaKind_${e.kind}`)} ${e.date}${e.author ? ` · ${e.author}` : ""} · ${coachDefectLabel(e.defect, t)}`).join("\n")
+  : undefined;
+
+// Weekly average before → after the entry's week, green when it fell
+function CoachingEffect({effect,t}) {
+  const { measure, before, after, change, beforeWeeks, afterWeeks } = effect;
+  const muted = {fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace"};
+  if (before == null) return <span style={muted}>{t("coaNoBefore")}</span>;
+  if (after == null) return <span style={muted}>{fill(t("coaPending"),{before})}</span>;
+  const c = change == null || change === 0 ? "#94a3b8" : change < 0 ? "#86efac" : "#fca5a5";
+  return <span title={fill(t("coaEffectTip"),{measure:t(`coaMeasure_${measure}`),before:beforeWeeks,after:afterWeeks})} style={{fontSize:10,fontWeight:700,color:c,fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap"}}>
+    {before} → {after}{change!=null?` (${change>0?"+":""}${change}%)`:""}<span style={{...muted,fontWeight:400}}> {t(`coaMeasure_${measure}`)}</span>
+  </span>;
+}
+
+// Entries as given; historyOf(tid) → the driver's weekly history for the before/after
+function CoachingTable({entries,historyOf,onRemove,onOpenDriver,nameOf,t}) {
+  return (<div style={{overflowX:"auto",marginBottom:12}}>
+    <table style={{borderCollapse:"collapse",width:"100%"}}>
+      <thead><tr>
+        <th style={regTh}>{t("coaDate")}</th><th style={regTh}>{t("week")}</th>
+        {nameOf&&<th style={regTh}>{t("driver")}</th>}
+        <th style={regTh}>{t("coaKind")}</th><th style={regTh}>{t("coaDefect")}</th><th style={regTh}>{t("coaAuthor")}</th>
+        <th style={regTh}>{t("coaNotes")}</th><th style={regTh}>{fill(t("coaEffect"),{n:EFFECT_WEEKS})}</th><th style={regTh}/>
+      </tr></thead>
+      <tbody>{entries.map(e=>(<tr key={e.id}>
+        <td style={regTd}>{e.date}</td>
+        <td style={{...regTd,color:COACHED_COLOR}}>◆ {flowWeeksLabel([e.wk])}</td>
+        {nameOf&&<td style={{...regTd,color:"#e2e8f0"}}><DriverLink onOpen={()=>onOpenDriver({tid:e.tid})} t={t}>{nameOf(e.tid)}</DriverLink></td>}
+        <td style={{...regTd,color:e.kind==="warning"?"#fcd34d":"#e2e8f0"}}>{t(`coaKind_${e.kind}`)}</td>
+        <td style={regTd}>{coachDefectLabel(e.defect,t)}</td>
+        <td style={regTd}>{e.author||"—"}</td>
+        <td style={{...regTd,whiteSpace:"pre-wrap",minWidth:160,color:"#cbd5e1"}}>{e.notes}</td>
+        <td style={regTd}><CoachingEffect effect={coachingEffect(e,historyOf(e.tid)||[])} t={t}/></td>
+        <td style={{...regTd,textAlign:"right"}}><button onClick={()=>onRemove(e.id)} title={t("regRemove")} style={{...impBtn(false),padding:"2px 8px"}}>×</button></td>
+      </tr>))}</tbody>
+    </table>
+  </div>);
+}
+
+function CoachingForm({tid,defaultAuthor,onAdd,t}) {
+  const [draft, setDraft] = useState(() => ({ date:new Date().toISOString().slice(0, 10), kind:"coaching", defect:"ncc", author:defaultAuthor || "", notes:"" }));
+  const set = k => e => setDraft(d => ({ ...d, [k]: e.target.value }));
+  const ok = isCoachingDate(draft.date) && draft.author.trim() !== "";
+  const save = () => {
+    onAdd({ id:newCoachingId(), tid, ...draft, author:draft.author.trim(), notes:draft.notes.trim() });
+    setDraft(d => ({ ...d, notes:"" }));
+  };
+  return (<div style={{display:"flex",gap:8,flexWrap:"wrap",alignItems:"flex-start"}}>
+    <input type="date" value={draft.date} onChange={set("date")} style={{...regInput,width:130,colorScheme:"dark"}}/>
+    <select value={draft.kind} onChange={set("kind")} style={{...regInput,width:"auto"}}>{COACHING_KINDS.map(k=><option key={k} value={k}>{t(`coaKind_${k}`)}</option>)}</select>
+    <select value={draft.defect} onChange={set("defect")} style={{...regInput,width:"auto"}}>{COACHING_DEFECTS.map(d=><option key={d} value={d}>{coachDefectLabel(d,t)}</option>)}</select>
+    <input value={draft.author} onChange={set("author")} placeholder={t("coaAuthor")} style={{...regInput,width:140}}/>
+    <textarea value={draft.notes} onChange={set("notes")} placeholder={t("coaNotes")} rows={2} style={{...regInput,flex:1,minWidth:200,resize:"vertical"}}/>
+    <button onClick={save} disabled={!ok} style={{...impBtn(true),opacity:ok?1:0.4,cursor:ok?"pointer":"not-allowed"}}>{t("coaAdd")}</button>
+  </div>);
+}
+
+function CoachingPanel({log,setLog,index,historyOf,nameOf,onOpenDriver,t}) {
+  const [importResult, setImportResult] = useState(null);
+  const entries = [...index.values()].flatMap(d => d.entries).sort((a, b) => b.date.localeCompare(a.date));
+  const onFile = async file => {
+    try {
+      const { log: next, errors } = parseCoaching(JSON.parse(await file.text()));
+      if (next) setLog(prev => mergeCoaching(prev, next));
+      setImportResult({ errors, file: file.name, n: next?.length || 0 });
+    } catch (err) {
+      setImportResult({ errors: [{ row:null, code:"impReadFailed", params:{ msg:err.message } }], file: file.name });
+    }
+  };
+
+  return (<>
+    <div style={impBox}>
+      <div style={{display:"flex",alignItems:"center",gap:8,flexWrap:"wrap"}}>
+        <h3 style={{...impH3,margin:0}}>{t("coaTitle")}</h3>
+        <div style={{marginLeft:"auto",display:"flex",gap:8,flexWrap:"wrap"}}>
+          <button onClick={()=>downloadJson("coaching-log.json",log)} disabled={!log.length} style={{...impBtn(false),opacity:log.length?1:0.4}}>↓ {t("thrExport")}</button>
+          <ImportFileButton label={`↑ ${t("thrImport")}`} accept=".json,application/json" onFile={onFile}/>
+        </div>
+      </div>
+      <div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace",marginTop:8}}>{fill(t("coaHint"),{n:EFFECT_WEEKS})}</div>
+      {importResult&&!importResult.errors.length&&<div style={{fontSize:10,color:"#86efac",fontFamily:"'DM Mono',monospace",marginTop:8}}>✓ {fill(t("coaImported"),{file:importResult.file,n:importResult.n})}</div>}
+    </div>
+    {importResult?.errors.length>0&&<ImportMessages errors={importResult.errors} warnings={[]} t={t}/>}
+    <div style={impBox}>
+      {entries.length
+        ? <CoachingTable entries={entries} historyOf={historyOf} nameOf={nameOf} onOpenDriver={onOpenDriver} onRemove={id=>setLog(prev=>prev.filter(e=>e.id!==id))} t={t}/>
+        : <div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{t("coaNoneAll")}</div>}
+    </div>
+  </>);
+}
+
+// ─── DRIVER REGISTRY PANEL ──────────────────────────────────────────
+const regInput = {background:"#020617",color:"#e2e8f0",border:"1px solid #334155",borderRadius:5,padding:"4px 8px",fontSize:10,fontFamily:"'DM Mono',monospace",outline:"none",width:"100%",boxSizing:"border-box"};
+const regTd = {padding:"5px 8px",fontSize:10,fontFamily:"'DM Mono',monospace",color:"#94a3b8",borderBottom:"1px solid #1e293b",whiteSpace:"nowrap"};
+const regTh = {padding:"4px 8px",fontSize:8,color:"#475569",fontFamily:"'DM Mono',monospace",textTransform:"uppercase",letterSpacing:1,textAlign:"left"};
+
+function StationChips({stations}) {
+  const { colorOf } = useStations();
+  return stations.map(s=><span key={s} style={{display:"inline-block",fontSize:8,fontWeight:700,color:colorOf(s,"#94a3b8"),background:`${colorOf(s,"#94a3b8")}15`,padding:"1px 5px",borderRadius:3,margin:"0 1px"}}>{s}</span>);
+}
+
+function DriverRegistryPanel({registry,overrides,setOverrides,dataset,onOpenDriver,t}) {
+  const [drafts, setDrafts] = useState({});
+  const [invalid, setInvalid] = useState({});
+  const pending = useMemo(() => unresolvedDrivers(registry, dataset), [registry, dataset]);
+  const knownTids = useMemo(() => [...new Set([...Object.keys(registry.drivers), ...dataset.late.drivers.filter(Boolean).map(d => d.tid)])], [registry, dataset]);
+  const aliasCount = Object.values(registry.drivers).reduce((s, d) => s + d.aliases.length, 0);
+  const setDraft = (k, v) => { setDrafts(prev => ({ ...prev, [k]: v })); setInvalid(prev => ({ ...prev, [k]: false })); };
+
+  const saveName = tid => {
+    const name = (drafts[tid] || "").trim();
+    if (!name) return;
+    setOverrides(prev => ({ ...prev, tids: { ...prev.tids, [tid]: name } }));
+    setDraft(tid, "");
+  };
+  const saveTid = (name, value) => {
+    const tid = String(value ?? drafts[name] ?? "").trim().toUpperCase();
+    if (!isTid(tid)) { setInvalid(prev => ({ ...prev, [name]: true })); return; }
+    setOverrides(prev => ({ ...prev, names: { ...prev.names, [name]: tid } }));
+    setDraft(name, "");
+  };
+  const remove = (kind, key) => setOverrides(prev => { const next = { ...prev[kind] }; delete next[key]; return { ...prev, [kind]: next }; });
+  // "ID:A31O1VTQ5ESZ" placeholders carry a truncated TID — offer the full one when it is unambiguous
+  const suggestion = name => {
+    if (!isPlaceholder(name)) return null;
+    const prefix = name.slice(3).trim().toUpperCase();
+    const hits = knownTids.filter(tid => tid.startsWith(prefix));
+    return hits.length === 1 ? hits[0] : null;
+  };
+  const manual = [
+    ...Object.entries(overrides.tids).map(([tid, name]) => ({ kind:"tids", key:tid, tid, name })),
+    ...Object.entries(overrides.names).map(([name, tid]) => ({ kind:"names", key:name, tid, name })),
+  ];
+
+  return (<>
+    <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(160px,1fr))",gap:10,marginBottom:16}}>
+      {[{l:t("regDrivers"),v:Object.keys(registry.drivers).length,c:"#e2e8f0"},{l:t("regAliases"),v:aliasCount,c:"#94a3b8"},{l:t("regUnresolvedTids"),v:pending.tids.length,c:pending.tids.length?"#fcd34d":"#86efac"},{l:t("regUnresolvedNames"),v:pending.names.length,c:pending.names.length?"#fcd34d":"#86efac"}].map(k=>(
+        <div key={k.l} style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:8,padding:"12px 16px"}}>
+          <div style={{fontSize:8,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginBottom:4}}>{k.l}</div>
+          <div style={{fontSize:26,fontWeight:800,color:k.c,fontFamily:"'Outfit',sans-serif",lineHeight:1}}>{k.v}</div>
+        </div>))}
+    </div>
+
+    <div style={impBox}>
+      <h3 style={impH3}>{t("regUnresolvedTids")}</h3>
+      <div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace",marginBottom:12}}>{t("regTidsHint")}</div>
+      {pending.tids.length?(<div style={{overflowX:"auto"}}><table style={{borderCollapse:"collapse",width:"100%",minWidth:560}}>
+        <thead><tr><th style={regTh}>TID</th><th style={regTh}>{t("profStations")}</th><th style={{...regTh,textAlign:"right"}}>{t("defects")}</th><th style={{...regTh,width:"40%"}}>{t("regName")}</th><th/></tr></thead>
+        <tbody>{pending.tids.map(u=>(<tr key={u.tid}>
+          <td style={regTd}><DriverLink onOpen={()=>onOpenDriver({tid:u.tid})} t={t}>{u.tid}</DriverLink></td>
+          <td style={regTd}><StationChips stations={u.stations}/></td>
+          <td style={{...regTd,textAlign:"right",color:"#e2e8f0",fontWeight:700}}>{u.defects}</td>
+          <td style={regTd}><input value={drafts[u.tid]||""} onChange={e=>setDraft(u.tid,e.target.value)} onKeyDown={e=>e.key==="Enter"&&saveName(u.tid)} placeholder={t("regNamePh")} style={regInput}/></td>
+          <td style={regTd}><button onClick={()=>saveName(u.tid)} style={impBtn(true)}>{t("regSave")}</button></td>
+        </tr>))}</tbody>
+      </table></div>):<div style={{fontSize:10,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>{t("regAllResolved")}</div>}
+    </div>
+
+    <div style={impBox}>
+      <h3 style={impH3}>{t("regUnresolvedNames")}</h3>
+      <div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace",marginBottom:12}}>{t("regNamesHint")}</div>
+      {pending.names.length?(<div style={{overflowX:"auto"}}><table style={{borderCollapse:"collapse",width:"100%",minWidth:560}}>
+        <thead><tr><th style={regTh}>{t("regName")}</th><th style={regTh}>{t("profStations")}</th><th style={{...regTh,textAlign:"right"}}>{t("defects")}</th><th style={{...regTh,width:"40%"}}>TID</th><th/></tr></thead>
+        <tbody>{pending.names.map(u=>{const sug=suggestion(u.name);return(<tr key={u.name}>
+          <td style={{...regTd,color:u.placeholder?"#64748b":"#e2e8f0",fontStyle:u.placeholder?"italic":"normal"}}><DriverLink onOpen={()=>onOpenDriver({name:u.name})} t={t}>{u.name}</DriverLink></td>
+          <td style={regTd}><StationChips stations={u.stations}/></td>
+          <td style={{...regTd,textAlign:"right",color:"#e2e8f0",fontWeight:700}}>{u.defects}</td>
+          <td style={regTd}>
+            <input value={drafts[u.name]||""} onChange={e=>setDraft(u.name,e.target.value)} onKeyDown={e=>e.key==="Enter"&&saveTid(u.name)} placeholder={t("regTidPh")} style={{...regInput,borderColor:invalid[u.name]?"#dc2626":"#334155"}}/>
+            {invalid[u.name]&&<div style={{fontSize:9,color:"#fca5a5",marginTop:3}}>{t("regBadTid")}</div>}
+            {sug&&<button onClick={()=>saveTid(u.name,sug)} style={{background:"transparent",border:"none",color:"#5eead4",cursor:"pointer",fontSize:9,fontFamily:"'DM Mono',monospace",padding:"3px 0 0"}}>{fill(t("regSuggest"),{tid:sug})}</button>}
+          </td>
+          <td style={regTd}><button onClick={()=>saveTid(u.name)} style={impBtn(true)}>{t("regSave")}</button></td>
+        </tr>);})}</tbody>
+      </table></div>):<div style={{fontSize:10,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>{t("regAllResolved")}</div>}
+    </div>
+
+    {registry.conflicts.length>0&&(<div style={impBox}>
+      <h3 style={impH3}>{t("regConflicts")} ({registry.conflicts.length})</h3>
+      <div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace",marginBottom:12}}>{t("regConflictsHint")}</div>
+      <table style={{borderCollapse:"collapse",width:"100%"}}><tbody>{registry.conflicts.map(c=>(<tr key={c.name}>
+        <td style={{...regTd,color:"#fcd34d"}}>{c.name}</td>
+        <td style={{...regTd,width:"100%"}}>{c.tids.map(tid=>(
+          <button key={tid} onClick={()=>saveTid(c.name,tid)} style={{...impBtn(false),marginRight:6}}>{fill(t("regSuggest"),{tid})}</button>))}</td>
+      </tr>))}</tbody></table>
+    </div>)}
+
+    {manual.length>0&&(<div style={impBox}>
+      <h3 style={impH3}>{t("regManual")} ({manual.length})</h3>
+      <table style={{borderCollapse:"collapse",width:"100%"}}><tbody>{manual.map(m=>(<tr key={`${m.kind}|${m.key}`}>
+        <td style={regTd}>{m.tid}</td>
+        <td style={{...regTd,color:"#e2e8f0",width:"100%"}}>{m.name}</td>
+        <td style={regTd}><button onClick={()=>remove(m.kind,m.key)} style={impBtn(false)}>✕ {t("regRemove")}</button></td>
+      </tr>))}</tbody></table>
+    </div>)}
+  </>);
+}
+
+// ─── THRESHOLD SETTINGS ─────────────────────────────────────────────
+// Commits on blur/Enter so a half-typed value never reaches the config;
+// an empty field clears a station override (network values cannot be empty)
+function ThresholdInput({value,placeholder,onCommit,color}) {
+  const [draft, setDraft] = useState(value ?? "");
+  useEffect(() => setDraft(value ?? ""), [value]);
+  const commit = () => {
+    const raw = String(draft).trim().replace(",", ".");
+    if (raw === "") { onCommit(null); return; }
+    const v = Number(raw);
+    if (Number.isFinite(v) && v >= 0) onCommit(v); else setDraft(value ?? "");
+  };
+  return <input value={draft} placeholder={placeholder} onChange={e=>setDraft(e.target.value)} onBlur={commit} onKeyDown={e=>e.key==="Enter"&&e.target.blur()} inputMode="decimal"
+    style={{...regInput,width:80,textAlign:"right",color:value==null?"#64748b":color,borderColor:value==null?"#1e293b":`${color}60`}}/>;
+}
+
+function ThresholdsPanel({thresholds,setThresholds,t}) {
+  const { colorOf, codes: stationCodes } = useStations();
+  const [station, setStation] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const net = thresholds;
+  const own = station ? thresholds.stations[station] || {} : thresholds;
+  // An edit that would put amber above red is dropped
+  const set = (group, key, field) => v => setThresholds(prev => parseThresholds(withThreshold(prev, station, group, key, field, v)).thresholds || prev);
+  const overridden = Object.keys(thresholds.stations);
+
+  const onFile = async file => {
+    try {
+      const { thresholds: next, errors } = parseThresholds(JSON.parse(await file.text()));
+      if (next) setThresholds(next);
+      setImportResult({ errors, file: file.name });
+    } catch (err) {
+      setImportResult({ errors: [{ row:null, code:"impReadFailed", params:{ msg:err.message } }], file: file.name });
+    }
+  };
+
+  return (<>
+    <div style={impBox}>
+      <div style={{display:"flex",alignItems:"center",gap:8,flexWrap:"wrap"}}>
+        <h3 style={{...impH3,margin:0}}>{t("thrTitle")}</h3>
+        <div style={{marginLeft:"auto",display:"flex",gap:8,flexWrap:"wrap"}}>
+          <button onClick={()=>downloadJson("kpi-thresholds.json",thresholds)} style={impBtn(false)}>↓ {t("thrExport")}</button>
+          <ImportFileButton label={`↑ ${t("thrImport")}`} accept=".json,application/json" onFile={onFile}/>
+          <button onClick={()=>{setThresholds(DEFAULT_THRESHOLDS);setImportResult(null);}} style={impBtn(false)}>{t("thrResetAll")}</button>
+        </div>
+      </div>
+      <div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace",marginTop:8}}>{t("thrHint")}</div>
+      {importResult&&!importResult.errors.length&&<div style={{fontSize:10,color:"#86efac",fontFamily:"'DM Mono',monospace",marginTop:8}}>✓ {fill(t("thrImported"),{file:importResult.file})}</div>}
+    </div>
+    {importResult?.errors.length>0&&<ImportMessages errors={importResult.errors} warnings={[]} t={t}/>}
+
+    <div style={{display:"flex",alignItems:"center",gap:6,marginBottom:12,flexWrap:"wrap"}}>
+      <span style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase"}}>{t("thrScope")}</span>
+      {[null,...stationCodes].map(s=>{const a=station===s;const c=s?colorOf(s):"#e2e8f0";return(
+        <button key={s||"net"} onClick={()=>setStation(s)} style={{background:a?`${c}18`:"transparent",border:`1px solid ${a?c+"50":"#1e293b"}`,color:a?c:"#475569",borderRadius:5,padding:"4px 10px",cursor:"pointer",fontSize:10,fontWeight:700,fontFamily:"'DM Mono',monospace"}}>
+          {s||t("thrNetwork")}{s&&overridden.includes(s)?" •":""}
+        </button>);})}
+      {station&&overridden.includes(station)&&<button onClick={()=>setThresholds(prev=>{const stations={...prev.stations};delete stations[station];return {...prev,stations};})} style={{...impBtn(false),marginLeft:"auto"}}>{fill(t("thrClearStation"),{station})}</button>}
+    </div>
+    {station&&<div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace",marginBottom:12}}>{t("thrStationHint")}</div>}
+
+    <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(320px,1fr))",gap:16}}>
+      {[["kpi",KPI_KEYS,"thrBands"],["card",CARD_KEYS,"thrCardBands"]].map(([group,keys,title])=>(<div key={group} style={impBox}>
+        <h3 style={impH3}>{t(title)}</h3>
+        <table style={{borderCollapse:"collapse",width:"100%"}}>
+          <thead><tr><th style={regTh}>KPI</th><th style={{...regTh,textAlign:"right",color:"#fcd34d"}}>{t("thrWarn")} &gt;</th><th style={{...regTh,textAlign:"right",color:"#fca5a5"}}>{t("thrBad")} &gt;</th></tr></thead>
+          <tbody>{keys.map(k=>(<tr key={k}>
+            <td style={regTd}>{kpiName(k,t)}</td>
+            {["warn","bad"].map(f=>(<td key={f} style={{...regTd,textAlign:"right"}}>
+              <ThresholdInput value={own[group]?.[k]?.[f]} placeholder={String(net[group][k][f])} onCommit={set(group,k,f)} color={f==="bad"?"#fca5a5":"#fcd34d"}/>
+            </td>))}
+          </tr>))}</tbody>
+        </table>
+      </div>))}
+      <div style={impBox}>
+        <h3 style={impH3}>{t("thrStatus")}</h3>
+        <table style={{borderCollapse:"collapse",width:"100%"}}><tbody>{STATUS_KEYS.map(k=>(<tr key={k}>
+          <td style={{...regTd,whiteSpace:"normal"}}>{t(`thr_${k}`)}</td>
+          <td style={{...regTd,textAlign:"right"}}><ThresholdInput value={own.status?.[k]} placeholder={String(net.status[k])} onCommit={set("status",k)} color={k.endsWith("Critical")?"#fca5a5":k.endsWith("Warning")?"#fcd34d":"#86efac"}/></td>
+        </tr>))}</tbody></table>
+      </div>
+    </div>
+  </>);
+}
+
+// ─── SCORING SETTINGS ───────────────────────────────────────────────
+// Weights per defect type and the severity bands of the scorecard score;
+// an empty field goes back to the default
+const scorePartLabel = (k, t) => t(`scoPart_${k}`);
+// "62% from +15 lates in W50–W52 2026"
+const scoreReasonText = (reason, t) => !reason ? "" : fill(t(reason.weeks ? "scoReasonWeeks" : "scoReasonYtd"), { share:reason.share, part:scorePartLabel(reason.key, t), weeks:reason.weeks });
+
+function ScoringPanel({scoring,setScoring,t}) {
+  const [importResult, setImportResult] = useState(null);
+  const set = (group, key) => v => setScoring(prev => ({ ...prev, [group]: { ...prev[group], [key]: v ?? DEFAULT_SCORING[group][key] } }));
+  // Bands must stay CRITICAL ≥ HIGH ≥ MEDIUM; an edit that breaks the order is dropped
+  const setBand = (group, key) => v => setScoring(prev => {
+    const next = { ...prev, [group]: { ...prev[group], [key]: v ?? DEFAULT_SCORING[group][key] } };
+    return parseScoring(next).scoring || prev;
+  });
+
+  const onFile = async file => {
+    try {
+      const { scoring: next, errors } = parseScoring(JSON.parse(await file.text()));
+      if (next) setScoring(next);
+      setImportResult({ errors, file: file.name });
+    } catch (err) {
+      setImportResult({ errors: [{ row:null, code:"impReadFailed", params:{ msg:err.message } }], file: file.name });
+    }
+  };
+
+  return (<div style={{marginBottom:14}}>
+    <div style={impBox}>
+      <div style={{display:"flex",alignItems:"center",gap:8,flexWrap:"wrap"}}>
+        <h3 style={{...impH3,margin:0}}>{t("scoTitle")}</h3>
+        <div style={{marginLeft:"auto",display:"flex",gap:8,flexWrap:"wrap"}}>
+          <button onClick={()=>downloadJson("driver-scoring.json",scoring)} style={impBtn(false)}>↓ {t("thrExport")}</button>
+          <ImportFileButton label={`↑ ${t("thrImport")}`} accept=".json,application/json" onFile={onFile}/>
+          <button onClick={()=>{setScoring(DEFAULT_SCORING);setImportResult(null);}} style={impBtn(false)}>{t("thrResetAll")}</button>
+        </div>
+      </div>
+      <div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace",marginTop:8}}>{t("scoHint")}</div>
+      {importResult&&!importResult.errors.length&&<div style={{fontSize:10,color:"#86efac",fontFamily:"'DM Mono',monospace",marginTop:8}}>✓ {fill(t("scoImported"),{file:importResult.file})}</div>}
+    </div>
+    {importResult?.errors.length>0&&<ImportMessages errors={importResult.errors} warnings={[]} t={t}/>}
+    <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(320px,1fr))",gap:16}}>
+      <div style={impBox}>
+        <h3 style={impH3}>{t("scoWeights")}</h3>
+        <table style={{borderCollapse:"collapse",width:"100%"}}><tbody>{SCORE_PARTS.map(k=>(<tr key={k}>
+          <td style={regTd}>{scorePartLabel(k,t)}{YEAR_TO_DATE.includes(k)&&<span style={{color:"#475569",fontSize:9}}> · {t("scoYtd")}</span>}</td>
+          <td style={{...regTd,textAlign:"right"}}><ThresholdInput value={scoring.weights[k]} placeholder={String(DEFAULT_SCORING.weights[k])} onCommit={set("weights",k)} color="#e2e8f0"/></td>
+        </tr>))}</tbody></table>
+      </div>
+      <div style={impBox}>
+        <h3 style={impH3}>{t("scoBands")}</h3>
+        <table style={{borderCollapse:"collapse",width:"100%"}}>
+          <thead><tr><th style={regTh}>{t("severity")} ≥</th><th style={{...regTh,textAlign:"right"}}>{t("scoPoints")}</th><th style={{...regTh,textAlign:"right"}}>{t("scoPer1000")}</th></tr></thead>
+          <tbody>{SEVERITY_LEVELS.map(l=>(<tr key={l}>
+            <td style={{...regTd,color:SEVERITY_COLORS[l].text,fontWeight:700}}>{l}</td>
+            {["bands","rateBands"].map(g=>(<td key={g} style={{...regTd,textAlign:"right"}}><ThresholdInput value={scoring[g][l]} placeholder={String(DEFAULT_SCORING[g][l])} onCommit={setBand(g,l)} color={SEVERITY_COLORS[l].text}/></td>))}
+          </tr>))}</tbody>
+        </table>
+      </div>
+    </div>
+  </div>);
+}
+
+function TargetWeekInput({value,onCommit}) {
+  const [draft, setDraft] = useState(value ?? "");
+  useEffect(() => setDraft(value ?? ""), [value]);
+  const commit = () => {
+    const raw = String(draft).trim().toUpperCase();
+    if (raw === "") onCommit(null);
+    else if (isTargetWeek(raw)) onCommit(raw);
+    else setDraft(value ?? "");
+  };
+  return <input value={draft} placeholder="2026-W12" onChange={e=>setDraft(e.target.value)} onBlur={commit} onKeyDown={e=>e.key==="Enter"&&e.target.blur()} style={{...regInput,width:90}}/>;
+}
+
+function TargetsPanel({targets,setTargets,t}) {
+  const { colorOf, codes: stationCodes } = useStations();
+  const [importResult, setImportResult] = useState(null);
+  const update = (id, patch) => setTargets(prev => prev.map(tg => {
+    if (tg.id !== id) return tg;
+    const next = { ...tg, ...patch };
+    // Keep the period the right way round
+    return next.from && next.by && keySortKey(next.from) > keySortKey(next.by) ? tg : next;
+  }));
+  const add = () => setTargets(prev => [...prev, { id:newTargetId(), station:null, kpi:"late", value:2.5, from:null, by:null }]);
+
+  const onFile = async file => {
+    try {
+      const { targets: next, errors } = parseTargets(JSON.parse(await file.text()), stationCodes);
+      if (next) setTargets(next);
+      setImportResult({ errors, file: file.name });
+    } catch (err) {
+      setImportResult({ errors: [{ row:null, code:"impReadFailed", params:{ msg:err.message } }], file: file.name });
+    }
+  };
+
+  return (<>
+    <div style={impBox}>
+      <div style={{display:"flex",alignItems:"center",gap:8,flexWrap:"wrap"}}>
+        <h3 style={{...impH3,margin:0}}>{t("tgtTitle")}</h3>
+        <div style={{marginLeft:"auto",display:"flex",gap:8,flexWrap:"wrap"}}>
+          <button onClick={()=>downloadJson("kpi-targets.json",targets)} style={impBtn(false)}>↓ {t("thrExport")}</button>
+          <ImportFileButton label={`↑ ${t("thrImport")}`} accept=".json,application/json" onFile={onFile}/>
+          <button onClick={()=>{setTargets(DEFAULT_TARGETS);setImportResult(null);}} style={impBtn(false)}>{t("thrResetAll")}</button>
+        </div>
+      </div>
+      <div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace",marginTop:8}}>{t("tgtHint")}</div>
+      {importResult&&!importResult.errors.length&&<div style={{fontSize:10,color:"#86efac",fontFamily:"'DM Mono',monospace",marginTop:8}}>✓ {fill(t("tgtImported"),{file:importResult.file})}</div>}
+    </div>
+    {importResult?.errors.length>0&&<ImportMessages errors={importResult.errors} warnings={[]} t={t}/>}
+
+    <div style={impBox}>
+      {targets.length===0?(<div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace",marginBottom:12}}>{t("tgtNone")}</div>):(
+      <div style={{overflowX:"auto"}}>
+        <table style={{borderCollapse:"collapse",width:"100%",marginBottom:12}}>
+          <thead><tr><th style={regTh}>{t("station")}</th><th style={regTh}>KPI</th><th style={{...regTh,textAlign:"right"}}>{t("tgtValue")}</th><th style={regTh}>{t("tgtFrom")}</th><th style={regTh}>{t("tgtBy")}</th><th style={regTh}/></tr></thead>
+          <tbody>{targets.map(tg=>(<tr key={tg.id}>
+            <td style={regTd}><select value={tg.station||""} onChange={e=>update(tg.id,{station:e.target.value||null})} style={{...regInput,width:110,color:tg.station?colorOf(tg.station):"#e2e8f0"}}>
+              <option value="">{t("tgtNetwork")}</option>{stationCodes.map(d=><option key={d} value={d}>{d}</option>)}
+            </select></td>
+            <td style={regTd}><select value={tg.kpi} onChange={e=>update(tg.id,{kpi:e.target.value})} style={{...regInput,width:120}}>{KPI_KEYS.map(k=><option key={k} value={k}>{kpiName(k,t)}</option>)}</select></td>
+            <td style={{...regTd,textAlign:"right"}}><ThresholdInput value={tg.value} onCommit={v=>v!=null&&update(tg.id,{value:v})} color="#86efac"/></td>
+            <td style={regTd}><TargetWeekInput value={tg.from} onCommit={v=>update(tg.id,{from:v})}/></td>
+            <td style={regTd}><TargetWeekInput value={tg.by} onCommit={v=>update(tg.id,{by:v})}/></td>
+            <td style={{...regTd,textAlign:"right"}}><button onClick={()=>setTargets(prev=>prev.filter(x=>x.id!==tg.id))} title={t("regRemove")} style={{...impBtn(false),padding:"2px 8px"}}>×</button></td>
+          </tr>))}</tbody>
+        </table>
+      </div>)}
+      <button onClick={add} style={impBtn(true)}>{t("tgtAdd")}</button>
+    </div>
+  </>);
+}
+
+// Free-text cell committed on blur; parse returns undefined to reject the draft
+function StationInput({value,parse,onCommit,width,placeholder,align="left"}) {
+  const [draft, setDraft] = useState(value ?? "");
+  useEffect(() => setDraft(value ?? ""), [value]);
+  const commit = () => {
+    const v = parse(String(draft).trim());
+    if (v === undefined) setDraft(value ?? ""); else onCommit(v);
+  };
+  return <input value={draft} placeholder={placeholder} onChange={e=>setDraft(e.target.value)} onBlur={commit} onKeyDown={e=>e.key==="Enter"&&e.target.blur()} style={{...regInput,width,textAlign:align}}/>;
+}
+
+// Colours offered to new stations before falling back to the registry default
+const NEW_STATION_COLORS = ["#f472b6","#facc15","#22d3ee","#f87171","#4ade80","#c084fc"];
+const coordParser = max => raw => {
+  if (raw === "") return null;
+  const n = Number(raw.replace(",", "."));
+  return Number.isFinite(n) && Math.abs(n) <= max ? n : undefined;
+};
+
+function StationsPanel({stations,setStations,t}) {
+  const [importResult, setImportResult] = useState(null);
+  const [newCode, setNewCode] = useState("");
+  const update = (code, patch) => setStations(prev => prev.map(s => {
+    if (s.code !== code) return s;
+    const next = { ...s, ...patch };
+    // Keep the active period the right way round
+    return next.from && next.to && keySortKey(next.from) > keySortKey(next.to) ? s : next;
+  }));
+  const code = newCode.trim().toUpperCase();
+  const canAdd = isStationCode(code) && !stations.some(s => s.code === code);
+  const add = () => {
+    if (!canAdd) return;
+    const color = NEW_STATION_COLORS.find(c => !stations.some(s => s.color === c)) || FALLBACK_STATION_COLOR;
+    setStations(prev => [...prev, { code, city:"", region:"", lat:null, lng:null, color, tier:2, from:null, to:null }]);
+    setNewCode("");
+  };
+
+  const onFile = async file => {
+    try {
+      const { stations: next, errors } = parseStations(JSON.parse(await file.text()));
+      if (next) setStations(next);
+      setImportResult({ errors, file: file.name });
+    } catch (err) {
+      setImportResult({ errors: [{ row:null, code:"impReadFailed", params:{ msg:err.message } }], file: file.name });
+    }
+  };
+
+  return (<>
+    <div style={impBox}>
+      <div style={{display:"flex",alignItems:"center",gap:8,flexWrap:"wrap"}}>
+        <h3 style={{...impH3,margin:0}}>{t("stnTitle")}</h3>
+        <div style={{marginLeft:"auto",display:"flex",gap:8,flexWrap:"wrap"}}>
+          <button onClick={()=>downloadJson("stations.json",stations)} style={impBtn(false)}>↓ {t("thrExport")}</button>
+          <ImportFileButton label={`↑ ${t("thrImport")}`} accept=".json,application/json" onFile={onFile}/>
+          <button onClick={()=>{setStations(DEFAULT_STATIONS);setImportResult(null);}} style={impBtn(false)}>{t("thrResetAll")}</button>
+        </div>
+      </div>
+      <div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace",marginTop:8}}>{t("stnHint")}</div>
+      {importResult&&!importResult.errors.length&&<div style={{fontSize:10,color:"#86efac",fontFamily:"'DM Mono',monospace",marginTop:8}}>✓ {fill(t("stnImported"),{file:importResult.file})}</div>}
+    </div>
+    {importResult?.errors.length>0&&<ImportMessages errors={importResult.errors} warnings={[]} t={t}/>}
+
+    <div style={impBox}>
+      <div style={{overflowX:"auto"}}>
+        <table style={{borderCollapse:"collapse",width:"100%",marginBottom:12}}>
+          <thead><tr>
+            <th style={regTh}>{t("station")}</th><th style={regTh}>{t("stnCity")}</th><th style={regTh}>{t("stnRegion")}</th>
+            <th style={{...regTh,textAlign:"right"}}>{t("stnLat")}</th><th style={{...regTh,textAlign:"right"}}>{t("stnLng")}</th>
+            <th style={regTh}>{t("stnColor")}</th><th style={regTh}>{t("stnTier")}</th><th style={regTh}>{t("tgtFrom")}</th><th style={regTh}>{t("stnTo")}</th><th style={regTh}/>
+          </tr></thead>
+          <tbody>{stations.map(s=>(<tr key={s.code}>
+            <td style={{...regTd,color:s.color,fontWeight:700}}>{s.code}</td>
+            <td style={regTd}><StationInput value={s.city} parse={v=>v} onCommit={v=>update(s.code,{city:v})} width={110}/></td>
+            <td style={regTd}><StationInput value={s.region} parse={v=>v} onCommit={v=>update(s.code,{region:v})} width={120}/></td>
+            <td style={{...regTd,textAlign:"right"}}><StationInput value={s.lat} parse={coordParser(90)} onCommit={v=>update(s.code,{lat:v})} width={70} placeholder="—" align="right"/></td>
+            <td style={{...regTd,textAlign:"right"}}><StationInput value={s.lng} parse={coordParser(180)} onCommit={v=>update(s.code,{lng:v})} width={70} placeholder="—" align="right"/></td>
+            <td style={regTd}><input type="color" value={s.color} onChange={e=>update(s.code,{color:e.target.value})} style={{width:36,height:22,padding:0,border:"1px solid #1e293b",borderRadius:4,background:"transparent",cursor:"pointer"}}/></td>
+            <td style={regTd}><select value={s.tier} onChange={e=>update(s.code,{tier:Number(e.target.value)})} style={{...regInput,width:60}}>{[1,2].map(n=><option key={n} value={n}>{n}</option>)}</select></td>
+            <td style={regTd}><TargetWeekInput value={s.from} onCommit={v=>update(s.code,{from:v})}/></td>
+            <td style={regTd}><TargetWeekInput value={s.to} onCommit={v=>update(s.code,{to:v})}/></td>
+            <td style={{...regTd,textAlign:"right"}}><button onClick={()=>setStations(prev=>prev.filter(x=>x.code!==s.code))} disabled={stations.length===1} title={t("regRemove")} style={{...impBtn(false),padding:"2px 8px",opacity:stations.length===1?0.4:1}}>×</button></td>
+          </tr>))}</tbody>
+        </table>
+      </div>
+      <div style={{display:"flex",alignItems:"center",gap:8,flexWrap:"wrap"}}>
+        <input value={newCode} placeholder="LSRL" onChange={e=>setNewCode(e.target.value)} onKeyDown={e=>e.key==="Enter"&&add()} style={{...regInput,width:90}}/>
+        <button onClick={add} disabled={!canAdd} style={{...impBtn(true),opacity:canAdd?1:0.5}}>{t("stnAdd")}</button>
+        {code&&!canAdd&&<span style={{fontSize:10,color:"#fca5a5",fontFamily:"'DM Mono',monospace"}}>{isStationCode(code)?fill(t("stnErrDuplicate"),{station:code}):fill(t("stnErrCode"),{value:code})}</span>}
+      </div>
+    </div>
+  </>);
+}
+
+// Delta in pp with its direction: up is worse for every KPI
+const DeltaCell = ({delta}) => (<span style={{color:delta>0?"#fca5a5":delta<0?"#86efac":"#64748b",fontWeight:700,whiteSpace:"nowrap"}}>
+  {delta>0?"▲":delta<0?"▼":"="} {delta>0?"+":""}{delta.toFixed(2)}
+</span>);
+const MOVER_SORTS = {station:r=>r.station,kpi:r=>r.kpi,baseline:r=>r.baseline,current:r=>r.current,delta:r=>r.delta,abs:r=>Math.abs(r.delta)};
+
+function ComparisonPanel({rows,stations,mode,setMode,week,setWeek,weeks,base,onExport,t}) {
+  const { colorOf } = useStations();
+  const [sort, setSort] = useState({key:"abs",dir:-1});
+  const wk = p => `${p.week}'${String(p.year).slice(2)}`;
+  const kpis = KPI_KEYS.filter(k => rows.some(r => r.kpi===k));
+  const cell = (stn, kpi) => rows.find(r => r.station===stn && r.kpi===kpi);
+  const movers = [...rows].sort((a,b) => {
+    const va = MOVER_SORTS[sort.key](a), vb = MOVER_SORTS[sort.key](b);
+    return (va < vb ? -1 : va > vb ? 1 : 0) * sort.dir;
+  });
+  const th = (key, label, align="right") => (<th onClick={()=>setSort(s=>({key,dir:s.key===key?-s.dir:-1}))} style={{...regTh,textAlign:align,cursor:"pointer",color:sort.key===key?"#e2e8f0":"#475569"}}>{label}{sort.key===key?(sort.dir<0?" ↓":" ↑"):""}</th>);
+
+  return (<div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"20px",marginBottom:24}}>
+    <div style={{display:"flex",alignItems:"center",gap:8,flexWrap:"wrap",marginBottom:14}}>
+      <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:0,fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{t("cmpTitle")}</h3>
+      {COMPARE_MODES.map(m=>(<button key={m} onClick={()=>setMode(m)} style={{background:mode===m?"#1e293b":"transparent",border:mode===m?"1px solid #475569":"1px solid #1e293b",color:mode===m?"#e2e8f0":"#475569",borderRadius:4,padding:"3px 8px",cursor:"pointer",fontSize:10,fontWeight:600,fontFamily:"'DM Mono',monospace"}}>{t(m==="wow"?"cmpWow":"cmpYoy")}</button>))}
+      <select value={weekKey(week.year,week.week)} onChange={e=>setWeek(e.target.value)} style={{...regInput,width:"auto"}}>{weeks.map(w=><option key={w} value={w}>{wk(splitWeekKey(w))}</option>)}</select>
+      {base&&<span style={{fontSize:10,color:"#94a3b8",fontFamily:"'DM Mono',monospace"}}>{fill(t("cmpVs"),{cur:wk(week),base:wk(base)})}</span>}
+      <span style={{marginLeft:"auto"}}><ExportButtons onExport={onExport} t={t}/></span>
+    </div>
+    {!rows.length?(
+      <div style={{padding:"18px",textAlign:"center",fontSize:11,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{base?fill(t("cmpNone"),{cur:wk(week),base:wk(base)}):fill(t("cmpNoBase"),{cur:wk(week)})}</div>
+    ):(<>
+      <div style={{overflowX:"auto",marginBottom:18}}>
+        <table style={{borderCollapse:"collapse",width:"100%"}}>
+          <thead><tr><th style={regTh}>{t("depot")}</th>{kpis.map(k=><th key={k} style={{...regTh,textAlign:"right"}}>{kpiName(k,t)}</th>)}</tr></thead>
+          <tbody>{stations.filter(stn=>rows.some(r=>r.station===stn)).map(stn=>(<tr key={stn}>
+            <td style={{...regTd,color:colorOf(stn),fontWeight:700}}>{stn}</td>
+            {kpis.map(k=>{const c=cell(stn,k);return(<td key={k} style={{...regTd,textAlign:"right"}}>{c?<><span style={{color:"#e2e8f0"}}>{c.current}%</span> <DeltaCell delta={c.delta}/></>:"—"}</td>);})}
+          </tr>))}</tbody>
+        </table>
+      </div>
+      <h3 style={{...impH3,marginBottom:8}}>{t("cmpMovers")}</h3>
+      <div style={{overflowX:"auto",maxHeight:360,overflowY:"auto"}}>
+        <table style={{borderCollapse:"collapse",width:"100%"}}>
+          <thead><tr>{th("station",t("depot"),"left")}{th("kpi","KPI","left")}{th("baseline",`${t("cmpBefore")} · ${wk(base)}`)}{th("current",`${t("cmpNow")} · ${wk(week)}`)}{th("delta",t("cmpDelta"))}{th("abs","|Δ|")}</tr></thead>
+          <tbody>{movers.map(r=>(<tr key={`${r.station}-${r.kpi}`}>
+            <td style={{...regTd,color:colorOf(r.station),fontWeight:700}}>{r.station}</td>
+            <td style={regTd}>{kpiName(r.kpi,t)}</td>
+            <td style={{...regTd,textAlign:"right"}}>{r.baseline}%</td>
+            <td style={{...regTd,textAlign:"right",color:"#e2e8f0"}}>{r.current}%</td>
+            <td style={{...regTd,textAlign:"right"}}><DeltaCell delta={r.delta}/></td>
+            <td style={{...regTd,textAlign:"right"}}>{Math.abs(r.delta).toFixed(2)}</td>
+          </tr>))}</tbody>
+        </table>
+      </div>
+    </>)}
+  </div>);
+}
+
+// Defect Flow: each root cause's share of its defect type in week a vs week b
+function FlowShiftPanel({rows,a,b,onExport,t}) {
+  const maxAbs = Math.max(...rows.map(r => Math.abs(r.delta)), 1);
+  const wk = k => flowWeeksLabel([k]);
+  return (<div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"20px"}}>
+    <div style={{display:"flex",alignItems:"center",gap:8,flexWrap:"wrap",marginBottom:6}}>
+      <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:0,fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{fill(t("flowShiftTitle"),{a:wk(a),b:wk(b)})}</h3>
+      <span style={{marginLeft:"auto"}}><ExportButtons onExport={onExport} t={t}/></span>
+    </div>
+    <div style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",marginBottom:12}}>{t("flowShiftHint")}</div>
+    {a===b||!rows.length?(
+      <div style={{padding:"18px",textAlign:"center",fontSize:11,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{t("flowShiftNone")}</div>
+    ):(
+      <div style={{overflowX:"auto",maxHeight:420,overflowY:"auto"}}>
+        <table style={{borderCollapse:"collapse",width:"100%"}}>
+          <thead><tr>
+            <th style={regTh}>{t("flowDefectType")}</th><th style={regTh}>{t("flowAttribution")}</th>
+            <th style={{...regTh,textAlign:"right"}}>{wk(a)}</th><th style={{...regTh,textAlign:"right"}}>{wk(b)}</th>
+            <th style={{...regTh,textAlign:"right"}}>{t("cmpDelta")}</th><th style={{...regTh,width:140}}/>
+          </tr></thead>
+          <tbody>{rows.map((r,i)=>{const first=i===0||rows[i-1].defect!==r.defect;const up=r.delta>0;return(<tr key={`${r.defect}-${r.key}`} style={{borderTop:first&&i>0?"1px solid #334155":undefined}}>
+            <td style={{...regTd,color:"#5eead4",fontWeight:700}}>{first?r.defect:""}</td>
+            <td style={{...regTd,maxWidth:240,overflow:"hidden",textOverflow:"ellipsis"}} title={r.label}>{r.label}</td>
+            <td style={{...regTd,textAlign:"right"}}>{r.shareA}% <span style={{color:"#475569"}}>({r.countA})</span></td>
+            <td style={{...regTd,textAlign:"right",color:"#e2e8f0"}}>{r.shareB}% <span style={{color:"#475569"}}>({r.countB})</span></td>
+            <td style={{...regTd,textAlign:"right",fontWeight:700,color:r.delta===0?"#475569":up?"#fcd34d":"#94a3b8"}}>{up?"+":""}{r.delta} pp</td>
+            <td style={regTd}><div style={{display:"flex",height:6}}>
+              <div style={{flex:1,display:"flex",justifyContent:"flex-end"}}>{!up&&<div style={{width:`${Math.abs(r.delta)/maxAbs*100}%`,background:"#64748b",borderRadius:"3px 0 0 3px"}}/>}</div>
+              <div style={{width:1,background:"#334155"}}/>
+              <div style={{flex:1}}>{up&&<div style={{width:`${r.delta/maxAbs*100}%`,height:"100%",background:"#f59e0b",borderRadius:"0 3px 3px 0"}}/>}</div>
+            </div></td>
+          </tr>);})}</tbody>
+        </table>
+      </div>
+    )}
+  </div>);
+}
+
+// Defect Flow node colours, as in the tab's legend
+const FLOW_DEFECT_COLORS = {late_gt15:"#0d9488",ftfdf:"#0d9488",ftpdf:"#6366f1",pdnr:"#f59e0b",fdnr:"#64748b",ftdc:"#64748b"};
+
+// Defect Flow as a Sankey: hover a node to trace every path through it,
+// click one to keep only the volume passing through it
+function FlowSankey({flow,focus,onFocus,onDriver,t,isMobile}) {
+  const { colorOf } = useStations();
+  const [hover, setHover] = useState(null);
+  const graph = useMemo(() => flowGraph(flow, focus), [flow, focus.defect, focus.attr, focus.site]);
+  const W = 1000, NODE = 10;
+  const tallest = Math.max(...SANKEY_COLUMNS.map((_, c) => graph.nodes.filter(n => n.col===c).length), 1);
+  const H = Math.max(320, tallest * 26);
+  const {nodes, links} = useMemo(() => sankeyLayout(graph, {width:W, height:H, nodeWidth:NODE}), [graph, H]);
+  const lit = useMemo(() => !hover ? null : hover.link!=null ? new Set([hover.link]) : pathThrough(links, hover.node), [hover, links]);
+  const byId = Object.fromEntries(nodes.map(n => [n.id, n]));
+  const nodeColor = n => n.col===0 ? FLOW_DEFECT_COLORS[n.key]||"#0d9488" : n.col===1 ? "#5eead4" : n.col===2 ? colorOf(n.key,"#0d9488") : "#94a3b8";
+  const focusKey = ["defect","attr","site"];
+  const isFocused = n => n.col<3 && focus[focusKey[n.col]]===n.key;
+  const click = n => {
+    if (n.col===3) { if (!n.key.startsWith("(")) onDriver(n.key); return; }
+    onFocus(focusKey[n.col], isFocused(n) ? null : n.key);
+  };
+  const info = !hover ? null : hover.link!=null
+    ? `${byId[links[hover.link].source].label} → ${byId[links[hover.link].target].label}: ${links[hover.link].value}`
+    : `${byId[hover.node].label}: ${byId[hover.node].value}`;
+
+  if (!links.length) return (<div style={{padding:"40px",textAlign:"center",background:"#0a0f1a",border:"1px solid #1e293b",borderRadius:12,fontSize:11,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{t("flowSankeyEmpty")}</div>);
+  return (<div style={{background:"#0a0f1a",border:"1px solid #1e293b",borderRadius:12,padding:isMobile?"12px":"20px",overflowX:"auto"}}>
+    <div style={{display:"grid",gridTemplateColumns:"repeat(4,1fr)",minWidth:640,marginBottom:10}}>
+      {[t("flowDefectType"),t("flowAttribution"),t("flowSite"),fill(t("flowTopDrivers"),{n:SANKEY_MAX_DRIVERS})].map((l,i)=>(<div key={i} style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",textAlign:i===3?"right":"left"}}>{l}</div>))}
+    </div>
+    <svg viewBox={`-4 -4 ${W+8} ${H+8}`} style={{width:"100%",minWidth:640,height:"auto",display:"block"}} onMouseLeave={()=>setHover(null)}>
+      {links.map((l,i)=>(<path key={i} d={l.path} fill="none" stroke={nodeColor(byId[l.source])} strokeWidth={l.w} strokeOpacity={!lit?0.3:lit.has(i)?0.65:0.06}
+        onMouseEnter={()=>setHover({link:i})} style={{transition:"stroke-opacity 0.15s"}}/>))}
+      {nodes.map(n=>{const c=nodeColor(n);const dim=lit&&![...lit].some(i=>links[i].source===n.id||links[i].target===n.id)&&hover.node!==n.id;const last=n.col===3;return(
+        <g key={n.id} onMouseEnter={()=>setHover({node:n.id})} onClick={()=>click(n)} style={{cursor:last&&n.key.startsWith("(")?"default":"pointer",opacity:dim?0.35:1}}>
+          <rect x={n.x} y={n.y} width={NODE} height={n.h} rx={2} fill={c} stroke={isFocused(n)?"#f8fafc":"none"} strokeWidth={1.5}/>
+          <text x={last?n.x-6:n.x+NODE+6} y={n.y+n.h/2} dy="0.35em" textAnchor={last?"end":"start"} fontSize={11} fontFamily="'DM Mono',monospace" fill={isFocused(n)?"#f8fafc":"#cbd5e1"} style={{pointerEvents:"none"}}>
+            {n.label.length>28?`${n.label.slice(0,27)}…`:n.label} <tspan fill="#64748b">{n.value}</tspan>
+          </text>
+        </g>
+      );})}
+    </svg>
+    <div style={{minHeight:14,marginTop:8,fontSize:10,color:"#e2e8f0",fontFamily:"'DM Mono',monospace"}}>{info}</div>
+  </div>);
+}
+
+const snapshotDate = iso => new Date(iso).toLocaleString([], {dateStyle:"medium",timeStyle:"short"});
+
+function SnapshotDiff({diff,t}) {
+  const { colorOf } = useStations();
+  const LIMIT = 200;
+  const count = change => diff.weeks.filter(w => w.change===change).length;
+  const empty = !diff.weeks.length && !diff.counts.length && !diff.flowChanged && !diff.geoChanged
+    && diff.drivers.ncc.from===diff.drivers.ncc.to && diff.drivers.late.from===diff.drivers.late.to;
+  if (empty) return <div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{t("snpNoDiff")}</div>;
+  const changeColor = {added:"#86efac",removed:"#fca5a5",changed:"#fcd34d"};
+  return (<>
+    <div style={{display:"flex",gap:14,flexWrap:"wrap",fontSize:10,fontFamily:"'DM Mono',monospace",marginBottom:12}}>
+      <span style={{color:"#94a3b8"}}>{t("snpWeekChanges")}:</span>
+      {["added","removed","changed"].map(c=>(<span key={c} style={{color:changeColor[c]}}>{count(c)} {t(`snp${c[0].toUpperCase()}${c.slice(1)}`)}</span>))}
+      <span style={{color:"#94a3b8"}}>· {t("snpDrivers")}: {diff.drivers.ncc.from} → {diff.drivers.ncc.to} / {diff.drivers.late.from} → {diff.drivers.late.to}</span>
+      {diff.flowChanged&&<span style={{color:"#fcd34d"}}>· {t("snpFlowChanged")}</span>}
+      {diff.geoChanged&&<span style={{color:"#fcd34d"}}>· {t("snpGeoChanged")}</span>}
+    </div>
+    {diff.weeks.length>0&&<div style={{overflowX:"auto",maxHeight:320,overflowY:"auto",marginBottom:12}}>
+      <table style={{borderCollapse:"collapse",width:"100%"}}>
+        <thead><tr><th style={regTh}>{t("station")}</th><th style={regTh}>{t("week")}</th><th style={regTh}/><th style={regTh}>KPI</th></tr></thead>
+        <tbody>{diff.weeks.slice(0,LIMIT).map(w=>(<tr key={`${w.station}-${w.wk}`}>
+          <td style={{...regTd,color:colorOf(w.station,"#e2e8f0"),fontWeight:700}}>{w.station}</td>
+          <td style={regTd}>{w.wk}</td>
+          <td style={{...regTd,color:changeColor[w.change]}}>{t(`snp${w.change[0].toUpperCase()}${w.change.slice(1)}`)}</td>
+          <td style={{...regTd,whiteSpace:"normal"}}>{w.fields.map(f=>`${f.field} ${f.from??"—"} → ${f.to??"—"}`).join(" · ")}</td>
+        </tr>))}</tbody>
+      </table>
+      {diff.weeks.length>LIMIT&&<div style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",padding:"6px 8px"}}>{fill(t("snpMore"),{n:diff.weeks.length-LIMIT})}</div>}
+    </div>}
+    {diff.counts.length>0&&<>
+      <h3 style={{...impH3,marginBottom:8}}>{t("snpCountChanges")}</h3>
+      <div style={{overflowX:"auto",maxHeight:240,overflowY:"auto"}}>
+        <table style={{borderCollapse:"collapse",width:"100%"}}><tbody>{diff.counts.slice(0,LIMIT).map(c=>(<tr key={`${c.kind}-${c.station}-${c.wk}`}>
+          <td style={regTd}>{c.kind==="ncc"?"NCC":t("late")}</td>
+          <td style={{...regTd,color:colorOf(c.station,"#e2e8f0"),fontWeight:700}}>{c.station}</td>
+          <td style={regTd}>{c.wk}</td>
+          <td style={{...regTd,textAlign:"right"}}>{c.from} → <span style={{color:c.to>c.from?"#fca5a5":"#86efac"}}>{c.to}</span></td>
+        </tr>))}</tbody></table>
+        {diff.counts.length>LIMIT&&<div style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",padding:"6px 8px"}}>{fill(t("snpMore"),{n:diff.counts.length-LIMIT})}</div>}
+      </div>
+    </>}
+  </>);
+}
+
+function SnapshotsPanel({snapshots,active,error,onOpen,onDelete,t}) {
+  const [picked, setPicked] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const pair = picked.length===2 ? [...picked].sort((a,b)=>a-b) : null;
+  useEffect(() => {
+    if (!pair) { setDiff(null); return; }
+    let cancelled = false;
+    setDiff("loading");
+    Promise.all(pair.map(loadSnapshot)).then(([a,b]) => { if (!cancelled) setDiff(a&&b ? diffSnapshots(upgradeDataset(a),upgradeDataset(b)) : null); })
+      .catch(() => { if (!cancelled) setDiff(null); });
+    return () => { cancelled = true; };
+  }, [pair?.[0], pair?.[1]]);
+  const toggle = id => setPicked(prev => prev.includes(id) ? prev.filter(x=>x!==id) : [...prev, id].slice(-2));
+
+  return (<>
+    <div style={impBox}>
+      <h3 style={impH3}>{t("snpTitle")}</h3>
+      <div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace",marginBottom:error?8:0}}>{t("snpHint")}</div>
+      {error&&<div style={{fontSize:10,color:"#fca5a5",fontFamily:"'DM Mono',monospace"}}>{fill(t("snpError"),{msg:error})}</div>}
+    </div>
+    {snapshots.length>0&&<div style={impBox}>
+      <div style={{overflowX:"auto"}}>
+        <table style={{borderCollapse:"collapse",width:"100%"}}>
+          <thead><tr><th style={regTh}/><th style={regTh}>#</th><th style={regTh}>{t("snpSaved")}</th><th style={regTh}>{t("snpSource")}</th><th style={regTh}>{t("snpWeeks")}</th><th style={regTh}>{t("stations")}</th><th style={{...regTh,textAlign:"right"}}>{t("snpDrivers")}</th><th style={regTh}/></tr></thead>
+          <tbody>{snapshots.map(s=>{const inUse=s.id===active;return(<tr key={s.id} style={{background:inUse?"#14532d30":"transparent"}}>
+            <td style={regTd}><input type="checkbox" checked={picked.includes(s.id)} onChange={()=>toggle(s.id)}/></td>
+            <td style={{...regTd,color:"#e2e8f0",fontWeight:700}}>{s.id}</td>
+            <td style={regTd}>{snapshotDate(s.createdAt)}</td>
+            <td style={regTd}>{t(`snp_${s.source}`)}{s.label?` · ${s.label}`:""}</td>
+            <td style={regTd}>{s.summary.from} – {s.summary.to} ({s.summary.weeks})</td>
+            <td style={{...regTd,whiteSpace:"normal"}}>{s.summary.stations.join(", ")}</td>
+            <td style={{...regTd,textAlign:"right"}}>{s.summary.nccDrivers} / {s.summary.lateDrivers}</td>
+            <td style={{...regTd,textAlign:"right"}}>
+              {inUse?<span style={{fontSize:9,fontWeight:700,color:"#86efac"}}>● {t("snpInUse")}</span>:<>
+                <button onClick={()=>onOpen(s.id)} style={{...impBtn(false),padding:"2px 8px"}}>{t("snpOpen")}</button>{" "}
+                <button onClick={()=>{setPicked(prev=>prev.filter(x=>x!==s.id));onDelete(s.id);}} style={{...impBtn(false),padding:"2px 8px"}}>{t("snpDelete")}</button>
+              </>}
+            </td>
+          </tr>);})}</tbody>
+        </table>
+      </div>
+    </div>}
+    {snapshots.length>1&&<div style={impBox}>
+      <h3 style={impH3}>{pair?`#${pair[0]} → #${pair[1]}`:t("snpPickTwo")}</h3>
+      {diff==="loading"?<div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{t("snpLoading")}</div>:diff&&<SnapshotDiff diff={diff} t={t}/>}
+    </div>}
+  </>);
+}
+
+// Anomaly KPI → label key, and the tab whose chart carries its markers
+const ALERT_KPI_LABELS = {late:"latePlus15",fondCtrl:"fondCtrl",ftfdf:"ftfdf",pdnr:"pdnr",nccCount:"alrNccCount",lateCount:"alrLateCount"};
+const ALERT_KPI_TABS = {late:"depots",fondCtrl:"depots",ftfdf:"depots",pdnr:"depots",nccCount:"ncc",lateCount:"late"};
+const isCountKpi = kpi => COUNT_KPIS.includes(kpi);
+const alertValue = (a, v) => isCountKpi(a.kpi) ? String(Math.round(v)) : `${v}%`;
+const alertChange = a => isCountKpi(a.kpi) ? `+${Math.round(a.value-a.baseline)}` : `+${(a.value-a.baseline).toFixed(2)}pp`;
+
+function AlertsPanel({alerts,weekLabel,onOpen,onExport,t,isMobile}) {
+  const [severity, setSeverity] = useState(null);
+  const counts = {};
+  alerts.forEach(a => { counts[a.severity] = (counts[a.severity]||0) + 1; });
+  const shown = severity ? alerts.filter(a => a.severity===severity) : alerts;
+
+  return (<>
+    <div style={{display:"grid",gridTemplateColumns:isMobile?"repeat(2,1fr)":"repeat(4,1fr)",gap:12,marginBottom:20}}>
+      {[null,"CRITICAL","HIGH","MEDIUM"].map(s=>{const c=s?SEVERITY_COLORS[s]:{bg:"#0f172a",text:"#e2e8f0",border:"#334155"};const a=severity===s;return(
+        <button key={s||"all"} onClick={()=>setSeverity(s)} style={{background:c.bg,border:`1px solid ${a?c.border:c.border+"30"}`,borderRadius:10,padding:"16px",textAlign:"center",cursor:"pointer"}}>
+          <div style={{fontSize:8,color:c.text,fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginBottom:6}}>{s||t("alrAll")}</div>
+          <div style={{fontSize:isMobile?24:30,fontWeight:800,color:c.text,fontFamily:"'Outfit',sans-serif"}}>{s?counts[s]||0:alerts.length}</div>
+        </button>);})}
+    </div>
+    <div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"20px"}}>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:8,marginBottom:6}}>
+        <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:0,fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{t("alrTitle")}</h3>
+        <ExportButtons onExport={onExport} t={t}/>
+      </div>
+      <div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace",marginBottom:14}}>{fill(t("alrIntro"),{window:DEFAULT_ANOMALY_OPTIONS.window,threshold:DEFAULT_ANOMALY_OPTIONS.threshold})}</div>
+      {shown.length===0?(
+        <div style={{padding:"24px",textAlign:"center",fontSize:11,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{t("alrNone")}</div>
+      ):(
+      <div style={{overflowX:"auto"}}>
+        <table style={{borderCollapse:"collapse",width:"100%"}}>
+          <thead><tr>
+            <th style={regTh}>{t("severity")}</th><th style={regTh}>{t("station")}</th><th style={regTh}>{t("week")}</th><th style={regTh}>{t("alrKpi")}</th>
+            <th style={{...regTh,textAlign:"right"}}>{t("alrValue")}</th><th style={{...regTh,textAlign:"right"}}>{t("alrBaseline")}</th><th style={{...regTh,textAlign:"right"}}>{t("alrChange")}</th><th style={{...regTh,textAlign:"right"}}>{t("alrScore")}</th><th style={regTh}/>
+          </tr></thead>
+          <tbody>{shown.map(a=>{const c=SEVERITY_COLORS[a.severity];return(<tr key={a.id}>
+            <td style={regTd}><span style={{background:c.bg,color:c.text,border:`1px solid ${c.border}40`,borderRadius:4,padding:"2px 6px",fontSize:9,fontWeight:700}}>{a.severity}</span></td>
+            <td style={{...regTd,color:colorOf(a.station,"#e2e8f0"),fontWeight:700}}>{a.station}</td>
+            <td style={regTd}>{weekLabel(a.wk)}</td>
+            <td style={regTd}>{t(ALERT_KPI_LABELS[a.kpi])}</td>
+            <td style={{...regTd,textAlign:"right",color:c.text,fontWeight:700}}>{alertValue(a,a.value)}</td>
+            <td style={{...regTd,textAlign:"right"}}>{alertValue(a,a.baseline)}</td>
+            <td style={{...regTd,textAlign:"right",color:"#fca5a5"}}>{alertChange(a)}</td>
+            <td style={{...regTd,textAlign:"right"}}>{a.score}</td>
+            <td style={{...regTd,textAlign:"right"}}>{ALERT_KPI_TABS[a.kpi]&&<button onClick={()=>onOpen(ALERT_KPI_TABS[a.kpi],a)} style={{background:"transparent",border:"1px solid #1e293b",color:"#64748b",borderRadius:4,padding:"2px 7px",cursor:"pointer",fontSize:9,fontFamily:"'DM Mono',monospace"}}>{t("alrOpen")} →</button>}</td>
+          </tr>);})}</tbody>
+        </table>
+      </div>)}
+    </div>
+  </>);
+}
+
 // ─── MAIN DASHBOARD ─────────────────────────────────────────────────
+// The dataset shipped with the app; seeds the first snapshot
+const BUNDLED_DATASET = {
+  network: NETWORK, depots: ALL_DEPOT_DATA,
+  ncc: { weeks: NCC_WEEKS, drivers: NCC_DRIVERS, stationWeekly: NCC_STATION_WEEKLY },
+  late: { weeks: LATE_WEEKS, drivers: LATE_DRIVERS.map(withExactGt15), stationWeekly: LATE_STN_WEEKLY, gt15Station: LATE_GT15_STN },
+  flow: FLOW_WEEKS, geo: GEO_DATA, zones: EMPTY_ZONES, volume: EMPTY_VOLUME,
+};
+const BUNDLE_VERSION = datasetVersion(BUNDLED_DATASET);
+// Snapshots saved by older builds predate the per-week flow, delivery zones and driver volume
+const upgradeDataset = data => ({ ...data, flow: flowByWeek(data.flow), zones: data.zones || EMPTY_ZONES, volume: data.volume || EMPTY_VOLUME });
+// Geo slider speed while playing
+const GEO_STEP_MS = 900;
+// Driver table order: raw count, or defect rate with drivers lacking volume last
+const rankDrivers = (rank, count, rate) => (a, b) =>
+  (rank === "rate" ? (rate(b) ?? -1) - (rate(a) ?? -1) : 0) || count(b) - count(a);
+const TABS = [{key:"overview",l:"tabOverview"},{key:"depots",l:"tabDepots"},{key:"upstream",l:"tabUpstream"},{key:"cycles",l:"tabCycles"},{key:"alerts",l:"tabAlerts"},{key:"ncc",l:"tabNcc"},{key:"late",l:"tabLate"},{key:"scorecard",l:"tabScorecard"},{key:"flow",l:"tabFlow"},{key:"geo",l:"tabGeo"},{key:"import",l:"tabImport"},{key:"snapshots",l:"tabSnapshots"},{key:"registry",l:"tabRegistry"},{key:"thresholds",l:"tabThresholds"},{key:"targets",l:"tabTargets"},{key:"stations",l:"tabStations"},{key:"coaching",l:"tabCoaching"}];
+// State mirrored in the URL, and the values that are left out of it
+// (the station lists follow the registry, so both take its codes)
+const urlDefaults = codes => ({ view:"overview", year:2026, depots:codes, from:null, to:null, flowDefect:null, flowAttr:null, flowSite:null, geoSite:null, nccMin:3, lateMin:5, scMin:5, lang:"en", driver:null, cycleStation:codes[0], cycleMin:DEFAULT_MIN_AMPLITUDE, rank:"count" });
+// Years are checked against the loaded dataset once it is in (see the year effect below)
+const urlOptions = codes => ({ views:TABS.map(tab=>tab.key), years:null, depots:codes, langs:LANGS.map(l=>l.code) });
+// The driver param holds a TID when known, otherwise the driver's name
+const driverRefFromParam = v => v ? (isTid(v) ? { tid:v } : { name:v }) : null;
+const urlStateFromLocation = codes => ({ ...urlDefaults(codes), ...readUrlState(window.location.search, urlOptions(codes)) });
+
 export default function Dashboard() {
   const isMobile = useIsMobile();
-  const [selectedView, setSelectedView] = useState("overview");
-  const [selectedYear, setSelectedYear] = useState(2026);
-  const [lang, setLang] = useState("en");
+  // Shared links and reloads reopen the view encoded in the URL
+  const [stations, setStations] = useState(loadStations);
+  useEffect(() => saveStations(stations), [stations]);
+  const stationIdx = useMemo(() => stationIndex(stations), [stations]);
+  const { colorOf, cityOf, codes: stationCodes } = stationIdx;
+  const [urlInit] = useState(() => urlStateFromLocation(stationCodes));
+  const [selectedView, setSelectedView] = useState(urlInit.view);
+  const [selectedYear, setSelectedYear] = useState(urlInit.year);
+  const [lang, setLang] = useState(urlInit.lang);
   const t = key => T[lang]?.[key] || T["en"][key] || key;
-  const [selectedDepots, setSelectedDepots] = useState([...ALL_DEPOTS]);
+  const [pickedDepots, setPickedDepots] = useState([...urlInit.depots]);
+  // Registry edits carry over to the station filter: an all-stations pick takes in new
+  // stations, and removed ones drop out
+  const pickedCodes = useRef(stationCodes);
+  useEffect(() => {
+    const before = pickedCodes.current;
+    pickedCodes.current = stationCodes;
+    setPickedDepots(prev => {
+      if (before.every(c => prev.includes(c))) return [...stationCodes];
+      const kept = prev.filter(c => stationCodes.includes(c));
+      return kept.length ? kept : [...stationCodes];
+    });
+  }, [stationCodes.join()]);
   const [highlightDepot, setHighlightDepot] = useState(null);
+  const [trendKpi, setTrendKpi] = useState("late");
+  const [fcMethod, setFcMethod] = useState(DEFAULT_FORECAST.method);
+  const [fcSeason, setFcSeason] = useState(DEFAULT_FORECAST.season);
+  const [compareMode, setCompareMode] = useState("wow");
+  const [compareWeek, setCompareWeek] = useState(null);
   const [nccStationFilter, setNccStationFilter] = useState("ALL");
-  const [nccMinDefects, setNccMinDefects] = useState(3);
+  const [nccMinDefects, setNccMinDefects] = useState(urlInit.nccMin);
   const [lateStationFilter, setLateStationFilter] = useState("ALL");
-  const [lateMinDefects, setLateMinDefects] = useState(5);
+  const [lateMinDefects, setLateMinDefects] = useState(urlInit.lateMin);
   const [lateViewMode, setLateViewMode] = useState("combined");
-  const [scorecardMinTotal, setScorecardMinTotal] = useState(5);
-  const [flowDefect, setFlowDefect] = useState(null);
-  const [flowAttr, setFlowAttr] = useState(null);
-  const [flowSite, setFlowSite] = useState(null);
+  const [scorecardMinTotal, setScorecardMinTotal] = useState(urlInit.scMin);
+  const [showScoring, setShowScoring] = useState(false);
+  const [flowDefect, setFlowDefect] = useState(urlInit.flowDefect);
+  const [flowAttr, setFlowAttr] = useState(urlInit.flowAttr);
+  const [flowSite, setFlowSite] = useState(urlInit.flowSite);
+  const [flowWeek, setFlowWeek] = useState(null);
+  const [flowCompare, setFlowCompare] = useState(false);
+  const [flowLayout, setFlowLayout] = useState("sankey");
+  const [flowCmp, setFlowCmp] = useState({a:null,b:null});
   const [geoDefectFilter, setGeoDefectFilter] = useState([...GEO_DATA.defectTypes]);
-  const [geoSiteFilter, setGeoSiteFilter] = useState(null);
+  const [geoSiteFilter, setGeoSiteFilter] = useState(urlInit.geoSite);
+  const [geoWeekSel, setGeoWeekSel] = useState(null);
+  const [geoZoneSel, setGeoZoneSel] = useState(null);
+  const [geoPlaying, setGeoPlaying] = useState(false);
+  const [driverRef, setDriverRef] = useState(driverRefFromParam(urlInit.driver));
+  const closeDriver = useCallback(() => setDriverRef(null), []);
   const [geoHoveredSite, setGeoHoveredSite] = useState(null);
+  const [cycleStation, setCycleStation] = useState(urlInit.cycleStation);
+  const [cycleMin, setCycleMin] = useState(urlInit.cycleMin);
+  const [driverRank, setDriverRank] = useState(urlInit.rank);
 
-  // Available weeks for selected year
-  const availableWeeks = useMemo(() => {
-    if (selectedYear === "ALL") {
-      const s = new Set();
-      ALL_YEARS.forEach(y => (WEEKS_BY_YEAR[y]||[]).forEach(w => s.add(w)));
-      return [...s].sort((a,b) => weekNum(a) - weekNum(b));
+  // Dataset — the snapshot in use; the bundled data until IndexedDB has been read
+  const [dataset, setDataset] = useState(BUNDLED_DATASET);
+  const [snapshots, setSnapshots] = useState([]);
+  const [activeSnapshot, setActiveSnapshot] = useState(null);
+  const [snapshotError, setSnapshotError] = useState(null);
+  const [datasetLoaded, setDatasetLoaded] = useState(false);
+  useEffect(() => setGeoDefectFilter([...dataset.geo.defectTypes]), [dataset.geo]);
+  // Set by an import or an opened snapshot; the start-up load then leaves the dataset alone
+  const datasetChosenRef = useRef(false);
+  useEffect(() => {
+    (async () => {
+      try {
+        let list = await listSnapshots();
+        // First run, or a build shipping different data: the bundled data becomes the newest snapshot
+        const fresh = !list.some(s => s.source === "bundled" && s.bundle === BUNDLE_VERSION);
+        if (fresh) list = [await saveSnapshot(BUNDLED_DATASET, { source:"bundled", bundle:BUNDLE_VERSION }), ...list];
+        const wanted = fresh ? list[0].id : getActiveSnapshotId();
+        const id = list.some(s => s.id === wanted) ? wanted : list[0].id;
+        const data = await loadSnapshot(id);
+        if (datasetChosenRef.current) { setSnapshots(await listSnapshots()); return; }
+        if (data) activateSnapshot(id, upgradeDataset(data));
+        setSnapshots(list);
+      } catch (err) {
+        setSnapshotError(err.message);
+      } finally {
+        setDatasetLoaded(true);
+      }
+    })();
+  }, []);
+  const activateSnapshot = (id, data) => {
+    setDataset(data);
+    setActiveSnapshot(id);
+    setActiveSnapshotId(id);
+  };
+  // Every import is kept as a new snapshot and becomes the one in use
+  const commitDataset = async (next, source) => {
+    datasetChosenRef.current = true;
+    setDataset(next);
+    try {
+      const meta = await saveSnapshot(next, { source });
+      activateSnapshot(meta.id, next);
+      setSnapshots(await listSnapshots());
+    } catch (err) {
+      setSnapshotError(err.message);
     }
-    return WEEKS_BY_YEAR[selectedYear] || [];
-  }, [selectedYear]);
+  };
+  const openSnapshot = async id => {
+    datasetChosenRef.current = true;
+    try {
+      const data = await loadSnapshot(id);
+      if (data) activateSnapshot(id, upgradeDataset(data));
+    } catch (err) {
+      setSnapshotError(err.message);
+    }
+  };
+  const removeSnapshot = async id => {
+    try {
+      await deleteSnapshot(id);
+      setSnapshots(await listSnapshots());
+    } catch (err) {
+      setSnapshotError(err.message);
+    }
+  };
+  // Set while an older snapshot than the latest import is on screen
+  const viewingOld = snapshots.length && activeSnapshot !== snapshots[0].id ? snapshots.find(s => s.id === activeSnapshot) : null;
+  // Driver identities — bundled maps plus resolutions made on the registry screen
+  const [registryOverrides, setRegistryOverrides] = useState(loadOverrides);
+  useEffect(() => saveOverrides(registryOverrides), [registryOverrides]);
+  const registry = useMemo(() => buildRegistry({ tidName: TID_NAME, nccTidMap: NCC_TID_MAP }, registryOverrides), [registryOverrides]);
+  const [thresholds, setThresholds] = useState(loadThresholds);
+  useEffect(() => saveThresholds(thresholds), [thresholds]);
+  const [scoring, setScoring] = useState(loadScoring);
+  useEffect(() => saveScoring(scoring), [scoring]);
+  const [targets, setTargets] = useState(loadTargets);
+  useEffect(() => saveTargets(targets), [targets]);
+  const [coaching, setCoaching] = useState(loadCoaching);
+  useEffect(() => saveCoaching(coaching), [coaching]);
+  const coachIdx = useMemo(() => coachingIndex(coaching), [coaching]);
+  // Tooltip for a driver's heat cell in a week with coaching entries
+  const coachMark = (tid, wk) => tid ? coachTip(coachIdx.get(tid)?.byWeek[wk], t) : undefined;
+  const years = useMemo(() => datasetYears(dataset), [dataset]);
+  const weeksByYear = useMemo(() => buildWeeksByYear(dataset, years), [dataset, years]);
+  // Year-qualified week keys ("2025-W47"), so a range can span the year boundary
+  const weeksForYear = yr => (yr === "ALL" ? years : [yr])
+    .flatMap(y => (weeksByYear[y] || []).map(w => weekKey(y, w)))
+    .sort(compareWeekKeys);
+
+  // A year from the URL that the loaded dataset lacks falls back to the default
+  useEffect(() => {
+    if (datasetLoaded && selectedYear !== "ALL" && !years.includes(selectedYear)) setSelectedYear(urlDefaults(stationCodes).year);
+  }, [datasetLoaded, years, selectedYear]);
+
+  // Available weeks for selected year
+  const availableWeeks = useMemo(() => weeksForYear(selectedYear), [selectedYear, weeksByYear]);
 
-  const [weekFrom, setWeekFrom] = useState("W1");
-  const [weekTo, setWeekTo] = useState("W51");
+  const [weekFrom, setWeekFrom] = useState(urlInit.from);
+  const [weekTo, setWeekTo] = useState(urlInit.to);
+
+  // Keep the URL in step with the state; back/forward restores it
+  const urlQuery = writeUrlState({
+    view:selectedView, year:selectedYear, depots:pickedDepots, from:weekFrom, to:weekTo,
+    flowDefect, flowAttr, flowSite, geoSite:geoSiteFilter,
+    nccMin:nccMinDefects, lateMin:lateMinDefects, scMin:scorecardMinTotal, lang,
+    driver: driverRef ? (driverRef.tid || driverRef.name) : null,
+    cycleStation, cycleMin, rank:driverRank,
+  }, urlDefaults(stationCodes));
+  const urlSynced = useRef(false);
+  useEffect(() => {
+    // The first sync only normalizes the URL it was opened with, without a history entry
+    const method = urlSynced.current ? "pushState" : "replaceState";
+    urlSynced.current = true;
+    if (urlQuery === window.location.search) return;
+    window.history[method](null, "", `${window.location.pathname}${urlQuery}${window.location.hash}`);
+  }, [urlQuery]);
+  useEffect(() => {
+    const onPop = () => {
+      const s = urlStateFromLocation(stationCodes);
+      setSelectedView(s.view); setSelectedYear(s.year); setLang(s.lang); setPickedDepots([...s.depots]);
+      setWeekFrom(s.from); setWeekTo(s.to);
+      setFlowDefect(s.flowDefect); setFlowAttr(s.flowAttr); setFlowSite(s.flowSite); setGeoSiteFilter(s.geoSite);
+      setNccMinDefects(s.nccMin); setLateMinDefects(s.lateMin); setScorecardMinTotal(s.scMin);
+      setDriverRef(driverRefFromParam(s.driver));
+      setCycleStation(s.cycleStation); setCycleMin(s.cycleMin); setDriverRank(s.rank);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [stationCodes.join()]);
 
   // Reset week range when year changes
-  const effectiveFrom = availableWeeks.includes(weekFrom) ? weekFrom : (availableWeeks[0] || "W1");
-  const effectiveTo = availableWeeks.includes(weekTo) ? weekTo : (availableWeeks[availableWeeks.length-1] || "W51");
+  const effectiveFrom = availableWeeks.includes(weekFrom) ? weekFrom : (availableWeeks[0] || weekKey(selectedYear === "ALL" ? years[0] : selectedYear, "W1"));
+  const effectiveTo = availableWeeks.includes(weekTo) ? weekTo : (availableWeeks[availableWeeks.length-1] || effectiveFrom);
+  const fromSk = keySortKey(effectiveFrom);
+  const toSk = keySortKey(effectiveTo);
+  // Picked stations outside their active weeks drop out of every tab for this range
+  const selectedDepots = useMemo(() => {
+    const active = stationIdx.activeIn(effectiveFrom, effectiveTo);
+    const on = pickedDepots.filter(d => active.includes(d));
+    return on.length ? on : pickedDepots;
+  }, [pickedDepots, stationIdx, effectiveFrom, effectiveTo]);
 
   const yearFilter = d => selectedYear === "ALL" || d.year === selectedYear;
-  const inRange = w => weekNum(w) >= weekNum(effectiveFrom) && weekNum(w) <= weekNum(effectiveTo);
-  const fullFilter = d => yearFilter(d) && inRange(d.week);
+  const inRange = sk => sk >= fromSk && sk <= toSk;
+  const fullFilter = d => yearFilter(d) && inRange(sortKey(d.year, d.week));
 
   // Filtered data
-  const filteredNetwork = useMemo(() => NETWORK.filter(d => d.late != null && fullFilter(d)), [selectedYear, effectiveFrom, effectiveTo]);
-  const filteredDepotData = useMemo(() => { const o={}; selectedDepots.forEach(d=>{o[d]=(ALL_DEPOT_DATA[d]||[]).filter(fullFilter);}); return o; }, [selectedDepots, selectedYear, effectiveFrom, effectiveTo]);
+  const filteredNetwork = useMemo(() => dataset.network.filter(d => d.late != null && fullFilter(d)), [dataset, selectedYear, effectiveFrom, effectiveTo]);
+  const filteredDepotData = useMemo(() => { const o={}; selectedDepots.forEach(d=>{o[d]=(dataset.depots[d]||[]).filter(fullFilter);}); return o; }, [dataset, selectedDepots, selectedYear, effectiveFrom, effectiveTo]);
 
   // Chart label: add year suffix when showing ALL
   const chartLabel = d => selectedYear === "ALL" ? `${d.week}'${String(d.year).slice(2)}` : d.week;
+  const fromLabel = chartLabel(splitWeekKey(effectiveFrom));
+  const toLabel = chartLabel(splitWeekKey(effectiveTo));
 
   // Network trend for charts
   const networkChartData = useMemo(() => filteredNetwork.map(d => ({...d, label: chartLabel(d)})).sort((a,b) => sortKey(a.year,a.week) - sortKey(b.year,b.week)), [filteredNetwork, selectedYear]);
 
-  // Combined depot lates for line chart
-  const combinedLates = useMemo(() => {
+  // Per-depot series of the trend KPI for the Depot Deep-Dive chart
+  const depotTrend = useMemo(() => {
     const allRows = [];
     const seen = new Set();
     selectedDepots.forEach(depot => {
-      (ALL_DEPOT_DATA[depot]||[]).filter(fullFilter).forEach(d => {
+      (dataset.depots[depot]||[]).filter(fullFilter).forEach(d => {
         const key = `${d.year}-${d.week}`;
         if (!seen.has(key)) { seen.add(key); allRows.push({year:d.year,week:d.week,sk:sortKey(d.year,d.week)}); }
       });
     });
-    NETWORK.filter(fullFilter).forEach(d => {
+    dataset.network.filter(fullFilter).forEach(d => {
       const key = `${d.year}-${d.week}`;
       if (!seen.has(key)) { seen.add(key); allRows.push({year:d.year,week:d.week,sk:sortKey(d.year,d.week)}); }
     });
@@ -1062,116 +3177,203 @@ export default function Dashboard() {
       const label = selectedYear === "ALL" ? `${week}'${String(year).slice(2)}` : week;
       const row = { label };
       selectedDepots.forEach(depot => {
-        const e = (ALL_DEPOT_DATA[depot]||[]).find(d => d.year===year && d.week===week);
-        row[depot] = e?.late ?? null;
+        const e = (dataset.depots[depot]||[]).find(d => d.year===year && d.week===week);
+        row[depot] = e?.[trendKpi] ?? null;
       });
       return row;
     });
-  }, [selectedDepots, selectedYear, effectiveFrom, effectiveTo]);
+  }, [dataset, selectedDepots, selectedYear, effectiveFrom, effectiveTo, trendKpi]);
+
+  // Forecasts continue from the end of the selected range, fitted on all history up to it
+  const fcOptions = useMemo(() => fcMethod ? { method:fcMethod, season:fcSeason } : null, [fcMethod, fcSeason]);
+  const historyTo = rows => rows.filter(r => sortKey(r.year,r.week) <= toSk).sort((a,b) => sortKey(a.year,a.week) - sortKey(b.year,b.week));
+  const fcLabel = p => selectedYear !== "ALL" && p.year !== selectedYear ? `${p.week}'${String(p.year).slice(2)}` : chartLabel(p);
+  const networkForecast = useMemo(() => fcOptions ? forecastKpi(historyTo(dataset.network), trendKpi, fcOptions) : null, [dataset, trendKpi, fcOptions, effectiveTo]);
+  const depotForecasts = useMemo(() => {
+    const o = {};
+    if (fcOptions) selectedDepots.forEach(d => { o[d] = forecastKpi(historyTo(dataset.depots[d]||[]), trendKpi, fcOptions); });
+    return o;
+  }, [dataset, selectedDepots, trendKpi, fcOptions, effectiveTo]);
+  const trendMeta = TREND_KPIS.find(k => k.key===trendKpi);
+  // The confidence band is drawn for one depot at a time: the highlighted one, or the only one selected
+  const bandDepot = highlightDepot || (selectedDepots.length===1 ? selectedDepots[0] : null);
+  const networkTrendData = useMemo(() => withForecast(networkChartData, { [trendKpi]:networkForecast }, fcLabel), [networkChartData, networkForecast, trendKpi, selectedYear]);
+  const depotTrendData = useMemo(() => withForecast(depotTrend, depotForecasts, fcLabel), [depotTrend, depotForecasts, selectedYear]);
+
+  // Cycles tab: trough→peak swings in one station's late +15 series over the filtered range
+  const cycleDepot = selectedDepots.includes(cycleStation) ? cycleStation : selectedDepots[0];
+  const cycleSeries = useMemo(() => (dataset.depots[cycleDepot]||[]).filter(fullFilter)
+    .sort((a,b) => sortKey(a.year,a.week) - sortKey(b.year,b.week)).map(r => ({...r, label:chartLabel(r)})),
+  [dataset, cycleDepot, selectedYear, effectiveFrom, effectiveTo]);
+  const cycles = useMemo(() => detectCycles(cycleSeries, cycleMin), [cycleSeries, cycleMin]);
+  // The baseline line is the mean trough of the cycles in range: where the station settles between spikes
+  const cycleStats = useMemo(() => {
+    const mean = vals => vals.length ? +(vals.reduce((a,b)=>a+b,0)/vals.length).toFixed(1) : null;
+    return { amplitude: mean(cycles.map(c=>c.amplitude)), rise: mean(cycles.map(c=>c.rise)), period: mean(cycles.filter(c=>c.period!=null).map(c=>c.period)), baseline: mean(cycles.map(c=>c.trough.val)) };
+  }, [cycles]);
+
+  // Alerts: spikes are scored over each station's full history, then narrowed to the filters
+  const anomalies = useMemo(() => findAnomalies({ depots:dataset.depots, ncc:dataset.ncc, late:dataset.late }), [dataset]);
+  const alerts = useMemo(() => anomalies.filter(a => selectedDepots.includes(a.station) && fullFilter(splitWeekKey(a.wk))), [anomalies, selectedDepots, selectedYear, effectiveFrom, effectiveTo]);
 
   const filteredUpstream = useMemo(() => UPSTREAM_DATA.filter(d => selectedDepots.includes(d.depot)), [selectedDepots]);
   const latestByDepot = useMemo(() => { const o={}; selectedDepots.forEach(d=>{const r=filteredDepotData[d]||[];o[d]=r.length>0?r[r.length-1]:null;}); return o; }, [filteredDepotData,selectedDepots]);
-  const latestWeekLabel = useMemo(() => { const all=Object.values(latestByDepot).filter(Boolean); if (!all.length) return effectiveTo; const best=all.reduce((a,b)=>sortKey(a.year,a.week)>sortKey(b.year,b.week)?a:b); return selectedYear==="ALL"?`${best.week}'${String(best.year).slice(2)}`:best.week; }, [latestByDepot,effectiveTo,selectedYear]);
+  const latestWeekLabel = useMemo(() => { const all=Object.values(latestByDepot).filter(Boolean); if (!all.length) return toLabel; const best=all.reduce((a,b)=>sortKey(a.year,a.week)>sortKey(b.year,b.week)?a:b); return selectedYear==="ALL"?`${best.week}'${String(best.year).slice(2)}`:best.week; }, [latestByDepot,effectiveTo,selectedYear]);
+
+  // Depot Deep-Dive comparison: a week in range (the latest with depot data unless picked) vs WoW/YoY
+  const compareWeeks = useMemo(() => availableWeeks.filter(wk => inRange(keySortKey(wk))).reverse(), [availableWeeks, effectiveFrom, effectiveTo]);
+  const compareCurrent = useMemo(() => {
+    if (compareWeek && compareWeeks.includes(compareWeek)) return splitWeekKey(compareWeek);
+    const latest = Object.values(latestByDepot).filter(Boolean).reduce((a,b) => !a || sortKey(b.year,b.week) > sortKey(a.year,a.week) ? b : a, null);
+    return latest ? { year:latest.year, week:latest.week } : splitWeekKey(effectiveTo);
+  }, [compareWeek, compareWeeks, latestByDepot, effectiveTo]);
+  const compareBase = baselineWeek(compareMode, compareCurrent);
+  const compareRows = useMemo(() => compareDepots(dataset.depots, selectedDepots, compareCurrent, compareMode), [dataset, selectedDepots, compareCurrent, compareMode]);
+
+  // Defect flow: the flow weeks inside the filter range (or one of them), and the
+  // attribution mix of two flow weeks side by side
+  const flowAll = useMemo(() => flowWeeks(dataset.flow), [dataset]);
+  const flowInRange = flowAll.filter(wk => yearFilter(splitWeekKey(wk)) && inRange(keySortKey(wk)));
+  const flowPick = flowWeek && flowInRange.includes(flowWeek) ? [flowWeek] : flowInRange;
+  const flowView = useMemo(() => aggregateFlow(dataset.flow, flowPick), [dataset, flowPick.join()]);
+  const flowCmpA = flowAll.includes(flowCmp.a) ? flowCmp.a : flowAll[flowAll.length-2];
+  const flowCmpB = flowAll.includes(flowCmp.b) ? flowCmp.b : flowAll[flowAll.length-1];
+  const flowShift = useMemo(() => flowCompare && flowCmpA && flowCmpB ? attributionShift(dataset.flow, flowCmpA, flowCmpB).filter(r => !flowDefect || r.defect===flowDefect) : [], [dataset, flowCompare, flowCmpA, flowCmpB, flowDefect]);
+
+  // Geo week slider: the weeks in the filter range with per-station data; no week
+  // selected shows the cumulative year
+  const geoSlider = useMemo(() => geoWeeks(dataset).filter(wk => yearFilter(splitWeekKey(wk)) && inRange(keySortKey(wk))), [dataset, selectedYear, effectiveFrom, effectiveTo]);
+  const geoByWeek = useMemo(() => Object.fromEntries(geoSlider.map(wk => [wk, geoWeek(dataset.geo, wk, dataset)])), [dataset, geoSlider]);
+  const geoWeekKey = geoByWeek[geoWeekSel] ? geoWeekSel : null;
+  // Zone shading sums the slider week, or every zone week in the filter range
+  const geoZoneWeeks = useMemo(() => zoneWeeks(dataset.zones).filter(wk => yearFilter(splitWeekKey(wk)) && inRange(keySortKey(wk))), [dataset, selectedYear, effectiveFrom, effectiveTo]);
+  const geoZoneAreas = useMemo(() => Object.fromEntries(dataset.zones.areas.map(a => [`${a.properties.station}|${a.properties.zone}`, a])), [dataset]);
+  // Playing steps one week at a time and stops on the last one or when the tab is left
+  useEffect(() => {
+    if (!geoPlaying) return;
+    const i = geoSlider.indexOf(geoWeekKey);
+    if (selectedView !== "geo" || i < 0 || i >= geoSlider.length - 1) { setGeoPlaying(false); return; }
+    const id = setTimeout(() => setGeoWeekSel(geoSlider[i + 1]), GEO_STEP_MS);
+    return () => clearTimeout(id);
+  }, [geoPlaying, geoWeekKey, geoSlider, selectedView]);
+  const playGeo = () => {
+    if (geoPlaying) { setGeoPlaying(false); return; }
+    if (!geoWeekKey || geoWeekKey === geoSlider[geoSlider.length - 1]) setGeoWeekSel(geoSlider[0]);
+    setGeoPlaying(true);
+  };
 
   // ── Global-aware week filtering for NCC/Late (both use same W47/25-W7/26 range) ──
-  const defectWeeksFiltered = useMemo(() => NCC_WEEKS.filter(wk => {
-    const [yr, w] = wk.split('-');
-    const wNum = parseInt(w.replace('W',''));
-    const year = parseInt(yr);
-    if (selectedYear !== "ALL" && year !== parseInt(selectedYear)) return false;
-    const fromNum = parseInt(effectiveFrom.replace('W',''));
-    const toNum = parseInt(effectiveTo.replace('W',''));
-    return wNum >= fromNum && wNum <= toNum;
-  }), [selectedYear, effectiveFrom, effectiveTo]);
+  const defectWeeks = useMemo(() => [...new Set([...dataset.ncc.weeks, ...dataset.late.weeks])].sort(compareWeekKeys), [dataset]);
+  const defectWeeksFiltered = useMemo(() => defectWeeks.filter(wk => yearFilter(splitWeekKey(wk)) && inRange(keySortKey(wk))), [defectWeeks, selectedYear, effectiveFrom, effectiveTo]);
+
+  // Delivered volume per driver, for defect rates next to the raw counts
+  const volumeIdx = useMemo(() => volumeIndex(dataset.volume, registry), [dataset.volume, registry]);
+  // The weeks behind the Geo matrix's year-to-date counts: every week of its year the dataset holds
+  const geoYearWeeks = useMemo(() => defectWeeks.filter(wk => String(splitWeekKey(wk).year) === String(dataset.geo.year)), [defectWeeks, dataset.geo.year]);
+  // Package volume puts severity scores per 1,000 packages, on the scorecard and the driver profile alike
+  const perPackage = volumeIdx.has && volumeIdx.unit === "packages";
 
   // NCC filtered drivers (uses global station + week filter)
-  const nccFiltered = useMemo(() => NCC_DRIVERS.map(d => {
+  const nccFiltered = useMemo(() => dataset.ncc.drivers.map(d => {
     const filtTotal = defectWeeksFiltered.reduce((s, wk) => s + (d.w[wk]||0), 0);
-    return {...d, _filtTotal: filtTotal};
+    const vol = volumeIdx.of(d, defectWeeksFiltered);
+    return {...d, _filtTotal: filtTotal, _vol: vol, _rate: defectRate(filtTotal, vol, volumeIdx.per)};
   }).filter(d => {
     if (!d.stations.some(s => selectedDepots.includes(s))) return false;
     return d._filtTotal >= nccMinDefects;
-  }).sort((a,b) => b._filtTotal - a._filtTotal), [selectedDepots, nccMinDefects, defectWeeksFiltered]);
+  }).sort(rankDrivers(driverRank, d => d._filtTotal, d => d._rate)), [dataset, selectedDepots, nccMinDefects, defectWeeksFiltered, volumeIdx, driverRank]);
 
   // NCC station trend chart data (filtered by global weeks + stations)
   const nccTrendData = useMemo(() => defectWeeksFiltered.map(wk => {
-    const label = wk.replace("2025-","'25 ").replace("2026-","'26 ");
-    const row = { label };
-    selectedDepots.forEach(stn => { row[stn] = NCC_STATION_WEEKLY[stn]?.[wk] || 0; });
-    row.total = selectedDepots.reduce((s, stn) => s + (NCC_STATION_WEEKLY[stn]?.[wk]||0), 0);
+    const label = weekLabel(wk);
+    const row = { wk, label };
+    selectedDepots.forEach(stn => { row[stn] = dataset.ncc.stationWeekly[stn]?.[wk] || 0; });
+    row.total = selectedDepots.reduce((s, stn) => s + (dataset.ncc.stationWeekly[stn]?.[wk]||0), 0);
     return row;
-  }), [defectWeeksFiltered, selectedDepots]);
+  }), [dataset, defectWeeksFiltered, selectedDepots]);
 
   // Late delivery filtered data (uses global station + week filter)
-  const lateFiltered = useMemo(() => LATE_DRIVERS.map(d => {
+  const lateFiltered = useMemo(() => dataset.late.drivers.map(d => {
     const filtTotal = defectWeeksFiltered.reduce((s, wk) => s + (d.w[wk]||0), 0);
-    const ratio = d.t > 0 ? d.g / d.t : 0;
-    const filtGt15 = Math.round(filtTotal * ratio);
-    return {...d, _filtTotal: filtTotal, _filtGt15: filtGt15};
+    const { gt15, estimated } = lateGt15(d, defectWeeksFiltered);
+    const vol = volumeIdx.of(d, defectWeeksFiltered);
+    return {...d, _filtTotal: filtTotal, _filtGt15: gt15, _gt15Est: estimated, _vol: vol, _rate: defectRate(filtTotal, vol, volumeIdx.per)};
   }).filter(d => {
     if (!d.s.some(s => selectedDepots.includes(s))) return false;
     return d._filtTotal >= lateMinDefects;
-  }).sort((a,b) => b._filtTotal - a._filtTotal), [selectedDepots, lateMinDefects, defectWeeksFiltered]);
+  }).sort(rankDrivers(driverRank, d => d._filtTotal, d => d._rate)), [dataset, selectedDepots, lateMinDefects, defectWeeksFiltered, volumeIdx, driverRank]);
 
   const lateTrendData = useMemo(() => defectWeeksFiltered.map(wk => {
-    const label = wk.replace("2025-","'25 ").replace("2026-","'26 ");
-    const row = { label };
+    const label = weekLabel(wk);
+    const row = { wk, label };
     selectedDepots.forEach(stn => {
-      row[stn+"_late"] = (LATE_STN_WEEKLY[stn]?.[wk]||0) - (LATE_GT15_STN[stn]?.[wk]||0);
-      row[stn+"_gt15"] = LATE_GT15_STN[stn]?.[wk] || 0;
-      row[stn] = LATE_STN_WEEKLY[stn]?.[wk] || 0;
+      row[stn+"_late"] = (dataset.late.stationWeekly[stn]?.[wk]||0) - (dataset.late.gt15Station[stn]?.[wk]||0);
+      row[stn+"_gt15"] = dataset.late.gt15Station[stn]?.[wk] || 0;
+      row[stn] = dataset.late.stationWeekly[stn]?.[wk] || 0;
     });
     row.total = selectedDepots.reduce((s,stn)=>s+(row[stn]||0),0);
-    row.gt15Total = selectedDepots.reduce((s,stn)=>s+(LATE_GT15_STN[stn]?.[wk]||0),0);
+    row.gt15Total = selectedDepots.reduce((s,stn)=>s+(dataset.late.gt15Station[stn]?.[wk]||0),0);
     return row;
-  }), [defectWeeksFiltered, selectedDepots]);
+  }), [dataset, defectWeeksFiltered, selectedDepots]);
 
   // ── SCORECARD: Merge NCC + Late by TID (week-filtered) ──
   const scorecardData = useMemo(() => {
     const map = {};
-    // Add NCC drivers with week-filtered totals
-    NCC_DRIVERS.forEach(d => {
-      const tid = NCC_TID_MAP[d.name] || d.name;
+    // NCC rows join on their TID; names the registry cannot place stay separate
+    dataset.ncc.drivers.forEach(d => {
+      const tid = d.tid || tidOf(registry, d.name);
+      const key = tid || `name:${nameKey(d.name)}`;
       const filtNcc = defectWeeksFiltered.reduce((s, wk) => s + (d.w[wk]||0), 0);
-      if (!map[tid]) map[tid] = {name:d.name,loc:d.loc,stations:new Set(d.stations),ncc:0,late:0,gt15:0,nccW:d.w,lateW:{}};
-      map[tid].ncc = filtNcc;
-      map[tid].nccW = d.w;
-      d.stations.forEach(s => map[tid].stations.add(s));
+      if (!map[key]) map[key] = {tid,name:displayName(registry,{tid,name:d.name}),ref:{tid,name:d.name},loc:d.loc,stations:new Set(),ncc:0,late:0,gt15:0,nccW:{},lateW:{}};
+      map[key].ncc += filtNcc;
+      // Several NCC rows (spellings) can resolve to one TID: their weeks add up
+      Object.entries(d.w).forEach(([wk, n]) => { map[key].nccW[wk] = (map[key].nccW[wk] || 0) + n; });
+      d.stations.forEach(s => map[key].stations.add(s));
     });
     // Add Late drivers with week-filtered totals
-    LATE_DRIVERS.forEach(d => {
-      const name = resolveName(d.tid);
+    dataset.late.drivers.forEach(d => {
       const tid = d.tid;
       const filtTotal = defectWeeksFiltered.reduce((s, wk) => s + (d.w[wk]||0), 0);
-      const ratio = d.t > 0 ? d.g / d.t : 0;
-      const filtGt15 = Math.round(filtTotal * ratio);
+      const { gt15: filtGt15, estimated } = lateGt15(d, defectWeeksFiltered);
       const filtLate = filtTotal - filtGt15;
-      if (!map[tid]) map[tid] = {name:name,loc:d.s.some(x=>x==="UIT4"||x==="UBA1")?"Roma":"Milano",stations:new Set(d.s),ncc:0,late:0,gt15:0,nccW:{},lateW:{}};
+      if (!map[tid]) map[tid] = {tid,name:displayName(registry,{tid}),ref:{tid},loc:cityOf(d.s[0])||"?",stations:new Set(d.s),ncc:0,late:0,gt15:0,nccW:{},lateW:{}};
       map[tid].late = filtLate;
       map[tid].gt15 = filtGt15;
+      map[tid].gt15Est = estimated && filtTotal > 0;
       map[tid].lateW = d.w;
+      map[tid].gt15W = d.gw;
       d.s.forEach(s => map[tid].stations.add(s));
-      if (!map[tid].name || map[tid].name.startsWith('A')) map[tid].name = name;
     });
-    // Merge matching NCC TIDs
-    NCC_DRIVERS.forEach(d => {
-      const nccTid = NCC_TID_MAP[d.name];
-      if (nccTid && map[nccTid]) {
-        const filtNcc = defectWeeksFiltered.reduce((s, wk) => s + (d.w[wk]||0), 0);
-        map[nccTid].ncc = Math.max(map[nccTid].ncc, filtNcc);
-        if (!map[nccTid].name || map[nccTid].name.startsWith('A')) map[nccTid].name = d.name;
-        map[nccTid].loc = d.loc;
-      }
+    // Geo matrix types are year to date and name-keyed; its late columns are already counted above
+    (dataset.geo?.drivers || []).forEach(g => {
+      if (g.isTotal) return;
+      const tid = tidOf(registry, g.name);
+      const row = map[tid || `name:${nameKey(g.name)}`];
+      if (row) YEAR_TO_DATE.forEach(k => { row[k] = (row[k] || 0) + (g[k] || 0); });
     });
-    return Object.entries(map).map(([tid,d])=>{
+    const inRange = w => Object.fromEntries(defectWeeksFiltered.filter(wk => w[wk] > 0).map(wk => [wk, w[wk]]));
+    // The late weeks hold every late; the "late" part is the ones under +15
+    const under15 = d => Object.fromEntries(Object.entries(d.lateW).map(([wk, n]) => [wk, n - (d.gt15W?.[wk] || 0)]));
+    // With package volume for every week scored, the score goes per 1,000 packages (the Geo
+    // types over the Geo year's weeks) whichever order the table is in, so severity never
+    // depends on the sort
+    const rows = Object.values(map).map(d=>{
       const combined = d.ncc+d.late+d.gt15;
+      const vol = volumeIdx.of(d.ref, defectWeeksFiltered);
+      const volume = perPackage ? { weeks:vol, year:volumeIdx.of(d.ref, geoYearWeeks) } : null;
+      const score = scoreDriver(d, { weights:scoring.weights, weekly:{ ncc:inRange(d.nccW), late:inRange(under15(d)), gt15:inRange(d.gt15W||d.lateW) }, volume });
       return {
-        tid,name:d.name,loc:d.loc,stations:[...d.stations],ncc:d.ncc,late:d.late,gt15:d.gt15,
-        combined,nccW:d.nccW,lateW:d.lateW,
-        severity: d.gt15>15?"CRITICAL":(d.late+d.ncc)>40?"HIGH":(d.late+d.ncc)>20?"MEDIUM":"LOW"
+        tid:d.tid,name:d.name,loc:d.loc,stations:[...d.stations],ncc:d.ncc,late:d.late,gt15:d.gt15,
+        combined,nccW:d.nccW,lateW:d.lateW,gt15Est:!!d.gt15Est,
+        ...Object.fromEntries(YEAR_TO_DATE.map(k => [k, d[k] || 0])),
+        vol, rate:defectRate(combined, vol, volumeIdx.per),
+        score:score.score, points:score.points, perVolume:score.perVolume, parts:score.parts, reason:scoreReason(score),
+        severity: scoreSeverity(score, scoring)
       };
-    }).sort((a,b)=>b.combined-a.combined);
-  }, [defectWeeksFiltered]);
+    });
+    // Count order uses the weighted points; rate order the per-package score, or the combined rate for routes
+    return rows.sort(rankDrivers(driverRank, d => d.points, d => perPackage ? (d.perVolume ? d.score : null) : d.rate));
+  }, [dataset, defectWeeksFiltered, registry, scoring, volumeIdx, driverRank, cityOf, geoYearWeeks]);
 
   const scorecardFiltered = useMemo(() => scorecardData.filter(d => {
     if (!d.stations.some(s => selectedDepots.includes(s))) return false;
@@ -1189,7 +3391,7 @@ export default function Dashboard() {
     const worstPct = totalDefects>0 ? Math.round((worstStn[1]/totalDefects)*100) : 0;
     // Top offender from filtered list
     const topDriver = nccFiltered[0] || null;
-    const wkRange = defectWeeksFiltered.length>0 ? `${defectWeeksFiltered[0].replace("2025-","").replace("2026-","")}/${defectWeeksFiltered[0].startsWith("2025")?"25":"26"} – ${defectWeeksFiltered[defectWeeksFiltered.length-1].replace("2025-","").replace("2026-","")}/${defectWeeksFiltered[defectWeeksFiltered.length-1].startsWith("2025")?"25":"26"}` : "—";
+    const wkRange = defectWeeksFiltered.length>0 ? `${weekLabel(defectWeeksFiltered[0])} – ${weekLabel(defectWeeksFiltered.at(-1))}` : "—";
     return { totalDefects, driverCount, worstStn: worstStn[0], worstVal: worstStn[1], worstPct, topDriver, wkRange };
   }, [nccTrendData, nccFiltered, selectedDepots, defectWeeksFiltered]);
 
@@ -1202,24 +3404,179 @@ export default function Dashboard() {
     selectedDepots.forEach(stn => { stnTotals[stn] = lateTrendData.reduce((s,r)=>s+(r[stn]||0),0); });
     const worstStn = Object.entries(stnTotals).sort((a,b)=>b[1]-a[1])[0] || ["—",0];
     const worstPct = totalDefects>0 ? Math.round((worstStn[1]/totalDefects)*100) : 0;
-    const wkRange = defectWeeksFiltered.length>0 ? `${defectWeeksFiltered[0].replace("2025-","").replace("2026-","")}/${defectWeeksFiltered[0].startsWith("2025")?"25":"26"} – ${defectWeeksFiltered[defectWeeksFiltered.length-1].replace("2025-","").replace("2026-","")}/${defectWeeksFiltered[defectWeeksFiltered.length-1].startsWith("2025")?"25":"26"}` : "—";
-    return { totalDefects, gt15Total, gt15Pct, driverCount, worstStn: worstStn[0], worstVal: worstStn[1], worstPct, wkRange };
-  }, [lateTrendData, lateFiltered, selectedDepots, defectWeeksFiltered]);
+    const wkRange = defectWeeksFiltered.length>0 ? `${weekLabel(defectWeeksFiltered[0])} – ${weekLabel(defectWeeksFiltered.at(-1))}` : "—";
+    const estimatedDrivers = lateFiltered.filter(d => d._gt15Est && d._filtTotal > 0).length;
+    const gt15Worst = selectedDepots.map(stn => [stn, lateTrendData.reduce((s,r)=>s+(r[stn+"_gt15"]||0),0)]).sort((a,b)=>b[1]-a[1])[0] || ["—",0];
+    // Key insight: the strongest late-volume spike in view, with that week's total
+    const spike = alerts.find(a => a.kpi==="lateCount");
+    const insight = spike ? { ...spike, total: lateTrendData.find(r=>r.wk===spike.wk)?.total ?? spike.value } : null;
+    // Attribution: the leading cause of lates in the flow weeks in range, at the stations shown
+    const flowLate = aggregateFlow(dataset.flow, defectWeeksFiltered);
+    const causes = {};
+    ["late","late_gt15"].forEach(k => (flowLate.attributions[k] || []).forEach(a => {
+      const n = selectedDepots.reduce((s, stn) => s + (a.sites[stn] || 0), 0);
+      if (n) causes[a.key] = { label:a.label, count:(causes[a.key]?.count || 0) + n };
+    }));
+    const attributed = Object.values(causes).reduce((s, c) => s + c.count, 0);
+    const topCause = Object.values(causes).sort((a, b) => b.count - a.count)[0];
+    const attribution = topCause ? { label:topCause.label, pct:Math.round(100*topCause.count/attributed), wks:flowLate.week } : null;
+    return { totalDefects, gt15Total, gt15Pct, driverCount, worstStn: worstStn[0], worstVal: worstStn[1], worstPct, wkRange, estimatedDrivers, gt15WorstStn: gt15Worst[0], gt15WorstVal: gt15Worst[1], insight, attribution };
+  }, [dataset, lateTrendData, lateFiltered, selectedDepots, defectWeeksFiltered, alerts]);
 
   const scStats = useMemo(() => {
     const nccSum = scorecardFiltered.reduce((s,d)=>s+d.ncc,0);
     const lateSum = scorecardFiltered.reduce((s,d)=>s+d.late+d.gt15,0);
     const gt15Sum = scorecardFiltered.reduce((s,d)=>s+d.gt15,0);
     const dual = scorecardFiltered.filter(d=>d.ncc>0&&d.late>0).length;
-    return { combined: nccSum+lateSum, nccSum, lateSum, gt15Sum, dual, count: scorecardFiltered.length };
+    const estimatedDrivers = scorecardFiltered.filter(d=>d.gt15Est).length;
+    return { combined: nccSum+lateSum, nccSum, lateSum, gt15Sum, dual, count: scorecardFiltered.length, estimatedDrivers };
   }, [scorecardFiltered]);
 
+  // ── Exports: each download holds exactly the rows on screen, headed by the filters in force ──
+  const exportMeta = (...extra) => [
+    [t("year"), selectedYear === "ALL" ? years.join("+") : selectedYear],
+    [t("weeks"), `${effectiveFrom} – ${effectiveTo}`],
+    [t("station"), selectedDepots.join(", ")],
+    ...extra,
+  ];
+  const exporter = (name, columns, rows, meta = exportMeta()) => format =>
+    exportTable(`${name}_${effectiveFrom}_${effectiveTo}`, { columns, rows, meta }, format, t("expFilters"));
+  const weekCols = (weeks, field) => weeks.map(wk => col(wk, r => r[field][wk] || 0));
+  const driverCols = [col("#", r => r._rank), col(t("driver"), "_name"), col(t("expTid"), r => r.tid || "")];
+  const ranked = (rows, nameOf) => rows.map((r, i) => ({ ...r, _rank:i + 1, _name:nameOf(r) }));
+  // Volume and defect rate, once driver volume has been imported
+  const rateCols = (volField, rateField) => volumeIdx.has
+    ? [col(t(`volUnit_${volumeIdx.unit}`), r => r[volField] ?? ""), col(t(`volPer_${volumeIdx.unit}`), r => r[rateField] ?? "")] : [];
+  const rankMeta = [t("rankBy"), driverRank === "rate" && volumeIdx.has ? t(`volPer_${volumeIdx.unit}`) : t("rankCount")];
+  const tableExports = {
+    heatmap: exporter("performance-heatmap", [
+      col(t("depot"), "depot"), col(t("week"), r => r.d ? weekKey(r.d.year, r.d.week) : ""),
+      ...["late","fondCtrl","ftfdf","ftpdf","pdnr","fdnr","pondPP"].map((k, i) => col([t("latePlus15"),t("fondCtrl"),t("ftfdf"),t("ftpdf"),t("pdnr"),t("fdnr"),t("pp")][i], r => r.d?.[k])),
+      col(t("status"), r => statusOf(r.d, thresholdsFor(thresholds, r.depot))),
+      col(t("tgtGap"), r => targetStatus(targets, r.depot, r.d).map(st => `${kpiName(st.kpi, t)} ${gapText(st)}`).join("; ")),
+      col(t("tgtStreak"), r => targetStreak(targets, r.depot, filteredDepotData[r.depot] || [])),
+    ], selectedDepots.map(depot => ({ depot, d:latestByDepot[depot] }))),
+    network: exporter("network-late", [
+      col(t("week"), r => weekKey(r.year, r.week)), col(t("latePlus15"), "late"), col(t("fondCtrl"), "fond"), col(t("pdnr"), "pdnr"), col(t("ftfdf"), "ftfdf"),
+    ], networkChartData),
+    depotTrend: exporter(`${trendKpi}-by-depot`, [col(t("week"), "label"), ...selectedDepots.map(d => col(d, d))], depotTrend),
+    comparison: exporter(`depot-${compareMode}`, [
+      col(t("depot"), "station"), col(t("alrKpi"), r => kpiName(r.kpi, t)),
+      col(`${t("cmpBefore")} ${compareBase ? weekKey(compareBase.year, compareBase.week) : ""}`, "baseline"),
+      col(`${t("cmpNow")} ${weekKey(compareCurrent.year, compareCurrent.week)}`, "current"), col(t("cmpDelta"), "delta"),
+    ], [...compareRows].sort((a,b) => Math.abs(b.delta) - Math.abs(a.delta))),
+    flowShift: exporter(`flow-shift_${flowCmpA}_${flowCmpB}`, [
+      col(t("flowDefectType"), "defect"), col(t("flowAttribution"), "label"),
+      col(flowCmpA, "countA"), col(`${flowCmpA} %`, "shareA"), col(flowCmpB, "countB"), col(`${flowCmpB} %`, "shareB"), col(t("cmpDelta"), "delta"),
+    ], flowShift),
+    upstream: exporter("ftfdf-upstream", [
+      col(t("depot"), "depot"), col(t("dspCtrl"), "ctrl"), col(t("upstream"), "upstream"), col(t("total"), "total"),
+    ], filteredUpstream),
+    nccTrend: exporter("ncc-by-station", [col(t("week"), "label"), ...selectedDepots.map(d => col(d, d)), col(t("total"), "total")], nccTrendData),
+    lateTrend: exporter("late-by-station", [
+      col(t("week"), "label"),
+      ...selectedDepots.flatMap(d => [col(d, d), col(`${d} +15`, `${d}_gt15`)]),
+      col(t("total"), "total"), col(`${t("total")} +15`, "gt15Total"),
+    ], lateTrendData),
+    ncc: exporter("ncc-drivers", [
+      ...driverCols, col(t("city"), "loc"), col(t("station"), r => r.stations.join(", ")), col(t("total"), "_filtTotal"),
+      ...rateCols("_vol", "_rate"), ...weekCols(defectWeeksFiltered, "w"),
+    ], ranked(nccFiltered, d => displayName(registry, { tid:d.tid || tidOf(registry, d.name), name:d.name })),
+    exportMeta([t("minDefects"), nccMinDefects], rankMeta)),
+    late: exporter("late-drivers", [
+      ...driverCols, col(t("station"), r => r.s.join(", ")), col(t("total"), "_filtTotal"), col("+15", "_filtGt15"),
+      col(t("expEstimated"), r => r._gt15Est && r._filtTotal > 0 ? t("expYes") : ""),
+      col("%", r => r._filtTotal > 0 ? Math.round((r._filtGt15 / r._filtTotal) * 100) : 0),
+      ...rateCols("_vol", "_rate"), ...weekCols(defectWeeksFiltered, "w"),
+    ], ranked(lateFiltered, d => displayName(registry, { tid:d.tid })),
+    exportMeta([t("minDefects"), lateMinDefects], rankMeta)),
+    alerts: exporter("alerts", [
+      col(t("severity"), "severity"), col(t("station"), "station"), col(t("week"), "wk"), col(t("alrKpi"), a => t(ALERT_KPI_LABELS[a.kpi])),
+      col(t("alrValue"), "value"), col(t("alrBaseline"), "baseline"), col(t("alrScore"), "score"),
+    ], alerts),
+    scorecard: exporter("driver-scorecard", [
+      ...driverCols, col(t("city"), "loc"), col(t("station"), r => r.stations.join(", ")),
+      col(t("ncc"), "ncc"), col(t("late"), "late"), col("+15", "gt15"), col(t("expEstimated"), r => r.gt15Est && r.gt15 > 0 ? t("expYes") : ""),
+      col(t("combinedDefects"), "combined"), ...rateCols("vol", "rate"), ...YEAR_TO_DATE.map(k => col(scorePartLabel(k, t), k)),
+      col(t("scoScore"), "score"), col(t("scoPerVolume"), r => r.perVolume ? t("expYes") : ""), col(t("severity"), "severity"), col(t("scoWhy"), r => scoreReasonText(r.reason, t)),
+    ], ranked(scorecardFiltered, d => d.name),
+    exportMeta([t("minCombined"), scorecardMinTotal], rankMeta)),
+  };
+
+  const profileSources = useMemo(() => ({
+    ncc: dataset.ncc, late: dataset.late, flow: aggregateFlow(dataset.flow, flowAll), geo: dataset.geo, registry,
+    scoring, volume: perPackage ? volumeIdx : null, geoWeeks: geoYearWeeks,
+  }), [dataset, flowAll, registry, scoring, perPackage, volumeIdx, geoYearWeeks]);
+  const driverProfile = useMemo(() => driverRef ? buildDriverProfile(driverRef, profileSources) : null, [driverRef, profileSources]);
+  // Weekly history of each coached driver, for the before/after on the coaching tab
+  const coachHistories = useMemo(() => selectedView === "coaching"
+    ? new Map([...coachIdx.keys()].map(tid => [tid, buildDriverProfile({ tid }, profileSources).history]))
+    : new Map(), [selectedView, coachIdx, profileSources]);
+
+  // Alert markers for a trend chart: one dot per point, coloured by the worst alert there
+  const alertDots = (kpis, xOf, yOf) => {
+    const dots = new Map();
+    alerts.filter(a => kpis.includes(a.kpi)).forEach(a => {
+      const x = xOf(a), y = yOf(a);
+      if (x == null || y == null) return;
+      const k = `${x}|${y}`;
+      if (dots.has(k)) dots.get(k).stations.push(a.station); else dots.set(k, { x, y, a, stations:[a.station] });
+    });
+    return [...dots.values()].map(({x,y,a,stations}) => (<ReferenceDot key={`alert-${x}-${y}`} x={x} y={y} r={5} fill={SEVERITY_COLORS[a.severity].border} stroke="#030712" strokeWidth={2}
+      label={{value:stations.join("+"),position:"top",fill:SEVERITY_COLORS[a.severity].text,fontSize:8,fontFamily:"DM Mono"}}/>));
+  };
+  const alertWeekLabel = wk => chartLabel(splitWeekKey(wk));
+  // Target lines for a chart: the targets in force at the end of the range, one line each
+  // (stations without their own target share the network line)
+  const targetLines = (stations, kpi) => {
+    const inForce = new Map();
+    stations.forEach(stn => { const tg = targetFor(targets, stn, kpi, effectiveTo); if (tg) inForce.set(tg.id, tg); });
+    return [...inForce.values()].map(tg => {
+      const color = tg.station ? colorOf(tg.station) : "#22c55e";
+      const text = tg.by ? fill(t("tgtLineBy"),{value:tg.value,wk:alertWeekLabel(tg.by)}) : fill(t("tgtLine"),{value:tg.value});
+      return (<ReferenceLine key={`target-${tg.id}`} y={tg.value} stroke={color} strokeDasharray="6 3" strokeOpacity={0.7} ifOverflow="extendDomain"
+        label={{value:tg.station?`${tg.station} ${text}`:text,position:"insideTopRight",fill:color,fontSize:9,fontFamily:"DM Mono"}}/>);
+    });
+  };
+
   const tabStyle = active => ({background:active?"#1e293b":"transparent",border:active?"1px solid #334155":"1px solid transparent",color:active?"#e2e8f0":"#64748b",borderRadius:6,padding:isMobile?"5px 10px":"6px 14px",cursor:"pointer",fontSize:isMobile?10:11,fontWeight:600,fontFamily:"'DM Mono',monospace",transition:"all 0.2s",letterSpacing:0.3,whiteSpace:"nowrap"});
-  const cellStyle = (val,th) => { if(val==null) return {bg:"#0f172a",color:"#334155"}; if(val>th[1]) return {bg:"#450a0a",color:"#fca5a5"}; if(val>th[0]) return {bg:"#451a03",color:"#fcd34d"}; return {bg:"#052e16",color:"#86efac"}; };
+  const CELL_STYLES = {bad:{bg:"#450a0a",color:"#fca5a5"},warn:{bg:"#451a03",color:"#fcd34d"},ok:{bg:"#052e16",color:"#86efac"}};
+  const cellStyle = (val,band) => CELL_STYLES[kpiLevel(val,band)] || {bg:"#0f172a",color:"#334155"};
 
-  const yearLabel = selectedYear === "ALL" ? "2025–2026" : String(selectedYear);
+  const yearLabel = selectedYear === "ALL" ? (years.length > 1 ? `${years[0]}–${years.at(-1)}` : String(years[0])) : String(selectedYear);
 
-  return (
+  // PDF weekly report — jsPDF is only loaded when a report is requested
+  const [reportState, setReportState] = useState(null);
+  const exportReport = async () => {
+    setReportState({ busy:true });
+    try {
+      const { buildWeeklyReport } = await import("./reportPdf");
+      const doc = buildWeeklyReport({
+        brand: t("brand"),
+        rangeLabel: `${fromLabel}–${toLabel} / ${yearLabel}`,
+        stations: selectedDepots,
+        network: networkChartData,
+        depots: selectedDepots.map(d => {
+          const up = UPSTREAM_DATA.find(u => u.depot === d);
+          return {
+            depot:d, city:cityOf(d), color:colorOf(d), th:thresholdsFor(thresholds, d),
+            rows:(filteredDepotData[d]||[]).map(r => ({...r, label:chartLabel(r)})),
+            upstreamPct: up && up.total > 0 ? Math.round((up.upstream / up.total) * 100) : null,
+          };
+        }),
+        upstream: filteredUpstream,
+        offenders: scorecardFiltered.slice(0, 20),
+        flow: flowView,
+        colors: { depots:stationIdx.colors, status:STATUS_STYLES, severity:SEVERITY_COLORS },
+      }, { t, lang });
+      downloadFile(`delivery-report_${effectiveFrom}_${effectiveTo}.pdf`, doc.output("blob"));
+      setReportState(null);
+    } catch (err) {
+      setReportState({ error:err.message });
+    }
+  };
+
+  return (<StationsContext.Provider value={stationIdx}>
     <div style={{background:"#030712",color:"#e2e8f0",minHeight:"100vh",fontFamily:"'Outfit',sans-serif"}}>
       {/* HEADER */}
       <div style={{background:"linear-gradient(135deg,#0f172a 0%,#030712 100%)",borderBottom:"1px solid #1e293b",padding:isMobile?"16px 16px 14px":"24px 32px 20px"}}>
@@ -1227,9 +3584,14 @@ export default function Dashboard() {
           <div>
             <div style={{fontSize:isMobile?9:10,fontWeight:600,color:"#f59e0b",fontFamily:"'DM Mono',monospace",letterSpacing:2,textTransform:"uppercase",marginBottom:isMobile?4:6}}>{t("brand")}</div>
             <h1 style={{fontSize:isMobile?20:26,fontWeight:800,color:"#f8fafc",margin:0,fontFamily:"'Outfit',sans-serif",letterSpacing:"-0.03em",lineHeight:1.1}}>{t("title")}</h1>
-            <div style={{fontSize:isMobile?10:12,color:"#64748b",fontFamily:"'DM Mono',monospace",marginTop:isMobile?4:6}}>{effectiveFrom}–{effectiveTo} / {yearLabel}</div>
+            <div style={{fontSize:isMobile?10:12,color:"#64748b",fontFamily:"'DM Mono',monospace",marginTop:isMobile?4:6}}>{fromLabel}–{toLabel} / {yearLabel}</div>
+            {viewingOld&&<button onClick={()=>setSelectedView("snapshots")} style={{marginTop:6,background:"#78350f30",border:"1px solid #f59e0b50",color:"#fbbf24",borderRadius:4,padding:"2px 8px",cursor:"pointer",fontSize:9,fontWeight:700,fontFamily:"'DM Mono',monospace"}}>{fill(t("snpViewing"),{id:viewingOld.id,date:snapshotDate(viewingOld.createdAt)})}</button>}
           </div>
           <div style={{display:"flex",gap:10,alignItems:"flex-start",width:isMobile?"100%":"auto",justifyContent:isMobile?"space-between":"flex-end"}}>
+            <div style={{display:"flex",flexDirection:"column",alignItems:"flex-end",gap:4}}>
+              <button onClick={exportReport} disabled={reportState?.busy} title={t("repExportTip")} style={{background:"#0f172a",border:"1px solid #f59e0b50",color:"#fbbf24",borderRadius:6,padding:"5px 10px",cursor:reportState?.busy?"wait":"pointer",fontSize:9,fontWeight:700,fontFamily:"'DM Mono',monospace",letterSpacing:0.5,whiteSpace:"nowrap",opacity:reportState?.busy?0.6:1}}>↓ {reportState?.busy?t("repBuilding"):t("repExport")}</button>
+              {reportState?.error&&<div style={{fontSize:9,color:"#fca5a5",fontFamily:"'DM Mono',monospace",maxWidth:220,textAlign:"right"}}>{fill(t("repFailed"),{msg:reportState.error})}</div>}
+            </div>
             <div style={{display:"flex",gap:2,background:"#0f172a",border:"1px solid #1e293b",borderRadius:6,padding:2}}>
               {LANGS.map(l=>(<button key={l.code} onClick={()=>setLang(l.code)} style={{background:lang===l.code?"#334155":"transparent",border:"none",color:lang===l.code?"#f8fafc":"#475569",borderRadius:4,padding:"4px 8px",cursor:"pointer",fontSize:9,fontWeight:700,fontFamily:"'DM Mono',monospace",letterSpacing:0.5,transition:"all 0.15s"}}>{l.label}</button>))}
             </div>
@@ -1241,45 +3603,56 @@ export default function Dashboard() {
           </div>
         </div>
         <div style={{display:"flex",gap:4,marginTop:isMobile?14:18,overflowX:isMobile?"auto":"visible",paddingBottom:isMobile?4:0,WebkitOverflowScrolling:"touch"}}>
-          {[{key:"overview",l:"tabOverview"},{key:"depots",l:"tabDepots"},{key:"upstream",l:"tabUpstream"},{key:"cycles",l:"tabCycles"},{key:"ncc",l:"tabNcc"},{key:"late",l:"tabLate"},{key:"scorecard",l:"tabScorecard"},{key:"flow",l:"tabFlow"},{key:"geo",l:"tabGeo"}].map(tab=>{
+          {TABS.map(tab=>{
             const isSpecial = tab.key==="ncc"||tab.key==="late"||tab.key==="scorecard"||tab.key==="flow"||tab.key==="geo";
             const isActive = selectedView===tab.key;
             const specialColors = tab.key==="ncc"?{bg:"#7c2d12",border:"#ea580c",text:"#fb923c",dot:"#ea580c"}:tab.key==="late"?{bg:"#1e1b4b",border:"#6366f1",text:"#a5b4fc",dot:"#6366f1"}:tab.key==="flow"?{bg:"#134e4a",border:"#0d9488",text:"#5eead4",dot:"#0d9488"}:tab.key==="geo"?{bg:"#1a1035",border:"#8b5cf6",text:"#c4b5fd",dot:"#8b5cf6"}:{bg:"#14532d",border:"#22c55e",text:"#86efac",dot:"#22c55e"};
             return(<button key={tab.key} onClick={()=>setSelectedView(tab.key)} style={{...tabStyle(isActive),
               ...(isSpecial&&isActive?{background:specialColors.bg,borderColor:specialColors.border,color:specialColors.text}:{})
-            }}>{isSpecial&&<span style={{display:"inline-block",width:6,height:6,borderRadius:"50%",background:isActive?specialColors.dot:(specialColors.dot+"60"),marginRight:5,verticalAlign:"middle"}}/>}{t(tab.l)}</button>);
+            }}>{isSpecial&&<span style={{display:"inline-block",width:6,height:6,borderRadius:"50%",background:isActive?specialColors.dot:(specialColors.dot+"60"),marginRight:5,verticalAlign:"middle"}}/>}{t(tab.l)}{tab.key==="alerts"&&alerts.length>0&&<span style={{marginLeft:5,background:SEVERITY_COLORS[alerts[0].severity].border,color:"#030712",borderRadius:8,padding:"0 5px",fontSize:9,fontWeight:800}}>{alerts.length}</span>}</button>);
           })}
         </div>
       </div>
 
       {/* FILTER BAR */}
-      <FilterBar selectedYear={selectedYear} setSelectedYear={yr=>{setSelectedYear(yr);const wks=yr==="ALL"?[...new Set(ALL_YEARS.flatMap(y=>WEEKS_BY_YEAR[y]||[]))].sort((a,b)=>weekNum(a)-weekNum(b)):WEEKS_BY_YEAR[yr]||[];if(wks.length){setWeekFrom(wks[0]);setWeekTo(wks[wks.length-1]);}}} selectedDepots={selectedDepots} setSelectedDepots={setSelectedDepots} weekFrom={effectiveFrom} setWeekFrom={setWeekFrom} weekTo={effectiveTo} setWeekTo={setWeekTo} availableWeeks={availableWeeks} t={t} isMobile={isMobile} />
+      <FilterBar years={years} selectedYear={selectedYear} setSelectedYear={yr=>{setSelectedYear(yr);const wks=weeksForYear(yr);if(wks.length){setWeekFrom(wks[0]);setWeekTo(wks[wks.length-1]);}}} selectedDepots={selectedDepots} setSelectedDepots={setPickedDepots} weekFrom={effectiveFrom} setWeekFrom={setWeekFrom} weekTo={effectiveTo} setWeekTo={setWeekTo} availableWeeks={availableWeeks} t={t} isMobile={isMobile} />
 
       <div style={{padding:isMobile?"16px":"24px 32px"}}>
         {/* OVERVIEW */}
         {selectedView==="overview"&&(<>
           <div style={{display:"grid",gridTemplateColumns:isMobile?"1fr":selectedDepots.length===1?"1fr":"repeat(2,1fr)",gap:12,marginBottom:24}}>
-            {selectedDepots.map(d=>(<DepotCard key={d} depot={d} weekData={filteredDepotData[d]||[]}/>))}
+            {selectedDepots.map(d=>(<DepotCard key={d} depot={d} weekData={filteredDepotData[d]||[]} th={thresholdsFor(thresholds,d)} targets={targets} t={t}/>))}
           </div>
           <div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"20px",marginBottom:24}}>
-            <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:"0 0 16px",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{t("networkLate")} — {effectiveFrom} → {effectiveTo} / {yearLabel}</h3>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:8,marginBottom:12}}>
+              <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:0,fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{fill(t("fcNetwork"),{kpi:t(trendMeta.l)})} — {fromLabel} → {toLabel} / {yearLabel}</h3>
+              <ExportButtons onExport={tableExports.network} t={t}/>
+            </div>
+            <ForecastControls kpi={trendKpi} setKpi={setTrendKpi} method={fcMethod} setMethod={setFcMethod} season={fcSeason} setSeason={setFcSeason} t={t}/>
             <ResponsiveContainer width="100%" height={isMobile?180:220}>
-              <AreaChart data={networkChartData} margin={{top:5,right:isMobile?10:20,bottom:5,left:0}}>
-                <defs><linearGradient id="lateGrad" x1="0" y1="0" x2="0" y2="1"><stop offset="5%" stopColor="#ef4444" stopOpacity={0.2}/><stop offset="95%" stopColor="#ef4444" stopOpacity={0}/></linearGradient></defs>
+              <ComposedChart data={networkTrendData} margin={{top:5,right:isMobile?10:20,bottom:5,left:0}}>
+                <defs><linearGradient id="lateGrad" x1="0" y1="0" x2="0" y2="1"><stop offset="5%" stopColor={trendMeta.color} stopOpacity={0.2}/><stop offset="95%" stopColor={trendMeta.color} stopOpacity={0}/></linearGradient></defs>
                 <CartesianGrid strokeDasharray="3 3" stroke="#1e293b"/>
-                <XAxis dataKey="label" tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}} interval={Math.max(0,Math.floor(networkChartData.length/12))}/>
+                <XAxis dataKey="label" tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}} interval={Math.max(0,Math.floor(networkTrendData.length/12))}/>
                 <YAxis tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}} tickFormatter={v=>`${v}%`}/>
-                <Tooltip content={<ChartTooltip/>}/><ReferenceLine y={2.4} stroke="#334155" strokeDasharray="4 4" label={{value:t("w4Baseline"),fill:"#475569",fontSize:9,fontFamily:"DM Mono"}}/>
-                <Area type="monotone" dataKey="late" stroke="#ef4444" strokeWidth={2} fill="url(#lateGrad)" name="Late +15" dot={{r:2,fill:"#ef4444"}} connectNulls/>
-              </AreaChart>
+                <Tooltip content={<ChartTooltip/>}/>{trendKpi==="late"&&<ReferenceLine y={2.4} stroke="#334155" strokeDasharray="4 4" label={{value:t("w4Baseline"),fill:"#475569",fontSize:9,fontFamily:"DM Mono"}}/>}
+                {targetLines([null], trendKpi)}
+                {networkForecast&&<Area type="monotone" dataKey={`${trendKpi}_band`} stroke="none" fill={trendMeta.color} fillOpacity={0.12} name={fill(t("fcBand"),{level:BAND_LEVEL})} connectNulls/>}
+                <Area type="monotone" dataKey={trendKpi} stroke={trendMeta.color} strokeWidth={2} fill="url(#lateGrad)" name={t(trendMeta.l)} dot={{r:2,fill:trendMeta.color}} connectNulls/>
+                {networkForecast&&<Line type="monotone" dataKey={`${trendKpi}_fc`} stroke={trendMeta.color} strokeWidth={2} strokeDasharray="5 4" dot={false} name={t("fcForecast")} connectNulls/>}
+              </ComposedChart>
             </ResponsiveContainer>
+            {fcMethod&&<div style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",marginTop:8}}>{t(FORECAST_LABELS[fcMethod])} · {backtestText(networkForecast?.error,t)}</div>}
           </div>
           <div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"20px"}}>
-            <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:"0 0 14px",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{latestWeekLabel} {t("perfHeatmap")}</h3>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:8,marginBottom:14}}>
+              <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:0,fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{latestWeekLabel} {t("perfHeatmap")}</h3>
+              <ExportButtons onExport={tableExports.heatmap} t={t}/>
+            </div>
             <div style={{overflowX:"auto"}}>
               <table style={{width:"100%",borderCollapse:"separate",borderSpacing:3}}>
-                <thead><tr>{[t("depot"),t("week"),t("latePlus15"),t("fondCtrl"),t("ftfdf"),t("ftpdf"),t("pdnr"),t("fdnr"),t("pp"),t("status")].map((h,hi)=>(<th key={h} style={{padding:"8px",fontSize:8,color:"#475569",textAlign:hi===0?"left":"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{h}</th>))}</tr></thead>
-                <tbody>{selectedDepots.map(depot=>{const d=latestByDepot[depot];const cfg=getStatusConfig(d);const wkLabel=d?(selectedYear==="ALL"?`${d.week}'${String(d.year).slice(2)}`:d.week):"—";const cells=[{val:d?.late,th:[2.5,5]},{val:d?.fondCtrl,th:[0.7,1.2]},{val:d?.ftfdf,th:[2,3]},{val:d?.ftpdf,th:[1,1.5]},{val:d?.pdnr,th:[0.5,0.8]},{val:d?.fdnr,th:[0.15,0.3]},{val:d?.pondPP,th:[0.5,0.9]}];return(<tr key={depot}><td style={{padding:"8px",fontSize:12,fontWeight:700,color:DEPOT_COLORS[depot],fontFamily:"'DM Mono',monospace"}}>{depot}</td><td style={{padding:"8px",fontSize:10,color:"#475569",textAlign:"center",fontFamily:"'DM Mono',monospace"}}>{wkLabel}</td>{cells.map((c,i)=>{const s=cellStyle(c.val,c.th);return(<td key={i} style={{padding:"7px 6px",fontSize:11,fontWeight:600,textAlign:"center",fontFamily:"'DM Mono',monospace",borderRadius:4,background:s.bg,color:s.color}}>{c.val!=null?`${c.val}%`:"—"}</td>);})}<td style={{padding:"7px 8px",textAlign:"center"}}><span style={{fontSize:8,fontWeight:700,color:cfg.text,background:`${cfg.border}18`,padding:"2px 8px",borderRadius:4,fontFamily:"'DM Mono',monospace",letterSpacing:1}}>{cfg.label}</span></td></tr>);})}</tbody>
+                <thead><tr>{[t("depot"),t("week"),t("latePlus15"),t("fondCtrl"),t("ftfdf"),t("ftpdf"),t("pdnr"),t("fdnr"),t("pp"),t("status"),t("tgtGap"),t("tgtStreak")].map((h,hi)=>(<th key={h} style={{padding:"8px",fontSize:8,color:"#475569",textAlign:hi===0?"left":"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{h}</th>))}</tr></thead>
+                <tbody>{selectedDepots.map(depot=>{const d=latestByDepot[depot];const th=thresholdsFor(thresholds,depot);const cfg=getStatusConfig(d,th);const wkLabel=d?(selectedYear==="ALL"?`${d.week}'${String(d.year).slice(2)}`:d.week):"—";const cells=["late","fondCtrl","ftfdf","ftpdf","pdnr","fdnr","pondPP"].map(k=>({val:d?.[k],th:th.kpi[k]}));return(<tr key={depot}><td style={{padding:"8px",fontSize:12,fontWeight:700,color:colorOf(depot),fontFamily:"'DM Mono',monospace"}}>{depot}</td><td style={{padding:"8px",fontSize:10,color:"#475569",textAlign:"center",fontFamily:"'DM Mono',monospace"}}>{wkLabel}</td>{cells.map((c,i)=>{const s=cellStyle(c.val,c.th);return(<td key={i} style={{padding:"7px 6px",fontSize:11,fontWeight:600,textAlign:"center",fontFamily:"'DM Mono',monospace",borderRadius:4,background:s.bg,color:s.color}}>{c.val!=null?`${c.val}%`:"—"}</td>);})}<td style={{padding:"7px 8px",textAlign:"center"}}><span style={{fontSize:8,fontWeight:700,color:cfg.text,background:`${cfg.border}18`,padding:"2px 8px",borderRadius:4,fontFamily:"'DM Mono',monospace",letterSpacing:1}}>{cfg.label}</span></td><td style={{padding:"7px 8px",textAlign:"center"}}><TargetGaps status={targetStatus(targets,depot,d)} t={t}/></td><td style={{padding:"7px 8px",textAlign:"center",fontSize:10,fontWeight:700,color:"#86efac",fontFamily:"'DM Mono',monospace"}}>{targetStatus(targets,depot,d).length?fill(t("tgtWeeks"),{n:targetStreak(targets,depot,filteredDepotData[depot]||[])}):"—"}</td></tr>);})}</tbody>
               </table>
             </div>
           </div>
@@ -1288,34 +3661,47 @@ export default function Dashboard() {
         {/* DEPOT DEEP-DIVE */}
         {selectedView==="depots"&&(<>
           <div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"20px",marginBottom:24}}>
-            <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:16}}>
-              <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:0,fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>Late +15 by Depot — {yearLabel}</h3>
-              <div style={{display:"flex",gap:4}}>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:12}}>
+              <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:0,fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{fill(t("fcByDepot"),{kpi:t(trendMeta.l)})} — {yearLabel}</h3>
+              <div style={{display:"flex",gap:4,alignItems:"center"}}>
+                <ExportButtons onExport={tableExports.depotTrend} t={t}/>
                 <button onClick={()=>setHighlightDepot(null)} style={{...tabStyle(!highlightDepot),padding:"3px 8px",fontSize:9}}>All</button>
-                {selectedDepots.map(d=>(<button key={d} onClick={()=>setHighlightDepot(highlightDepot===d?null:d)} style={{background:highlightDepot===d?`${DEPOT_COLORS[d]}22`:"transparent",border:highlightDepot===d?`1px solid ${DEPOT_COLORS[d]}40`:"1px solid transparent",color:highlightDepot===d?DEPOT_COLORS[d]:"#475569",borderRadius:4,padding:"3px 8px",cursor:"pointer",fontSize:9,fontWeight:700,fontFamily:"'DM Mono',monospace"}}>{d}</button>))}
+                {selectedDepots.map(d=>(<button key={d} onClick={()=>setHighlightDepot(highlightDepot===d?null:d)} style={{background:highlightDepot===d?`${colorOf(d)}22`:"transparent",border:highlightDepot===d?`1px solid ${colorOf(d)}40`:"1px solid transparent",color:highlightDepot===d?colorOf(d):"#475569",borderRadius:4,padding:"3px 8px",cursor:"pointer",fontSize:9,fontWeight:700,fontFamily:"'DM Mono',monospace"}}>{d}</button>))}
               </div>
             </div>
+            <ForecastControls kpi={trendKpi} setKpi={setTrendKpi} method={fcMethod} setMethod={setFcMethod} season={fcSeason} setSeason={setFcSeason} t={t}/>
             <ResponsiveContainer width="100%" height={isMobile?220:300}>
-              <LineChart data={combinedLates} margin={{top:5,right:isMobile?10:20,bottom:5,left:0}}>
+              <ComposedChart data={depotTrendData} margin={{top:5,right:isMobile?10:20,bottom:5,left:0}}>
                 <CartesianGrid strokeDasharray="3 3" stroke="#1e293b"/>
-                <XAxis dataKey="label" tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}} interval={Math.max(0,Math.floor(combinedLates.length/12))}/>
+                <XAxis dataKey="label" tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}} interval={Math.max(0,Math.floor(depotTrendData.length/12))}/>
                 <YAxis tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}} tickFormatter={v=>`${v}%`} domain={[0,"auto"]}/>
-                <Tooltip content={<ChartTooltip/>}/><ReferenceLine y={2.5} stroke="#334155" strokeDasharray="4 4"/>
-                {selectedDepots.map(depot=>(<Line key={depot} type="monotone" dataKey={depot} stroke={DEPOT_COLORS[depot]} strokeWidth={highlightDepot?(highlightDepot===depot?3:0.8):2} strokeOpacity={highlightDepot?(highlightDepot===depot?1:0.2):0.8} dot={highlightDepot===depot?{r:3,fill:DEPOT_COLORS[depot]}:false} name={depot} connectNulls/>))}
-              </LineChart>
+                <Tooltip content={<ChartTooltip/>}/>
+                {targetLines(bandDepot?[bandDepot]:selectedDepots, trendKpi)}
+                {bandDepot&&depotForecasts[bandDepot]&&<Area type="monotone" dataKey={`${bandDepot}_band`} stroke="none" fill={colorOf(bandDepot)} fillOpacity={0.12} name={`${bandDepot} ${fill(t("fcBand"),{level:BAND_LEVEL})}`} connectNulls/>}
+                {selectedDepots.map(depot=>(<Line key={depot} type="monotone" dataKey={depot} stroke={colorOf(depot)} strokeWidth={highlightDepot?(highlightDepot===depot?3:0.8):2} strokeOpacity={highlightDepot?(highlightDepot===depot?1:0.2):0.8} dot={highlightDepot===depot?{r:3,fill:colorOf(depot)}:false} name={depot} connectNulls/>))}
+                {selectedDepots.filter(depot=>depotForecasts[depot]).map(depot=>(<Line key={`${depot}_fc`} type="monotone" dataKey={`${depot}_fc`} stroke={colorOf(depot)} strokeWidth={highlightDepot===depot?2.5:1.5} strokeOpacity={highlightDepot&&highlightDepot!==depot?0.2:0.9} strokeDasharray="5 4" dot={false} name={`${depot} ${t("fcForecast")}`} connectNulls/>))}
+                {alertDots([trendKpi], a => !highlightDepot||highlightDepot===a.station ? alertWeekLabel(a.wk) : null, a => a.value)}
+              </ComposedChart>
             </ResponsiveContainer>
             <div style={{display:"flex",gap:16,justifyContent:"center",marginTop:8}}>
-              {selectedDepots.map(depot=>(<div key={depot} style={{display:"flex",alignItems:"center",gap:5,fontSize:10,color:DEPOT_COLORS[depot],fontFamily:"'DM Mono',monospace",cursor:"pointer",opacity:highlightDepot&&highlightDepot!==depot?0.3:1}} onClick={()=>setHighlightDepot(highlightDepot===depot?null:depot)}><div style={{width:12,height:3,borderRadius:2,background:DEPOT_COLORS[depot]}}/>{depot}</div>))}
+              {selectedDepots.map(depot=>(<div key={depot} style={{display:"flex",alignItems:"center",gap:5,fontSize:10,color:colorOf(depot),fontFamily:"'DM Mono',monospace",cursor:"pointer",opacity:highlightDepot&&highlightDepot!==depot?0.3:1}} onClick={()=>setHighlightDepot(highlightDepot===depot?null:depot)}><div style={{width:12,height:3,borderRadius:2,background:colorOf(depot)}}/>{depot}</div>))}
             </div>
+            {fcMethod&&(bandDepot
+              ? <div style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",marginTop:8,textAlign:"center"}}><span style={{color:colorOf(bandDepot),fontWeight:700}}>{bandDepot}</span> {t(FORECAST_LABELS[fcMethod])} · {backtestText(depotForecasts[bandDepot]?.error,t)}</div>
+              : <div style={{display:"flex",gap:14,justifyContent:"center",flexWrap:"wrap",marginTop:8,fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace"}}>
+                  <span>{t(FORECAST_LABELS[fcMethod])} · {t("fcBacktestShort")}</span>
+                  {selectedDepots.map(d=>{const e=depotForecasts[d]?.error;return(<span key={d}><span style={{color:colorOf(d),fontWeight:700}}>{d}</span> {e?`${e.mae.toFixed(2)}pp / ${e.mape!=null?Math.round(e.mape):"—"}%`:"—"}</span>);})}
+                </div>)}
           </div>
+          <ComparisonPanel rows={compareRows} stations={selectedDepots} mode={compareMode} setMode={setCompareMode} week={compareCurrent} setWeek={setCompareWeek} weeks={compareWeeks} base={compareBase} onExport={tableExports.comparison} t={t}/>
           <div style={{display:"grid",gridTemplateColumns:isMobile?"1fr":"1fr 1fr",gap:16}}>
             <div style={{background:"#052e16",border:"1px solid #16a34a30",borderRadius:10,padding:"18px"}}>
               <h3 style={{fontSize:11,fontWeight:700,color:"#86efac",margin:"0 0 12px",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>● Tier 1 — Performing</h3>
-              {["UIT1","UIT7"].filter(d=>selectedDepots.includes(d)).map(d=>{const l=latestByDepot[d];return(<div key={d} style={{display:"flex",justifyContent:"space-between",padding:"8px 0",borderBottom:"1px solid #16a34a15"}}><span style={{fontSize:13,fontWeight:700,color:DEPOT_COLORS[d],fontFamily:"'DM Mono',monospace"}}>{d}</span><span style={{fontSize:15,fontWeight:800,color:"#86efac",fontFamily:"'Outfit',sans-serif"}}>{l?.late!=null?`${l.late}%`:"—"}</span></div>);})}
+              {selectedDepots.filter(d=>stationIdx.byCode[d]?.tier===1).map(d=>{const l=latestByDepot[d];return(<div key={d} style={{display:"flex",justifyContent:"space-between",padding:"8px 0",borderBottom:"1px solid #16a34a15"}}><span style={{fontSize:13,fontWeight:700,color:colorOf(d),fontFamily:"'DM Mono',monospace"}}>{d}</span><span style={{fontSize:15,fontWeight:800,color:"#86efac",fontFamily:"'Outfit',sans-serif"}}>{l?.late!=null?`${l.late}%`:"—"}</span></div>);})}
             </div>
             <div style={{background:"#450a0a",border:"1px solid #dc262630",borderRadius:10,padding:"18px"}}>
               <h3 style={{fontSize:11,fontWeight:700,color:"#fca5a5",margin:"0 0 12px",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>◆ Tier 2 — Structural</h3>
-              {["UIT4","UBA1","UIL7"].filter(d=>selectedDepots.includes(d)).map(d=>{const l=latestByDepot[d];return(<div key={d} style={{display:"flex",justifyContent:"space-between",padding:"8px 0",borderBottom:"1px solid #dc262615"}}><span style={{fontSize:13,fontWeight:700,color:DEPOT_COLORS[d],fontFamily:"'DM Mono',monospace"}}>{d}</span><span style={{fontSize:15,fontWeight:800,color:"#fca5a5",fontFamily:"'Outfit',sans-serif"}}>{l?.late!=null?`${l.late}%`:"—"}</span></div>);})}
+              {selectedDepots.filter(d=>stationIdx.byCode[d]?.tier!==1).map(d=>{const l=latestByDepot[d];return(<div key={d} style={{display:"flex",justifyContent:"space-between",padding:"8px 0",borderBottom:"1px solid #dc262615"}}><span style={{fontSize:13,fontWeight:700,color:colorOf(d),fontFamily:"'DM Mono',monospace"}}>{d}</span><span style={{fontSize:15,fontWeight:800,color:"#fca5a5",fontFamily:"'Outfit',sans-serif"}}>{l?.late!=null?`${l.late}%`:"—"}</span></div>);})}
             </div>
           </div>
         </>)}
@@ -1335,7 +3721,10 @@ export default function Dashboard() {
             </div>
           </div>
           <div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"20px",marginBottom:24}}>
-            <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:"0 0 16px",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{t("ftfdfBreakdown")}</h3>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:8,marginBottom:16}}>
+              <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:0,fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{t("ftfdfBreakdown")}</h3>
+              <ExportButtons onExport={tableExports.upstream} t={t}/>
+            </div>
             <ResponsiveContainer width="100%" height={isMobile?220:280}>
               <BarChart data={filteredUpstream} margin={{top:5,right:isMobile?10:30,bottom:5,left:0}} barSize={isMobile?28:40}>
                 <CartesianGrid strokeDasharray="3 3" stroke="#1e293b"/>
@@ -1349,35 +3738,59 @@ export default function Dashboard() {
           </div>
         </>)}
 
-        {/* UIT4 CYCLES */}
+        {/* CYCLES */}
         {selectedView==="cycles"&&(<>
+          <div style={{display:"flex",gap:12,alignItems:"center",marginBottom:14,flexWrap:"wrap"}}>
+            <span style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase"}}>{t("station")}</span>
+            {selectedDepots.map(d=>{const a=cycleDepot===d;return(<button key={d} onClick={()=>setCycleStation(d)} style={{background:a?`${colorOf(d)}18`:"transparent",border:`1px solid ${a?colorOf(d)+"50":"#1e293b"}`,color:a?colorOf(d):"#475569",borderRadius:4,padding:"3px 8px",cursor:"pointer",fontSize:10,fontWeight:700,fontFamily:"'DM Mono',monospace"}}>{d}</button>);})}
+            <div style={{width:1,height:18,background:"#1e293b"}}/>
+            <span style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase"}}>{t("cycMinAmp")}</span>
+            {[1,1.5,2,3,4].map(n=>(<button key={n} onClick={()=>setCycleMin(n)} style={{background:cycleMin===n?"#1e293b":"transparent",border:cycleMin===n?"1px solid #475569":"1px solid #1e293b",color:cycleMin===n?"#e2e8f0":"#475569",borderRadius:4,padding:"3px 8px",cursor:"pointer",fontSize:10,fontWeight:600,fontFamily:"'DM Mono',monospace"}}>{n}pp</button>))}
+            <span style={{marginLeft:"auto",fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{cycles.length?fill(t("cycSummary"),{n:cycles.length,amp:cycleStats.amplitude,rise:cycleStats.rise,period:cycleStats.period??"—"}):""}</span>
+          </div>
           <div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"20px",marginBottom:24}}>
-            <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:"0 0 16px",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>UIT4 Lates — {yearLabel}</h3>
-            {(()=>{const d=(ALL_DEPOT_DATA.UIT4||[]).filter(fullFilter).sort((a,b)=>sortKey(a.year,a.week)-sortKey(b.year,b.week)).map(r=>({...r,label:chartLabel(r)}));return(
+            <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:"0 0 16px",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{cycleDepot} {t("cycLates")} — {yearLabel}</h3>
             <ResponsiveContainer width="100%" height={isMobile?220:300}>
-              <ComposedChart data={d} margin={{top:10,right:isMobile?10:20,bottom:5,left:0}}>
-                <defs><linearGradient id="uit4Grad" x1="0" y1="0" x2="0" y2="1"><stop offset="5%" stopColor="#60a5fa" stopOpacity={0.25}/><stop offset="95%" stopColor="#60a5fa" stopOpacity={0}/></linearGradient></defs>
+              <ComposedChart data={cycleSeries} margin={{top:10,right:isMobile?10:20,bottom:5,left:0}}>
+                <defs><linearGradient id="cycleGrad" x1="0" y1="0" x2="0" y2="1"><stop offset="5%" stopColor={colorOf(cycleDepot)} stopOpacity={0.25}/><stop offset="95%" stopColor={colorOf(cycleDepot)} stopOpacity={0}/></linearGradient></defs>
                 <CartesianGrid strokeDasharray="3 3" stroke="#1e293b"/>
-                <XAxis dataKey="label" tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}} interval={2}/>
-                <YAxis tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}} tickFormatter={v=>`${v}%`} domain={[0,8]}/>
-                <Tooltip content={<ChartTooltip/>}/><ReferenceLine y={2.11} stroke="#22c55e" strokeDasharray="4 4" label={{value:t("w4Baseline"),fill:"#22c55e",fontSize:9,fontFamily:"DM Mono"}}/>
-                <Area type="monotone" dataKey="late" stroke="#60a5fa" strokeWidth={2.5} fill="url(#uit4Grad)" name="UIT4 Late +15" dot={{r:3,fill:"#60a5fa"}} connectNulls/>
+                <XAxis dataKey="label" tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}} interval={Math.max(0,Math.floor(cycleSeries.length/14))}/>
+                <YAxis tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}} tickFormatter={v=>`${v}%`} domain={[0,"auto"]}/>
+                <Tooltip content={<ChartTooltip/>}/>
+                {cycleStats.baseline!=null&&<ReferenceLine y={cycleStats.baseline} stroke="#22c55e" strokeDasharray="4 4" label={{value:fill(t("cycBaseline"),{v:cycleStats.baseline}),fill:"#22c55e",fontSize:9,fontFamily:"DM Mono"}}/>}
+                {targetLines([cycleDepot], "late")}
+                {cycles.map(c=>(<ReferenceArea key={`a${c.id}`} x1={cycleSeries[c.trough.i].label} x2={cycleSeries[c.peak.i].label} fill="#ef4444" fillOpacity={0.06} ifOverflow="hidden"/>))}
+                <Area type="monotone" dataKey="late" stroke={colorOf(cycleDepot)} strokeWidth={2.5} fill="url(#cycleGrad)" name={`${cycleDepot} Late +15`} dot={{r:2,fill:colorOf(cycleDepot)}} connectNulls/>
+                {cycles.flatMap(c=>[
+                  <ReferenceDot key={`t${c.id}`} x={cycleSeries[c.trough.i].label} y={c.trough.val} r={5} fill="#22c55e" stroke="#030712" strokeWidth={2}/>,
+                  <ReferenceDot key={`p${c.id}`} x={cycleSeries[c.peak.i].label} y={c.peak.val} r={5} fill={c.open?"#f59e0b":"#ef4444"} stroke="#030712" strokeWidth={2} label={{value:`C${c.id}`,position:"top",fill:"#94a3b8",fontSize:9,fontFamily:"DM Mono"}}/>,
+                ])}
               </ComposedChart>
-            </ResponsiveContainer>);})()}
+            </ResponsiveContainer>
+            <div style={{display:"flex",gap:16,justifyContent:"center",marginTop:8,fontSize:9,fontFamily:"'DM Mono',monospace"}}>
+              <span style={{color:"#22c55e"}}>● {t("trough")}</span><span style={{color:"#ef4444"}}>● {t("peak")}</span><span style={{color:"#f59e0b"}}>● {t("cycOpen")}</span>
+            </div>
           </div>
-          <div style={{display:"grid",gridTemplateColumns:isMobile?"repeat(2,1fr)":"repeat(4,1fr)",gap:12,marginBottom:24}}>
-            {CYCLES.map(c=>(<div key={c.id} style={{background:c.id===4?"#450a0a":"#0f172a",border:`1px solid ${c.id===4?"#dc262640":"#1e293b"}`,borderRadius:10,padding:"16px",textAlign:"center"}}>
-              <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,marginBottom:8}}>CYCLE {c.id}</div>
+          {cycles.length===0?(
+            <div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"24px",textAlign:"center",fontSize:11,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{fill(t("cycNone"),{min:cycleMin})}</div>
+          ):(
+          <div style={{display:"grid",gridTemplateColumns:isMobile?"repeat(2,1fr)":"repeat(auto-fill,minmax(200px,1fr))",gap:12,marginBottom:24}}>
+            {cycles.map(c=>{const latest=c.id===cycles.length;const wk=p=>selectedYear==="ALL"?`${p.week}'${String(p.year).slice(2)}`:p.week;return(<div key={c.id} style={{background:latest?"#450a0a":"#0f172a",border:`1px solid ${latest?"#dc262640":"#1e293b"}`,borderRadius:10,padding:"16px",textAlign:"center"}}>
+              <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,marginBottom:8}}>{t("cycCycle")} {c.id}{c.open?` · ${t("cycOpen")}`:""}</div>
               <div style={{display:"flex",justifyContent:"center",alignItems:"center",gap:8,marginBottom:8}}>
-                <div><div style={{fontSize:8,color:"#22c55e",fontFamily:"'DM Mono',monospace"}}>{t("trough")}</div><div style={{fontSize:16,fontWeight:800,color:"#22c55e",fontFamily:"'Outfit',sans-serif"}}>{c.troughVal}%</div><div style={{fontSize:8,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{c.trough}</div></div>
+                <div><div style={{fontSize:8,color:"#22c55e",fontFamily:"'DM Mono',monospace"}}>{t("trough")}</div><div style={{fontSize:16,fontWeight:800,color:"#22c55e",fontFamily:"'Outfit',sans-serif"}}>{c.trough.val}%</div><div style={{fontSize:8,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{wk(c.trough)}</div></div>
                 <div style={{fontSize:16,color:"#475569"}}>→</div>
-                <div><div style={{fontSize:8,color:"#ef4444",fontFamily:"'DM Mono',monospace"}}>{t("peak")}</div><div style={{fontSize:16,fontWeight:800,color:"#ef4444",fontFamily:"'Outfit',sans-serif"}}>{c.peakVal}%</div><div style={{fontSize:8,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{c.peak}</div></div>
+                <div><div style={{fontSize:8,color:c.open?"#f59e0b":"#ef4444",fontFamily:"'DM Mono',monospace"}}>{t("peak")}</div><div style={{fontSize:16,fontWeight:800,color:c.open?"#f59e0b":"#ef4444",fontFamily:"'Outfit',sans-serif"}}>{c.peak.val}%</div><div style={{fontSize:8,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{wk(c.peak)}</div></div>
               </div>
-              <div style={{fontSize:11,fontWeight:700,color:"#fca5a5",fontFamily:"'DM Mono',monospace",background:"#dc262618",borderRadius:4,padding:"4px 8px"}}>+{(c.peakVal-c.troughVal).toFixed(2)}pp</div>
-            </div>))}
-          </div>
+              <div style={{fontSize:11,fontWeight:700,color:"#fca5a5",fontFamily:"'DM Mono',monospace",background:"#dc262618",borderRadius:4,padding:"4px 8px"}}>+{c.amplitude.toFixed(2)}pp</div>
+              <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",marginTop:8}}>{fill(t("cycRise"),{n:c.rise})}{c.period!=null?` · ${fill(t("cycPeriod"),{n:c.period})}`:""}</div>
+            </div>);})}
+          </div>)}
         </>)}
 
+        {/* ── ALERTS ── */}
+        {selectedView==="alerts"&&<AlertsPanel alerts={alerts} weekLabel={alertWeekLabel} onOpen={(view,a)=>{setSelectedView(view);if(view==="depots"){setHighlightDepot(a.station);setTrendKpi(a.kpi);}}} onExport={tableExports.alerts} t={t} isMobile={isMobile}/>}
+
         {/* ── NCC DRIVERS ── */}
         {selectedView==="ncc"&&(<>
           <div style={{display:"grid",gridTemplateColumns:isMobile?"repeat(2,1fr)":"repeat(4,1fr)",gap:12,marginBottom:20}}>
@@ -1393,7 +3806,7 @@ export default function Dashboard() {
             </div>
             <div style={{background:"#0f172a",border:"1px solid #60a5fa20",borderRadius:10,padding:"18px",textAlign:"center"}}>
               <div style={{fontSize:8,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginBottom:6}}>{t("worstStation")}</div>
-              <div style={{fontSize:28,fontWeight:800,color:DEPOT_COLORS[nccStats.worstStn]||"#60a5fa",fontFamily:"'Outfit',sans-serif"}}>{nccStats.worstStn}</div>
+              <div style={{fontSize:28,fontWeight:800,color:colorOf(nccStats.worstStn,"#60a5fa"),fontFamily:"'Outfit',sans-serif"}}>{nccStats.worstStn}</div>
               <div style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{nccStats.worstVal} {t("defects")} ({nccStats.worstPct}%)</div>
             </div>
             <div style={{background:"#0f172a",border:"1px solid #dc262620",borderRadius:10,padding:"18px",textAlign:"center"}}>
@@ -1403,14 +3816,18 @@ export default function Dashboard() {
             </div>
           </div>
           <div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"20px",marginBottom:20}}>
-            <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:"0 0 14px",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{t("nccByStationWeekly")}</h3>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:8,marginBottom:14}}>
+              <h3 style={{fontSize:11,fontWeight:700,color:"#64748b",margin:0,fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{t("nccByStationWeekly")}</h3>
+              <ExportButtons onExport={tableExports.nccTrend} t={t}/>
+            </div>
             <ResponsiveContainer width="100%" height={isMobile?180:220}>
               <BarChart data={nccTrendData} barSize={12}>
                 <CartesianGrid strokeDasharray="3 3" stroke="#1e293b"/>
                 <XAxis dataKey="label" tick={{fill:"#475569",fontSize:8,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}}/>
                 <YAxis tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}}/>
                 <Tooltip content={<ChartTooltip/>}/>
-                {selectedDepots.map(stn=><Bar key={stn} dataKey={stn} stackId="a" fill={DEPOT_COLORS[stn]} name={stn}/>)}
+                {selectedDepots.map(stn=><Bar key={stn} dataKey={stn} stackId="a" fill={colorOf(stn)} name={stn}/>)}
+                {alertDots(["nccCount"], a => nccTrendData.find(r=>r.wk===a.wk)?.label, a => nccTrendData.find(r=>r.wk===a.wk)?.total)}
               </BarChart>
             </ResponsiveContainer>
           </div>
@@ -1418,6 +3835,8 @@ export default function Dashboard() {
             <span style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase"}}>{t("minDefects")}</span>
             {[1,3,5,10].map(n=>(<button key={n} onClick={()=>setNccMinDefects(n)} style={{background:nccMinDefects===n?"#1e293b":"transparent",border:nccMinDefects===n?"1px solid #475569":"1px solid #1e293b",color:nccMinDefects===n?"#e2e8f0":"#475569",borderRadius:4,padding:"3px 8px",cursor:"pointer",fontSize:10,fontWeight:600,fontFamily:"'DM Mono',monospace"}}>{n}+</button>))}
             <span style={{marginLeft:"auto",fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{nccFiltered.length} {t("driversShown")} · {defectWeeksFiltered.length} {t("weeksShown")} · {selectedDepots.join(", ")}</span>
+            <RankToggle rank={driverRank} setRank={setDriverRank} volume={volumeIdx} t={t}/>
+            <ExportButtons onExport={tableExports.ncc} t={t}/>
           </div>
           <div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"16px",overflowX:"auto"}}>
             <table style={{width:"100%",borderCollapse:"separate",borderSpacing:"2px 3px",minWidth:900}}>
@@ -1427,15 +3846,17 @@ export default function Dashboard() {
                 <th style={{padding:"6px",fontSize:8,color:"#475569",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",width:50}}>{t("city")}</th>
                 <th style={{padding:"6px",fontSize:8,color:"#475569",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",width:60}}>{t("station")}</th>
                 <th style={{padding:"6px",fontSize:8,color:"#fb923c",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",fontWeight:800,width:45}}>{t("total")}</th>
-                {defectWeeksFiltered.map(wk=><th key={wk} style={{padding:"4px 3px",fontSize:7,color:"#475569",textAlign:"center",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap"}}>{wk.replace("2025-","").replace("2026-","")}<br/><span style={{fontSize:6,color:"#334155"}}>{wk.startsWith("2025")?"'25":"'26"}</span></th>)}
+                {volumeIdx.has&&<RateTh volume={volumeIdx} t={t}/>}
+                {defectWeeksFiltered.map(wk=><th key={wk} style={{padding:"4px 3px",fontSize:7,color:"#475569",textAlign:"center",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap"}}>{splitWeekKey(wk).week}<br/><span style={{fontSize:6,color:"#334155"}}>{yearTag(wk)}</span></th>)}
               </tr></thead>
               <tbody>{nccFiltered.map((d,i)=>{const isTop5=i<5;return(<tr key={i} style={{background:isTop5?"#450a0a08":"transparent"}}>
                 <td style={{padding:"5px 6px",fontSize:10,fontWeight:700,color:isTop5?"#fca5a5":"#475569",fontFamily:"'DM Mono',monospace"}}>{i+1}</td>
-                <td style={{padding:"5px 6px",fontSize:11,fontWeight:isTop5?700:500,color:isTop5?"#fca5a5":"#e2e8f0",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap",overflow:"hidden",textOverflow:"ellipsis",maxWidth:180}}>{d.name.startsWith("ID:")?<span style={{color:"#64748b",fontStyle:"italic"}}>{d.name}</span>:d.name}</td>
+                <td style={{padding:"5px 6px",fontSize:11,fontWeight:isTop5?700:500,color:isTop5?"#fca5a5":"#e2e8f0",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap",overflow:"hidden",textOverflow:"ellipsis",maxWidth:180}}>{(()=>{const tid=d.tid||tidOf(registry,d.name);const nm=displayName(registry,{tid,name:d.name});return <DriverLink onOpen={()=>setDriverRef({tid,name:d.name})} t={t}>{isIdLabel(nm)?<span style={{color:"#64748b",fontStyle:"italic"}}>{nm}</span>:nm}</DriverLink>;})()}</td>
                 <td style={{padding:"5px 6px",fontSize:9,color:"#64748b",textAlign:"center",fontFamily:"'DM Mono',monospace"}}>{d.loc}</td>
-                <td style={{padding:"5px 6px",textAlign:"center"}}>{d.stations.map(s=><span key={s} style={{display:"inline-block",fontSize:8,fontWeight:700,color:DEPOT_COLORS[s],background:`${DEPOT_COLORS[s]}15`,padding:"1px 5px",borderRadius:3,margin:"0 1px",fontFamily:"'DM Mono',monospace"}}>{s}</span>)}</td>
+                <td style={{padding:"5px 6px",textAlign:"center"}}>{d.stations.map(s=><span key={s} style={{display:"inline-block",fontSize:8,fontWeight:700,color:colorOf(s),background:`${colorOf(s)}15`,padding:"1px 5px",borderRadius:3,margin:"0 1px",fontFamily:"'DM Mono',monospace"}}>{s}</span>)}</td>
                 <td style={{padding:"5px 6px",textAlign:"center",fontSize:13,fontWeight:800,color:d._filtTotal>=20?"#dc2626":d._filtTotal>=10?"#ea580c":"#d97706",fontFamily:"'Outfit',sans-serif",background:d._filtTotal>=20?"#dc262618":d._filtTotal>=10?"#ea580c12":"transparent",borderRadius:4}}>{d._filtTotal}</td>
-                {defectWeeksFiltered.map(wk=><NCCCell key={wk} val={d.w[wk]}/>)}
+                {volumeIdx.has&&<RateCell rate={d._rate} vol={d._vol} volume={volumeIdx} t={t}/>}
+                {defectWeeksFiltered.map(wk=><NCCCell key={wk} val={d.w[wk]} coached={coachMark(d.tid||tidOf(registry,d.name),wk)}/>)}
               </tr>);})}</tbody>
             </table>
           </div>
@@ -1456,7 +3877,7 @@ export default function Dashboard() {
             </div>
             <div style={{background:"#0f172a",border:"1px solid #60a5fa20",borderRadius:10,padding:isMobile?"14px":"18px",textAlign:"center"}}>
               <div style={{fontSize:8,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginBottom:6}}>{t("worstStation")}</div>
-              <div style={{fontSize:isMobile?22:28,fontWeight:800,color:DEPOT_COLORS[lateStats.worstStn]||"#60a5fa",fontFamily:"'Outfit',sans-serif"}}>{lateStats.worstStn}</div>
+              <div style={{fontSize:isMobile?22:28,fontWeight:800,color:colorOf(lateStats.worstStn,"#60a5fa"),fontFamily:"'Outfit',sans-serif"}}>{lateStats.worstStn}</div>
               <div style={{fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{lateStats.worstVal.toLocaleString()} {t("defects")} ({lateStats.worstPct}%)</div>
             </div>
             <div style={{background:"#0f172a",border:"1px solid #dc262620",borderRadius:10,padding:isMobile?"14px":"18px",textAlign:"center"}}>
@@ -1468,7 +3889,8 @@ export default function Dashboard() {
           <div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"20px",marginBottom:20}}>
             <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:14,flexDirection:isMobile?"column":"row",gap:isMobile?8:0}}>
               <h3 style={{fontSize:isMobile?10:11,fontWeight:700,color:"#64748b",margin:0,fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase"}}>{t("lateByStationWeekly")}</h3>
-              <div style={{display:"flex",gap:6}}>
+              <div style={{display:"flex",gap:6,alignItems:"center"}}>
+                <ExportButtons onExport={tableExports.lateTrend} t={t}/>
                 {["combined","gt15only"].map(m=>(<button key={m} onClick={()=>setLateViewMode(m)} style={{background:lateViewMode===m?"#1e293b":"transparent",border:lateViewMode===m?"1px solid #475569":"1px solid #1e293b",color:lateViewMode===m?"#e2e8f0":"#475569",borderRadius:4,padding:"3px 8px",cursor:"pointer",fontSize:9,fontWeight:600,fontFamily:"'DM Mono',monospace"}}>{m==="combined"?t("allLate"):t("latePlus15Only")}</button>))}
               </div>
             </div>
@@ -1479,20 +3901,24 @@ export default function Dashboard() {
                 <YAxis tick={{fill:"#475569",fontSize:9,fontFamily:"DM Mono"}} axisLine={{stroke:"#1e293b"}}/>
                 <Tooltip content={<ChartTooltip/>}/>
                 {lateViewMode==="combined"
-                  ? selectedDepots.map(stn=><Bar key={stn} dataKey={stn} stackId="a" fill={DEPOT_COLORS[stn]} name={stn}/>)
-                  : selectedDepots.map(stn=><Bar key={stn} dataKey={stn+"_gt15"} stackId="a" fill={DEPOT_COLORS[stn]} name={stn+" +15"}/>)
+                  ? selectedDepots.map(stn=><Bar key={stn} dataKey={stn} stackId="a" fill={colorOf(stn)} name={stn}/>)
+                  : selectedDepots.map(stn=><Bar key={stn} dataKey={stn+"_gt15"} stackId="a" fill={colorOf(stn)} name={stn+" +15"}/>)
                 }
+                {lateViewMode==="combined"&&alertDots(["lateCount"], a => lateTrendData.find(r=>r.wk===a.wk)?.label, a => lateTrendData.find(r=>r.wk===a.wk)?.total)}
               </BarChart>
             </ResponsiveContainer>
             <div style={{display:"flex",gap:12,justifyContent:"center",marginTop:8}}>
-              {selectedDepots.map(stn=><div key={stn} style={{display:"flex",alignItems:"center",gap:4,fontSize:9,color:DEPOT_COLORS[stn],fontFamily:"'DM Mono',monospace"}}><div style={{width:10,height:4,borderRadius:2,background:DEPOT_COLORS[stn]}}/>{stn}</div>)}
+              {selectedDepots.map(stn=><div key={stn} style={{display:"flex",alignItems:"center",gap:4,fontSize:9,color:colorOf(stn),fontFamily:"'DM Mono',monospace"}}><div style={{width:10,height:4,borderRadius:2,background:colorOf(stn)}}/>{stn}</div>)}
             </div>
           </div>
           <div style={{display:"flex",gap:12,alignItems:"center",marginBottom:14,flexWrap:"wrap"}}>
             <span style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase"}}>{t("minDefects")}</span>
             {[1,5,10,20].map(n=>(<button key={n} onClick={()=>setLateMinDefects(n)} style={{background:lateMinDefects===n?"#1e293b":"transparent",border:lateMinDefects===n?"1px solid #475569":"1px solid #1e293b",color:lateMinDefects===n?"#e2e8f0":"#475569",borderRadius:4,padding:"3px 8px",cursor:"pointer",fontSize:10,fontWeight:600,fontFamily:"'DM Mono',monospace"}}>{n}+</button>))}
             <span style={{marginLeft:"auto",fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{lateFiltered.length} {t("driversShown")} · {defectWeeksFiltered.length} {t("weeksShown")} · {selectedDepots.join(", ")}</span>
+            <RankToggle rank={driverRank} setRank={setDriverRank} volume={volumeIdx} t={t}/>
+            <ExportButtons onExport={tableExports.late} t={t}/>
           </div>
+          {lateStats.estimatedDrivers>0&&<EstimateNotice n={lateStats.estimatedDrivers} t={t}/>}
           <div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"16px",overflowX:"auto"}}>
             <table style={{width:"100%",borderCollapse:"separate",borderSpacing:"2px 3px",minWidth:1000}}>
               <thead><tr>
@@ -1502,23 +3928,25 @@ export default function Dashboard() {
                 <th style={{padding:"6px",fontSize:8,color:"#a5b4fc",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",fontWeight:800,width:50}}>{t("total")}</th>
                 <th style={{padding:"6px",fontSize:8,color:"#fca5a5",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",width:40}}>+15</th>
                 <th style={{padding:"6px",fontSize:8,color:"#6366f1",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",width:35}}>%</th>
-                {defectWeeksFiltered.map(wk=><th key={wk} style={{padding:"4px 3px",fontSize:7,color:"#475569",textAlign:"center",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap"}}>{wk.replace("2025-","").replace("2026-","")}<br/><span style={{fontSize:6,color:"#334155"}}>{wk.startsWith("2025")?"'25":"'26"}</span></th>)}
+                {volumeIdx.has&&<RateTh volume={volumeIdx} t={t}/>}
+                {defectWeeksFiltered.map(wk=><th key={wk} style={{padding:"4px 3px",fontSize:7,color:"#475569",textAlign:"center",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap"}}>{splitWeekKey(wk).week}<br/><span style={{fontSize:6,color:"#334155"}}>{yearTag(wk)}</span></th>)}
               </tr></thead>
               <tbody>{lateFiltered.map((d,i)=>{const isTop5=i<5;const gt15Pct=d._filtTotal>0?Math.round((d._filtGt15/d._filtTotal)*100):0;return(<tr key={i} style={{background:isTop5?"#1e1b4b08":"transparent"}}>
                 <td style={{padding:"5px 6px",fontSize:10,fontWeight:700,color:isTop5?"#a5b4fc":"#475569",fontFamily:"'DM Mono',monospace"}}>{i+1}</td>
-                <td style={{padding:"5px 6px",fontSize:10,fontWeight:isTop5?700:500,color:isTop5?"#a5b4fc":"#e2e8f0",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap",overflow:"hidden",textOverflow:"ellipsis",maxWidth:160}}>{(()=>{const nm=resolveName(d.tid);const isId=nm===d.tid;return isId?<span style={{color:"#64748b",fontStyle:"italic",fontSize:9}}>{nm.slice(0,14)}</span>:nm;})()}</td>
-                <td style={{padding:"5px 6px",textAlign:"center"}}>{d.s.map(s=><span key={s} style={{display:"inline-block",fontSize:8,fontWeight:700,color:DEPOT_COLORS[s],background:`${DEPOT_COLORS[s]}15`,padding:"1px 5px",borderRadius:3,margin:"0 1px",fontFamily:"'DM Mono',monospace"}}>{s}</span>)}</td>
+                <td style={{padding:"5px 6px",fontSize:10,fontWeight:isTop5?700:500,color:isTop5?"#a5b4fc":"#e2e8f0",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap",overflow:"hidden",textOverflow:"ellipsis",maxWidth:160}}><DriverLink onOpen={()=>setDriverRef({tid:d.tid})} t={t}>{(()=>{const nm=displayName(registry,{tid:d.tid});const isId=isIdLabel(nm);return isId?<span style={{color:"#64748b",fontStyle:"italic",fontSize:9}}>{nm.slice(0,14)}</span>:nm;})()}</DriverLink></td>
+                <td style={{padding:"5px 6px",textAlign:"center"}}>{d.s.map(s=><span key={s} style={{display:"inline-block",fontSize:8,fontWeight:700,color:colorOf(s),background:`${colorOf(s)}15`,padding:"1px 5px",borderRadius:3,margin:"0 1px",fontFamily:"'DM Mono',monospace"}}>{s}</span>)}</td>
                 <td style={{padding:"5px 6px",textAlign:"center",fontSize:13,fontWeight:800,color:d._filtTotal>=40?"#dc2626":d._filtTotal>=25?"#ea580c":"#a5b4fc",fontFamily:"'Outfit',sans-serif",background:d._filtTotal>=40?"#dc262618":d._filtTotal>=25?"#ea580c12":"transparent",borderRadius:4}}>{d._filtTotal}</td>
-                <td style={{padding:"5px 6px",textAlign:"center",fontSize:11,fontWeight:700,color:d._filtGt15>=15?"#fca5a5":"#94a3b8",fontFamily:"'DM Mono',monospace"}}>{d._filtGt15}</td>
+                <td style={{padding:"5px 6px",textAlign:"center",fontSize:11,fontWeight:700,color:d._filtGt15>=15?"#fca5a5":"#94a3b8",fontFamily:"'DM Mono',monospace"}} title={d._gt15Est?t("gt15EstTip"):undefined}>{d._gt15Est&&d._filtTotal>0?"≈":""}{d._filtGt15}</td>
                 <td style={{padding:"5px 6px",textAlign:"center",fontSize:10,fontWeight:600,color:gt15Pct>=45?"#fca5a5":"#6366f1",fontFamily:"'DM Mono',monospace"}}>{gt15Pct}%</td>
-                {defectWeeksFiltered.map(wk=><LateCell key={wk} val={d.w[wk]||0}/>)}
+                {volumeIdx.has&&<RateCell rate={d._rate} vol={d._vol} volume={volumeIdx} t={t}/>}
+                {defectWeeksFiltered.map(wk=><LateCell key={wk} val={d.w[wk]||0} coached={coachMark(d.tid,wk)}/>)}
               </tr>);})}</tbody>
             </table>
           </div>
           <div style={{marginTop:14,padding:"12px 16px",background:"#0f172a",border:"1px solid #1e293b",borderRadius:8,display:"flex",gap:20,flexWrap:"wrap"}}>
-            <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace"}}><span style={{color:"#a5b4fc",fontWeight:700}}>{t("keyInsight")}:</span> W50/25 was catastrophic — 442 late deliveries network-wide (409 UIT4). W2/26 repeated the pattern with 287.</div>
-            <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace"}}><span style={{color:"#dc2626",fontWeight:700}}>{t("gt15Rate")}:</span> 30% of lates are &gt;15min — UIT4 has 403/527 of all severe lates.</div>
-            <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace"}}><span style={{color:"#6366f1",fontWeight:700}}>{t("attribution")}:</span> 100% classified as "Late Batch Ops Controllable" — these are DSP-owned.</div>
+            <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace"}}><span style={{color:"#a5b4fc",fontWeight:700}}>{t("keyInsight")}:</span> {lateStats.insight?fill(t("keyInsightText"),{wk:weekLabel(lateStats.insight.wk),n:lateStats.insight.value,stn:lateStats.insight.station,base:Math.round(lateStats.insight.baseline),score:lateStats.insight.score,total:lateStats.insight.total}):t("keyInsightNone")}</div>
+            <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace"}}><span style={{color:"#dc2626",fontWeight:700}}>{t("gt15Rate")}:</span> {fill(t("gt15RateText"),{pct:lateStats.gt15Pct,stn:lateStats.gt15WorstStn,n:lateStats.gt15WorstVal,m:lateStats.gt15Total})}</div>
+            <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace"}}><span style={{color:"#6366f1",fontWeight:700}}>{t("attribution")}:</span> {lateStats.attribution?fill(t("attributionText"),lateStats.attribution):t("attributionNone")}</div>
           </div>
         </>)}
 
@@ -1550,7 +3978,12 @@ export default function Dashboard() {
             <span style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase"}}>{t("minCombined")}</span>
             {[1,5,10,20,40].map(n=>(<button key={n} onClick={()=>setScorecardMinTotal(n)} style={{background:scorecardMinTotal===n?"#1e293b":"transparent",border:scorecardMinTotal===n?"1px solid #475569":"1px solid #1e293b",color:scorecardMinTotal===n?"#e2e8f0":"#475569",borderRadius:4,padding:"3px 8px",cursor:"pointer",fontSize:10,fontWeight:600,fontFamily:"'DM Mono',monospace"}}>{n}+</button>))}
             <span style={{marginLeft:"auto",fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{scorecardFiltered.length} {t("driversShown")} · {selectedDepots.join(", ")}</span>
+            <RankToggle rank={driverRank} setRank={setDriverRank} volume={volumeIdx} t={t}/>
+            <button onClick={()=>setShowScoring(v=>!v)} style={{...impBtn(showScoring),padding:"4px 10px",fontSize:10}}>⚙ {t("scoWeights")}</button>
+            <ExportButtons onExport={tableExports.scorecard} t={t}/>
           </div>
+          {showScoring&&<ScoringPanel scoring={scoring} setScoring={setScoring} t={t}/>}
+          {scStats.estimatedDrivers>0&&<EstimateNotice n={scStats.estimatedDrivers} t={t}/>}
           <div style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:10,padding:"16px",overflowX:"auto"}}>
             <table style={{width:"100%",borderCollapse:"separate",borderSpacing:"2px 3px",minWidth:800}}>
               <thead><tr>
@@ -1562,19 +3995,25 @@ export default function Dashboard() {
                 <th style={{padding:"6px",fontSize:8,color:"#a5b4fc",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",fontWeight:800,width:45}}>{t("late")}</th>
                 <th style={{padding:"6px",fontSize:8,color:"#fca5a5",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",fontWeight:800,width:40}}>+15</th>
                 <th style={{padding:"6px",fontSize:8,color:"#22c55e",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",fontWeight:800,width:55}}>{t("combinedDefects")}</th>
+                {volumeIdx.has&&<RateTh volume={volumeIdx} t={t}/>}
+                <th style={{padding:"6px",fontSize:8,color:"#e2e8f0",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",fontWeight:800,width:50}}>{t("scoScore")}</th>
                 <th style={{padding:"6px",fontSize:8,color:"#475569",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",width:60}}>{t("severity")}</th>
+                <th style={{padding:"6px",fontSize:8,color:"#475569",textAlign:"left",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",minWidth:150}}>{t("scoWhy")}</th>
                 <th style={{padding:"6px",fontSize:8,color:"#475569",textAlign:"center",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",minWidth:120}}>{t("defectMix")}</th>
               </tr></thead>
-              <tbody>{scorecardFiltered.map((d,i)=>{const isTop5=i<5;const nccPct=d.combined>0?Math.round((d.ncc/d.combined)*100):0;const latePct=100-nccPct;const sevColors={CRITICAL:{bg:"#450a0a",text:"#fca5a5",border:"#dc2626"},HIGH:{bg:"#451a03",text:"#fcd34d",border:"#d97706"},MEDIUM:{bg:"#172554",text:"#93c5fd",border:"#3b82f6"},LOW:{bg:"#0f172a",text:"#64748b",border:"#334155"}};const sc=sevColors[d.severity];return(<tr key={i} style={{background:isTop5?"#14532d08":"transparent"}}>
+              <tbody>{scorecardFiltered.map((d,i)=>{const isTop5=i<5;const nccPct=d.combined>0?Math.round((d.ncc/d.combined)*100):0;const latePct=100-nccPct;const sc=SEVERITY_COLORS[d.severity];return(<tr key={i} style={{background:isTop5?"#14532d08":"transparent"}}>
                 <td style={{padding:"5px 6px",fontSize:10,fontWeight:700,color:isTop5?"#86efac":"#475569",fontFamily:"'DM Mono',monospace"}}>{i+1}</td>
-                <td style={{padding:"5px 6px",fontSize:11,fontWeight:isTop5?700:500,color:isTop5?"#86efac":"#e2e8f0",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap",overflow:"hidden",textOverflow:"ellipsis",maxWidth:180}}>{d.name.startsWith("ID:")||d.name.startsWith("A")?<span style={{color:"#64748b",fontStyle:"italic",fontSize:9}}>{d.name.slice(0,16)}</span>:d.name}</td>
+                <td style={{padding:"5px 6px",fontSize:11,fontWeight:isTop5?700:500,color:isTop5?"#86efac":"#e2e8f0",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap",overflow:"hidden",textOverflow:"ellipsis",maxWidth:180}}><DriverLink onOpen={()=>setDriverRef({tid:d.tid,name:d.name})} t={t}>{isIdLabel(d.name)?<span style={{color:"#64748b",fontStyle:"italic",fontSize:9}}>{d.name.slice(0,16)}</span>:d.name}</DriverLink>{d.tid&&coachIdx.has(d.tid)&&<span title={fill(t("coaCount"),{n:coachIdx.get(d.tid).entries.length})} style={{marginLeft:5,fontSize:8,color:COACHED_COLOR}}>◆{coachIdx.get(d.tid).entries.length}</span>}</td>
                 <td style={{padding:"5px 6px",fontSize:9,color:"#64748b",textAlign:"center",fontFamily:"'DM Mono',monospace"}}>{d.loc}</td>
-                <td style={{padding:"5px 6px",textAlign:"center"}}>{d.stations.map(s=><span key={s} style={{display:"inline-block",fontSize:8,fontWeight:700,color:DEPOT_COLORS[s],background:`${DEPOT_COLORS[s]}15`,padding:"1px 5px",borderRadius:3,margin:"0 1px",fontFamily:"'DM Mono',monospace"}}>{s}</span>)}</td>
+                <td style={{padding:"5px 6px",textAlign:"center"}}>{d.stations.map(s=><span key={s} style={{display:"inline-block",fontSize:8,fontWeight:700,color:colorOf(s),background:`${colorOf(s)}15`,padding:"1px 5px",borderRadius:3,margin:"0 1px",fontFamily:"'DM Mono',monospace"}}>{s}</span>)}</td>
                 <td style={{padding:"5px 6px",textAlign:"center",fontSize:12,fontWeight:700,color:d.ncc>0?"#fb923c":"#1e293b",fontFamily:"'DM Mono',monospace",background:d.ncc>=15?"#ea580c12":"transparent",borderRadius:3}}>{d.ncc||"·"}</td>
                 <td style={{padding:"5px 6px",textAlign:"center",fontSize:12,fontWeight:700,color:d.late>0?"#a5b4fc":"#1e293b",fontFamily:"'DM Mono',monospace",background:d.late>=20?"#6366f112":"transparent",borderRadius:3}}>{d.late||"·"}</td>
-                <td style={{padding:"5px 6px",textAlign:"center",fontSize:11,fontWeight:700,color:d.gt15>0?"#fca5a5":"#1e293b",fontFamily:"'DM Mono',monospace"}}>{d.gt15||"·"}</td>
+                <td style={{padding:"5px 6px",textAlign:"center",fontSize:11,fontWeight:700,color:d.gt15>0?"#fca5a5":"#1e293b",fontFamily:"'DM Mono',monospace"}} title={d.gt15Est?t("gt15EstTip"):undefined}>{d.gt15Est&&d.gt15>0?"≈":""}{d.gt15||"·"}</td>
                 <td style={{padding:"5px 6px",textAlign:"center",fontSize:14,fontWeight:800,color:d.combined>=50?"#dc2626":d.combined>=30?"#ea580c":"#86efac",fontFamily:"'Outfit',sans-serif",background:d.combined>=50?"#dc262618":d.combined>=30?"#ea580c12":"#22c55e08",borderRadius:4}}>{d.combined}</td>
+                {volumeIdx.has&&<RateCell rate={d.rate} vol={d.vol} volume={volumeIdx} t={t}/>}
+                <td style={{padding:"5px 6px",textAlign:"center",fontSize:13,fontWeight:800,color:sc.text,fontFamily:"'Outfit',sans-serif"}} title={d.parts.map(p=>`${scorePartLabel(p.key,t)}: ${p.count} × ${scoring.weights[p.key]} = ${p.points}`).join("\n")+(d.perVolume?`\n${t("scoPerVolume")}`:"")}>{d.score}{d.perVolume&&<span style={{fontSize:8,color:"#64748b",fontWeight:600}}>/1k</span>}</td>
                 <td style={{padding:"5px 6px",textAlign:"center"}}><span style={{fontSize:8,fontWeight:700,color:sc.text,background:`${sc.border}18`,padding:"2px 8px",borderRadius:4,fontFamily:"'DM Mono',monospace",letterSpacing:0.5}}>{d.severity}</span></td>
+                <td style={{padding:"5px 6px",fontSize:9,color:"#94a3b8",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap"}}>{scoreReasonText(d.reason,t)||"·"}</td>
                 <td style={{padding:"5px 6px"}}><div style={{display:"flex",height:10,borderRadius:3,overflow:"hidden",background:"#1e293b",minWidth:80}}>
                   {d.ncc>0&&<div style={{width:`${nccPct}%`,background:"#ea580c",minWidth:d.ncc>0?2:0}} title={`NCC: ${d.ncc}`}/>}
                   {d.late>0&&<div style={{width:`${Math.round((d.late/d.combined)*100)}%`,background:"#6366f1",minWidth:d.late>0?2:0}} title={`Late: ${d.late}`}/>}
@@ -1595,7 +4034,32 @@ export default function Dashboard() {
         {/* ── DEFECT FLOW ── */}
         {selectedView==="flow"&&(()=>{
           const TEAL="#0d9488";const TEAL_DIM="#0d948860";
-          const fd = FLOW_W8;
+          const fd = flowView;
+          const flowControls = (
+            <div style={{display:"flex",alignItems:"center",gap:8,flexWrap:"wrap",marginBottom:14}}>
+              <span style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase"}}>{t("week")}</span>
+              <select value={flowWeek&&flowInRange.includes(flowWeek)?flowWeek:""} onChange={e=>setFlowWeek(e.target.value||null)} disabled={!flowInRange.length} style={{...regInput,width:"auto"}}>
+                <option value="">{fill(t("flowAllWeeks"),{n:flowInRange.length})}</option>
+                {flowInRange.map(wk=><option key={wk} value={wk}>{flowWeeksLabel([wk])}</option>)}
+              </select>
+              <div style={{display:"flex",gap:2,background:"#0f172a",border:"1px solid #1e293b",borderRadius:6,padding:2}}>
+                {["sankey","columns"].map(l=>(<button key={l} onClick={()=>setFlowLayout(l)} style={{background:flowLayout===l?"#334155":"transparent",border:"none",color:flowLayout===l?"#f8fafc":"#475569",borderRadius:4,padding:"4px 8px",cursor:"pointer",fontSize:9,fontWeight:700,fontFamily:"'DM Mono',monospace"}}>{t(l==="sankey"?"flowLayoutSankey":"flowLayoutColumns")}</button>))}
+              </div>
+              <button onClick={()=>setFlowCompare(c=>!c)} disabled={flowAll.length<2} title={flowAll.length<2?t("flowCompareNeedTwo"):undefined} style={{background:flowCompare?"#0d948818":"transparent",border:`1px solid ${flowCompare?"#0d948850":"#1e293b"}`,color:flowCompare?"#5eead4":"#475569",borderRadius:4,padding:"4px 10px",cursor:flowAll.length<2?"not-allowed":"pointer",fontSize:10,fontWeight:600,fontFamily:"'DM Mono',monospace",opacity:flowAll.length<2?0.5:1}}>⇄ {t("flowCompare")}</button>
+              {flowCompare&&flowAll.length>1&&<>
+                <select value={flowCmpA} onChange={e=>setFlowCmp(c=>({...c,a:e.target.value}))} style={{...regInput,width:"auto"}}>{flowAll.map(wk=><option key={wk} value={wk}>{flowWeeksLabel([wk])}</option>)}</select>
+                <span style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace"}}>→</span>
+                <select value={flowCmpB} onChange={e=>setFlowCmp(c=>({...c,b:e.target.value}))} style={{...regInput,width:"auto"}}>{flowAll.map(wk=><option key={wk} value={wk}>{flowWeeksLabel([wk])}</option>)}</select>
+              </>}
+              {flowAll.length<2&&<span style={{fontSize:9,color:"#334155",fontFamily:"'DM Mono',monospace"}}>{t("flowCompareNeedTwo")}</span>}
+            </div>
+          );
+          const shiftPanel = flowCompare&&flowAll.length>1&&<FlowShiftPanel rows={flowShift} a={flowCmpA} b={flowCmpB} onExport={tableExports.flowShift} t={t}/>;
+          if (!fd.weeks.length) return (<>
+            {flowControls}
+            <div style={{padding:"40px",textAlign:"center",background:"#0a0f1a",border:"1px solid #1e293b",borderRadius:12,fontSize:11,color:"#475569",fontFamily:"'DM Mono',monospace",marginBottom:18}}>{fill(t("flowNoWeeks"),{from:fromLabel,to:toLabel,weeks:flowAll.map(wk=>flowWeeksLabel([wk])).join(", ")||"—"})}</div>
+            {shiftPanel}
+          </>);
           const maxDef = Math.max(...fd.defectTypes.map(d=>d.count));
           const selAttrs = flowDefect?(fd.attributions[flowDefect]||[]):[];
           const maxAttrVal = selAttrs.length>0?Math.max(...selAttrs.map(a=>a.count)):1;
@@ -1620,10 +4084,11 @@ export default function Dashboard() {
           );
 
           return(<>
+          {flowControls}
           {/* KPI Row */}
           <div style={{display:"grid",gridTemplateColumns:isMobile?"repeat(2,1fr)":"repeat(5,1fr)",gap:10,marginBottom:18}}>
             {[
-              {label:"Orders Total",val:fd.ordersTotal.toLocaleString(),color:"#e2e8f0",sub:"all orders W8"},
+              {label:"Orders Total",val:fd.ordersTotal.toLocaleString(),color:"#e2e8f0",sub:`all orders ${fd.week}`},
               {label:"With Defects",val:fd.ordersWithDefects.toLocaleString(),color:"#fcd34d",sub:`${fd.pctDef}% of total`},
               {label:"% Orders OK",val:`${fd.pctOk}%`,color:"#86efac",sub:"delivered clean"},
               {label:"Total Defects",val:fd.totalDefects.toLocaleString(),color:"#f8fafc",sub:"sum all defect types"},
@@ -1641,103 +4106,109 @@ export default function Dashboard() {
           <div style={{display:"flex",alignItems:"center",gap:8,marginBottom:14,flexWrap:"wrap"}}>
             <div style={{fontSize:9,color:"#f59e0b",fontFamily:"'DM Mono',monospace",fontWeight:700,background:"#f59e0b15",padding:"3px 10px",borderRadius:4,border:"1px solid #f59e0b30"}}>{fd.week}</div>
             {flowDefect&&<><span style={{color:"#1e293b",fontSize:12}}>›</span><div style={{fontSize:9,color:"#5eead4",fontFamily:"'DM Mono',monospace",background:"#0d948815",padding:"3px 10px",borderRadius:4,border:"1px solid #0d948830"}}>{fd.defectTypes.find(d=>d.key===flowDefect)?.label}</div></>}
-            {flowAttr&&<><span style={{color:"#1e293b",fontSize:12}}>›</span><div style={{fontSize:9,color:"#5eead4",fontFamily:"'DM Mono',monospace",background:"#0d948815",padding:"3px 10px",borderRadius:4,border:"1px solid #0d948830"}}>{selAttrs.find(a=>a.key===flowAttr)?.label?.slice(0,24)}</div></>}
-            {flowSite&&<><span style={{color:"#1e293b",fontSize:12}}>›</span><div style={{fontSize:9,color:DEPOT_COLORS[flowSite],fontFamily:"'DM Mono',monospace",background:`${DEPOT_COLORS[flowSite]}15`,padding:"3px 10px",borderRadius:4,border:`1px solid ${DEPOT_COLORS[flowSite]}30`}}>{flowSite}</div></>}
-            <div style={{marginLeft:8,fontSize:9,color:"#334155",fontFamily:"'DM Mono',monospace"}}>{t("flowInstr")}</div>
+            {flowAttr&&<><span style={{color:"#1e293b",fontSize:12}}>›</span><div style={{fontSize:9,color:"#5eead4",fontFamily:"'DM Mono',monospace",background:"#0d948815",padding:"3px 10px",borderRadius:4,border:"1px solid #0d948830"}}>{Object.values(fd.attributions).flat().find(a=>a.key===flowAttr)?.label?.slice(0,24)}</div></>}
+            {flowSite&&<><span style={{color:"#1e293b",fontSize:12}}>›</span><div style={{fontSize:9,color:colorOf(flowSite),fontFamily:"'DM Mono',monospace",background:`${colorOf(flowSite)}15`,padding:"3px 10px",borderRadius:4,border:`1px solid ${colorOf(flowSite)}30`}}>{flowSite}</div></>}
+            <div style={{marginLeft:8,fontSize:9,color:"#334155",fontFamily:"'DM Mono',monospace"}}>{t(flowLayout==="sankey"?"flowSankeyHint":"flowInstr")}</div>
             {(flowDefect||flowAttr||flowSite)&&<button onClick={()=>{setFlowDefect(null);setFlowAttr(null);setFlowSite(null);}} style={{marginLeft:"auto",background:"transparent",border:"1px solid #334155",color:"#64748b",borderRadius:4,padding:"3px 10px",cursor:"pointer",fontSize:9,fontFamily:"'DM Mono',monospace"}}>✕ Reset</button>}
           </div>
 
-          {/* Main Flow Grid */}
-          <div style={{display:"flex",gap:0,overflowX:"auto",background:"#0a0f1a",border:"1px solid #1e293b",borderRadius:12,WebkitOverflowScrolling:"touch"}}>
-
-            {/* COL 1: Defect Types */}
-            <div style={{minWidth:220,padding:"20px 0 20px 20px",borderRight:"1px solid #1e293b",flexShrink:0}}>
-              <ColHeader label={t("flowDefectType")}/>
-              <div style={{display:"flex",flexDirection:"column",gap:6}}>
-                {fd.defectTypes.map((dt,i)=>{
-                  const isSel=flowDefect===dt.key;
-                  return(
-                    <div key={i} onClick={()=>{setFlowDefect(isSel?null:dt.key);setFlowAttr(null);setFlowSite(null);}} style={{cursor:"pointer",padding:"8px 10px",borderRadius:7,background:isSel?"#0d948818":"transparent",border:`1px solid ${isSel?"#0d948850":"transparent"}`,transition:"all 0.15s",marginRight:16}}>
-                      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:2}}>
-                        <span style={{fontSize:12,fontWeight:isSel?700:400,color:isSel?"#5eead4":"#94a3b8",fontFamily:"'DM Mono',monospace"}}>{dt.label}</span>
-                        <span style={{fontSize:10,color:isSel?"#5eead4":"#475569",fontFamily:"'DM Mono',monospace",marginLeft:8}}>{dt.pct}%</span>
-                      </div>
-                      <FlowBar count={dt.count} maxVal={maxDef} color={TEAL} selected={isSel}/>
-                      <div style={{fontSize:13,fontWeight:700,color:isSel?"#f8fafc":"#64748b",fontFamily:"'Outfit',sans-serif",marginTop:4}}>{dt.count}</div>
-                    </div>
-                  );
-                })}
-              </div>
-            </div>
+          {/* Main Flow: Sankey, or the click-through columns */}
+          {flowLayout==="sankey"?(
+            <FlowSankey flow={fd} focus={{defect:flowDefect,attr:flowAttr,site:flowSite}} onFocus={(level,key)=>({defect:setFlowDefect,attr:setFlowAttr,site:setFlowSite})[level](key)} onDriver={name=>setDriverRef({name})} t={t} isMobile={isMobile}/>
+          ):(
+            <div style={{display:"flex",gap:0,overflowX:"auto",background:"#0a0f1a",border:"1px solid #1e293b",borderRadius:12,WebkitOverflowScrolling:"touch"}}>
 
-            {/* COL 2: Attribution */}
-            {flowDefect?(
-              <div style={{minWidth:260,padding:"20px 0 20px 20px",borderRight:"1px solid #1e293b",flexShrink:0}}>
-                <ColHeader label={t("flowAttribution")}/>
+              {/* COL 1: Defect Types */}
+              <div style={{minWidth:220,padding:"20px 0 20px 20px",borderRight:"1px solid #1e293b",flexShrink:0}}>
+                <ColHeader label={t("flowDefectType")}/>
                 <div style={{display:"flex",flexDirection:"column",gap:6}}>
-                  {selAttrs.map((attr,i)=>{
-                    const isSel=flowAttr===attr.key;
+                  {fd.defectTypes.map((dt,i)=>{
+                    const isSel=flowDefect===dt.key;
                     return(
-                      <div key={i} onClick={()=>{setFlowAttr(isSel?null:attr.key);setFlowSite(null);}} style={{cursor:"pointer",padding:"8px 10px",borderRadius:7,background:isSel?"#0d948818":"transparent",border:`1px solid ${isSel?"#0d948850":"transparent"}`,transition:"all 0.15s",marginRight:16}}>
-                        <div style={{overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",fontSize:11,fontWeight:isSel?700:400,color:isSel?"#5eead4":"#94a3b8",fontFamily:"'DM Mono',monospace",marginBottom:2}}>{attr.label}</div>
-                        <FlowBar count={attr.count} maxVal={maxAttrVal} color={TEAL} selected={isSel}/>
-                        <div style={{fontSize:13,fontWeight:700,color:isSel?"#f8fafc":"#64748b",fontFamily:"'Outfit',sans-serif",marginTop:4}}>{attr.count}</div>
+                      <div key={i} onClick={()=>{setFlowDefect(isSel?null:dt.key);setFlowAttr(null);setFlowSite(null);}} style={{cursor:"pointer",padding:"8px 10px",borderRadius:7,background:isSel?"#0d948818":"transparent",border:`1px solid ${isSel?"#0d948850":"transparent"}`,transition:"all 0.15s",marginRight:16}}>
+                        <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:2}}>
+                          <span style={{fontSize:12,fontWeight:isSel?700:400,color:isSel?"#5eead4":"#94a3b8",fontFamily:"'DM Mono',monospace"}}>{dt.label}</span>
+                          <span style={{fontSize:10,color:isSel?"#5eead4":"#475569",fontFamily:"'DM Mono',monospace",marginLeft:8}}>{dt.pct}%</span>
+                        </div>
+                        <FlowBar count={dt.count} maxVal={maxDef} color={TEAL} selected={isSel}/>
+                        <div style={{fontSize:13,fontWeight:700,color:isSel?"#f8fafc":"#64748b",fontFamily:"'Outfit',sans-serif",marginTop:4}}>{dt.count}</div>
                       </div>
                     );
                   })}
                 </div>
               </div>
-            ):(
-              <div style={{flex:1,display:"flex",flexDirection:"column",justifyContent:"center",alignItems:"center",padding:"40px",gap:12}}>
-                <div style={{fontSize:36,color:"#1e293b"}}>→</div>
-                <div style={{fontSize:11,color:"#334155",fontFamily:"'DM Mono',monospace",textAlign:"center",lineHeight:1.8}}>{t("flowSelectHint")}</div>
-              </div>
-            )}
 
-            {/* COL 3: Site */}
-            {flowAttr&&siteItems.length>0&&(
-              <div style={{minWidth:180,padding:"20px 0 20px 20px",borderRight:"1px solid #1e293b",flexShrink:0}}>
-                <ColHeader label={t("flowSite")}/>
-                <div style={{display:"flex",flexDirection:"column",gap:6}}>
-                  {siteItems.map((site,i)=>{
-                    const isSel=flowSite===site.name;
-                    const dc=DEPOT_COLORS[site.name]||TEAL;
-                    return(
-                      <div key={i} onClick={()=>setFlowSite(isSel?null:site.name)} style={{cursor:"pointer",padding:"8px 10px",borderRadius:7,background:isSel?`${dc}18`:"transparent",border:`1px solid ${isSel?dc+"50":"transparent"}`,transition:"all 0.15s",marginRight:16}}>
-                        <div style={{fontSize:13,fontWeight:700,color:isSel?dc:"#94a3b8",fontFamily:"'DM Mono',monospace",marginBottom:2}}>{site.name}</div>
-                        <div style={{height:5,background:"#0f172a",borderRadius:3,overflow:"hidden",marginTop:3}}>
-                          <div style={{width:`${Math.max((site.count/maxSite)*100,2)}%`,height:"100%",background:isSel?dc:dc+"60",borderRadius:3,transition:"width 0.3s ease"}}/>
+              {/* COL 2: Attribution */}
+              {flowDefect?(
+                <div style={{minWidth:260,padding:"20px 0 20px 20px",borderRight:"1px solid #1e293b",flexShrink:0}}>
+                  <ColHeader label={t("flowAttribution")}/>
+                  <div style={{display:"flex",flexDirection:"column",gap:6}}>
+                    {selAttrs.map((attr,i)=>{
+                      const isSel=flowAttr===attr.key;
+                      return(
+                        <div key={i} onClick={()=>{setFlowAttr(isSel?null:attr.key);setFlowSite(null);}} style={{cursor:"pointer",padding:"8px 10px",borderRadius:7,background:isSel?"#0d948818":"transparent",border:`1px solid ${isSel?"#0d948850":"transparent"}`,transition:"all 0.15s",marginRight:16}}>
+                          <div style={{overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",fontSize:11,fontWeight:isSel?700:400,color:isSel?"#5eead4":"#94a3b8",fontFamily:"'DM Mono',monospace",marginBottom:2}}>{attr.label}</div>
+                          <FlowBar count={attr.count} maxVal={maxAttrVal} color={TEAL} selected={isSel}/>
+                          <div style={{fontSize:13,fontWeight:700,color:isSel?"#f8fafc":"#64748b",fontFamily:"'Outfit',sans-serif",marginTop:4}}>{attr.count}</div>
                         </div>
-                        <div style={{fontSize:13,fontWeight:700,color:isSel?"#f8fafc":"#64748b",fontFamily:"'Outfit',sans-serif",marginTop:4}}>{site.count}</div>
-                      </div>
-                    );
-                  })}
+                      );
+                    })}
+                  </div>
                 </div>
-              </div>
-            )}
+              ):(
+                <div style={{flex:1,display:"flex",flexDirection:"column",justifyContent:"center",alignItems:"center",padding:"40px",gap:12}}>
+                  <div style={{fontSize:36,color:"#1e293b"}}>→</div>
+                  <div style={{fontSize:11,color:"#334155",fontFamily:"'DM Mono',monospace",textAlign:"center",lineHeight:1.8}}>{t("flowSelectHint")}</div>
+                </div>
+              )}
 
-            {/* COL 4: Drivers */}
-            {flowSite&&(
-              <div style={{minWidth:240,padding:"20px",flexShrink:0}}>
-                <ColHeader label={t("flowDriver")}/>
-                {drvItems.length>0?(
+              {/* COL 3: Site */}
+              {flowAttr&&siteItems.length>0&&(
+                <div style={{minWidth:180,padding:"20px 0 20px 20px",borderRight:"1px solid #1e293b",flexShrink:0}}>
+                  <ColHeader label={t("flowSite")}/>
                   <div style={{display:"flex",flexDirection:"column",gap:6}}>
-                    {drvItems.map((drv,i)=>(
-                      <div key={i} style={{padding:"6px 10px",borderRadius:7}}>
-                        <div style={{fontSize:11,color:"#94a3b8",fontFamily:"'DM Mono',monospace",marginBottom:2,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{drv.name}</div>
-                        <div style={{height:5,background:"#0f172a",borderRadius:3,overflow:"hidden",marginTop:3}}>
-                          <div style={{width:`${Math.max((drv.count/maxDrv)*100,4)}%`,height:"100%",background:DEPOT_COLORS[flowSite]||TEAL,borderRadius:3}}/>
+                    {siteItems.map((site,i)=>{
+                      const isSel=flowSite===site.name;
+                      const dc=colorOf(site.name,TEAL);
+                      return(
+                        <div key={i} onClick={()=>setFlowSite(isSel?null:site.name)} style={{cursor:"pointer",padding:"8px 10px",borderRadius:7,background:isSel?`${dc}18`:"transparent",border:`1px solid ${isSel?dc+"50":"transparent"}`,transition:"all 0.15s",marginRight:16}}>
+                          <div style={{fontSize:13,fontWeight:700,color:isSel?dc:"#94a3b8",fontFamily:"'DM Mono',monospace",marginBottom:2}}>{site.name}</div>
+                          <div style={{height:5,background:"#0f172a",borderRadius:3,overflow:"hidden",marginTop:3}}>
+                            <div style={{width:`${Math.max((site.count/maxSite)*100,2)}%`,height:"100%",background:isSel?dc:dc+"60",borderRadius:3,transition:"width 0.3s ease"}}/>
+                          </div>
+                          <div style={{fontSize:13,fontWeight:700,color:isSel?"#f8fafc":"#64748b",fontFamily:"'Outfit',sans-serif",marginTop:4}}>{site.count}</div>
                         </div>
-                        <div style={{fontSize:13,fontWeight:700,color:"#64748b",fontFamily:"'Outfit',sans-serif",marginTop:4}}>{drv.count}</div>
-                      </div>
-                    ))}
+                      );
+                    })}
                   </div>
-                ):(
-                  <div style={{fontSize:10,color:"#334155",fontFamily:"'DM Mono',monospace",marginTop:20}}>No driver data for this combination</div>
-                )}
-              </div>
-            )}
-          </div>
+                </div>
+              )}
+
+              {/* COL 4: Drivers */}
+              {flowSite&&(
+                <div style={{minWidth:240,padding:"20px",flexShrink:0}}>
+                  <ColHeader label={t("flowDriver")}/>
+                  {drvItems.length>0?(
+                    <div style={{display:"flex",flexDirection:"column",gap:6}}>
+                      {drvItems.map((drv,i)=>(
+                        <div key={i} style={{padding:"6px 10px",borderRadius:7}}>
+                          <div style={{fontSize:11,color:"#94a3b8",fontFamily:"'DM Mono',monospace",marginBottom:2,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{drv.name.startsWith("(")?drv.name:<DriverLink onOpen={()=>setDriverRef({name:drv.name})} t={t}>{drv.name}</DriverLink>}</div>
+                          <div style={{height:5,background:"#0f172a",borderRadius:3,overflow:"hidden",marginTop:3}}>
+                            <div style={{width:`${Math.max((drv.count/maxDrv)*100,4)}%`,height:"100%",background:colorOf(flowSite,TEAL),borderRadius:3}}/>
+                          </div>
+                          <div style={{fontSize:13,fontWeight:700,color:"#64748b",fontFamily:"'Outfit',sans-serif",marginTop:4}}>{drv.count}</div>
+                        </div>
+                      ))}
+                    </div>
+                  ):(
+                    <div style={{fontSize:10,color:"#334155",fontFamily:"'DM Mono',monospace",marginTop:20}}>No driver data for this combination</div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {shiftPanel&&<div style={{marginTop:12}}>{shiftPanel}</div>}
 
           {/* Legend footer */}
           <div style={{marginTop:12,padding:"10px 16px",background:"#0a0f1a",border:"1px solid #1e293b",borderRadius:8,display:"flex",gap:16,flexWrap:"wrap",alignItems:"center"}}>
@@ -1760,34 +4231,94 @@ export default function Dashboard() {
         {/* ── GEO VIEW ── */}
         {selectedView==="geo"&&(()=>{
           const PURPLE="#8b5cf6";
-          const defTypes = GEO_DATA.defectTypes;
-          // Filtered attribution rows
-          const filteredAttribs = GEO_DATA.attributions.filter(a=>geoDefectFilter.includes(a.defect) && (!geoSiteFilter||true));
+          // One week from the slider, or the cumulative year
+          const weekly = geoWeekKey ? geoByWeek[geoWeekKey] : null;
+          const geo = weekly || dataset.geo;
+          const period = weekly ? `${splitWeekKey(weekly.week).week} ${splitWeekKey(weekly.week).year}` : geo.year;
+          // A slider week only offers the types it has weekly data for; the driver matrix stays the cumulative year
+          const defTypes = weekly ? geo.defectTypes.filter(dt=>!weekly.missing.includes(dt)) : geo.defectTypes;
+          // Filtered attribution rows; only weekly rows carry per-site counts
+          const filteredAttribs = geo.attributions.filter(a=>geoDefectFilter.includes(a.defect))
+            .map(a=>weekly&&geoSiteFilter?{...a,count:a.sites[geoSiteFilter]||0}:a)
+            .filter(a=>!weekly||!geoSiteFilter||a.count>0).sort((a,b)=>b.count-a.count);
+          // Week by week the radius keeps one scale across the slider, and the colour
+          // compares the week with the site's average week
+          const filtCount = site => geoDefectFilter.reduce((n,dt)=>n+(site?.defects[dt]||0),0);
+          const sliderWeeks = weekly ? geoSlider.map(wk=>geoByWeek[wk]) : [];
+          const mapMax = weekly ? Math.max(...sliderWeeks.flatMap(w=>w.sites.map(filtCount)),1) : undefined;
+          const mapSites = weekly ? geo.sites.map(site=>{
+            const mean = sliderWeeks.reduce((n,w)=>n+filtCount(w.sites.find(x=>x.key===site.key)),0)/sliderWeeks.length;
+            return {...site,color:heatColor(mean?filtCount(site)/mean:1)};
+          }) : geo.sites;
+          // Delivery zones: shaded by defects per 100 orders when every zone has a volume, else by count
+          const zoneWks = weekly ? [weekly.week] : geoZoneWeeks;
+          const zoneData = zoneStats(dataset.zones, { weeks:zoneWks, defects:geoDefectFilter, station:geoSiteFilter });
+          const byRate = zoneData.zones.length>0 && zoneData.zones.every(z=>z.rate!=null);
+          const zoneVal = z => byRate ? z.rate : z.count;
+          const zoneMax = Math.max(...zoneData.zones.map(zoneVal), 0);
+          const zoneLabel = z => z.name ? `${z.zone} · ${z.name}` : z.zone;
+          const zoneRows = [...zoneData.zones].sort((a,b)=>zoneVal(b)-zoneVal(a));
+          const mapZones = zoneData.zones.map(z=>({
+            key:z.key, station:z.station, feature:geoZoneAreas[z.key], color:zoneColor(zoneMax?zoneVal(z)/zoneMax:0),
+            tooltip:`<div style="font-family:monospace;font-size:11px;line-height:1.5"><strong>${escapeHtml(zoneLabel(z))}</strong> — ${escapeHtml(z.station)}<br/>${t("geoZoneDefects")}: <strong>${z.count}</strong>${z.rate!=null?` · ${z.rate}%`:""}</div>`,
+          }));
+          const activeZone = zoneData.zones.find(z=>z.key===geoZoneSel) || null;
           // Filtered defect totals by site
-          const activeSite = geoSiteFilter ? GEO_DATA.sites.find(s=>s.key===geoSiteFilter) : null;
+          const activeSite = geoSiteFilter ? geo.sites.find(s=>s.key===geoSiteFilter) : null;
           const siteDefects = activeSite ? activeSite.defects : null;
-          const maxBarCount = Math.max(...defTypes.map(dt=>siteDefects?siteDefects[dt]||0:GEO_DATA.defectTotals[dt]?.count||0));
+          const maxBarCount = Math.max(...defTypes.map(dt=>siteDefects?siteDefects[dt]||0:geo.defectTotals[dt]?.count||0));
           const toggleDefect = dt => setGeoDefectFilter(prev=>prev.includes(dt)?prev.filter(x=>x!==dt):[...prev,dt]);
 
-          // Compute filtered driver matrix totals
-          const filteredDrivers = GEO_DATA.drivers.map(d=>{
+          // Compute filtered driver matrix totals; rates use the volume of the matrix's year
+          const filteredDrivers = geo.drivers.map(d=>{
             const filtTotal = geoDefectFilter.reduce((s,dt)=>(s+(d[dt]||0)),0);
-            return {...d, _filtTotal: filtTotal};
+            const vol = d.isTotal ? null : volumeIdx.of({name:d.name}, geoYearWeeks);
+            return {...d, _filtTotal: filtTotal, _vol: vol, _rate: defectRate(filtTotal, vol, volumeIdx.per)};
           });
           const totalRow = filteredDrivers.find(d=>d.isTotal);
-          const driverRows = filteredDrivers.filter(d=>!d.isTotal).sort((a,b)=>b._filtTotal-a._filtTotal);
+          const driverRows = filteredDrivers.filter(d=>!d.isTotal).sort(rankDrivers(driverRank, d=>d._filtTotal, d=>d._rate));
           const maxDriverTotal = Math.max(...driverRows.map(d=>d._filtTotal),1);
 
+          // The cumulative year ignores the week/station filters; a slider week follows the site filter too
+          const geoMeta = [weekly?[t("week"), weekly.week]:[t("year"), geo.year], [t("geoFilter"), geoDefectFilter.join(", ")], ...(weekly&&geoSiteFilter?[[t("station"), geoSiteFilter]]:[])];
+          const exportAttribs = exporter("geo-attribution", [
+            col("ior_defect", "defect"), col("ior_attribution", "attribution"), col(t("total"), "count"),
+          ], filteredAttribs, geoMeta);
+          const exportZones = exporter("geo-zones", [
+            col(t("station"), "station"), col(t("geoZone"), "zone"), col(t("geoZoneName"), r => r.name || ""),
+            col(t("geoZoneDefects"), "count"), col(t("geoZoneOrders"), r => r.orders ?? ""), col(t("geoZoneRate"), r => r.rate ?? ""),
+          ], zoneRows, [...geoMeta, [t("weeks"), zoneWks.join(", ")]]);
+          const exportDriverMatrix = exporter("geo-driver-matrix", [
+            col(t("driver"), "name"), ...geoDefectFilter.map(dt => col(dt, r => r[dt] || 0)), col(t("total"), "_filtTotal"),
+            ...rateCols("_vol", "_rate"),
+          ], driverRows, [...geoMeta, rankMeta]);
+
           const DefTypeColor = {late:"#6366f1",late_gt15:"#dc2626",ftfdf:"#f59e0b",ftpdf:"#0d9488",pdnr:"#ec4899",fdnr:"#64748b",ftdc:"#94a3b8"};
 
+          const sliderIdx = geoSlider.indexOf(geoWeekKey);
           return (<>
+          {/* Week slider */}
+          <div style={{display:"flex",alignItems:"center",gap:10,flexWrap:"wrap",marginBottom:14,padding:"10px 14px",background:"#0a0f1a",border:"1px solid #1e293b",borderRadius:8}}>
+            <button onClick={playGeo} disabled={geoSlider.length<2} style={{background:geoPlaying?"#8b5cf620":"transparent",border:`1px solid ${geoPlaying?"#8b5cf660":"#334155"}`,color:geoPlaying?"#c4b5fd":"#94a3b8",borderRadius:5,padding:"4px 10px",cursor:geoSlider.length<2?"not-allowed":"pointer",fontSize:10,fontWeight:700,fontFamily:"'DM Mono',monospace",minWidth:72}}>{geoPlaying?`❚❚ ${t("geoPause")}`:`▶ ${t("geoPlay")}`}</button>
+            <button onClick={()=>{setGeoPlaying(false);setGeoWeekSel(null);}} style={{background:!weekly?"#1e293b":"transparent",border:`1px solid ${!weekly?"#475569":"#1e293b"}`,color:!weekly?"#e2e8f0":"#475569",borderRadius:5,padding:"4px 10px",cursor:"pointer",fontSize:10,fontWeight:600,fontFamily:"'DM Mono',monospace"}}>{fill(t("geoCumulative"),{year:dataset.geo.year})}</button>
+            {geoSlider.length>0?<>
+              <input type="range" min={0} max={geoSlider.length-1} value={Math.max(sliderIdx,0)} onChange={e=>{setGeoPlaying(false);setGeoWeekSel(geoSlider[+e.target.value]);}} style={{flex:1,minWidth:140,accentColor:PURPLE,opacity:weekly?1:0.4}}/>
+              <span style={{fontSize:12,fontWeight:700,color:weekly?"#c4b5fd":"#475569",fontFamily:"'DM Mono',monospace",minWidth:70}}>{weekly?period:`${geoSlider.length} ${t("weeks")}`}</span>
+            </>:<span style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{t("geoNoWeeks")}</span>}
+            {weekly&&<div style={{display:"flex",alignItems:"center",gap:6,width:"100%",fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",flexWrap:"wrap"}}>
+              {[0.5,1,1.5,2].map(r=>(<div key={r} style={{width:8,height:8,borderRadius:"50%",background:heatColor(r)}}/>))}
+              <span>{t("geoHeatLegend")}</span>
+              {weekly.missing.length>0&&<span style={{marginLeft:"auto",color:"#fcd34d"}}>{fill(t("geoMissing"),{types:defTypes.join(", ")||"—",missing:weekly.missing.join(", ")})}</span>}
+            </div>}
+          </div>
+
           {/* Top KPIs */}
           <div style={{display:"grid",gridTemplateColumns:isMobile?"repeat(2,1fr)":"repeat(4,1fr)",gap:10,marginBottom:18}}>
             {[
-              {label:"Year",val:GEO_DATA.year,sub:"cumulative YTD",color:"#f59e0b"},
-              {label:"Total Defects",val:GEO_DATA.grandTotal.toLocaleString(),sub:`${geoDefectFilter.length} type${geoDefectFilter.length!==1?"s":""} selected`,color:"#fca5a5"},
-              {label:"Active Site Filter",val:geoSiteFilter||"All Sites",sub:"click map to filter",color:geoSiteFilter?DEPOT_COLORS[geoSiteFilter]:"#64748b"},
-              {label:"Defect Types On",val:`${geoDefectFilter.length}/${defTypes.length}`,sub:"use filter panel →",color:PURPLE},
+              weekly?{label:t("week"),val:period,sub:t("geoWeekSub"),color:"#c4b5fd"}:{label:"Year",val:geo.year,sub:"cumulative YTD",color:"#f59e0b"},
+              {label:"Total Defects",val:geo.grandTotal.toLocaleString(),sub:`${geoDefectFilter.length} type${geoDefectFilter.length!==1?"s":""} selected`,color:"#fca5a5"},
+              {label:"Active Site Filter",val:geoSiteFilter||"All Sites",sub:"click map to filter",color:geoSiteFilter?colorOf(geoSiteFilter):"#64748b"},
+              {label:"Defect Types On",val:`${defTypes.filter(dt=>geoDefectFilter.includes(dt)).length}/${defTypes.length}`,sub:"use filter panel →",color:PURPLE},
             ].map((kpi,i)=>(
               <div key={i} style={{background:"#0f172a",border:"1px solid #1e293b",borderRadius:8,padding:"12px 16px"}}>
                 <div style={{fontSize:8,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginBottom:4}}>{kpi.label}</div>
@@ -1813,18 +4344,23 @@ export default function Dashboard() {
                   </div>
                   <div style={{height:360,borderRadius:8,overflow:"hidden"}}>
                     <LeafletMap
-                      sites={GEO_DATA.sites}
+                      sites={mapSites}
+                      maxCount={mapMax}
                       selectedSite={geoSiteFilter}
                       onSiteClick={key=>setGeoSiteFilter(prev=>prev===key?null:key)}
                       defectFilter={geoDefectFilter}
                       hoveredSite={geoHoveredSite}
                       onSiteHover={setGeoHoveredSite}
+                      zones={mapZones}
+                      selectedZone={activeZone?.key}
+                      onZoneClick={key=>setGeoZoneSel(prev=>prev===key?null:key)}
+                      t={t}
                     />
                   </div>
                   {/* Site legend chips */}
                   <div style={{display:"flex",gap:8,marginTop:10,flexWrap:"wrap"}}>
-                    {GEO_DATA.sites.map(s=>{
-                      const dc=DEPOT_COLORS[s.key]||PURPLE;
+                    {geo.sites.map(s=>{
+                      const dc=colorOf(s.key,PURPLE);
                       const isSel=geoSiteFilter===s.key;
                       const cnt=geoDefectFilter.reduce((sum,dt)=>sum+(s.defects[dt]||0),0);
                       return(<div key={s.key} onClick={()=>setGeoSiteFilter(isSel?null:s.key)} style={{display:"flex",alignItems:"center",gap:5,cursor:"pointer",padding:"3px 8px",borderRadius:5,background:isSel?`${dc}20`:"transparent",border:`1px solid ${isSel?dc+"60":"#1e293b"}`}}>
@@ -1839,11 +4375,11 @@ export default function Dashboard() {
                 {/* Bar chart: defects by type for selected site */}
                 <div style={{background:"#0a0f1a",border:"1px solid #1e293b",borderRadius:10,padding:16}}>
                   <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginBottom:12}}>
-                    Defect Count — {geoSiteFilter||"All Sites"} · {GEO_DATA.year}
+                    Defect Count — {geoSiteFilter||"All Sites"} · {period}
                   </div>
                   <div style={{display:"flex",flexDirection:"column",gap:8}}>
                     {defTypes.filter(dt=>geoDefectFilter.includes(dt)).map(dt=>{
-                      const count = siteDefects?siteDefects[dt]||0:GEO_DATA.defectTotals[dt]?.count||0;
+                      const count = siteDefects?siteDefects[dt]||0:geo.defectTotals[dt]?.count||0;
                       const barW = maxBarCount>0?Math.max((count/maxBarCount)*100,count>0?2:0):0;
                       const dc = DefTypeColor[dt]||PURPLE;
                       return(<div key={dt}>
@@ -1860,8 +4396,8 @@ export default function Dashboard() {
                   {/* Site buttons */}
                   <div style={{marginTop:16,display:"flex",gap:6,flexWrap:"wrap"}}>
                     <button onClick={()=>setGeoSiteFilter(null)} style={{background:!geoSiteFilter?"#1e293b":"transparent",border:`1px solid ${!geoSiteFilter?"#475569":"#1e293b"}`,color:!geoSiteFilter?"#e2e8f0":"#475569",borderRadius:5,padding:"3px 8px",cursor:"pointer",fontSize:9,fontFamily:"'DM Mono',monospace"}}>All</button>
-                    {GEO_DATA.sites.map(s=>{
-                      const isSel=geoSiteFilter===s.key;const dc=DEPOT_COLORS[s.key];
+                    {geo.sites.map(s=>{
+                      const isSel=geoSiteFilter===s.key;const dc=colorOf(s.key);
                       return(<button key={s.key} onClick={()=>setGeoSiteFilter(isSel?null:s.key)} style={{background:isSel?`${dc}20`:"transparent",border:`1px solid ${isSel?dc+"60":"#1e293b"}`,color:isSel?dc:"#475569",borderRadius:5,padding:"3px 8px",cursor:"pointer",fontSize:9,fontWeight:700,fontFamily:"'DM Mono',monospace"}}>
                         <span style={{display:"inline-block",width:5,height:5,borderRadius:"50%",background:isSel?dc:"#334155",marginRight:4,verticalAlign:"middle"}}/>{s.key}
                       </button>);
@@ -1870,9 +4406,45 @@ export default function Dashboard() {
                 </div>
               </div>
 
+              {/* Delivery zones */}
+              <div style={{background:"#0a0f1a",border:"1px solid #1e293b",borderRadius:10,padding:16}}>
+                <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginBottom:12,display:"flex",justifyContent:"space-between",alignItems:"center",gap:8}}>
+                  <span>{t("geoZones")} — {geoSiteFilter||"All Sites"} · {weekly?period:fill(t("geoZoneWeeks"),{n:zoneWks.length})}</span>
+                  {zoneRows.length>0&&<ExportButtons onExport={exportZones} t={t}/>}
+                </div>
+                {dataset.zones.areas.length===0?(<div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{t("geoZonesNone")}</div>):(<>
+                  <div style={{display:"flex",alignItems:"center",gap:6,fontSize:9,color:"#475569",fontFamily:"'DM Mono',monospace",marginBottom:10,flexWrap:"wrap"}}>
+                    {[0.1,0.3,0.6,0.9].map(r=>(<div key={r} style={{width:14,height:8,borderRadius:2,background:zoneColor(r)}}/>))}
+                    <span>{t(byRate?"geoZoneByRate":"geoZoneByCount")}</span>
+                    {zoneData.unmapped>0&&<span style={{marginLeft:"auto",color:"#fcd34d"}}>{fill(t("geoZoneUnmapped"),{n:zoneData.unmapped})}</span>}
+                  </div>
+                  <div style={{display:"grid",gridTemplateColumns:isMobile?"1fr":"1fr 1fr",gap:16}}>
+                    <table style={{borderCollapse:"collapse",width:"100%",alignSelf:"start"}}>
+                      <thead><tr><th style={regTh}>{t("geoZone")}</th><th style={{...regTh,textAlign:"right"}}>{t("geoZoneDefects")}</th><th style={{...regTh,textAlign:"right"}}>{t("geoZoneRate")}</th></tr></thead>
+                      <tbody>{zoneRows.slice(0,12).map(z=>{const sel=activeZone?.key===z.key;return(<tr key={z.key} onClick={()=>setGeoZoneSel(sel?null:z.key)} style={{cursor:"pointer",background:sel?"#1e293b":"transparent"}}>
+                        <td style={regTd}><span style={{display:"inline-block",width:8,height:8,borderRadius:2,background:zoneColor(zoneMax?zoneVal(z)/zoneMax:0),marginRight:6}}/><span style={{color:colorOf(z.station),fontWeight:700,marginRight:6}}>{z.station}</span>{zoneLabel(z)}</td>
+                        <td style={{...regTd,textAlign:"right",fontWeight:700}}>{z.count.toLocaleString()}</td>
+                        <td style={{...regTd,textAlign:"right"}}>{z.rate!=null?`${z.rate}%`:"—"}</td>
+                      </tr>);})}</tbody>
+                    </table>
+                    {activeZone?(<div>
+                      <div style={{fontSize:12,fontWeight:700,color:"#e2e8f0",fontFamily:"'DM Mono',monospace",marginBottom:2}}>{zoneLabel(activeZone)} <span style={{color:colorOf(activeZone.station)}}>· {activeZone.station}</span></div>
+                      <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",marginBottom:10}}>{activeZone.count} {t("geoZoneDefects").toLowerCase()}{activeZone.orders?` · ${fill(t("geoZoneVolume"),{n:activeZone.orders})}`:""}</div>
+                      {[["geoAttribTable",activeZone.attributions.map(a=>({k:`${a.defect}|${a.attribution}`,l:<><span style={{color:DefTypeColor[a.defect]||PURPLE,fontWeight:700}}>{a.defect}</span> {a.attribution}</>,n:a.count}))],
+                        ["driver",activeZone.drivers.map(d=>({k:d.name,l:<DriverLink onOpen={()=>setDriverRef(isTid(d.name)?{tid:d.name}:{name:d.name})} t={t}>{d.name}</DriverLink>,n:d.count}))]].map(([h,list])=>(
+                        <div key={h} style={{marginBottom:10}}>
+                          <div style={{fontSize:8,color:"#475569",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",marginBottom:4}}>{t(h)}</div>
+                          {list.length===0?<div style={{fontSize:10,color:"#334155",fontFamily:"'DM Mono',monospace"}}>—</div>:list.map(r=>(
+                            <div key={r.k} style={{display:"flex",justifyContent:"space-between",gap:8,fontSize:10,color:"#94a3b8",fontFamily:"'DM Mono',monospace",padding:"2px 0"}}><span>{r.l}</span><span style={{fontWeight:700,color:"#e2e8f0"}}>{r.n}</span></div>))}
+                        </div>))}
+                    </div>):(<div style={{fontSize:10,color:"#475569",fontFamily:"'DM Mono',monospace"}}>{t("geoZonePick")}</div>)}
+                  </div>
+                </>)}
+              </div>
+
               {/* Attribution × Defect Table */}
               <div style={{background:"#0a0f1a",border:"1px solid #1e293b",borderRadius:10,padding:16}}>
-                <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginBottom:12}}>{t("geoAttribTable")} — {geoSiteFilter||"All Sites"}</div>
+                <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginBottom:12,display:"flex",justifyContent:"space-between",alignItems:"center",gap:8}}><span>{t("geoAttribTable")} — {geoSiteFilter||"All Sites"}</span><ExportButtons onExport={exportAttribs} t={t}/></div>
                 <div style={{overflowX:"auto"}}>
                   <table style={{width:"100%",borderCollapse:"separate",borderSpacing:"2px 2px",minWidth:500}}>
                     <thead><tr>
@@ -1908,7 +4480,7 @@ export default function Dashboard() {
 
               {/* Driver matrix */}
               <div style={{background:"#0a0f1a",border:"1px solid #1e293b",borderRadius:10,padding:16}}>
-                <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginBottom:12}}>{t("geoDriverMatrix")} — {GEO_DATA.year}</div>
+                <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginBottom:12,display:"flex",justifyContent:"space-between",alignItems:"center",gap:8}}><span>{t("geoDriverMatrix")} — {weekly?fill(t("geoMatrixYtd"),{year:geo.year}):geo.year}</span><div style={{display:"flex",gap:10,alignItems:"center",textTransform:"none",letterSpacing:0}}><RankToggle rank={driverRank} setRank={setDriverRank} volume={volumeIdx} t={t}/><ExportButtons onExport={exportDriverMatrix} t={t}/></div></div>
                 <div style={{overflowX:"auto"}}>
                   <table style={{width:"100%",borderCollapse:"separate",borderSpacing:"2px 2px",minWidth:700}}>
                     <thead><tr>
@@ -1917,18 +4489,20 @@ export default function Dashboard() {
                         <th key={dt} style={{padding:"5px 6px",fontSize:8,color:DefTypeColor[dt]||PURPLE,textAlign:"center",fontFamily:"'DM Mono',monospace",fontWeight:800,width:50}}>{dt}</th>
                       ))}
                       <th style={{padding:"5px 8px",fontSize:8,color:"#86efac",textAlign:"center",fontFamily:"'DM Mono',monospace",fontWeight:800,width:55}}>Total</th>
+                      {volumeIdx.has&&<RateTh volume={volumeIdx} t={t}/>}
                       <th style={{padding:"5px 8px",minWidth:80}}/>
                     </tr></thead>
                     <tbody>
                       {driverRows.map((d,i)=>{
                         const isTop=i<3;
                         return(<tr key={i} style={{background:isTop?"#1a1035":"transparent"}}>
-                          <td style={{padding:"4px 8px",fontSize:11,fontWeight:isTop?700:400,color:isTop?"#c4b5fd":"#94a3b8",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap"}}>{d.name}</td>
+                          <td style={{padding:"4px 8px",fontSize:11,fontWeight:isTop?700:400,color:isTop?"#c4b5fd":"#94a3b8",fontFamily:"'DM Mono',monospace",whiteSpace:"nowrap"}}>{d.name.startsWith("(")?d.name:<DriverLink onOpen={()=>setDriverRef({name:d.name})} t={t}>{d.name}</DriverLink>}</td>
                           {geoDefectFilter.map(dt=>{
                             const val=d[dt]||0;const dc=DefTypeColor[dt]||PURPLE;
                             return(<td key={dt} style={{padding:"4px 6px",textAlign:"center",fontSize:10,fontWeight:val>20?700:400,color:val>30?dc:val>10?dc+"cc":"#475569",fontFamily:"'DM Mono',monospace",background:val>30?`${dc}15`:"transparent",borderRadius:2}}>{val||"·"}</td>);
                           })}
                           <td style={{padding:"4px 8px",textAlign:"center",fontSize:12,fontWeight:800,color:isTop?"#c4b5fd":"#86efac",fontFamily:"'Outfit',sans-serif"}}>{d._filtTotal}</td>
+                          {volumeIdx.has&&<RateCell rate={d._rate} vol={d._vol} volume={volumeIdx} t={t}/>}
                           <td style={{padding:"4px 8px"}}>
                             <div style={{height:5,background:"#0f172a",borderRadius:3,overflow:"hidden"}}>
                               <div style={{width:`${(d._filtTotal/maxDriverTotal)*100}%`,height:"100%",background:PURPLE,opacity:0.6,borderRadius:3}}/>
@@ -1944,6 +4518,7 @@ export default function Dashboard() {
                           return(<td key={dt} style={{padding:"5px 6px",textAlign:"center",fontSize:10,fontWeight:700,color:dc,fontFamily:"'DM Mono',monospace"}}>{val.toLocaleString()}</td>);
                         })}
                         <td style={{padding:"5px 8px",textAlign:"center",fontSize:12,fontWeight:800,color:"#f8fafc",fontFamily:"'Outfit',sans-serif"}}>{geoDefectFilter.reduce((s,dt)=>s+(totalRow[dt]||0),0).toLocaleString()}</td>
+                        {volumeIdx.has&&<td/>}
                         <td/>
                       </tr>}
                     </tbody>
@@ -1959,14 +4534,14 @@ export default function Dashboard() {
                 <div style={{fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace",letterSpacing:1.5,textTransform:"uppercase",marginBottom:14,paddingBottom:8,borderBottom:"1px solid #1e293b"}}>
                   <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}>
                     <span>{t("geoFilter")}</span>
-                    <button onClick={()=>setGeoDefectFilter([...GEO_DATA.defectTypes])} style={{background:"transparent",border:"none",color:"#334155",fontSize:8,cursor:"pointer",fontFamily:"'DM Mono',monospace"}}>ALL</button>
+                    <button onClick={()=>setGeoDefectFilter([...geo.defectTypes])} style={{background:"transparent",border:"none",color:"#334155",fontSize:8,cursor:"pointer",fontFamily:"'DM Mono',monospace"}}>ALL</button>
                   </div>
                 </div>
                 {/* Site filter */}
                 <div style={{fontSize:8,color:"#475569",fontFamily:"'DM Mono',monospace",letterSpacing:1,textTransform:"uppercase",marginBottom:8}}>Site</div>
-                {["ALL",...GEO_DATA.sites.map(s=>s.key)].map(sk=>{
+                {["ALL",...geo.sites.map(s=>s.key)].map(sk=>{
                   const isSel=sk==="ALL"?!geoSiteFilter:geoSiteFilter===sk;
-                  const dc=sk==="ALL"?"#64748b":(DEPOT_COLORS[sk]||PURPLE);
+                  const dc=sk==="ALL"?"#64748b":(colorOf(sk,PURPLE));
                   return(<div key={sk} onClick={()=>setGeoSiteFilter(sk==="ALL"?null:(geoSiteFilter===sk?null:sk))} style={{display:"flex",alignItems:"center",gap:8,padding:"4px 6px",marginBottom:4,cursor:"pointer",borderRadius:5,background:isSel?`${dc}15`:"transparent",border:`1px solid ${isSel?dc+"40":"transparent"}`}}>
                     <div style={{width:10,height:10,borderRadius:2,background:isSel?dc:"#1e293b",border:`1px solid ${isSel?dc:"#334155"}`,flexShrink:0}}/>
                     <span style={{fontSize:10,color:isSel?dc:"#64748b",fontFamily:"'DM Mono',monospace",fontWeight:isSel?700:400}}>{sk}</span>
@@ -1980,13 +4555,13 @@ export default function Dashboard() {
                   return(<div key={dt} onClick={()=>toggleDefect(dt)} style={{display:"flex",alignItems:"center",gap:8,padding:"4px 6px",marginBottom:4,cursor:"pointer",borderRadius:5,background:isSel?`${dc}10`:"transparent"}}>
                     <div style={{width:10,height:10,borderRadius:2,background:isSel?dc:"#1e293b",border:`1px solid ${isSel?dc:"#334155"}`,flexShrink:0}}/>
                     <span style={{fontSize:10,color:isSel?dc:"#64748b",fontFamily:"'DM Mono',monospace",fontWeight:isSel?600:400}}>{dt}</span>
-                    <span style={{marginLeft:"auto",fontSize:9,color:"#334155",fontFamily:"'DM Mono',monospace"}}>{GEO_DATA.defectTotals[dt]?.count}</span>
+                    <span style={{marginLeft:"auto",fontSize:9,color:"#334155",fontFamily:"'DM Mono',monospace"}}>{geo.defectTotals[dt]?.count}</span>
                   </div>);
                 })}
                 <div style={{borderTop:"1px solid #1e293b",margin:"12px 0"}}/>
                 <div style={{display:"flex",justifyContent:"space-between",fontSize:9,color:"#64748b",fontFamily:"'DM Mono',monospace"}}>
                   <span>ior_defect Total</span>
-                  <span style={{color:"#e2e8f0",fontWeight:700}}>{geoDefectFilter.reduce((s,dt)=>s+(GEO_DATA.defectTotals[dt]?.count||0),0).toLocaleString()}</span>
+                  <span style={{color:"#e2e8f0",fontWeight:700}}>{geoDefectFilter.reduce((s,dt)=>s+(geo.defectTotals[dt]?.count||0),0).toLocaleString()}</span>
                 </div>
               </div>
             </div>)}
@@ -1994,11 +4569,33 @@ export default function Dashboard() {
         </>);
         })()}
 
+        {/* ── DATA IMPORT ── */}
+        {selectedView==="import"&&(<>
+          <ImportPanel dataset={dataset} knownStations={stationCodes} onApply={records=>commitDataset(applyImport(dataset,records),"scorecard")} t={t} isMobile={isMobile}/>
+          <OrderImportPanel dataset={dataset} registry={registry} onApply={agg=>commitDataset({...dataset,ncc:agg.ncc,late:agg.late},"orders")} t={t}/>
+          <ZoneImportPanel dataset={dataset} onApply={zones=>commitDataset({...dataset,zones},"zones")} t={t}/>
+          <VolumeImportPanel dataset={dataset} registry={registry} onApply={volume=>commitDataset({...dataset,volume},"volume")} t={t}/>
+          <FlowImportPanel dataset={dataset} onApply={flow=>commitDataset({...dataset,flow},"flow")} t={t}/>
+        </>)}
+
+        {selectedView==="snapshots"&&<SnapshotsPanel snapshots={snapshots} active={activeSnapshot} error={snapshotError} onOpen={openSnapshot} onDelete={removeSnapshot} t={t}/>}
+
+        {selectedView==="registry"&&<DriverRegistryPanel registry={registry} overrides={registryOverrides} setOverrides={setRegistryOverrides} dataset={dataset} onOpenDriver={setDriverRef} t={t}/>}
+
+        {selectedView==="thresholds"&&<ThresholdsPanel thresholds={thresholds} setThresholds={setThresholds} t={t}/>}
+        {selectedView==="targets"&&<TargetsPanel targets={targets} setTargets={setTargets} t={t}/>}
+        {selectedView==="stations"&&<StationsPanel stations={stations} setStations={setStations} t={t}/>}
+        {selectedView==="coaching"&&<CoachingPanel log={coaching} setLog={setCoaching} index={coachIdx} historyOf={tid=>coachHistories.get(tid)} nameOf={tid=>displayName(registry,{tid})} onOpenDriver={setDriverRef} t={t}/>}
+
+        {driverProfile&&<DriverProfile profile={driverProfile} onClose={closeDriver} t={t} isMobile={isMobile}
+          coaching={driverProfile.tid?coachIdx.get(driverProfile.tid):null} defaultAuthor={coaching.at(-1)?.author}
+          onAddCoaching={e=>setCoaching(prev=>[...prev,e])} onRemoveCoaching={id=>setCoaching(prev=>prev.filter(e=>e.id!==id))}/>}
+
         {/* FOOTER */}
         <div style={{textAlign:"center",padding:"20px 0 8px",marginTop:24,borderTop:"1px solid #1e293b"}}>
           <p style={{fontSize:9,color:"#334155",fontFamily:"'DM Mono',monospace",letterSpacing:1}}>{t("footer")} · {yearLabel} · {t("generated")} {new Date().toLocaleDateString('en-GB',{day:'2-digit',month:'short',year:'numeric'}).toUpperCase()}</p>
         </div>
       </div>
     </div>
-  );
+  </StationsContext.Provider>);
 }
@@ -0,0 +1,71 @@
+import { weekKey, compareWeekKeys } from "./weeks";
+
+// ─── ANOMALY DETECTION ──────────────────────────────────────────────
+// Flags weekly spikes with a rolling robust z-score: each week is compared
+// with the median of the weeks before it, scaled by their median absolute
+// deviation (MAD). Median/MAD are not dragged up by earlier spikes the way
+// mean/stddev are, so one bad week does not hide the next. Every KPI here
+// is a defect measure, so only upward deviations are flagged.
+
+// Station KPIs scanned in the scorecard data, and the weekly defect counts
+export const ANOMALY_KPIS = ["late","fondCtrl","ftfdf","pdnr"];
+export const COUNT_KPIS = ["nccCount","lateCount"];
+
+export const DEFAULT_ANOMALY_OPTIONS = {
+  window: 8,        // prior weeks forming the baseline
+  minHistory: 3,    // fewer prior weeks than this → no verdict
+  threshold: 3.5,   // robust z-score to flag (Iglewicz & Hoaglin)
+};
+
+// Score bands → the severity levels the driver tables already use
+export const anomalySeverity = score => score >= 8 ? "CRITICAL" : score >= 5 ? "HIGH" : "MEDIUM";
+
+const median = vals => {
+  const s = [...vals].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+};
+
+// values: numbers or null in week order → [{ i, value, baseline, score }] for flagged points.
+// floor: smallest MAD used, so a flat history (MAD 0) does not turn tiny moves into huge scores
+export function robustSpikes(values, { window, minHistory, threshold, floor }) {
+  const out = [];
+  values.forEach((value, i) => {
+    if (value == null) return;
+    const history = values.slice(Math.max(0, i - window), i).filter(v => v != null);
+    if (history.length < minHistory) return;
+    const baseline = median(history);
+    const mad = Math.max(median(history.map(v => Math.abs(v - baseline))), floor);
+    const score = 0.6745 * (value - baseline) / mad;
+    if (score >= threshold) out.push({ i, value, baseline, score: +score.toFixed(1) });
+  });
+  return out;
+}
+
+// sources: { depots:{ stn:[{year,week,...kpis}] }, ncc:{weeks,stationWeekly}, late:{weeks,stationWeekly} }
+// → [{ id, station, wk:"2025-W50", kpi, value, baseline, score, severity }] most severe first
+export function findAnomalies({ depots, ncc, late }, options = {}) {
+  const opts = { ...DEFAULT_ANOMALY_OPTIONS, ...options };
+  const found = [];
+  const add = (station, kpi, weeks, values, floor) => robustSpikes(values, { ...opts, floor }).forEach(a => {
+    found.push({
+      id: `${station}|${weeks[a.i]}|${kpi}`, station, wk: weeks[a.i], kpi,
+      value: a.value, baseline: +a.baseline.toFixed(2), score: a.score, severity: anomalySeverity(a.score),
+    });
+  });
+
+  Object.entries(depots).forEach(([station, rows]) => {
+    const sorted = [...rows].sort((a, b) => compareWeekKeys(weekKey(a.year, a.week), weekKey(b.year, b.week)));
+    const weeks = sorted.map(r => weekKey(r.year, r.week));
+    // Rates: a 0.1pp move is never meaningful on its own
+    ANOMALY_KPIS.forEach(kpi => add(station, kpi, weeks, sorted.map(r => r[kpi] ?? null), 0.1));
+  });
+  [["nccCount", ncc], ["lateCount", late]].forEach(([kpi, src]) => {
+    const weeks = [...src.weeks].sort(compareWeekKeys);
+    // Counts: at least one order of spread, so 0 → 3 on a quiet station is not an alarm
+    Object.entries(src.stationWeekly).forEach(([station, byWeek]) =>
+      add(station, kpi, weeks, weeks.map(wk => byWeek[wk] ?? null), 1));
+  });
+
+  return found.sort((a, b) => b.score - a.score);
+}
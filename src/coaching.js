@@ -0,0 +1,100 @@
+import { isoWeekKey, compareWeekKeys } from "./weeks";
+import { isTid } from "./driverRegistry";
+import { SCORE_PARTS } from "./scoring";
+
+// ─── COACHING LOG ───────────────────────────────────────────────────
+// Coaching sessions, warnings and action plans recorded against a driver
+// TID: date, author, the defect type addressed and notes. The driver
+// tables mark the ISO week of each entry, and the weeks on either side
+// show whether it worked. Saved in localStorage like the targets.
+
+const STORAGE_KEY = "lmdsp.coaching";
+
+export const COACHING_KINDS = ["coaching", "warning", "actionPlan"];
+export const COACHING_DEFECTS = [...SCORE_PARTS, "other"];
+// Weeks averaged on each side of an intervention
+export const EFFECT_WEEKS = 4;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+// A real calendar day in "2026-02-12" form
+export const isCoachingDate = v => {
+  const d = DATE.test(v) ? new Date(`${v}T00:00:00Z`) : null;
+  return !!d && !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+};
+
+export const newCoachingId = () => `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Imported entries are added to the log; one with the id of an existing entry replaces it
+export function mergeCoaching(log, incoming) {
+  const ids = new Set(incoming.map(e => e.id));
+  return [...log.filter(e => !ids.has(e.id)), ...incoming];
+}
+
+// Entries by TID, oldest first, each with its week → Map tid → { entries, byWeek:{ "2026-W7":[entry] } }
+export function coachingIndex(log) {
+  const index = new Map();
+  [...log].sort((a, b) => a.date.localeCompare(b.date)).forEach(e => {
+    const entry = { ...e, wk: isoWeekKey(e.date) };
+    const d = index.get(e.tid) || index.set(e.tid, { entries:[], byWeek:{} }).get(e.tid);
+    d.entries.push(entry);
+    (d.byWeek[entry.wk] || (d.byWeek[entry.wk] = [])).push(entry);
+  });
+  return index;
+}
+
+// Weekly series an entry is judged on: its own defect type where the matrices
+// have it per week, NCC + late for the year-to-date Geo types and "other".
+// The history's late count includes +15, so "late" takes those out
+const MEASURES = { ncc: h => h.ncc, late: h => h.late - h.gt15, gt15: h => h.gt15 };
+export const effectMeasure = defect => MEASURES[defect] ? defect : "all";
+
+// Before/after for one entry over a driver profile's weekly history ([{ wk, ncc, late, gt15 }]):
+// average per week over up to `span` weeks before the entry's week and after it, the week itself
+// left out → { measure, before, after, beforeWeeks, afterWeeks, change } with after/change null
+// until a week has passed; change is the relative change in %, negative when defects fell
+export function coachingEffect(entry, history, span = EFFECT_WEEKS) {
+  const measure = effectMeasure(entry.defect);
+  const value = MEASURES[measure] || (h => h.ncc + h.late);
+  const weeks = [...history].sort((a, b) => compareWeekKeys(a.wk, b.wk));
+  const prior = weeks.filter(h => compareWeekKeys(h.wk, entry.wk) < 0).slice(-span);
+  const later = weeks.filter(h => compareWeekKeys(h.wk, entry.wk) > 0).slice(0, span);
+  const avg = list => list.length ? +(list.reduce((s, h) => s + value(h), 0) / list.length).toFixed(2) : null;
+  const before = avg(prior), after = avg(later);
+  const change = before == null || after == null ? null : before === 0 ? (after === 0 ? 0 : null) : Math.round(100 * (after - before) / before);
+  return { measure, before, after, beforeWeeks: prior.length, afterWeeks: later.length, change };
+}
+
+// Validate an imported or stored log → { log, errors:[{ row, code, params }] }
+export function parseCoaching(json) {
+  const list = Array.isArray(json) ? json : json?.coaching;
+  if (!Array.isArray(list)) return { log:null, errors:[{ row:null, code:"coaErrFormat", params:{} }] };
+  const errors = [];
+  const log = list.map((e, i) => {
+    const row = i + 1;
+    const tid = String(e?.tid ?? "").trim().toUpperCase();
+    if (!isTid(tid)) errors.push({ row, code:"coaErrTid", params:{ value:tid } });
+    const date = String(e?.date ?? "").trim();
+    if (!isCoachingDate(date)) errors.push({ row, code:"coaErrDate", params:{ value:date } });
+    if (!COACHING_KINDS.includes(e?.kind)) errors.push({ row, code:"coaErrKind", params:{ value:String(e?.kind ?? "") } });
+    if (!COACHING_DEFECTS.includes(e?.defect)) errors.push({ row, code:"coaErrDefect", params:{ value:String(e?.defect ?? "") } });
+    return {
+      id: e?.id ? String(e.id) : newCoachingId(), tid, date, kind:e?.kind, defect:e?.defect,
+      author:String(e?.author ?? "").trim(), notes:String(e?.notes ?? "").trim(),
+    };
+  });
+  return { log: errors.length ? null : log, errors };
+}
+
+// Stored entries are checked one at a time, so an invalid one is dropped rather than the whole log
+export function loadCoaching() {
+  try {
+    const list = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(list) ? list.map(e => parseCoaching([e]).log?.[0]).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveCoaching(log) {
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(log)); } catch { /* storage full or disabled */ }
+}
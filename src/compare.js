@@ -0,0 +1,32 @@
+import { KPI_KEYS } from "./thresholds";
+import { addWeeks, weekNum, isoWeeksInYear } from "./weeks";
+
+// ─── PERIOD COMPARISON ──────────────────────────────────────────────
+// Puts a depot week next to the week before it (WoW) or the same ISO week
+// a year earlier (YoY). Deltas are in percentage points; every KPI is a
+// defect rate, so a positive delta is a deterioration.
+
+export const COMPARE_MODES = ["wow", "yoy"];
+
+// The week a { year, week } is compared with, or null when it does not exist (W53 YoY)
+export function baselineWeek(mode, current) {
+  if (mode === "wow") return addWeeks(current, -1);
+  const year = current.year - 1;
+  return weekNum(current.week) <= isoWeeksInYear(year) ? { year, week: current.week } : null;
+}
+
+// depots: { stn:[{ year, week, ...kpis }] } → [{ station, kpi, current, baseline, delta }]
+// for every station/KPI reported in both weeks
+export function compareDepots(depots, stations, current, mode) {
+  const base = baselineWeek(mode, current);
+  if (!base) return [];
+  const at = (rows, w) => rows.find(r => r.year === w.year && r.week === w.week);
+  return stations.flatMap(station => {
+    const rows = depots[station] || [];
+    const cur = at(rows, current), prev = at(rows, base);
+    return KPI_KEYS.flatMap(kpi => {
+      if (cur?.[kpi] == null || prev?.[kpi] == null) return [];
+      return [{ station, kpi, current: cur[kpi], baseline: prev[kpi], delta: +(cur[kpi] - prev[kpi]).toFixed(2) }];
+    });
+  });
+}
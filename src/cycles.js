@@ -0,0 +1,64 @@
+import { weeksBetween } from "./weeks";
+
+// ─── CYCLE DETECTION ────────────────────────────────────────────────
+// Finds trough-to-peak cycles in a station's weekly late +15 series with
+// a zigzag filter: a turning point only counts once the series has moved
+// at least minAmplitude (percentage points) back from it, so week-to-week
+// noise does not split one swing into several.
+
+export const DEFAULT_MIN_AMPLITUDE = 2;
+
+const point = (d, i) => ({ year:d.year, week:d.week, val:d.late, i });
+
+// Alternating troughs and peaks: [{ type:"trough"|"peak", year, week, val, i }]
+// plus the unconfirmed extreme the series is heading toward at the end
+export function turningPoints(series, minAmplitude = DEFAULT_MIN_AMPLITUDE) {
+  const pts = series.map(point).filter(p => p.val != null);
+  const turns = [];
+  if (pts.length < 2) return { turns, pending:null };
+  let trend = null;
+  let lo = pts[0];
+  let hi = pts[0];
+  pts.slice(1).forEach(p => {
+    if (trend === null) {
+      if (p.val > hi.val) hi = p;
+      if (p.val < lo.val) lo = p;
+      if (hi.val - lo.val < minAmplitude) return;
+      // The earlier extreme is confirmed; keep tracking the later one
+      if (lo.i < hi.i) { turns.push({ type:"trough", ...lo }); trend = "up"; }
+      else { turns.push({ type:"peak", ...hi }); trend = "down"; }
+    } else if (trend === "up") {
+      if (p.val > hi.val) hi = p;
+      else if (hi.val - p.val >= minAmplitude) { turns.push({ type:"peak", ...hi }); trend = "down"; lo = p; }
+    } else {
+      if (p.val < lo.val) lo = p;
+      else if (p.val - lo.val >= minAmplitude) { turns.push({ type:"trough", ...lo }); trend = "up"; hi = p; }
+    }
+  });
+  const pending = trend === "up" ? { type:"peak", ...hi } : trend === "down" ? { type:"trough", ...lo } : null;
+  return { turns, pending };
+}
+
+// series: [{ year, week, late }] in week order →
+// [{ id, trough, peak, amplitude, rise (weeks trough→peak), period (weeks to the next trough, or null), open }]
+// open: the peak is the highest point so far, not yet confirmed by a fall
+export function detectCycles(series, minAmplitude = DEFAULT_MIN_AMPLITUDE) {
+  const { turns, pending } = turningPoints(series, minAmplitude);
+  const all = pending?.type === "peak" ? [...turns, { ...pending, pending:true }] : turns;
+  const troughs = all.filter(p => p.type === "trough");
+  const cycles = [];
+  all.forEach((p, k) => {
+    const peak = all[k + 1];
+    if (p.type !== "trough" || !peak) return;
+    const next = troughs[troughs.indexOf(p) + 1];
+    cycles.push({
+      id: cycles.length + 1,
+      trough: p, peak,
+      amplitude: +(peak.val - p.val).toFixed(2),
+      rise: weeksBetween(p, peak),
+      period: next ? weeksBetween(p, next) : null,
+      open: !!peak.pending,
+    });
+  });
+  return cycles;
+}
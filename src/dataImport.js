@@ -0,0 +1,216 @@
+import { sortKey } from "./weeks";
+
+// ─── WEEKLY SCORECARD IMPORT ────────────────────────────────────────
+// Turns the weekly scorecard export (CSV or XLSX) into station/week
+// records and merges them into the { network, depots } dataset the tabs
+// render from. Parsing never throws on bad rows: problems are collected
+// as { row, code, params } so the import screen can list them all.
+
+export const IMPORT_FIELDS = ["late","fondCtrl","ftfdf","pdnr","fdnr","ftdc","pondPP","ftpdf"];
+const OPTIONAL_FIELDS = ["pondFP","ftfdfOC"];
+const DEPOT_FIELDS = ["late","fondCtrl","ftfdf","pdnr","fdnr","ftdc","pondFP","pondPP","ftpdf"];
+const NETWORK_FIELDS = ["late","fond","pdnr","ftfdf","ftfdfOC"];
+// Network rows keep their historical field names
+const NETWORK_FIELD = { fondCtrl:"fond" };
+const NETWORK_STATIONS = ["NETWORK","NET","ALL","TOTAL","IT","ITALY"];
+
+// Header aliases, compared after lower-casing and stripping everything but a-z/0-9
+const COLUMN_ALIASES = {
+  station:  ["station","depot","site","stationcode","deliverystation","stazione","estacion"],
+  year:     ["year","anno","ano","yr"],
+  week:     ["week","wk","isoweek","yearweek","settimana","semana"],
+  late:     ["late","late15","lateplus15","late15pct","latepct","lateover15"],
+  fondCtrl: ["fondctrl","fondcontrollable","fond","fondctrlpct"],
+  ftfdf:    ["ftfdf","ftfdfpct"],
+  pdnr:     ["pdnr","pdnrpct"],
+  fdnr:     ["fdnr","fdnrpct"],
+  ftdc:     ["ftdc","ftdcpct"],
+  pondPP:   ["pondpp","pp","pondpppct"],
+  ftpdf:    ["ftpdf","ftpdfpct"],
+  pondFP:   ["pondfp","fp"],
+  ftfdfOC:  ["ftfdfoc","ftfdfopscontrollable"],
+};
+
+const normHeader = h => String(h ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Defect type names as the order, zone and flow extracts spell them, compared like headers
+const DEFECT_ALIASES = {
+  ncc:       ["ncc","notcallcompliant","notcallcompliance","nocallcompliant"],
+  late:      ["late","latedelivery","latedeliveries"],
+  late_gt15: ["lategt15","late15","lateplus15","lateover15"],
+  ftfdf: ["ftfdf"], ftpdf: ["ftpdf"], pdnr: ["pdnr"], fdnr: ["fdnr"], ftdc: ["ftdc"],
+};
+// "Late > 15", "NCC", "FTFDF" … → "late_gt15", "ncc", "ftfdf" …; "other" for unknown types, null when blank
+export const normDefect = raw => {
+  const n = normHeader(raw);
+  return Object.keys(DEFECT_ALIASES).find(k => DEFECT_ALIASES[k].includes(n)) || (n ? "other" : null);
+};
+
+// Read the first sheet of a CSV/XLSX file into an array of row objects keyed by header
+export async function readSheetRows(file) {
+  const XLSX = await import("xlsx");
+  const isCsv = /\.csv$/i.test(file.name) || file.type === "text/csv";
+  const wb = isCsv
+    ? XLSX.read(await file.text(), { type:"string", raw:true })
+    : XLSX.read(await file.arrayBuffer(), { type:"array" });
+  const sheet = wb.Sheets[wb.SheetNames[0]];
+  return sheet ? XLSX.utils.sheet_to_json(sheet, { defval:null, raw:!isCsv }) : [];
+}
+
+// Map source headers onto fields through an alias table; first match wins
+export function mapHeaders(headers, aliases, required = []) {
+  const mapping = {};
+  const unknown = [];
+  headers.forEach(h => {
+    const n = normHeader(h);
+    const field = Object.keys(aliases).find(f => aliases[f].includes(n));
+    if (field && !Object.values(mapping).includes(field)) mapping[h] = field;
+    else unknown.push(h);
+  });
+  const mapped = Object.values(mapping);
+  return { mapping, unknown, missing: required.filter(f => !mapped.includes(f)) };
+}
+
+// Map scorecard headers to dataset fields; at least one KPI column is required
+export function mapColumns(headers) {
+  const { mapping, unknown, missing } = mapHeaders(headers, COLUMN_ALIASES, ["station","week"]);
+  if (!Object.values(mapping).some(f => IMPORT_FIELDS.includes(f) || OPTIONAL_FIELDS.includes(f))) missing.push("kpi");
+  return { mapping, missing, unknown };
+}
+
+// "W7", "7", "w07", "2026-W07", "2026W7" → { year|null, week:"W7" } or null
+export function parseWeek(raw) {
+  const s = String(raw ?? "").trim().toUpperCase();
+  const m = s.match(/^(?:(\d{4})\s*-?\s*)?W?\s*(\d{1,2})$/);
+  if (!m) return null;
+  const n = parseInt(m[2]);
+  if (n < 1 || n > 53) return null;
+  return { year: m[1] ? parseInt(m[1]) : null, week: `W${n}` };
+}
+
+// Percent cells arrive as 2.45, "2.45", "2,45" or "2.45%"; blanks and dashes are missing values
+export function parseNumber(raw) {
+  if (raw == null) return null;
+  if (typeof raw === "number") return Number.isFinite(raw) ? raw : NaN;
+  const s = String(raw).trim().replace(/%$/, "").replace(",", ".");
+  if (s === "" || s === "-" || s === "—" || /^n\/?a$/i.test(s)) return null;
+  const v = Number(s);
+  return Number.isFinite(v) ? v : NaN;
+}
+
+// Validate raw sheet rows → { records, errors, warnings, mapping }
+// records: { scope:"network"|"depot", station, year, week, values:{field:number} }
+export function parseScorecardRows(rows, { knownStations = [] } = {}) {
+  const errors = [];
+  const warnings = [];
+  const records = [];
+  if (!rows.length) return { records, errors:[{ row:null, code:"impErrNoRows", params:{} }], warnings, mapping:{} };
+
+  const { mapping, missing, unknown } = mapColumns(Object.keys(rows[0]));
+  if (missing.length) return { records, errors:[{ row:null, code:"impErrMissingCols", params:{ cols:missing.join(", ") } }], warnings, mapping };
+  if (unknown.length) warnings.push({ row:null, code:"impWarnIgnoredCols", params:{ cols:unknown.join(", ") } });
+
+  const col = field => Object.keys(mapping).find(h => mapping[h] === field);
+  const seen = {};
+  const unknownStations = new Set();
+
+  rows.forEach((raw, i) => {
+    const row = i + 2; // 1-based, after the header line
+    const get = field => { const h = col(field); return h == null ? null : raw[h]; };
+    if (Object.values(raw).every(v => v == null || String(v).trim() === "")) return;
+
+    const station = String(get("station") ?? "").trim().toUpperCase();
+    if (!station) { errors.push({ row, code:"impErrNoStation", params:{} }); return; }
+
+    const wk = parseWeek(get("week"));
+    if (!wk) { errors.push({ row, code:"impErrBadWeek", params:{ value:String(get("week") ?? "") } }); return; }
+    const yearRaw = get("year");
+    let year = wk.year;
+    if (yearRaw != null && String(yearRaw).trim() !== "") {
+      const y = parseInt(String(yearRaw).trim());
+      if (!/^\d{4}$/.test(String(yearRaw).trim()) || (year != null && year !== y)) { errors.push({ row, code:"impErrBadYear", params:{ value:String(yearRaw) } }); return; }
+      year = y;
+    }
+    if (year == null || year < 2000 || year > 2099) { errors.push({ row, code:"impErrBadYear", params:{ value:String(yearRaw ?? "") } }); return; }
+
+    const scope = NETWORK_STATIONS.includes(station) ? "network" : "depot";
+    const key = `${scope === "network" ? "NETWORK" : station}|${year}-${wk.week}`;
+    if (seen[key]) { errors.push({ row, code:"impErrDuplicate", params:{ key:`${scope === "network" ? "NETWORK" : station} ${year}-${wk.week}`, first:seen[key] } }); return; }
+    seen[key] = row;
+
+    const values = {};
+    let bad = false;
+    [...IMPORT_FIELDS, ...OPTIONAL_FIELDS].forEach(f => {
+      if (col(f) == null) return;
+      const v = parseNumber(get(f));
+      if (Number.isNaN(v) || (v != null && v < 0)) { bad = true; errors.push({ row, code:"impErrBadNumber", params:{ col:col(f), value:String(get(f)) } }); return; }
+      if (v != null) values[f] = v;
+    });
+    if (bad) return;
+
+    if (scope === "depot" && knownStations.length && !knownStations.includes(station)) unknownStations.add(station);
+    records.push({ scope, station: scope === "network" ? "NETWORK" : station, year, week: wk.week, values });
+  });
+
+  if (unknownStations.size) warnings.push({ row:null, code:"impWarnUnknownStations", params:{ stations:[...unknownStations].join(", ") } });
+  return { records, errors, warnings, mapping };
+}
+
+const toNetworkValues = values => {
+  const out = {};
+  Object.entries(values).forEach(([f, v]) => { const nf = NETWORK_FIELD[f] || f; if (NETWORK_FIELDS.includes(nf)) out[nf] = v; });
+  return out;
+};
+const toDepotValues = values => {
+  const out = {};
+  Object.entries(values).forEach(([f, v]) => { if (DEPOT_FIELDS.includes(f)) out[f] = v; });
+  return out;
+};
+const sameNum = (a, b) => a != null && b != null && Math.abs(a - b) < 1e-9;
+
+// Preview: which station-weeks are new and which existing values would change
+export function diffImport(dataset, records) {
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  records.forEach(r => {
+    const rows = r.scope === "network" ? dataset.network : (dataset.depots[r.station] || []);
+    const values = r.scope === "network" ? toNetworkValues(r.values) : toDepotValues(r.values);
+    const existing = rows.find(d => d.year === r.year && d.week === r.week);
+    if (!existing) { added.push({ ...r, values }); return; }
+    const fields = Object.entries(values)
+      .filter(([f, v]) => !sameNum(existing[f], v))
+      .map(([f, v]) => ({ field:f, from:existing[f] ?? null, to:v }));
+    if (fields.length) changed.push({ ...r, fields });
+    else unchanged++;
+  });
+  const byKey = (a, b) => a.station.localeCompare(b.station) || sortKey(a.year, a.week) - sortKey(b.year, b.week);
+  return { added:added.sort(byKey), changed:changed.sort(byKey), unchanged };
+}
+
+// Merge validated records into a new dataset; blank cells keep the existing value
+export function applyImport(dataset, records) {
+  const network = dataset.network.map(d => ({ ...d }));
+  const depots = {};
+  Object.entries(dataset.depots).forEach(([k, arr]) => { depots[k] = arr.map(d => ({ ...d })); });
+
+  records.forEach(r => {
+    if (r.scope === "network") {
+      const values = toNetworkValues(r.values);
+      const existing = network.find(d => d.year === r.year && d.week === r.week);
+      if (existing) Object.assign(existing, values);
+      else network.push({ year:r.year, week:r.week, ...Object.fromEntries(NETWORK_FIELDS.map(f => [f, null])), ...values });
+    } else {
+      const values = toDepotValues(r.values);
+      const rows = depots[r.station] || (depots[r.station] = []);
+      const existing = rows.find(d => d.year === r.year && d.week === r.week);
+      if (existing) Object.assign(existing, values);
+      else rows.push({ year:r.year, week:r.week, ...Object.fromEntries(DEPOT_FIELDS.map(f => [f, null])), ...values });
+    }
+  });
+
+  const bySk = (a, b) => sortKey(a.year, a.week) - sortKey(b.year, b.week);
+  network.sort(bySk);
+  Object.values(depots).forEach(arr => arr.sort(bySk));
+  return { ...dataset, network, depots };
+}
@@ -0,0 +1,16 @@
+// ─── FILE DOWNLOADS ─────────────────────────────────────────────────
+// Save generated content (JSON, CSV, …) as a file from the browser.
+
+export function downloadFile(filename, content, type = "application/octet-stream") {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export const downloadJson = (filename, data) => downloadFile(filename, JSON.stringify(data, null, 2), "application/json");
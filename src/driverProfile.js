@@ -0,0 +1,67 @@
+import { compareWeekKeys } from "./weeks";
+import { tidOf, displayName, nameKey } from "./driverRegistry";
+import { YEAR_TO_DATE, scoreDriver, scoreSeverity } from "./scoring";
+
+// ─── DRIVER PROFILE ─────────────────────────────────────────────────
+// Collects everything known about one driver across the NCC and late
+// matrices, the weekly defect flow and the Geo driver matrix. Tables link to
+// a driver by { tid, name }; the driver registry fills in the other half.
+
+// sources: { ncc, late, flow, geo, registry, scoring, volume, geoWeeks } — ncc/late as in the
+// dashboard dataset; volume is the driver volume index when the scorecard scores per package
+// (else null) and geoWeeks the weeks of the Geo matrix year, so severity matches the scorecard
+export function buildDriverProfile(ref, { ncc, late, flow, geo, registry, scoring, volume = null, geoWeeks = [] }) {
+  const tid = ref.tid || tidOf(registry, ref.name);
+  const name = displayName(registry, { tid, name:ref.name });
+  // Name-keyed sources (flow, geo) match through the registry's aliases
+  const isMe = n => tid ? tidOf(registry, n) === tid : nameKey(n) === nameKey(ref.name);
+
+  const nccRow = ncc.drivers.find(d => d && (tid ? (d.tid || tidOf(registry, d.name)) === tid : isMe(d.name))) || null;
+  const lateRow = tid ? late.drivers.find(d => d && d.tid === tid) || null : null;
+  const geoRow = geo.drivers.find(d => !d.isTotal && isMe(d.name)) || null;
+
+  const stations = [...new Set([...(nccRow?.stations || []), ...(lateRow?.s || [])])].sort();
+  const weeks = [...new Set([...ncc.weeks, ...late.weeks])].sort(compareWeekKeys);
+
+  // The Geo types are year to date, so every range scores them in full, as on the scorecard
+  const ytd = Object.fromEntries(YEAR_TO_DATE.map(k => [k, geoRow?.[k] || 0]));
+  const volRef = { tid, name:ref.name };
+  const severityOf = (counts, scored) => scoreSeverity(scoreDriver({ ...counts, ...ytd }, {
+    weights: scoring.weights,
+    volume: volume ? { weeks:volume.of(volRef, scored), year:volume.of(volRef, geoWeeks) } : null,
+  }), scoring);
+
+  // Weekly history; severity is cumulative up to each week, as the scorecard computes it over a range
+  const run = { ncc:0, late:0, gt15:0 };
+  const history = weeks.map((wk, i) => {
+    const n = nccRow?.w[wk] || 0;
+    const all = lateRow?.w[wk] || 0;
+    // +15 per week is exact with gw, otherwise estimated from the overall +15 ratio
+    const g = !lateRow ? 0 : lateRow.gw ? (lateRow.gw[wk] || 0) : Math.round(all * (lateRow.t ? lateRow.g / lateRow.t : 0));
+    run.ncc += n;
+    run.late += all - g;
+    run.gt15 += g;
+    return { wk, ncc:n, late:all, gt15:g, severity: severityOf(run, weeks.slice(0, i + 1)) };
+  });
+
+  // Flow summed over its weeks: driver lists are keyed "SITE-attribution"
+  const attrLabel = key => Object.values(flow.attributions).flat().find(a => a.key === key)?.label || key;
+  const attributions = Object.entries(flow.drivers).flatMap(([k, list]) => {
+    const [site, ...rest] = k.split("-");
+    const attr = rest.join("-");
+    return list.filter(d => isMe(d.name)).map(d => ({ site, attr, label: attrLabel(attr), count: d.count }));
+  }).sort((a, b) => b.count - a.count);
+
+  const totals = {
+    ncc: nccRow?.total ?? 0,
+    late: lateRow?.t ?? 0,
+    gt15: lateRow?.g ?? 0,
+  };
+  return {
+    tid, name, stations, loc: nccRow?.loc || null,
+    totals, severity: severityOf({ ncc: totals.ncc, late: totals.late - totals.gt15, gt15: totals.gt15 }, weeks),
+    gt15Exact: !lateRow || !!lateRow.gw,
+    history, attributions, geo: geoRow, geoTypes: geo.defectTypes, flowWeek: flow.week, geoYear: geo.year,
+    found: !!(nccRow || lateRow || geoRow || attributions.length),
+  };
+}
@@ -0,0 +1,110 @@
+// ─── DRIVER REGISTRY ────────────────────────────────────────────────
+// One place to answer "who is this driver?". The TID is the primary key;
+// every spelling seen for a driver (roster name, NCC export name, upper-case
+// variants, "ID:" placeholders) is kept as an alias that points back to it.
+// Manual resolutions from the registry screen are layered on top as
+// overrides and persisted in localStorage.
+
+const STORAGE_KEY = "lmdsp.driverRegistry";
+
+// Transporter IDs: "A" followed by 9+ upper-case letters/digits
+export const isTid = v => /^A[0-9A-Z]{9,}$/.test(String(v ?? ""));
+// Export placeholders such as "ID:A1HBAD70KF4B" (a truncated TID, no name)
+export const isPlaceholder = v => /^ID:/i.test(String(v ?? "").trim());
+
+// Comparison key: case, accents and spacing do not matter
+export const nameKey = raw => String(raw ?? "")
+  .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase().replace(/\s*,\s*/g, ", ").replace(/\s+/g, " ").trim();
+
+// Display form: trims spacing and fixes ALL-CAPS exports ("ZYKA, GERTI" → "Zyka, Gerti")
+export function normalizeName(raw) {
+  const s = String(raw ?? "").replace(/\s*,\s*/g, ", ").replace(/\s+/g, " ").trim();
+  if (s !== s.toUpperCase() || !/[A-Z]/.test(s)) return s;
+  return s.toLowerCase().replace(/(^|[\s,'-])(\p{L})/gu, (m, sep, c) => sep + c.toUpperCase());
+}
+
+// sources: { tidName:{tid:name}, nccTidMap:{name:tid} }; overrides: { tids:{tid:name}, names:{name:tid} }
+// A name claimed by more than one TID joins none of them and is listed in conflicts
+// until a manual resolution (overrides.names) picks the TID
+export function buildRegistry({ tidName = {}, nccTidMap = {} }, overrides = {}) {
+  const drivers = {};
+  const claims = {};
+  const add = (tid, raw, primary = false) => {
+    if (!isTid(tid) || raw == null || String(raw).trim() === "") return;
+    const d = drivers[tid] || (drivers[tid] = { tid, name:null, aliases:[] });
+    if (!d.aliases.includes(raw)) d.aliases.push(raw);
+    const c = claims[nameKey(raw)] || (claims[nameKey(raw)] = { name:raw, tids:new Set() });
+    c.tids.add(tid);
+    if (isPlaceholder(raw)) return;
+    if (primary || !d.name) d.name = normalizeName(raw);
+  };
+  Object.entries(tidName).forEach(([tid, name]) => add(tid, name));
+  Object.entries(nccTidMap).forEach(([name, tid]) => add(tid, name));
+  Object.entries(overrides.names || {}).forEach(([name, tid]) => add(tid, name));
+  Object.entries(overrides.tids || {}).forEach(([tid, name]) => add(tid, name, true));
+
+  const picked = Object.fromEntries(Object.entries(overrides.names || {}).map(([name, tid]) => [nameKey(name), tid]));
+  const index = {};
+  const conflicts = [];
+  Object.entries(claims).forEach(([key, c]) => {
+    if (c.tids.has(picked[key])) index[key] = picked[key];
+    else if (c.tids.size === 1) index[key] = [...c.tids][0];
+    else conflicts.push({ name:c.name, tids:[...c.tids].sort() });
+  });
+  return { drivers, index, conflicts };
+}
+
+// Registered name for a TID, or null
+export const nameOf = (reg, tid) => (tid && reg.drivers[tid]?.name) || null;
+
+// TID for a name (or a TID passed through), or null
+export function tidOf(reg, name) {
+  if (!name) return null;
+  if (isTid(name)) return name;
+  return reg.index[nameKey(name)] || null;
+}
+
+// Best label for a { tid, name } reference; falls back to the TID or placeholder
+export function displayName(reg, { tid, name }) {
+  const id = tid || tidOf(reg, name);
+  return nameOf(reg, id) || (name && !isPlaceholder(name) && !isTid(name) ? normalizeName(name) : null) || id || name || "";
+}
+
+// True when a label is an ID rather than a person's name
+export const isIdLabel = label => isTid(label) || isPlaceholder(label);
+
+// Drivers the registry cannot join: TIDs without a name and NCC names without a TID
+export function unresolvedDrivers(reg, { ncc, late }) {
+  const tids = {};
+  const noteTid = (tid, stations, count) => {
+    if (!isTid(tid) || nameOf(reg, tid)) return;
+    const u = tids[tid] || (tids[tid] = { tid, stations:new Set(), defects:0 });
+    stations.forEach(s => u.stations.add(s));
+    u.defects += count;
+  };
+  late.drivers.forEach(d => d && noteTid(d.tid, d.s, d.t));
+  ncc.drivers.forEach(d => d && noteTid(d.tid || tidOf(reg, d.name), d.stations, d.total));
+
+  const names = ncc.drivers
+    .filter(d => d && !d.tid && !tidOf(reg, d.name))
+    .map(d => ({ name:d.name, placeholder:isPlaceholder(d.name), stations:d.stations, defects:d.total }));
+
+  return {
+    tids: Object.values(tids).map(u => ({ ...u, stations:[...u.stations].sort() })).sort((a, b) => b.defects - a.defects),
+    names: names.sort((a, b) => b.defects - a.defects),
+  };
+}
+
+export function loadOverrides() {
+  try {
+    const v = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return { tids:v?.tids || {}, names:v?.names || {} };
+  } catch {
+    return { tids:{}, names:{} };
+  }
+}
+
+export function saveOverrides(overrides) {
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides)); } catch { /* storage full or disabled */ }
+}
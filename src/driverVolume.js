@@ -0,0 +1,104 @@
+import { parseWeek, mapHeaders } from "./dataImport";
+import { compareWeekKeys } from "./weeks";
+import { tidOf, nameKey } from "./driverRegistry";
+
+// ─── DRIVER VOLUME ──────────────────────────────────────────────────
+// Weekly work per driver — delivered packages or routes — from a roster
+// or payroll extract, so the driver tables can rank by defect rate as
+// well as raw count. Lives in the dataset as { unit, rows } so snapshots
+// keep it. Rates are per 1,000 packages or per 100 routes.
+
+export const VOLUME_UNITS = ["packages", "routes"];
+export const RATE_PER = { packages: 1000, routes: 100 };
+export const EMPTY_VOLUME = { unit: "packages", rows: [] };
+
+const VOLUME_ALIASES = {
+  tid:      ["tid","transporterid","driverid","daid","transporter"],
+  name:     ["name","driver","drivername","transportername","lastnamefirstname"],
+  year:     ["year","anno","ano","yr"],
+  week:     ["week","wk","isoweek","yearweek","settimana","semana"],
+  packages: ["packages","deliveredpackages","delivered","deliveries","pkgs","parcels","pacchi","paquetes"],
+  routes:   ["routes","routecount","route","giri","rutas"],
+};
+
+// Volume sheet rows → { volume:{ unit, rows:[{ wk, tid, name, n }] }, errors, warnings }
+// One row per driver and week; packages win when the file has both columns
+export function parseVolumeRows(rows) {
+  const errors = [];
+  const warnings = [];
+  if (!rows.length) return { volume:null, errors:[{ row:null, code:"impErrNoRows", params:{} }], warnings };
+  const { mapping, missing, unknown } = mapHeaders(Object.keys(rows[0]), VOLUME_ALIASES, ["week"]);
+  const mapped = Object.values(mapping);
+  if (!mapped.includes("tid") && !mapped.includes("name")) missing.push("tid");
+  const unit = VOLUME_UNITS.find(u => mapped.includes(u));
+  if (!unit) missing.push(VOLUME_UNITS.join("/"));
+  if (missing.length) return { volume:null, errors:[{ row:null, code:"impErrMissingCols", params:{ cols:missing.join(", ") } }], warnings };
+  const ignored = [...unknown, ...VOLUME_UNITS.filter(u => u !== unit && mapped.includes(u)).map(u => Object.keys(mapping).find(h => mapping[h] === u))];
+  if (ignored.length) warnings.push({ row:null, code:"impWarnIgnoredCols", params:{ cols:ignored.join(", ") } });
+
+  const col = field => Object.keys(mapping).find(h => mapping[h] === field);
+  const seen = {};
+  const out = [];
+  rows.forEach((raw, i) => {
+    const row = i + 2;
+    const get = field => { const h = col(field); return h == null ? null : raw[h]; };
+    if (Object.values(raw).every(v => v == null || String(v).trim() === "")) return;
+    const tid = String(get("tid") ?? "").trim().toUpperCase() || null;
+    const name = String(get("name") ?? "").trim() || null;
+    if (!tid && !name) { errors.push({ row, code:"volErrNoDriver", params:{} }); return; }
+    const wk = parseWeek(get("week"));
+    if (!wk) { errors.push({ row, code:"impErrBadWeek", params:{ value:String(get("week") ?? "") } }); return; }
+    const yearRaw = String(get("year") ?? "").trim();
+    const year = yearRaw ? parseInt(yearRaw) : wk.year;
+    if (!year || (yearRaw && !/^\d{4}$/.test(yearRaw)) || (wk.year && yearRaw && wk.year !== year)) { errors.push({ row, code:"impErrBadYear", params:{ value:yearRaw } }); return; }
+    const nRaw = get(unit);
+    const n = Number(String(nRaw ?? "").trim().replace(",", "."));
+    if (nRaw == null || String(nRaw).trim() === "" || !Number.isFinite(n) || n < 0) { errors.push({ row, code:"impErrBadNumber", params:{ col:col(unit), value:String(nRaw ?? "") } }); return; }
+    const key = `${tid || `name:${nameKey(name)}`}|${year}-${wk.week}`;
+    if (seen[key]) { errors.push({ row, code:"volErrDuplicate", params:{ driver:tid || name, week:`${year}-${wk.week}`, first:seen[key] } }); return; }
+    seen[key] = row;
+    out.push({ wk:`${year}-${wk.week}`, tid, name, n });
+  });
+  return { volume: errors.length ? null : { unit, rows:out }, errors, warnings };
+}
+
+// Driver key shared by the merge and the lookups: TID, else the registry's TID for the name, else the name
+const driverKey = registry => ({ tid, name }) => tid || tidOf(registry, name) || `name:${nameKey(name)}`;
+
+// Imported rows replace only the same driver and week, so a partial extract (one station, say)
+// keeps everyone else's volume; a file in the other unit replaces everything
+export function applyVolume(current, incoming, registry) {
+  if (current.unit !== incoming.unit) return incoming;
+  const keyOf = driverKey(registry);
+  const covered = new Set(incoming.rows.map(r => `${keyOf(r)}|${r.wk}`));
+  return { unit: current.unit, rows: [...current.rows.filter(r => !covered.has(`${keyOf(r)}|${r.wk}`)), ...incoming.rows] };
+}
+
+export const volumeWeeks = volume => [...new Set(volume.rows.map(r => r.wk))].sort(compareWeekKeys);
+
+// Lookups over the volume rows, keyed like the scorecard: TID, else the registry's
+// TID for the name, else the name → { unit, per, has, of({ tid, name }, weeks) }
+// of() sums the given weeks ("2026-W7" keys, or every week when omitted); null unless
+// the driver has volume in each of them, so a rate never divides by part of the range
+export function volumeIndex(volume, registry) {
+  const keyOf = driverKey(registry);
+  const byDriver = new Map();
+  volume.rows.forEach(r => {
+    const k = keyOf(r);
+    const w = byDriver.get(k) || byDriver.set(k, {}).get(k);
+    w[r.wk] = (w[r.wk] || 0) + r.n;
+  });
+  return {
+    unit: volume.unit, per: RATE_PER[volume.unit], has: volume.rows.length > 0,
+    of: (ref, weeks) => {
+      const w = byDriver.get(keyOf(ref));
+      if (!w) return null;
+      const list = weeks || Object.keys(w);
+      if (!list.length || list.some(wk => !(w[wk] > 0))) return null;
+      return list.reduce((s, wk) => s + w[wk], 0);
+    },
+  };
+}
+
+// Defects per 1,000 packages (or 100 routes); null without volume
+export const defectRate = (count, volume, per) => volume > 0 ? +(per * count / volume).toFixed(1) : null;
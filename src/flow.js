@@ -0,0 +1,87 @@
+import { splitWeekKey, compareWeekKeys } from "./weeks";
+
+// ─── DEFECT FLOW ────────────────────────────────────────────────────
+// Defect → attribution → site → driver breakdowns, one per week, keyed
+// "2026-W8". The Defect Flow tab, the PDF report and the driver profile
+// work on the sum over a set of weeks; percentages are recomputed from
+// the summed order counts rather than averaged.
+
+// Datasets saved before flow was keyed by week held one { week:"W8 2026", ... }
+export function flowByWeek(flow) {
+  if (!flow?.defectTypes) return flow || {};
+  const { week, ...rest } = flow;
+  const [w, y] = String(week).split(" ");
+  return { [`${y}-${w}`]: rest };
+}
+
+export const flowWeeks = byWeek => Object.keys(byWeek).sort(compareWeekKeys);
+
+// ["2026-W5", …, "2026-W8"] → "W5–W8 2026"; one week keeps the old "W8 2026" form
+export function flowWeeksLabel(weeks) {
+  if (!weeks.length) return "";
+  const a = splitWeekKey(weeks[0]), b = splitWeekKey(weeks[weeks.length - 1]);
+  if (weeks.length === 1) return `${a.week} ${a.year}`;
+  return a.year === b.year ? `${a.week}–${b.week} ${b.year}` : `${a.week} ${a.year}–${b.week} ${b.year}`;
+}
+
+const pct = (n, d) => d ? +(100 * n / d).toFixed(2) : 0;
+const byCount = (a, b) => b.count - a.count;
+
+// Sum the given weeks → { week, weeks, ordersTotal, ordersWithDefects, pctDef, pctOk,
+// totalDefects, defectTypes, attributions, drivers } in the single-week shape
+export function aggregateFlow(byWeek, weeks) {
+  const use = weeks.filter(wk => byWeek[wk]).sort(compareWeekKeys);
+  let ordersTotal = 0, ordersWithDefects = 0, totalDefects = 0;
+  const types = {}, attrs = {}, drivers = {};
+  use.forEach(wk => {
+    const f = byWeek[wk];
+    ordersTotal += f.ordersTotal;
+    ordersWithDefects += f.ordersWithDefects;
+    totalDefects += f.totalDefects;
+    f.defectTypes.forEach(dt => {
+      types[dt.key] = types[dt.key] || { key:dt.key, label:dt.label, count:0 };
+      types[dt.key].count += dt.count;
+    });
+    Object.entries(f.attributions).forEach(([defect, list]) => list.forEach(a => {
+      const byKey = attrs[defect] = attrs[defect] || {};
+      const acc = byKey[a.key] = byKey[a.key] || { key:a.key, label:a.label, count:0, sites:{} };
+      acc.count += a.count;
+      Object.entries(a.sites).forEach(([s, n]) => { acc.sites[s] = (acc.sites[s] || 0) + n; });
+    }));
+    Object.entries(f.drivers).forEach(([k, list]) => list.forEach(d => {
+      const byName = drivers[k] = drivers[k] || {};
+      byName[d.name] = (byName[d.name] || 0) + d.count;
+    }));
+  });
+  const pctDef = ordersTotal ? Math.round(100 * ordersWithDefects / ordersTotal) : 0;
+  return {
+    week: flowWeeksLabel(use), weeks: use,
+    ordersTotal, ordersWithDefects, totalDefects, pctDef, pctOk: ordersTotal ? 100 - pctDef : 0,
+    defectTypes: Object.values(types).map(dt => ({ ...dt, pct: pct(dt.count, ordersTotal) })).sort(byCount),
+    attributions: Object.fromEntries(Object.entries(attrs).map(([d, byKey]) => [d, Object.values(byKey).sort(byCount)])),
+    drivers: Object.fromEntries(Object.entries(drivers).map(([k, byName]) =>
+      [k, Object.entries(byName).map(([name, count]) => ({ name, count })).sort((a, b) => byCount(a, b) || a.name.localeCompare(b.name))])),
+  };
+}
+
+// How each defect's attribution mix moved from week a to week b
+// → [{ defect, key, label, countA, countB, shareA, shareB, delta }], shares in %
+// of that defect's attributed count, delta in pp; biggest moves first per defect
+export function attributionShift(byWeek, a, b) {
+  const fa = byWeek[a], fb = byWeek[b];
+  if (!fa || !fb) return [];
+  const defects = [...new Set([...Object.keys(fa.attributions), ...Object.keys(fb.attributions)])];
+  return defects.flatMap(defect => {
+    const la = fa.attributions[defect] || [], lb = fb.attributions[defect] || [];
+    const ta = la.reduce((s, x) => s + x.count, 0), tb = lb.reduce((s, x) => s + x.count, 0);
+    const keys = [...new Set([...la, ...lb].map(x => x.key))];
+    return keys.map(key => {
+      const xa = la.find(x => x.key === key), xb = lb.find(x => x.key === key);
+      const shareA = pct(xa?.count || 0, ta), shareB = pct(xb?.count || 0, tb);
+      return {
+        defect, key, label: (xb || xa).label, countA: xa?.count || 0, countB: xb?.count || 0,
+        shareA, shareB, delta: +(shareB - shareA).toFixed(2),
+      };
+    }).sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+  });
+}
@@ -0,0 +1,100 @@
+import { parseWeek, mapHeaders, normDefect } from "./dataImport";
+
+// ─── DEFECT FLOW IMPORT ─────────────────────────────────────────────
+// Builds weekly defect → attribution → site → driver breakdowns from a
+// defect extract, one row per defective order (or per group of them with
+// a count column), so the Defect Flow tab can range over and compare
+// weeks. Each row also carries the station's total orders for that week.
+
+const FLOW_ALIASES = {
+  station:    ["station","depot","site","stationcode","deliverystation"],
+  year:       ["year","anno","ano","yr"],
+  week:       ["week","wk","isoweek","yearweek","settimana","semana"],
+  defect:     ["defect","defecttype","iordefect","type","defectcode"],
+  attribution:["attribution","iorattribution","rootcause","cause","reason"],
+  driver:     ["driver","name","drivername","transportername"],
+  count:      ["count","defects","n","qty","quantity"],
+  orders:     ["orders","totalorders","ordertotal","ordersdelivered","deliveredorders","ordini","pedidos"],
+  orderId:    ["orderid","order","trackingid","tracking","shipmentid"],
+};
+
+// Defect labels as the bundled flow week spells them
+const DEFECT_LABELS = { late_gt15: "_late15" };
+const UNATTRIBUTED = "** Root Cause Unattributed";
+// Attribution key from its label; unattributed rows share the bundled week's key
+const slug = label => label === UNATTRIBUTED ? "root_cause" : label.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "") || "other";
+
+const bump = (obj, key, n) => { obj[key] = (obj[key] || 0) + n; };
+const byCount = (a, b) => b.count - a.count;
+
+// Flow extract rows → { flow:{ "2026-W8": breakdown }, errors, warnings } in the shape of FLOW_WEEKS
+// Orders with defects are counted by order id when the file has one, else as the defects
+export function parseFlowRows(rows, { knownStations = [] } = {}) {
+  const errors = [];
+  const warnings = [];
+  if (!rows.length) return { flow:null, errors:[{ row:null, code:"impErrNoRows", params:{} }], warnings };
+  const { mapping, missing, unknown } = mapHeaders(Object.keys(rows[0]), FLOW_ALIASES, ["station","week","defect","orders"]);
+  if (missing.length) return { flow:null, errors:[{ row:null, code:"impErrMissingCols", params:{ cols:missing.join(", ") } }], warnings };
+  if (unknown.length) warnings.push({ row:null, code:"impWarnIgnoredCols", params:{ cols:unknown.join(", ") } });
+
+  const col = field => Object.keys(mapping).find(h => mapping[h] === field);
+  const hasIds = col("orderId") != null;
+  const weeks = {};
+  const unknownStations = new Set();
+  let other = 0;
+  rows.forEach((raw, i) => {
+    const row = i + 2;
+    const get = field => { const h = col(field); return h == null ? null : raw[h]; };
+    if (Object.values(raw).every(v => v == null || String(v).trim() === "")) return;
+    const station = String(get("station") ?? "").trim().toUpperCase();
+    if (!station) { errors.push({ row, code:"impErrNoStation", params:{} }); return; }
+    if (knownStations.length && !knownStations.includes(station)) unknownStations.add(station);
+    const wkRaw = parseWeek(get("week"));
+    if (!wkRaw) { errors.push({ row, code:"impErrBadWeek", params:{ value:String(get("week") ?? "") } }); return; }
+    const yearRaw = String(get("year") ?? "").trim();
+    const year = yearRaw ? parseInt(yearRaw) : wkRaw.year;
+    if (!year || (yearRaw && !/^\d{4}$/.test(yearRaw)) || (wkRaw.year && yearRaw && wkRaw.year !== year)) { errors.push({ row, code:"impErrBadYear", params:{ value:yearRaw } }); return; }
+    const wk = `${year}-${wkRaw.week}`;
+    const ordersRaw = get("orders");
+    const orders = Number(String(ordersRaw ?? "").trim());
+    if (String(ordersRaw ?? "").trim() === "" || !Number.isInteger(orders) || orders <= 0) { errors.push({ row, code:"impErrBadNumber", params:{ col:col("orders"), value:String(ordersRaw ?? "") } }); return; }
+    const defect = normDefect(get("defect"));
+    if (!defect) { errors.push({ row, code:"ordErrNoDefect", params:{} }); return; }
+    const countRaw = get("count");
+    const count = countRaw == null || String(countRaw).trim() === "" ? 1 : Number(countRaw);
+    if (!Number.isInteger(count) || count < 0) { errors.push({ row, code:"impErrBadNumber", params:{ col:col("count"), value:String(countRaw) } }); return; }
+
+    const w = weeks[wk] || (weeks[wk] = { orders:{}, firstRow:{}, ids:new Set(), defects:0, types:{}, attrs:{}, drivers:{} });
+    if (w.orders[station] == null) { w.orders[station] = orders; w.firstRow[station] = row; }
+    else if (w.orders[station] !== orders) { errors.push({ row, code:"flwErrOrders", params:{ station, week:wk, value:orders, first:w.firstRow[station] } }); return; }
+    if (defect === "other") { other++; return; }
+    const label = String(get("attribution") ?? "").trim() || UNATTRIBUTED;
+    const key = slug(label);
+    w.defects += count;
+    bump(w.types, defect, count);
+    const attrs = w.attrs[defect] || (w.attrs[defect] = {});
+    const a = attrs[key] || (attrs[key] = { key, label, count:0, sites:{} });
+    a.count += count;
+    bump(a.sites, station, count);
+    const driver = String(get("driver") ?? "").trim();
+    if (driver) bump(w.drivers[`${station}-${key}`] || (w.drivers[`${station}-${key}`] = {}), driver, count);
+    if (hasIds) { const id = String(get("orderId") ?? "").trim(); if (id) w.ids.add(id); }
+  });
+  if (unknownStations.size) warnings.push({ row:null, code:"impWarnUnknownStations", params:{ stations:[...unknownStations].join(", ") } });
+  if (other) warnings.push({ row:null, code:"ordWarnOtherDefects", params:{ n:other } });
+  if (errors.length) return { flow:null, errors, warnings };
+
+  const flow = Object.fromEntries(Object.entries(weeks).map(([wk, w]) => [wk, {
+    ordersTotal: Object.values(w.orders).reduce((s, n) => s + n, 0),
+    ordersWithDefects: hasIds ? w.ids.size : w.defects,
+    totalDefects: w.defects,
+    defectTypes: Object.entries(w.types).map(([key, count]) => ({ key, label:DEFECT_LABELS[key] || `_${key}`, count })).sort(byCount),
+    attributions: Object.fromEntries(Object.entries(w.attrs).map(([d, byKey]) => [d, Object.values(byKey).sort(byCount)])),
+    drivers: Object.fromEntries(Object.entries(w.drivers).map(([k, byName]) =>
+      [k, Object.entries(byName).map(([name, count]) => ({ name, count })).sort((a, b) => byCount(a, b) || a.name.localeCompare(b.name))])),
+  }]));
+  return { flow, errors, warnings };
+}
+
+// Imported weeks replace the same weeks of the current flow
+export const applyFlow = (current, incoming) => ({ ...current, ...incoming });
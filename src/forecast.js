@@ -0,0 +1,140 @@
+import { weeksBetween, addWeeks } from "./weeks";
+
+// ─── KPI FORECASTING ────────────────────────────────────────────────
+// Projects a weekly KPI a few weeks ahead with exponential smoothing fitted
+// in the browser. Smoothing parameters are picked by grid search on the
+// one-step-ahead error; the band widens with the square root of the
+// horizon around that error. A rolling-origin backtest over the same
+// history reports how far off the method has actually been.
+
+export const FORECAST_HORIZON = 4;
+export const FORECAST_METHODS = ["holt", "holtWinters", "seasonalNaive"];
+export const SEASON_LENGTHS = [4, 8, 13];
+export const DEFAULT_FORECAST = { method:"holt", season:4 };
+export const BAND_LEVEL = 80;
+const Z = 1.2816; // two-sided 80%
+
+const ALPHAS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const BETAS = [0.05, 0.1, 0.2, 0.3];
+const PHIS = [0.8, 0.9, 0.98];
+const GAMMAS = [0.1, 0.3, 0.5];
+
+// Damped-trend Holt: level + trend, trend fades by phi each step ahead
+function holtFit(y, [alpha, beta, phi]) {
+  let level = y[0], trend = y[1] - y[0];
+  const fitted = [null];
+  for (let t = 1; t < y.length; t++) {
+    fitted.push(level + phi * trend);
+    const prev = level;
+    level = alpha * y[t] + (1 - alpha) * (prev + phi * trend);
+    trend = beta * (level - prev) + (1 - beta) * phi * trend;
+  }
+  const ahead = h => {
+    let damp = 0, p = 1;
+    for (let i = 1; i <= h; i++) { p *= phi; damp += p; }
+    return level + damp * trend;
+  };
+  return { fitted, ahead };
+}
+
+// Additive Holt-Winters with season length m, seeded from the first two seasons
+function holtWintersFit(y, [alpha, beta, gamma], m) {
+  const mean = a => a.reduce((s, v) => s + v, 0) / a.length;
+  const first = y.slice(0, m);
+  let level = mean(first), trend = (mean(y.slice(m, 2 * m)) - level) / m;
+  const season = first.map(v => v - level);
+  const fitted = first.map(() => null);
+  for (let t = m; t < y.length; t++) {
+    const s = season[t % m];
+    fitted.push(level + trend + s);
+    const prev = level;
+    level = alpha * (y[t] - s) + (1 - alpha) * (prev + trend);
+    trend = beta * (level - prev) + (1 - beta) * trend;
+    season[t % m] = gamma * (y[t] - level) + (1 - gamma) * s;
+  }
+  return { fitted, ahead: h => level + h * trend + season[(y.length + h - 1) % m] };
+}
+
+// Seasonal naive: each week repeats the same week one season earlier
+function seasonalNaiveFit(y, m) {
+  const fitted = y.map((_, t) => t >= m ? y[t - m] : null);
+  return { fitted, ahead: h => y[y.length - m + ((h - 1) % m)] };
+}
+
+const grid = (...axes) => axes.reduce((acc, axis) => acc.flatMap(c => axis.map(v => [...c, v])), [[]]);
+
+// Smallest history each method can be fitted on
+const minLength = ({ method, season }) => method === "holtWinters" ? 2 * season + 2 : method === "seasonalNaive" ? season + 1 : 4;
+
+const residuals = (y, fitted) => fitted.flatMap((f, t) => f == null ? [] : [y[t] - f]);
+const sse = r => r.reduce((s, e) => s + e * e, 0);
+
+function fit(y, { method, season }) {
+  if (method === "seasonalNaive") return seasonalNaiveFit(y, season);
+  const candidates = method === "holtWinters"
+    ? grid(ALPHAS, BETAS, GAMMAS).map(p => holtWintersFit(y, p, season))
+    : grid(ALPHAS, BETAS, PHIS).map(p => holtFit(y, p));
+  return candidates.reduce((best, c) => sse(residuals(y, c.fitted)) < sse(residuals(y, best.fitted)) ? c : best);
+}
+
+// values: evenly spaced weekly numbers → null (too short) or { points:[{ h, value, lo, hi }], sigma }
+export function forecast(values, { method, season, horizon = FORECAST_HORIZON }) {
+  if (values.length < minLength({ method, season })) return null;
+  const model = fit(values, { method, season });
+  const r = residuals(values, model.fitted);
+  const sigma = r.length ? Math.sqrt(sse(r) / r.length) : 0;
+  // KPIs are percentages: nothing below zero
+  const points = Array.from({ length: horizon }, (_, i) => {
+    const h = i + 1, value = model.ahead(h), half = Z * sigma * Math.sqrt(h);
+    return { h, value: Math.max(0, value), lo: Math.max(0, value - half), hi: Math.max(0, value + half) };
+  });
+  return { points, sigma };
+}
+
+// Rolling-origin backtest: refit at every week that has enough history before it,
+// forecast the next `horizon` weeks and score them against what happened
+// → null or { mae, mape, coverage, n } (mape and coverage in %)
+export function backtest(values, { method, season, horizon = FORECAST_HORIZON }) {
+  let abs = 0, pct = 0, pctN = 0, inside = 0, n = 0;
+  for (let origin = minLength({ method, season }); origin < values.length; origin++) {
+    const f = forecast(values.slice(0, origin), { method, season, horizon });
+    f.points.forEach(p => {
+      const actual = values[origin + p.h - 1];
+      if (actual == null) return;
+      abs += Math.abs(actual - p.value);
+      if (actual > 0) { pct += Math.abs(actual - p.value) / actual; pctN++; }
+      if (actual >= p.lo && actual <= p.hi) inside++;
+      n++;
+    });
+  }
+  if (!n) return null;
+  return { mae: abs / n, mape: pctN ? 100 * pct / pctN : null, coverage: 100 * inside / n, n };
+}
+
+// rows: [{ year, week, [kpi] }] in week order → evenly spaced values, missing weeks
+// interpolated, and the last week that had a value
+export function weeklySeries(rows, kpi) {
+  const pts = rows.filter(r => r[kpi] != null);
+  const values = [];
+  pts.forEach((r, i) => {
+    const gap = i ? weeksBetween(pts[i - 1], r) : 1;
+    if (gap < 1) return;
+    const prev = pts[i - 1]?.[kpi];
+    for (let k = 1; k < gap; k++) values.push(prev + (r[kpi] - prev) * k / gap);
+    values.push(r[kpi]);
+  });
+  return { values, last: pts.length ? pts[pts.length - 1] : null };
+}
+
+// Forecast and backtest for one station or the network
+// → null or { last:{ year, week, value }, points:[{ year, week, value, lo, hi }], error }
+export function forecastKpi(rows, kpi, options) {
+  const { values, last } = weeklySeries(rows, kpi);
+  const f = forecast(values, options);
+  if (!f) return null;
+  return {
+    last: { year: last.year, week: last.week, value: last[kpi] },
+    points: f.points.map(p => ({ ...addWeeks(last, p.h), value: p.value, lo: p.lo, hi: p.hi })),
+    error: backtest(values, options),
+  };
+}
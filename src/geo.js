@@ -0,0 +1,46 @@
+import { compareWeekKeys } from "./weeks";
+
+// ─── GEO WEEKS ──────────────────────────────────────────────────────
+// The Geo data itself is one cumulative year. Week by week the view is
+// rebuilt from what the dataset holds per station and week: late and +15
+// counts from the late aggregates (so the map agrees with the Late tab),
+// the other defect types and their root causes from that week's defect
+// flow. Types neither source covers for a week are reported as missing
+// rather than shown as zero, and the Geo tab leaves them out of that week.
+// The driver matrix has no weekly source and stays the cumulative year.
+
+export const GEO_LATE_TYPES = ["late", "late_gt15"];
+
+// Weeks with any per-station geo data, oldest first
+export const geoWeeks = ({ late, flow }) => [...new Set([...late.weeks, ...Object.keys(flow)])].sort(compareWeekKeys);
+
+// One week in the shape of the cumulative geo data, plus { week, missing }.
+// Attribution rows keep their per-site counts, so they can follow the site filter
+export function geoWeek(geo, wk, { late, flow }) {
+  const f = flow[wk];
+  const hasLate = late.weeks.includes(wk);
+  const flowTypes = f ? geo.defectTypes.filter(dt => !GEO_LATE_TYPES.includes(dt) && f.attributions[dt]) : [];
+  const sites = geo.sites.map(s => {
+    const defects = {};
+    if (hasLate) {
+      const gt15 = late.gt15Station[s.key]?.[wk] || 0;
+      defects.late = (late.stationWeekly[s.key]?.[wk] || 0) - gt15;
+      defects.late_gt15 = gt15;
+    }
+    flowTypes.forEach(dt => { defects[dt] = f.attributions[dt].reduce((n, a) => n + (a.sites[s.key] || 0), 0); });
+    return { ...s, defects, total: Object.values(defects).reduce((n, c) => n + c, 0) };
+  });
+  const defectTotals = Object.fromEntries(geo.defectTypes.map(dt => [dt, { label: dt, count: sites.reduce((n, s) => n + (s.defects[dt] || 0), 0) }]));
+  const attributions = f ? Object.entries(f.attributions)
+    .filter(([dt]) => flowTypes.includes(dt))
+    .flatMap(([dt, list]) => list.map(a => ({ defect: dt, attribution: a.label, count: a.count, sites: a.sites })))
+    .sort((a, b) => b.count - a.count) : [];
+  return {
+    ...geo, week: wk, sites, defectTotals, attributions,
+    grandTotal: sites.reduce((n, s) => n + s.total, 0),
+    missing: geo.defectTypes.filter(dt => !(hasLate && GEO_LATE_TYPES.includes(dt)) && !flowTypes.includes(dt)),
+  };
+}
+
+// Marker colour for a week at `ratio` × the site's average week: green below, red well above
+export const heatColor = ratio => ratio < 0.75 ? "#22c55e" : ratio < 1.25 ? "#f59e0b" : ratio < 1.75 ? "#f97316" : "#dc2626";
@@ -0,0 +1,82 @@
+// ─── ITALY OUTLINE ──────────────────────────────────────────────────
+// Fallback basemap for the Geo View when the tile server cannot be
+// reached: coastline and land borders of Italy, the main region borders
+// and region names, as GeoJSON ([lng, lat]). Simplified by hand to a few
+// kilometres — enough to place the station markers, not for measuring.
+
+const MAINLAND = [
+  // Ligurian and Tyrrhenian coast, French border southwards
+  [7.53,43.79],[8.03,43.88],[8.48,44.31],[8.93,44.41],[9.40,44.27],[9.83,44.10],[10.25,43.87],[10.31,43.55],
+  [10.50,42.93],[10.76,42.92],[11.10,42.43],[11.80,42.09],[12.22,41.77],[12.62,41.45],[13.05,41.22],[13.57,41.21],
+  [13.93,41.02],[14.25,40.84],[14.33,40.58],[14.77,40.67],[14.99,40.35],[15.28,40.03],[15.63,40.07],[15.78,39.90],
+  [16.03,39.36],[15.83,38.62],[15.89,38.43],[15.71,38.25],[15.65,38.11],[16.06,37.93],
+  // Ionian and Adriatic coast
+  [16.55,38.69],[17.09,38.90],[17.13,39.08],[17.14,39.38],[16.50,39.72],[16.68,40.20],[17.24,40.47],[17.99,40.06],
+  [18.36,39.80],[18.49,40.15],[17.95,40.64],[16.87,41.13],[16.28,41.32],[15.92,41.63],[16.18,41.88],[15.88,41.93],
+  [14.99,42.00],[14.71,42.12],[14.21,42.46],[13.96,42.75],[13.88,42.95],[13.52,43.62],[12.91,43.91],[12.57,44.06],
+  [12.28,44.42],[12.50,44.95],[12.28,45.22],[12.35,45.43],[12.88,45.60],[13.38,45.68],[13.77,45.65],[13.72,45.59],
+  // Slovenia, Austria, Switzerland and France
+  [13.90,45.62],[13.62,45.94],[13.48,46.22],[13.71,46.52],[12.70,46.65],[12.35,46.78],[12.18,47.09],[11.70,46.99],
+  [11.50,47.00],[11.16,46.96],[10.47,46.86],[10.13,46.63],[10.05,46.45],[9.28,46.50],[9.02,45.83],[8.70,46.10],
+  [8.44,46.46],[8.08,46.26],[7.86,45.92],[7.04,45.92],[6.86,45.83],[6.80,45.73],[7.10,45.48],[6.63,45.11],
+  [7.07,44.69],[6.85,44.53],[7.03,44.23],[7.53,43.79],
+];
+
+const SICILY = [
+  [15.65,38.27],[15.24,38.22],[14.02,38.04],[13.36,38.13],[12.88,38.03],[12.73,38.18],[12.51,38.02],[12.44,37.80],
+  [12.59,37.65],[13.08,37.50],[13.58,37.27],[14.25,37.07],[14.85,36.72],[15.13,36.69],[15.29,37.07],[15.22,37.23],
+  [15.09,37.50],[15.29,37.85],[15.55,38.19],[15.65,38.27],
+];
+
+const SARDINIA = [
+  [9.15,41.24],[9.50,40.92],[9.83,40.53],[9.70,39.93],[9.52,39.10],[9.11,39.21],[8.99,38.97],[8.64,38.87],
+  [8.38,39.05],[8.43,39.45],[8.50,39.90],[8.47,40.30],[8.30,40.56],[8.16,40.56],[8.22,40.95],[8.40,40.84],
+  [8.71,40.91],[9.15,41.24],
+];
+
+// Inland region borders, each from one meeting point (coast or border) to another
+const BORDERS = [
+  [[7.10,45.48],[7.30,45.48],[7.55,45.58],[7.90,45.60],[7.86,45.92]],                              // Valle d'Aosta
+  [[7.72,44.13],[7.95,44.25],[8.25,44.40],[8.60,44.50],[8.95,44.55],[9.20,44.70]],                 // Piemonte–Liguria
+  [[9.20,44.70],[9.50,44.45],[9.75,44.40],[9.95,44.30],[10.04,44.04]],                             // Liguria–Emilia, Liguria–Toscana
+  [[8.55,46.10],[8.62,45.70],[8.75,45.40],[8.85,45.10],[9.05,44.95],[9.20,44.70]],                 // Piemonte–Lombardia
+  [[9.20,44.70],[9.55,45.05],[9.90,45.10],[10.40,44.95],[10.80,45.00],[11.20,45.05]],              // Lombardia–Emilia
+  [[10.45,46.53],[10.55,46.25],[10.50,45.95],[10.84,45.85]],                                      // Lombardia–Trentino
+  [[10.84,45.85],[10.70,45.65],[10.70,45.40],[11.00,45.15],[11.20,45.05]],                         // Lombardia–Veneto
+  [[10.84,45.85],[11.20,45.75],[11.70,45.95],[11.85,46.25],[12.20,46.60],[12.50,46.70]],           // Trentino–Veneto
+  [[12.72,46.64],[12.45,46.35],[12.50,46.05],[12.75,45.85],[13.09,45.64]],                         // Veneto–Friuli
+  [[11.20,45.05],[11.70,44.95],[12.40,44.90],[12.45,44.85]],                                       // Emilia–Veneto
+  [[9.95,44.30],[10.30,44.30],[10.70,44.15],[11.20,44.10],[11.60,44.00],[11.90,43.85],[12.10,43.75]], // Emilia–Toscana
+  [[12.10,43.75],[12.40,43.85],[12.75,43.97]],                                                    // Emilia–Marche
+  [[12.10,43.75],[12.20,43.50],[12.00,43.15],[11.95,42.75]],                                      // Toscana–Umbria
+  [[11.95,42.75],[11.70,42.65],[11.45,42.38]],                                                    // Toscana–Lazio
+  [[12.10,43.75],[12.35,43.50],[12.70,43.30],[12.95,42.95],[13.20,42.80]],                         // Marche–Umbria
+  [[13.20,42.80],[13.35,42.70],[13.60,42.80],[13.91,42.89]],                                       // Marche–Lazio, Marche–Abruzzo
+  [[11.95,42.75],[12.30,42.60],[12.70,42.45],[12.95,42.60],[13.20,42.80]],                         // Umbria–Lazio
+  [[13.35,42.70],[13.15,42.40],[13.35,42.05],[13.70,41.80],[13.95,41.70]],                         // Lazio–Abruzzo
+  [[13.95,41.70],[13.95,41.45],[13.77,41.23]],                                                    // Lazio–Molise, Lazio–Campania
+  [[13.95,41.70],[14.30,41.85],[14.60,42.00],[14.78,42.07]],                                       // Abruzzo–Molise
+  [[13.95,41.45],[14.35,41.35],[14.80,41.30],[15.05,41.45],[15.10,41.70],[15.14,41.93]],           // Molise–Campania, Molise–Puglia
+  [[15.05,41.45],[15.30,41.20],[15.55,41.00]],                                                    // Campania–Puglia
+  [[15.55,41.00],[15.40,40.75],[15.60,40.45],[15.64,40.06]],                                      // Campania–Basilicata
+  [[15.55,41.00],[15.95,41.05],[16.40,40.80],[16.75,40.65],[16.86,40.42]],                         // Puglia–Basilicata
+  [[15.75,39.93],[16.10,40.00],[16.40,40.05],[16.63,40.13]],                                       // Basilicata–Calabria
+];
+
+const REGIONS = [
+  ["Valle d'Aosta",7.40,45.75],["Piemonte",7.90,45.05],["Liguria",8.80,44.42],["Lombardia",9.80,45.65],
+  ["Trentino-Alto Adige",11.30,46.45],["Veneto",12.00,45.55],["Friuli-Venezia Giulia",13.05,46.10],
+  ["Emilia-Romagna",11.00,44.55],["Toscana",11.10,43.40],["Umbria",12.50,42.95],["Marche",13.10,43.35],
+  ["Lazio",12.75,41.95],["Abruzzo",13.85,42.25],["Molise",14.55,41.65],["Campania",14.80,40.90],
+  ["Puglia",16.60,40.95],["Basilicata",16.05,40.50],["Calabria",16.35,39.05],["Sicilia",14.10,37.55],
+  ["Sardegna",9.00,40.05],
+];
+
+export const ITALY_OUTLINE = {
+  type: "FeatureCollection",
+  features: [
+    { type:"Feature", properties:{ kind:"land" }, geometry:{ type:"MultiPolygon", coordinates:[[MAINLAND], [SICILY], [SARDINIA]] } },
+    { type:"Feature", properties:{ kind:"border" }, geometry:{ type:"MultiLineString", coordinates:BORDERS } },
+    ...REGIONS.map(([name, lng, lat]) => ({ type:"Feature", properties:{ kind:"region", name }, geometry:{ type:"Point", coordinates:[lng, lat] } })),
+  ],
+};
@@ -0,0 +1,144 @@
+import { parseWeek, mapHeaders, normDefect } from "./dataImport";
+import { compareWeekKeys } from "./weeks";
+
+// ─── ORDER-LEVEL DEFECT IMPORT ──────────────────────────────────────
+// Builds the NCC and late-delivery aggregates (driver matrices and
+// station weekly totals) from the raw order-level defect extract, so the
+// NCC Drivers, Late Drivers and Scorecard tabs all derive from one file.
+
+const ORDER_ALIASES = {
+  tid:        ["tid","transporterid","driverid","daid","transporter"],
+  name:       ["name","driver","drivername","transportername","lastnamefirstname"],
+  station:    ["station","depot","site","stationcode","deliverystation"],
+  year:       ["year","anno","ano","yr"],
+  week:       ["week","wk","isoweek","yearweek","settimana","semana"],
+  defect:     ["defect","defecttype","iordefect","type","defectcode"],
+  minutesLate:["minuteslate","minlate","minslate","lateminutes","delayminutes","minutes","delay"],
+  orderId:    ["orderid","order","trackingid","tracking","shipmentid"],
+};
+
+// Late rows above this many minutes count toward the +15 aggregates
+export const GT15_MINUTES = 15;
+
+// Defect types the NCC and late aggregates are built from; the rest are counted and skipped
+const ORDER_DEFECTS = ["ncc","late","late_gt15"];
+
+// Validate order rows → { orders, errors, warnings }
+// orders: { tid, name, station, year, week, wk:"2026-W7", defect:"ncc"|"late", gt15 }
+export function parseOrderRows(rows) {
+  const errors = [];
+  const warnings = [];
+  const orders = [];
+  if (!rows.length) return { orders, errors:[{ row:null, code:"impErrNoRows", params:{} }], warnings };
+
+  const { mapping, missing, unknown } = mapHeaders(Object.keys(rows[0]), ORDER_ALIASES, ["tid","station","week","defect"]);
+  if (missing.length) return { orders, errors:[{ row:null, code:"impErrMissingCols", params:{ cols:missing.join(", ") } }], warnings };
+  if (unknown.length) warnings.push({ row:null, code:"impWarnIgnoredCols", params:{ cols:unknown.join(", ") } });
+
+  const col = field => Object.keys(mapping).find(h => mapping[h] === field);
+  const seen = {};
+  let other = 0;
+  let noMinutes = 0;
+
+  rows.forEach((raw, i) => {
+    const row = i + 2;
+    const get = field => { const h = col(field); return h == null ? null : raw[h]; };
+    if (Object.values(raw).every(v => v == null || String(v).trim() === "")) return;
+
+    const tid = String(get("tid") ?? "").trim().toUpperCase();
+    if (!tid) { errors.push({ row, code:"ordErrNoTid", params:{} }); return; }
+    const station = String(get("station") ?? "").trim().toUpperCase();
+    if (!station) { errors.push({ row, code:"impErrNoStation", params:{} }); return; }
+
+    const wk = parseWeek(get("week"));
+    if (!wk) { errors.push({ row, code:"impErrBadWeek", params:{ value:String(get("week") ?? "") } }); return; }
+    const yearRaw = String(get("year") ?? "").trim();
+    const year = yearRaw ? parseInt(yearRaw) : wk.year;
+    if (!year || (yearRaw && !/^\d{4}$/.test(yearRaw)) || (wk.year && yearRaw && wk.year !== year)) { errors.push({ row, code:"impErrBadYear", params:{ value:yearRaw } }); return; }
+
+    const defect = normDefect(get("defect"));
+    if (!defect) { errors.push({ row, code:"ordErrNoDefect", params:{} }); return; }
+    if (!ORDER_DEFECTS.includes(defect)) { other++; return; }
+
+    const orderId = String(get("orderId") ?? "").trim();
+    if (orderId) {
+      const key = `${orderId}|${defect === "ncc" ? "ncc" : "late"}`;
+      if (seen[key]) { errors.push({ row, code:"ordErrDuplicate", params:{ order:orderId, first:seen[key] } }); return; }
+      seen[key] = row;
+    }
+
+    let gt15 = defect === "late_gt15";
+    if (defect !== "ncc") {
+      const minsRaw = get("minutesLate");
+      const mins = minsRaw == null || String(minsRaw).trim() === "" ? null : Number(String(minsRaw).replace(",", "."));
+      if (mins != null && !Number.isFinite(mins)) { errors.push({ row, code:"impErrBadNumber", params:{ col:col("minutesLate"), value:String(minsRaw) } }); return; }
+      if (mins != null) gt15 = gt15 || mins > GT15_MINUTES;
+      else if (defect === "late") noMinutes++;
+    }
+
+    const name = String(get("name") ?? "").trim() || null;
+    orders.push({ tid, name, station, year, week:wk.week, wk:`${year}-${wk.week}`, defect: defect === "ncc" ? "ncc" : "late", gt15 });
+  });
+
+  if (other) warnings.push({ row:null, code:"ordWarnOtherDefects", params:{ n:other } });
+  if (noMinutes) warnings.push({ row:null, code:"ordWarnNoMinutes", params:{ n:noMinutes } });
+  return { orders, errors, warnings };
+}
+
+const bump = (obj, key, n = 1) => { obj[key] = (obj[key] || 0) + n; };
+
+// Aggregate orders into the shapes of NCC_DRIVERS / LATE_DRIVERS / *_STN_WEEKLY
+// resolveName(tid) → roster name or null; cityOf(station) → city label
+export function aggregateOrders(orders, { resolveName = () => null, cityOf = () => "?" } = {}) {
+  const weeks = [...new Set(orders.map(o => o.wk))].sort(compareWeekKeys);
+  const ncc = {};
+  const late = {};
+  const nccStationWeekly = {};
+  const lateStnWeekly = {};
+  const lateGt15Stn = {};
+
+  orders.forEach(o => {
+    if (o.defect === "ncc") {
+      const d = ncc[o.tid] || (ncc[o.tid] = { tid:o.tid, name:resolveName(o.tid) || o.name || `ID:${o.tid}`, stations:new Set(), total:0, w:{} });
+      d.stations.add(o.station);
+      d.total++;
+      bump(d.w, o.wk);
+      bump(nccStationWeekly[o.station] || (nccStationWeekly[o.station] = {}), o.wk);
+    } else {
+      const d = late[o.tid] || (late[o.tid] = { tid:o.tid, s:new Set(), l:0, g:0, t:0, w:{}, gw:{} });
+      d.s.add(o.station);
+      d.t++;
+      if (o.gt15) { d.g++; bump(d.gw, o.wk); } else d.l++;
+      bump(d.w, o.wk);
+      bump(lateStnWeekly[o.station] || (lateStnWeekly[o.station] = {}), o.wk);
+      if (o.gt15) bump(lateGt15Stn[o.station] || (lateGt15Stn[o.station] = {}), o.wk);
+    }
+  });
+
+  const nccDrivers = Object.values(ncc).map(d => {
+    const stations = [...d.stations].sort();
+    return { tid:d.tid, name:d.name, loc:cityOf(stations[0]), stations, total:d.total, w:d.w };
+  }).sort((a, b) => b.total - a.total);
+  // w: all lates per week, gw: +15 lates per week
+  const lateDrivers = Object.values(late).map(d => ({ tid:d.tid, s:[...d.s].sort(), l:d.l, g:d.g, t:d.t, w:d.w, gw:d.gw })).sort((a, b) => b.t - a.t);
+
+  return {
+    ncc: { weeks, drivers:nccDrivers, stationWeekly:nccStationWeekly },
+    late: { weeks, drivers:lateDrivers, stationWeekly:lateStnWeekly, gt15Station:lateGt15Stn },
+  };
+}
+
+// Headline totals used to compare the current aggregates with an import preview
+export function defectTotals({ ncc, late }) {
+  const sum = m => Object.values(m).reduce((s, wk) => s + Object.values(wk).reduce((a, b) => a + b, 0), 0);
+  const weeks = [...new Set([...ncc.weeks, ...late.weeks])].sort(compareWeekKeys);
+  return {
+    weeks: weeks.length ? `${weeks[0]} → ${weeks[weeks.length - 1]}` : "—",
+    weekCount: weeks.length,
+    nccTotal: sum(ncc.stationWeekly),
+    nccDrivers: ncc.drivers.length,
+    lateTotal: sum(late.stationWeekly),
+    gt15Total: sum(late.gt15Station),
+    lateDrivers: late.drivers.length,
+  };
+}
@@ -0,0 +1,425 @@
+import { jsPDF } from "jspdf";
+import { kpiLevel, statusOf } from "./thresholds";
+
+// ─── WEEKLY PDF REPORT ──────────────────────────────────────────────
+// Draws the Monday station-manager deck straight into a PDF (vector
+// text and charts, no screenshots): Overview KPIs and heatmap, one page
+// per depot with its trend, the upstream split, the Scorecard's top
+// offenders and the defect flow breakdown. The caller passes data that is
+// already filtered and a t() for the current language.
+
+const PAGE = { w:297, h:210, m:12 };
+const C = {
+  bg:"#030712", panel:"#0f172a", border:"#1e293b", grid:"#1e293b",
+  text:"#e2e8f0", bright:"#f8fafc", muted:"#64748b", dim:"#475569", amber:"#f59e0b",
+  red:"#ef4444", green:"#22c55e", teal:"#0d9488",
+};
+const LEVEL = { bad:{ bg:"#450a0a", text:"#fca5a5" }, warn:{ bg:"#451a03", text:"#fcd34d" }, ok:{ bg:"#052e16", text:"#86efac" } };
+const HEAT_KPIS = ["late","fondCtrl","ftfdf","ftpdf","pdnr","fdnr","pondPP"];
+
+// The built-in PDF fonts are Latin-1: fold accents outside it and swap the few symbols the UI uses
+const FOLD = { "→":"-", "≈":"~", "Ł":"L", "ł":"l", "Đ":"D", "đ":"d", "ı":"i" };
+const pdfText = s => [...String(s ?? "")].map(ch => {
+  if (ch.charCodeAt(0) <= 0xff || "—–•…‘’“”€".includes(ch)) return ch;
+  if (FOLD[ch]) return FOLD[ch];
+  return ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^\x00-\xff]/g, "");
+}).join("");
+
+const pct = v => v != null ? `${v}%` : "—";
+const avg = vals => { const v = vals.filter(x => x != null); return v.length ? +(v.reduce((a, b) => a + b, 0) / v.length).toFixed(2) : null; };
+
+function createWriter(doc, { t, header }) {
+  const setFont = (size, style = "normal", color = C.text) => {
+    doc.setFont("helvetica", style);
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+  };
+  const text = (s, x, y, opts) => doc.text(pdfText(s), x, y, opts);
+  const fit = (s, width) => {
+    let out = pdfText(s);
+    if (doc.getTextWidth(out) <= width) return out;
+    while (out.length > 1 && doc.getTextWidth(`${out}…`) > width) out = out.slice(0, -1);
+    return `${out}…`;
+  };
+  const box = (x, y, w, h, fill = C.panel, stroke = C.border) => {
+    doc.setFillColor(fill);
+    doc.setDrawColor(stroke);
+    doc.setLineWidth(0.2);
+    doc.roundedRect(x, y, w, h, 1.5, 1.5, stroke ? "FD" : "F");
+  };
+
+  // New page with the dark background and the report header; returns the first free y
+  let first = true;
+  const page = title => {
+    if (!first) doc.addPage();
+    first = false;
+    doc.setFillColor(C.bg);
+    doc.rect(0, 0, PAGE.w, PAGE.h, "F");
+    setFont(7, "bold", C.amber);
+    text(header.brand.toUpperCase(), PAGE.m, PAGE.m + 2);
+    setFont(15, "bold", C.bright);
+    text(title, PAGE.m, PAGE.m + 9);
+    setFont(8, "normal", C.muted);
+    text(header.range, PAGE.w - PAGE.m, PAGE.m + 2, { align:"right" });
+    text(header.generated, PAGE.w - PAGE.m, PAGE.m + 7, { align:"right" });
+    text(header.stations, PAGE.w - PAGE.m, PAGE.m + 12, { align:"right" });
+    doc.setDrawColor(C.border);
+    doc.setLineWidth(0.3);
+    doc.line(PAGE.m, PAGE.m + 15, PAGE.w - PAGE.m, PAGE.m + 15);
+    return PAGE.m + 21;
+  };
+
+  const sectionTitle = (s, x, y) => { setFont(7, "bold", C.muted); text(s.toUpperCase(), x, y); };
+
+  // KPI tile: label / big value / sub line
+  const tile = (x, y, w, h, { label, value, color = C.text, sub, fill = C.panel, stroke = C.border }) => {
+    box(x, y, w, h, fill, stroke);
+    setFont(6, "bold", C.muted);
+    text(fit(label.toUpperCase(), w - 6), x + 3, y + 5);
+    setFont(h > 20 ? 16 : 12, "bold", color);
+    text(fit(value, w - 6), x + 3, y + (h > 20 ? 14 : 12));
+    if (sub) { setFont(6, "normal", C.dim); text(fit(sub, w - 6), x + 3, y + h - 3); }
+  };
+
+  // Line/area chart over categorical labels. series: [{ values, color, area, name }]
+  const lineChart = (x, y, w, h, { labels, series, refs = [], unit = "%" }) => {
+    box(x, y, w, h);
+    const pad = { l:12, r:4, t:5, b:8 };
+    const cx = x + pad.l, cy = y + pad.t, cw = w - pad.l - pad.r, ch = h - pad.t - pad.b;
+    const all = [...series.flatMap(s => s.values), ...refs.map(r => r.value)].filter(v => v != null);
+    if (!labels.length || !all.length) {
+      setFont(8, "normal", C.dim);
+      text(t("repNoData"), x + w / 2, y + h / 2, { align:"center" });
+      return;
+    }
+    const max = Math.max(...all) * 1.1 || 1;
+    const px = i => cx + (labels.length === 1 ? cw / 2 : (i / (labels.length - 1)) * cw);
+    const py = v => cy + ch - (v / max) * ch;
+
+    setFont(5.5, "normal", C.dim);
+    doc.setLineWidth(0.1);
+    for (let i = 0; i <= 4; i++) {
+      const v = (max / 4) * i;
+      doc.setDrawColor(C.grid);
+      doc.setLineDashPattern([0.8, 0.8], 0);
+      doc.line(cx, py(v), cx + cw, py(v));
+      text(`${+v.toFixed(1)}${unit}`, cx - 1.5, py(v) + 1, { align:"right" });
+    }
+    doc.setLineDashPattern([], 0);
+    const every = Math.max(1, Math.ceil(labels.length / 16));
+    labels.forEach((l, i) => { if (i % every === 0 || i === labels.length - 1) text(l, px(i), cy + ch + 5, { align:"center" }); });
+
+    refs.forEach(r => {
+      doc.setDrawColor(r.color);
+      doc.setLineWidth(0.25);
+      doc.setLineDashPattern([1.5, 1], 0);
+      doc.line(cx, py(r.value), cx + cw, py(r.value));
+      doc.setLineDashPattern([], 0);
+      setFont(5.5, "normal", r.color);
+      text(r.label, cx + cw - 1, py(r.value) - 1, { align:"right" });
+    });
+
+    series.forEach(s => {
+      // Split at missing weeks so gaps are not bridged with a fake trend
+      const runs = [];
+      s.values.forEach((v, i) => {
+        if (v == null) { runs.push(null); return; }
+        const last = runs[runs.length - 1];
+        if (last) last.push([px(i), py(v)]); else runs.push([[px(i), py(v)]]);
+      });
+      runs.filter(Boolean).forEach(pts => {
+        if (s.area && pts.length > 1) {
+          doc.setGState(new doc.GState({ opacity:0.15 }));
+          doc.setFillColor(s.color);
+          const poly = [...pts, [pts[pts.length - 1][0], cy + ch], [pts[0][0], cy + ch]];
+          doc.lines(poly.slice(1).map((p, i) => [p[0] - poly[i][0], p[1] - poly[i][1]]), poly[0][0], poly[0][1], [1, 1], "F", true);
+          doc.setGState(new doc.GState({ opacity:1 }));
+        }
+        doc.setDrawColor(s.color);
+        doc.setLineWidth(0.5);
+        for (let i = 1; i < pts.length; i++) doc.line(pts[i - 1][0], pts[i - 1][1], pts[i][0], pts[i][1]);
+        doc.setFillColor(s.color);
+        pts.forEach(([px2, py2]) => doc.circle(px2, py2, 0.5, "F"));
+      });
+    });
+
+    if (series.length > 1) {
+      let lx = cx + 2;
+      series.forEach(s => {
+        doc.setFillColor(s.color);
+        doc.rect(lx, cy + 1, 4, 1, "F");
+        setFont(6, "bold", s.color);
+        text(s.name, lx + 5, cy + 2.2);
+        lx += 8 + doc.getTextWidth(pdfText(s.name));
+      });
+    }
+  };
+
+  // Table with a repeated header row; starts new pages when it runs out of room.
+  // columns: [{ label, w, align, color }], rows: [[cell]] where a cell is a string or { text, color, bg, bold }
+  const table = (y, { columns, rows, title }) => {
+    const x0 = PAGE.m, rowH = 6.2;
+    const head = yy => {
+      let x = x0;
+      setFont(6, "bold", C.dim);
+      columns.forEach(c => {
+        text(c.label.toUpperCase(), c.align === "right" ? x + c.w - 2 : c.align === "center" ? x + c.w / 2 : x + 2, yy + 4, { align:c.align || "left" });
+        x += c.w;
+      });
+      return yy + rowH;
+    };
+    y = head(y);
+    rows.forEach(r => {
+      if (y + rowH > PAGE.h - PAGE.m - 6) y = head(page(title));
+      let x = x0;
+      r.forEach((cell, i) => {
+        const c = columns[i];
+        const cellObj = typeof cell === "object" && cell ? cell : { text:cell };
+        if (cellObj.bg) { doc.setFillColor(cellObj.bg); doc.roundedRect(x + 0.4, y + 0.4, c.w - 0.8, rowH - 0.8, 0.8, 0.8, "F"); }
+        setFont(7.5, cellObj.bold ? "bold" : "normal", cellObj.color || c.color || C.text);
+        const s = fit(cellObj.text ?? "", c.w - 4);
+        text(s, c.align === "right" ? x + c.w - 2 : c.align === "center" ? x + c.w / 2 : x + 2, y + 4.2, { align:c.align || "left" });
+        x += c.w;
+      });
+      doc.setDrawColor(C.border);
+      doc.setLineWidth(0.1);
+      doc.line(x0, y + rowH, x0 + columns.reduce((s, c) => s + c.w, 0), y + rowH);
+      y += rowH;
+    });
+    return y;
+  };
+
+  // Horizontal bars: [{ label, value, color, sub }]
+  const hbars = (x, y, w, items, { labelW = 50, barH = 3.2, gap = 7.5 } = {}) => {
+    const max = Math.max(1, ...items.map(i => i.value));
+    items.forEach((it, i) => {
+      const yy = y + i * gap;
+      setFont(7.5, "normal", C.text);
+      text(fit(it.label, labelW - 2), x, yy + 3);
+      doc.setFillColor(C.panel);
+      doc.roundedRect(x + labelW, yy, w - labelW - 22, barH, 0.8, 0.8, "F");
+      doc.setFillColor(it.color || C.teal);
+      doc.roundedRect(x + labelW, yy, Math.max(1, ((w - labelW - 22) * it.value) / max), barH, 0.8, 0.8, "F");
+      setFont(7.5, "bold", C.bright);
+      text(String(it.value), x + w - 20, yy + 3);
+      if (it.sub) { setFont(6, "normal", C.dim); text(fit(it.sub, 18), x + w, yy + 3, { align:"right" }); }
+    });
+    return y + items.length * gap;
+  };
+
+  return { doc, setFont, text, fit, box, page, sectionTitle, tile, lineChart, table, hbars };
+}
+
+// report: {
+//   brand, rangeLabel, stations, network:[{label,late}], depots:[{ depot, city, color, rows:[{label,week,year,...kpis}], th }],
+//   upstream:[{depot,ctrl,upstream,total}], offenders:[scorecard rows],
+//   flow: aggregateFlow() over the range (no page when it covers no weeks),
+//   colors:{ depots, status, severity }
+// }
+// Returns a jsPDF document; the caller saves it.
+export function buildWeeklyReport(report, { t, lang }) {
+  const doc = new jsPDF({ orientation:"landscape", unit:"mm", format:"a4" });
+  const generated = new Date().toLocaleDateString(lang, { day:"numeric", month:"long", year:"numeric" });
+  const header = {
+    brand: report.brand,
+    range: report.rangeLabel,
+    generated: `${t("repGenerated")} ${generated}`,
+    stations: report.stations.join(" · "),
+  };
+  const w = createWriter(doc, { t, header });
+  const { setFont, text, fit, box, page, sectionTitle, tile, lineChart, table, hbars } = w;
+  const colW = PAGE.w - PAGE.m * 2;
+  const kpiName = { late:t("latePlus15"), fondCtrl:t("fondCtrl"), ftfdf:t("ftfdf"), ftpdf:t("ftpdf"), pdnr:t("pdnr"), fdnr:t("fdnr"), ftdc:"FTDC", pondPP:t("pp") };
+  const latestOf = rows => rows.length ? rows[rows.length - 1] : null;
+  const weekOf = d => d ? `${d.week} '${String(d.year).slice(2)}` : "—";
+
+  // ── Overview: one tile per depot, network trend, heatmap
+  let y = page(t("repOverview"));
+  const tw = (colW - (report.depots.length - 1) * 3) / Math.max(1, report.depots.length);
+  report.depots.forEach((d, i) => {
+    const latest = latestOf(d.rows);
+    const status = statusOf(latest, d.th);
+    const st = report.colors.status[status];
+    tile(PAGE.m + i * (tw + 3), y, tw, 24, {
+      label: `${d.depot} · ${status}`,
+      value: pct(latest?.late),
+      color: LEVEL[kpiLevel(latest?.late, d.th.kpi.late)]?.text || C.text,
+      sub: `${t("fondCtrl")} ${pct(latest?.fondCtrl)} · ${t("pdnr")} ${pct(latest?.pdnr)} · ${weekOf(latest)}`,
+      fill: st.bg, stroke: st.border,
+    });
+  });
+  y += 29;
+  sectionTitle(`${t("networkLate")} — ${report.rangeLabel}`, PAGE.m, y);
+  lineChart(PAGE.m, y + 2, colW, 62, {
+    labels: report.network.map(r => r.label),
+    series: [{ name:t("latePlus15"), values:report.network.map(r => r.late), color:C.red, area:true }],
+  });
+  y += 71;
+  sectionTitle(t("perfHeatmap"), PAGE.m, y);
+  const heatCols = [
+    { label:t("depot"), w:30 }, { label:t("week"), w:24, align:"center" },
+    ...HEAT_KPIS.map(k => ({ label:kpiName[k], w:(colW - 30 - 24 - 36) / HEAT_KPIS.length, align:"center" })),
+    { label:t("status"), w:36, align:"center" },
+  ];
+  table(y + 2, {
+    title: t("repOverview"),
+    columns: heatCols,
+    rows: report.depots.map(d => {
+      const latest = latestOf(d.rows);
+      const status = statusOf(latest, d.th);
+      return [
+        { text:d.depot, color:d.color, bold:true },
+        { text:weekOf(latest), color:C.dim },
+        ...HEAT_KPIS.map(k => { const l = LEVEL[kpiLevel(latest?.[k], d.th.kpi[k])]; return { text:pct(latest?.[k]), bg:l?.bg || C.panel, color:l?.text || "#334155", bold:true }; }),
+        { text:status, color:report.colors.status[status].text, bold:true },
+      ];
+    }),
+  });
+
+  // ── One page per depot
+  report.depots.forEach(d => {
+    const latest = latestOf(d.rows);
+    const status = statusOf(latest, d.th);
+    const st = report.colors.status[status];
+    let yy = page(`${d.depot} — ${d.city}`);
+    box(PAGE.m, yy, colW, 10, st.bg, st.border);
+    setFont(9, "bold", st.text);
+    text(status, PAGE.m + 4, yy + 6.5);
+    setFont(8, "normal", C.muted);
+    text(`${t("repLatestWeek")}: ${weekOf(latest)}${d.upstreamPct != null ? ` · ${d.upstreamPct}% ${t("upstream")}` : ""}`, PAGE.m + colW - 4, yy + 6.5, { align:"right" });
+    yy += 14;
+    const keys = ["late","fondCtrl","ftfdf","pdnr","ftpdf","fdnr","ftdc","pondPP"];
+    const kw = (colW - (keys.length - 1) * 2.5) / keys.length;
+    keys.forEach((k, i) => {
+      const l = kpiLevel(latest?.[k], d.th.kpi[k]);
+      tile(PAGE.m + i * (kw + 2.5), yy, kw, 22, {
+        label: kpiName[k], value: pct(latest?.[k]), color: LEVEL[l]?.text || C.text,
+        sub: `${t("repRangeAvg")} ${pct(avg(d.rows.map(r => r[k])))}`,
+      });
+    });
+    yy += 27;
+    const labels = d.rows.map(r => r.label);
+    sectionTitle(`${t("latePlus15")} — ${report.rangeLabel}`, PAGE.m, yy);
+    lineChart(PAGE.m, yy + 2, colW, 66, {
+      labels,
+      series: [{ name:t("latePlus15"), values:d.rows.map(r => r.late), color:d.color, area:true }],
+      refs: [
+        { value:d.th.kpi.late.warn, color:LEVEL.warn.text, label:`${t("thrWarn")} ${d.th.kpi.late.warn}%` },
+        { value:d.th.kpi.late.bad, color:LEVEL.bad.text, label:`${t("thrBad")} ${d.th.kpi.late.bad}%` },
+      ],
+    });
+    yy += 72;
+    sectionTitle(`${t("fondCtrl")} · ${t("ftfdf")} · ${t("pdnr")}`, PAGE.m, yy);
+    lineChart(PAGE.m, yy + 2, colW, PAGE.h - PAGE.m - yy - 4, {
+      labels,
+      series: [
+        { name:t("fondCtrl"), values:d.rows.map(r => r.fondCtrl), color:"#f59e0b" },
+        { name:t("ftfdf"), values:d.rows.map(r => r.ftfdf), color:"#a78bfa" },
+        { name:t("pdnr"), values:d.rows.map(r => r.pdnr), color:"#34d399" },
+      ],
+    });
+  });
+
+  // ── Upstream split
+  y = page(t("tabUpstream"));
+  sectionTitle(t("ftfdfBreakdown"), PAGE.m, y);
+  const up = report.upstream;
+  const chartH = 90, chartY = y + 4;
+  box(PAGE.m, chartY, colW, chartH);
+  const maxUp = Math.max(0.1, ...up.map(u => u.total)) * 1.15;
+  const slot = (colW - 20) / Math.max(1, up.length);
+  const base = chartY + chartH - 10, plotH = chartH - 18;
+  up.forEach((u, i) => {
+    const bx = PAGE.m + 14 + i * slot + slot * 0.3, bw = slot * 0.4;
+    const hc = (u.ctrl / maxUp) * plotH, hu = (u.upstream / maxUp) * plotH;
+    doc.setFillColor(C.green); doc.rect(bx, base - hc, bw, hc, "F");
+    doc.setFillColor(C.red); doc.rect(bx, base - hc - hu, bw, hu, "F");
+    setFont(8, "bold", report.colors.depots[u.depot] || C.text);
+    text(u.depot, bx + bw / 2, base + 6, { align:"center" });
+    setFont(7, "bold", C.bright);
+    text(`${u.total}%`, bx + bw / 2, base - hc - hu - 2, { align:"center" });
+  });
+  [[C.green, t("dspCtrl")], [C.red, t("upstream")]].forEach(([c, l], i) => {
+    doc.setFillColor(c); doc.rect(PAGE.m + 6 + i * 34, chartY + 4, 4, 2.5, "F");
+    setFont(7, "bold", c); text(l, PAGE.m + 12 + i * 34, chartY + 6.2);
+  });
+  table(chartY + chartH + 6, {
+    title: t("tabUpstream"),
+    columns: [
+      { label:t("depot"), w:50 }, { label:t("dspCtrl"), w:50, align:"right" }, { label:t("upstream"), w:50, align:"right" },
+      { label:t("total"), w:50, align:"right" }, { label:`% ${t("upstream")}`, w:colW - 200, align:"right" },
+    ],
+    rows: up.map(u => [
+      { text:u.depot, color:report.colors.depots[u.depot], bold:true },
+      { text:pct(u.ctrl), color:"#86efac" }, { text:pct(u.upstream), color:"#fca5a5" }, { text:pct(u.total), bold:true },
+      u.total > 0 ? `${Math.round((u.upstream / u.total) * 100)}%` : "—",
+    ]),
+  });
+
+  // ── Top offenders from the scorecard
+  y = page(t("repTopOffenders"));
+  const sev = report.colors.severity;
+  const anyEstimate = report.offenders.some(d => d.gt15Est);
+  y = table(y, {
+    title: t("repTopOffenders"),
+    columns: [
+      { label:"#", w:10 }, { label:t("driver"), w:80 }, { label:"TID", w:40, color:C.dim }, { label:t("station"), w:40 },
+      { label:t("ncc"), w:20, align:"right", color:"#fb923c" }, { label:t("late"), w:20, align:"right", color:"#a5b4fc" },
+      { label:t("gt15"), w:20, align:"right", color:"#fca5a5" }, { label:t("total"), w:20, align:"right" },
+      { label:t("severity"), w:colW - 250, align:"center" },
+    ],
+    rows: report.offenders.map((d, i) => [
+      { text:String(i + 1), color:C.dim }, { text:d.name, bold:i < 5 }, d.tid || "—", d.stations.join("/"),
+      String(d.ncc), String(d.late), d.gt15Est ? `~${d.gt15}` : String(d.gt15), { text:String(d.combined), bold:true },
+      { text:d.severity, color:sev[d.severity].text, bg:sev[d.severity].bg, bold:true },
+    ]),
+  });
+  if (!report.offenders.length) { setFont(8, "normal", C.dim); text(t("repNoData"), PAGE.m, y + 6); }
+  if (anyEstimate) { setFont(6.5, "normal", C.dim); text(`~ ${t("gt15EstTip")}`, PAGE.m, Math.min(y + 6, PAGE.h - PAGE.m - 4)); }
+
+  // ── Defect flow breakdown
+  const fd = report.flow;
+  if (fd.weeks.length) {
+    const defectName = { ...kpiName, late_gt15:t("latePlus15") };
+    y = page(`${t("tabFlow")} — ${fd.week}`);
+    const flowTiles = [
+      { label:t("repOrdersTotal"), value:fd.ordersTotal.toLocaleString(lang), color:C.text },
+      { label:t("repWithDefects"), value:fd.ordersWithDefects.toLocaleString(lang), color:"#fcd34d", sub:`${fd.pctDef}%` },
+      { label:t("repOrdersOk"), value:`${fd.pctOk}%`, color:"#86efac" },
+      { label:t("repTotalDefects"), value:fd.totalDefects.toLocaleString(lang), color:C.bright },
+    ];
+    const fw = (colW - 3 * 3) / 4;
+    flowTiles.forEach((k, i) => tile(PAGE.m + i * (fw + 3), y, fw, 20, k));
+    y += 26;
+    sectionTitle(t("flowDefectType"), PAGE.m, y);
+    y = hbars(PAGE.m, y + 4, colW, fd.defectTypes.map(dt => ({ label:defectName[dt.key] || dt.label, value:dt.count, sub:`${dt.pct}%` })), { labelW:40 });
+    y += 4;
+    sectionTitle(t("flowAttribution"), PAGE.m, y);
+    const selected = report.stations;
+    table(y + 2, {
+      title: `${t("tabFlow")} — ${fd.week}`,
+      columns: [
+        { label:t("flowDefectType"), w:40, color:C.muted }, { label:t("flowAttribution"), w:90 },
+        { label:t("total"), w:22, align:"right" }, { label:t("flowSite"), w:colW - 152 },
+      ],
+      rows: fd.defectTypes.flatMap(dt => (fd.attributions[dt.key] || []).map((a, i) => {
+        const sites = Object.entries(a.sites).filter(([s]) => selected.includes(s)).sort((p, q) => q[1] - p[1]);
+        return [
+          i === 0 ? { text:defectName[dt.key] || dt.label, bold:true, color:"#5eead4" } : "",
+          a.label, { text:String(a.count), bold:true },
+          { text:sites.map(([s, n]) => `${s} ${n}`).join(" · ") || "—", color:C.muted },
+        ];
+      })),
+    });
+  }
+
+  // Page numbers once the page count is known
+  const pages = doc.getNumberOfPages();
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    setFont(6.5, "normal", C.dim);
+    text(fit(`${header.brand} · ${t("repTitle")}`, 150), PAGE.m, PAGE.h - 5);
+    text(`${i} / ${pages}`, PAGE.w - PAGE.m, PAGE.h - 5, { align:"right" });
+  }
+  return doc;
+}
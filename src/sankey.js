@@ -0,0 +1,106 @@
+// ─── DEFECT FLOW SANKEY ─────────────────────────────────────────────
+// Turns an aggregated defect flow into a four-column Sankey — defect type
+// → root cause → site → driver — and lays it out in SVG units. A root
+// cause or site is one node however many defect types feed it; driver
+// lists are only top offenders, so the driver column carries less than
+// the sites feeding it.
+
+export const SANKEY_COLUMNS = ["defect", "attr", "site", "driver"];
+export const SANKEY_MAX_DRIVERS = 15;
+
+const add = (map, key, v) => map.set(key, (map.get(key) || 0) + v);
+
+// flow: aggregateFlow() result; focus: { defect, attr, site } (null = any) keeps only
+// the volume that passes through the chosen nodes → { nodes, links }
+// nodes: [{ id, col, key, label, value }]; links: [{ source, target, value }] by node id
+export function flowGraph(flow, { defect = null, attr = null, site = null } = {}, { maxDrivers = SANKEY_MAX_DRIVERS } = {}) {
+  const defects = flow.defectTypes.filter(dt => !defect || dt.key === defect);
+  const da = new Map(), as = new Map(), sr = new Map();
+  const labels = new Map();
+  defects.forEach(dt => {
+    labels.set(`defect:${dt.key}`, dt.label);
+    (flow.attributions[dt.key] || []).filter(a => !attr || a.key === attr).forEach(a => {
+      labels.set(`attr:${a.key}`, a.label);
+      const sites = Object.entries(a.sites).filter(([s]) => !site || s === site);
+      const value = site ? sites.reduce((n, [, c]) => n + c, 0) : a.count;
+      if (value) add(da, `defect:${dt.key}|attr:${a.key}`, value);
+      sites.forEach(([s, c]) => { if (c) add(as, `attr:${a.key}|site:${s}`, c); });
+    });
+  });
+  // Drivers are listed per site and root cause: only pairs still in the graph count
+  const perDriver = new Map();
+  Object.entries(flow.drivers).forEach(([k, list]) => {
+    const [s, ...rest] = k.split("-");
+    if (!as.has(`attr:${rest.join("-")}|site:${s}`)) return;
+    list.forEach(d => { add(sr, `site:${s}|driver:${d.name}`, d.count); add(perDriver, d.name, d.count); });
+  });
+  const top = new Set([...perDriver].sort((a, b) => b[1] - a[1]).slice(0, maxDrivers).map(([n]) => n));
+
+  const links = [...da, ...as, ...[...sr].filter(([k]) => top.has(k.split("|driver:")[1]))]
+    .map(([k, value]) => { const [source, target] = k.split("|"); return { source, target, value }; });
+  const nodes = new Map();
+  links.forEach(l => [l.source, l.target].forEach(id => {
+    if (nodes.has(id)) return;
+    const [col, ...rest] = id.split(":");
+    const key = rest.join(":");
+    nodes.set(id, { id, col: SANKEY_COLUMNS.indexOf(col), key, label: labels.get(id) || key, value: 0 });
+  }));
+  // A node is as tall as the larger of what flows in and what flows out
+  const inflow = new Map(), outflow = new Map();
+  links.forEach(l => { add(outflow, l.source, l.value); add(inflow, l.target, l.value); });
+  nodes.forEach(n => { n.value = Math.max(inflow.get(n.id) || 0, outflow.get(n.id) || 0); });
+  return { nodes: [...nodes.values()], links };
+}
+
+// Positions in a width × height box → nodes gain { x, y, h }, links gain
+// { w, y0, y1, path } (a centre line to stroke with width w). Nodes stack
+// largest first; one scale is shared by all columns so widths compare.
+export function sankeyLayout({ nodes, links }, { width, height, nodeWidth = 10, nodePadding = 8 }) {
+  const columns = SANKEY_COLUMNS.map((_, c) => nodes.filter(n => n.col === c).sort((a, b) => b.value - a.value));
+  const scale = Math.min(...columns.filter(col => col.length).map(col =>
+    (height - (col.length - 1) * nodePadding) / col.reduce((s, n) => s + n.value, 0)));
+  const step = (width - nodeWidth) / (SANKEY_COLUMNS.length - 1);
+  const laid = new Map();
+  columns.forEach((col, c) => {
+    let y = 0;
+    col.forEach(n => {
+      const h = Math.max(n.value * scale, 1);
+      laid.set(n.id, { ...n, x: c * step, y, h });
+      y += h + nodePadding;
+    });
+  });
+  // Links leave and enter each node in the order of the node at the other end
+  const outY = new Map(), inY = new Map();
+  const out = links.map(l => ({ ...l, w: Math.max(l.value * scale, 1) }));
+  [...out].sort((a, b) => laid.get(a.target).y - laid.get(b.target).y).forEach(l => {
+    const s = laid.get(l.source);
+    const at = outY.get(l.source) ?? s.y;
+    l.y0 = at + l.w / 2;
+    outY.set(l.source, at + l.w);
+  });
+  [...out].sort((a, b) => laid.get(a.source).y - laid.get(b.source).y).forEach(l => {
+    const t = laid.get(l.target);
+    const at = inY.get(l.target) ?? t.y;
+    l.y1 = at + l.w / 2;
+    inY.set(l.target, at + l.w);
+  });
+  out.forEach(l => {
+    const x0 = laid.get(l.source).x + nodeWidth, x1 = laid.get(l.target).x, xm = (x0 + x1) / 2;
+    l.path = `M${x0},${l.y0}C${xm},${l.y0} ${xm},${l.y1} ${x1},${l.y1}`;
+  });
+  return { nodes: [...laid.values()], links: out };
+}
+
+// Indexes of the links on any path through node id: everything upstream that
+// feeds it and everything downstream it feeds
+export function pathThrough(links, id) {
+  const hit = new Set();
+  const walk = (nodeId, from, to) => links.forEach((l, i) => {
+    if (l[from] !== nodeId || hit.has(i)) return;
+    hit.add(i);
+    walk(l[to], from, to);
+  });
+  walk(id, "source", "target");
+  walk(id, "target", "source");
+  return hit;
+}
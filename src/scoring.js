@@ -0,0 +1,92 @@
+import { compareWeekKeys } from "./weeks";
+import { flowWeeksLabel } from "./flow";
+
+// ─── DRIVER SEVERITY SCORE ──────────────────────────────────────────
+// One weighted score per driver over every defect type: NCC, late and +15
+// lates week by week from the driver matrices, FTFDF/FTPDF/PDNR/FDNR/FTDC
+// from the Geo driver matrix (year to date — it has no weeks). With a
+// delivered-package volume the score is points per 1,000 packages,
+// otherwise plain points; each has its own severity bands. Weights and
+// bands are kept in localStorage like the thresholds.
+
+const STORAGE_KEY = "lmdsp.scoring";
+
+// Score components, in table order; YEAR_TO_DATE ones carry no weeks
+export const SCORE_PARTS = ["ncc","late","gt15","ftfdf","ftpdf","pdnr","fdnr","ftdc"];
+export const YEAR_TO_DATE = ["ftfdf","ftpdf","pdnr","fdnr","ftdc"];
+export const SEVERITY_LEVELS = ["CRITICAL","HIGH","MEDIUM"];
+export const SCORE_PER = 1000;
+
+export const DEFAULT_SCORING = {
+  weights: { ncc:1, late:1, gt15:3, ftfdf:2, ftpdf:1, pdnr:2, fdnr:1, ftdc:1 },
+  // Lowest score for each level: points, and points per 1,000 packages
+  bands: { CRITICAL:60, HIGH:40, MEDIUM:20 },
+  rateBands: { CRITICAL:30, HIGH:20, MEDIUM:10 },
+};
+
+// counts: { part: n }; weekly: { part: { "2026-W7": n } } for the parts that have weeks;
+// volume: { weeks, year } delivered packages over the scored weeks and over the
+// Geo matrix year, or null. Each part is divided by the volume of its own period;
+// without the one a part needs the score stays in plain points.
+// → { score, points, perVolume, parts:[{ key, count, points, value, share, weeks }] } largest first
+export function scoreDriver(counts, { weights, weekly = {}, volume = null }) {
+  const parts = SCORE_PARTS.map(key => {
+    const count = counts[key] || 0;
+    const points = count * (weights[key] || 0);
+    const w = weekly[key] || {};
+    return { key, count, points, weeks: Object.keys(w).filter(wk => w[wk] > 0).sort(compareWeekKeys) };
+  }).filter(p => p.points > 0);
+  const volumeOf = p => volume?.[YEAR_TO_DATE.includes(p.key) ? "year" : "weeks"];
+  const perVolume = !!volume && parts.every(p => volumeOf(p) > 0);
+  parts.forEach(p => { p.value = perVolume ? SCORE_PER * p.points / volumeOf(p) : p.points; });
+  const total = parts.reduce((s, p) => s + p.value, 0);
+  parts.forEach(p => { p.share = Math.round(100 * p.value / total); });
+  parts.sort((a, b) => b.value - a.value);
+  return { score: +total.toFixed(1), points: parts.reduce((s, p) => s + p.points, 0), perVolume, parts };
+}
+
+// "CRITICAL" | "HIGH" | "MEDIUM" | "LOW" for a scoreDriver() result
+export function scoreSeverity({ score, perVolume }, config) {
+  const bands = perVolume ? config.rateBands : config.bands;
+  return SEVERITY_LEVELS.find(level => score >= bands[level]) || "LOW";
+}
+
+// The largest part of a score → { key, share, weeks:"W50–W52 2025" | null }; null when the score is 0
+export function scoreReason({ parts }) {
+  const top = parts[0];
+  if (!top) return null;
+  return { key: top.key, share: top.share, weeks: top.weeks.length ? flowWeeksLabel(top.weeks) : null };
+}
+
+const isNum = v => typeof v === "number" && Number.isFinite(v) && v >= 0;
+
+// Validate a stored or imported config → { scoring, errors:[{ code, params }] }; missing values keep their defaults
+export function parseScoring(json) {
+  if (!json || typeof json !== "object") return { scoring:null, errors:[{ code:"scoErrFormat", params:{} }] };
+  const errors = [];
+  const read = (group, keys) => Object.fromEntries(keys.map(k => {
+    const v = json[group]?.[k];
+    if (v == null) return [k, DEFAULT_SCORING[group][k]];
+    if (!isNum(v)) errors.push({ code:"scoErrValue", params:{ path:`${group}.${k}`, value:JSON.stringify(v) } });
+    return [k, v];
+  }));
+  const scoring = { weights: read("weights", SCORE_PARTS), bands: read("bands", SEVERITY_LEVELS), rateBands: read("rateBands", SEVERITY_LEVELS) };
+  ["bands", "rateBands"].forEach(g => {
+    const [c, h, m] = SEVERITY_LEVELS.map(l => scoring[g][l]);
+    if (!(c >= h && h >= m)) errors.push({ code:"scoErrOrder", params:{ path:g } });
+  });
+  return { scoring: errors.length ? null : scoring, errors };
+}
+
+export function loadScoring() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return (raw && parseScoring(JSON.parse(raw)).scoring) || DEFAULT_SCORING;
+  } catch {
+    return DEFAULT_SCORING;
+  }
+}
+
+export function saveScoring(scoring) {
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(scoring)); } catch { /* storage full or disabled */ }
+}
@@ -0,0 +1,165 @@
+import { weekKey, compareWeekKeys } from "./weeks";
+
+// ─── DATASET SNAPSHOTS ──────────────────────────────────────────────
+// Every dataset the dashboard has run on (the bundled one, then each
+// import) is kept in IndexedDB as a numbered snapshot: network, depots,
+// NCC, late, flow and geo together. The list and the data live in
+// separate stores so listing never loads the datasets themselves. The
+// snapshot in use is remembered in localStorage. Bundled snapshots carry a
+// fingerprint of the data, so a build shipping new data adds a new one.
+
+const DB_NAME = "lmdsp";
+const DB_VERSION = 1;
+const META = "snapshots";
+const DATA = "snapshotData";
+const ACTIVE_KEY = "lmdsp.activeSnapshot";
+
+export const SNAPSHOT_SOURCES = ["bundled", "scorecard", "orders", "zones", "volume", "flow"];
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB is not available")); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(META)) db.createObjectStore(META, { keyPath:"id", autoIncrement:true });
+        if (!db.objectStoreNames.contains(DATA)) db.createObjectStore(DATA);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // A failed open (private mode, blocked storage) can be retried later
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+const done = tx => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+const result = req => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// Counts shown in the snapshot list
+export function summarizeDataset(data) {
+  const weeks = [...new Set([
+    ...data.network.map(d => weekKey(d.year, d.week)),
+    ...Object.values(data.depots).flatMap(arr => arr.map(d => weekKey(d.year, d.week))),
+  ])].sort(compareWeekKeys);
+  return {
+    from: weeks[0] || null, to: weeks[weeks.length - 1] || null, weeks: weeks.length,
+    stations: Object.keys(data.depots).sort(),
+    nccWeeks: data.ncc.weeks.length, lateWeeks: data.late.weeks.length,
+    nccDrivers: data.ncc.drivers.filter(Boolean).length, lateDrivers: data.late.drivers.filter(Boolean).length,
+    flowWeeks: Object.keys(data.flow || {}).length, geoYear: data.geo?.year ?? null,
+  };
+}
+
+// Short fingerprint of a dataset (FNV-1a over its JSON)
+export function datasetVersion(data) {
+  const s = JSON.stringify(data);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(36);
+}
+
+// Snapshot list, newest first: [{ id, createdAt, source, label, bundle, summary }]
+export async function listSnapshots() {
+  const db = await openDb();
+  const list = await result(db.transaction(META).objectStore(META).getAll());
+  return list.sort((a, b) => b.id - a.id);
+}
+
+// data: { network, depots, ncc, late, flow, geo } → the new snapshot's list entry
+// bundle: datasetVersion() of the bundled data, for source "bundled"
+export async function saveSnapshot(data, { source, label = "", bundle = null }) {
+  const db = await openDb();
+  const tx = db.transaction([META, DATA], "readwrite");
+  const meta = { createdAt: new Date().toISOString(), source, label, bundle, summary: summarizeDataset(data) };
+  const id = await result(tx.objectStore(META).add(meta));
+  tx.objectStore(DATA).put(data, id);
+  await done(tx);
+  return { ...meta, id };
+}
+
+export async function loadSnapshot(id) {
+  const db = await openDb();
+  return (await result(db.transaction(DATA).objectStore(DATA).get(id))) || null;
+}
+
+export async function deleteSnapshot(id) {
+  const db = await openDb();
+  const tx = db.transaction([META, DATA], "readwrite");
+  tx.objectStore(META).delete(id);
+  tx.objectStore(DATA).delete(id);
+  await done(tx);
+}
+
+export function getActiveSnapshotId() {
+  try {
+    const v = Number(window.localStorage.getItem(ACTIVE_KEY));
+    return Number.isInteger(v) && v > 0 ? v : null;
+  } catch {
+    return null;
+  }
+}
+
+export function setActiveSnapshotId(id) {
+  try { window.localStorage.setItem(ACTIVE_KEY, String(id)); } catch { /* storage full or disabled */ }
+}
+
+const sameNum = (a, b) => (a ?? null) === (b ?? null) || (a != null && b != null && Math.abs(a - b) < 1e-9);
+const sameJson = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Station-week rows in a vs b → [{ station, wk, change:"added"|"removed"|"changed", fields }]
+function diffRows(station, before = [], after = []) {
+  const index = rows => new Map(rows.map(r => [weekKey(r.year, r.week), r]));
+  const a = index(before), b = index(after);
+  const out = [];
+  b.forEach((row, wk) => {
+    const old = a.get(wk);
+    if (!old) { out.push({ station, wk, change:"added", fields:[] }); return; }
+    const fields = Object.keys({ ...old, ...row })
+      .filter(f => f !== "year" && f !== "week" && !sameNum(old[f], row[f]))
+      .map(f => ({ field:f, from:old[f] ?? null, to:row[f] ?? null }));
+    if (fields.length) out.push({ station, wk, change:"changed", fields });
+  });
+  a.forEach((_, wk) => { if (!b.has(wk)) out.push({ station, wk, change:"removed", fields:[] }); });
+  return out;
+}
+
+// Weekly defect counts per station → [{ kind, station, wk, from, to }]
+function diffCounts(kind, a, b) {
+  const stations = [...new Set([...Object.keys(a.stationWeekly), ...Object.keys(b.stationWeekly)])];
+  return stations.flatMap(station => {
+    const wa = a.stationWeekly[station] || {}, wb = b.stationWeekly[station] || {};
+    return [...new Set([...Object.keys(wa), ...Object.keys(wb)])]
+      .filter(wk => (wa[wk] || 0) !== (wb[wk] || 0))
+      .map(wk => ({ kind, station, wk, from: wa[wk] || 0, to: wb[wk] || 0 }));
+  });
+}
+
+// What changed from dataset a (older) to dataset b
+export function diffSnapshots(a, b) {
+  const stations = [...new Set([...Object.keys(a.depots), ...Object.keys(b.depots)])].sort();
+  const byWeek = (x, y) => compareWeekKeys(x.wk, y.wk) || x.station.localeCompare(y.station);
+  return {
+    weeks: [
+      ...diffRows("NETWORK", a.network, b.network),
+      ...stations.flatMap(stn => diffRows(stn, a.depots[stn], b.depots[stn])),
+    ].sort(byWeek),
+    counts: [...diffCounts("ncc", a.ncc, b.ncc), ...diffCounts("late", a.late, b.late)].sort(byWeek),
+    drivers: {
+      ncc: { from: a.ncc.drivers.filter(Boolean).length, to: b.ncc.drivers.filter(Boolean).length },
+      late: { from: a.late.drivers.filter(Boolean).length, to: b.late.drivers.filter(Boolean).length },
+    },
+    flowChanged: !sameJson(a.flow, b.flow),
+    geoChanged: !sameJson(a.geo, b.geo),
+  };
+}
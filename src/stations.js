@@ -0,0 +1,89 @@
+import { keySortKey } from "./weeks";
+
+// ─── STATION REGISTRY ───────────────────────────────────────────────
+// One record per delivery station: code, city, region, map position,
+// chart colour, deep-dive tier and the weeks it operated (either end
+// open). Every tab reads station metadata from here, so a new station
+// only needs a row on the Stations screen. Saved in localStorage like
+// thresholds and targets.
+
+const STORAGE_KEY = "lmdsp.stations";
+
+// Colour for station codes found in the data but not in the registry
+export const FALLBACK_STATION_COLOR = "#8b5cf6";
+
+export const DEFAULT_STATIONS = [
+  { code:"UIT4", city:"Roma",    region:"Lazio",          lat:41.90, lng:12.49, color:"#60a5fa", tier:2, from:null, to:null },
+  { code:"UIT1", city:"Milano",  region:"Lombardia",      lat:45.46, lng:9.19,  color:"#34d399", tier:1, from:null, to:null },
+  { code:"UIT7", city:"Milano",  region:"Lombardia",      lat:45.53, lng:9.04,  color:"#a78bfa", tier:1, from:null, to:null },
+  { code:"UBA1", city:"Bologna", region:"Emilia-Romagna", lat:44.49, lng:11.34, color:"#fb923c", tier:2, from:null, to:null },
+  { code:"UIL7", city:"Latina",  region:"Lazio",          lat:41.47, lng:12.90, color:"#94a3b8", tier:2, from:null, to:null },
+];
+
+const CODE = /^[A-Z0-9]{3,6}$/;
+const COLOR = /^#[0-9a-f]{6}$/i;
+const WEEK_KEY = /^\d{4}-W([1-9]|[1-4]\d|5[0-3])$/;
+export const isStationCode = v => CODE.test(v);
+export const isStationWeek = v => WEEK_KEY.test(v);
+
+// Lookups over a registry list → { stations, codes, byCode, colors, colorOf, cityOf, activeIn }
+export function stationIndex(stations) {
+  const byCode = Object.fromEntries(stations.map(s => [s.code, s]));
+  return {
+    stations, byCode,
+    codes: stations.map(s => s.code),
+    colors: Object.fromEntries(stations.map(s => [s.code, s.color])),
+    colorOf: (code, fallback = FALLBACK_STATION_COLOR) => byCode[code]?.color || fallback,
+    cityOf: code => byCode[code]?.city || "",
+    // Codes whose active weeks overlap from..to ("2026-W1" keys)
+    activeIn: (from, to) => stations.filter(s =>
+      (!s.from || !to || keySortKey(s.from) <= keySortKey(to)) && (!s.to || !from || keySortKey(from) <= keySortKey(s.to))).map(s => s.code),
+  };
+}
+
+// Validate an imported or edited list → { stations, errors:[{ row, code, params }] }
+export function parseStations(json) {
+  const list = Array.isArray(json) ? json : json?.stations;
+  if (!Array.isArray(list) || !list.length) return { stations:null, errors:[{ row:null, code:"stnErrFormat", params:{} }] };
+  const errors = [];
+  const seen = new Set();
+  const stations = list.map((s, i) => {
+    const row = i + 1;
+    const code = String(s?.code ?? "").trim().toUpperCase();
+    if (!isStationCode(code)) errors.push({ row, code:"stnErrCode", params:{ value:code } });
+    else if (seen.has(code)) errors.push({ row, code:"stnErrDuplicate", params:{ station:code } });
+    seen.add(code);
+    const color = String(s?.color ?? "").trim();
+    if (!COLOR.test(color)) errors.push({ row, code:"stnErrColor", params:{ value:color } });
+    const coord = (v, max) => {
+      if (v == null || v === "") return null;
+      const n = Number(v);
+      if (!Number.isFinite(n) || Math.abs(n) > max) { errors.push({ row, code:"stnErrCoord", params:{ value:String(v) } }); return null; }
+      return n;
+    };
+    // A station needs both coordinates to appear on the map; one alone is kept while editing
+    const lat = coord(s?.lat, 90), lng = coord(s?.lng, 180);
+    ["from", "to"].forEach(f => {
+      if (s?.[f] && !isStationWeek(s[f])) errors.push({ row, code:"stnErrWeek", params:{ value:String(s[f]) } });
+    });
+    if (s?.from && s?.to && isStationWeek(s.from) && isStationWeek(s.to) && keySortKey(s.from) > keySortKey(s.to)) errors.push({ row, code:"stnErrOrder", params:{} });
+    return {
+      code, city:String(s?.city ?? "").trim(), region:String(s?.region ?? "").trim(), lat, lng, color,
+      tier: s?.tier === 1 ? 1 : 2, from:s?.from || null, to:s?.to || null,
+    };
+  });
+  return { stations: errors.length ? null : stations, errors };
+}
+
+export function loadStations() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return (raw && parseStations(JSON.parse(raw)).stations) || DEFAULT_STATIONS;
+  } catch {
+    return DEFAULT_STATIONS;
+  }
+}
+
+export function saveStations(stations) {
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stations)); } catch { /* storage full or disabled */ }
+}
@@ -0,0 +1,43 @@
+import { downloadFile } from "./download";
+
+// ─── TABLE EXPORT ───────────────────────────────────────────────────
+// Downloads the rows a table or chart is showing as CSV or XLSX. Headers
+// are passed in already translated, and the first line lists the filters
+// that produced the rows so the file still reads correctly on its own.
+
+// table: { columns:[{ label, value:(row) => cell }], rows, meta:[[label, value]] } → array of arrays
+export function tableSheet({ columns, rows, meta = [] }, filtersLabel = "Filters") {
+  return [
+    [filtersLabel, ...meta.map(([label, value]) => `${label}: ${value}`)],
+    [],
+    columns.map(c => c.label),
+    ...rows.map(r => columns.map(c => {
+      const v = c.value(r);
+      return v == null ? "" : v;
+    })),
+  ];
+}
+
+// Text starting like a formula (=, +, -, @) gets a leading quote so a spreadsheet
+// shows it instead of evaluating it; numbers are left alone
+const csvCell = v => {
+  const s = typeof v === "string" && /^[=+\-@]/.test(v) ? `'${v}` : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCsv = aoa => aoa.map(r => r.map(csvCell).join(",")).join("\r\n");
+
+// format: "csv" | "xlsx"; name without extension
+export async function exportTable(name, table, format, filtersLabel) {
+  const aoa = tableSheet(table, filtersLabel);
+  if (format === "csv") {
+    // BOM so Excel opens accented names as UTF-8
+    downloadFile(`${name}.csv`, `\uFEFF${toCsv(aoa)}`, "text/csv;charset=utf-8");
+    return;
+  }
+  const XLSX = await import("xlsx");
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(aoa), "Export");
+  const out = XLSX.write(wb, { type:"array", bookType:"xlsx" });
+  downloadFile(`${name}.xlsx`, out, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+}
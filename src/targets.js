@@ -0,0 +1,88 @@
+import { KPI_KEYS } from "./thresholds";
+import { weekKey, keySortKey } from "./weeks";
+
+// ─── KPI TARGETS ────────────────────────────────────────────────────
+// Goals such as "UIT4 Late +15 below 2.5% by W12". A target belongs to
+// one station or to the whole network (station null), covers the weeks
+// from..by (either end open) and is met when the KPI is at or below it —
+// every KPI here is a defect rate. Saved in localStorage like thresholds.
+
+const STORAGE_KEY = "lmdsp.targets";
+
+export const DEFAULT_TARGETS = [
+  { id:"network-late", station:null, kpi:"late", value:2.5, from:null, by:null },
+];
+
+const WEEK_KEY = /^\d{4}-W([1-9]|[1-4]\d|5[0-3])$/;
+export const isTargetWeek = v => WEEK_KEY.test(v);
+
+export const newTargetId = () => `t${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const covers = (tg, wk) => (!tg.from || keySortKey(tg.from) <= keySortKey(wk)) && (!tg.by || keySortKey(wk) <= keySortKey(tg.by));
+
+// Target for a station/KPI in week wk ("2026-W7"): a station's own target wins over the
+// network one, and of several matching periods the one ending soonest applies
+export function targetFor(targets, station, kpi, wk) {
+  const end = tg => tg.by ? keySortKey(tg.by) : Infinity;
+  const pick = list => list.filter(tg => tg.kpi === kpi && covers(tg, wk)).sort((a, b) => end(a) - end(b))[0] || null;
+  return (station && pick(targets.filter(tg => tg.station === station))) || pick(targets.filter(tg => !tg.station));
+}
+
+// One depot week → [{ kpi, target, value, gap, met }] for the KPIs that have a target.
+// gap is value − target in pp: positive means above (worse than) the target
+export function targetStatus(targets, station, row) {
+  if (!row) return [];
+  const wk = weekKey(row.year, row.week);
+  return KPI_KEYS.flatMap(kpi => {
+    const target = targetFor(targets, station, kpi, wk);
+    if (!target) return [];
+    const value = row[kpi];
+    const gap = value == null ? null : +(value - target.value).toFixed(2);
+    return [{ kpi, target, value, gap, met: gap != null && gap <= 0 }];
+  });
+}
+
+// Weeks on target counted back from the latest row: a week counts when every
+// KPI with a target was reported and met; a miss, or a week with no target, ends it
+export function targetStreak(targets, station, rows) {
+  let n = 0;
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const st = targetStatus(targets, station, rows[i]);
+    if (!st.length || !st.every(s => s.met)) break;
+    n++;
+  }
+  return n;
+}
+
+// Validate an imported list → { targets, errors:[{ code, params }] }
+export function parseTargets(json, stations) {
+  const list = Array.isArray(json) ? json : json?.targets;
+  if (!Array.isArray(list)) return { targets:null, errors:[{ code:"tgtErrFormat", params:{} }] };
+  const errors = [];
+  const targets = list.map((tg, i) => {
+    const row = i + 1;
+    const station = tg?.station ? String(tg.station).toUpperCase() : null;
+    if (station && stations && !stations.includes(station)) errors.push({ row, code:"tgtErrStation", params:{ station } });
+    if (!KPI_KEYS.includes(tg?.kpi)) errors.push({ row, code:"tgtErrKpi", params:{ kpi:String(tg?.kpi) } });
+    if (typeof tg?.value !== "number" || !Number.isFinite(tg.value) || tg.value < 0) errors.push({ row, code:"tgtErrValue", params:{ value:JSON.stringify(tg?.value) } });
+    ["from", "by"].forEach(f => {
+      if (tg?.[f] != null && !isTargetWeek(tg[f])) errors.push({ row, code:"tgtErrWeek", params:{ value:String(tg[f]) } });
+    });
+    if (tg?.from && tg?.by && isTargetWeek(tg.from) && isTargetWeek(tg.by) && keySortKey(tg.from) > keySortKey(tg.by)) errors.push({ row, code:"tgtErrOrder", params:{} });
+    return { id: tg?.id ? String(tg.id) : newTargetId(), station, kpi:tg?.kpi, value:tg?.value, from:tg?.from || null, by:tg?.by || null };
+  });
+  return { targets: errors.length ? null : targets, errors };
+}
+
+export function loadTargets() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return (raw && parseTargets(JSON.parse(raw)).targets) || DEFAULT_TARGETS;
+  } catch {
+    return DEFAULT_TARGETS;
+  }
+}
+
+export function saveTargets(targets) {
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(targets)); } catch { /* storage full or disabled */ }
+}
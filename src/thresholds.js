@@ -0,0 +1,149 @@
+// ─── KPI THRESHOLDS ─────────────────────────────────────────────────
+// Status rules and colour bands for the depot KPIs. A network-wide set
+// applies everywhere; stations can override any value. The config is kept
+// in localStorage and can be exported/imported as JSON so targets can be
+// moved each quarter without a code change.
+
+const STORAGE_KEY = "lmdsp.thresholds";
+
+// KPIs with a warn/bad colour band on the heatmap (and report) cells
+export const KPI_KEYS = ["late","fondCtrl","ftfdf","ftpdf","pdnr","fdnr","ftdc","pondPP"];
+// DepotCard figures, which keep their own bands
+export const CARD_KEYS = ["late","fondCtrl","pdnr","ftpdf","fdnr","ftdc","pondPP"];
+const BAND_KEYS = { kpi: KPI_KEYS, card: CARD_KEYS };
+// Status badge rules: CRITICAL / WARNING above these, EXCELLENT below lateExcellent
+export const STATUS_KEYS = ["lateCritical","lateWarning","lateExcellent","fondCritical","fondWarning"];
+
+export const DEFAULT_THRESHOLDS = {
+  status: { lateCritical:6, lateWarning:3, lateExcellent:1.5, fondCritical:2, fondWarning:1 },
+  kpi: {
+    late:     { warn:2.5,  bad:5   },
+    fondCtrl: { warn:0.7,  bad:1.2 },
+    ftfdf:    { warn:2,    bad:3   },
+    ftpdf:    { warn:1,    bad:1.5 },
+    pdnr:     { warn:0.5,  bad:0.8 },
+    fdnr:     { warn:0.15, bad:0.3 },
+    ftdc:     { warn:0.5,  bad:0.8 },
+    pondPP:   { warn:0.5,  bad:0.9 },
+  },
+  // The small FTPDF/FDNR/FTDC/PP figures have no amber, only red above 0.8
+  card: {
+    late:     { warn:3,    bad:5   },
+    fondCtrl: { warn:0.8,  bad:1.5 },
+    pdnr:     { warn:0.5,  bad:0.7 },
+    ftpdf:    { warn:0.8,  bad:0.8 },
+    fdnr:     { warn:0.8,  bad:0.8 },
+    ftdc:     { warn:0.8,  bad:0.8 },
+    pondPP:   { warn:0.8,  bad:0.8 },
+  },
+  // { UIT4: { status:{ lateCritical:7 }, kpi:{ late:{ bad:6 } } } }
+  stations: {},
+};
+
+// Effective { status, kpi, card } for a station (network values where it has no override)
+export function thresholdsFor(th, station) {
+  const o = (station && th.stations[station]) || {};
+  const bands = group => Object.fromEntries(BAND_KEYS[group].map(k => [k, { ...th[group][k], ...(o[group]?.[k] || {}) }]));
+  return { status: { ...th.status, ...(o.status || {}) }, kpi: bands("kpi"), card: bands("card") };
+}
+
+// "CRITICAL" | "WARNING" | "EXCELLENT" | "ON TRACK" | "NO DATA" for a depot week
+export function statusOf(d, { status:s }) {
+  if (!d || d.late == null) return "NO DATA";
+  if (d.late > s.lateCritical || (d.fondCtrl != null && d.fondCtrl > s.fondCritical)) return "CRITICAL";
+  if (d.late > s.lateWarning || (d.fondCtrl != null && d.fondCtrl > s.fondWarning)) return "WARNING";
+  if (d.late < s.lateExcellent) return "EXCELLENT";
+  return "ON TRACK";
+}
+
+// "bad" | "warn" | "ok" for a KPI value, null when missing
+export function kpiLevel(val, band) {
+  if (val == null || !band) return null;
+  return val > band.bad ? "bad" : val > band.warn ? "warn" : "ok";
+}
+
+// Set one value → new config. group "status" (field unused), or "kpi"/"card" (field "warn"/"bad").
+// For a station, null removes the override; network values cannot be cleared.
+export function withThreshold(th, station, group, key, field, value) {
+  const patch = (obj = {}) => {
+    const next = { ...obj };
+    if (group === "status") {
+      if (value == null) delete next[key]; else next[key] = value;
+    } else {
+      const band = { ...(next[key] || {}) };
+      if (value == null) delete band[field]; else band[field] = value;
+      if (Object.keys(band).length) next[key] = band; else delete next[key];
+    }
+    return next;
+  };
+  if (!station) return value == null ? th : { ...th, [group]: patch(th[group]) };
+  const o = { ...(th.stations[station] || {}) };
+  o[group] = patch(o[group]);
+  if (!Object.keys(o[group]).length) delete o[group];
+  const stations = { ...th.stations };
+  if (Object.keys(o).length) stations[station] = o; else delete stations[station];
+  return { ...th, stations };
+}
+
+const isNum = v => typeof v === "number" && Number.isFinite(v) && v >= 0;
+
+// Validate an imported config → { thresholds, errors:[{ code, params }] }; unknown keys are ignored
+export function parseThresholds(json) {
+  const errors = [];
+  const bad = (path, value) => errors.push({ code:"thrErrValue", params:{ path, value:JSON.stringify(value) } });
+  if (!json || typeof json !== "object") return { thresholds:null, errors:[{ code:"thrErrFormat", params:{} }] };
+
+  const status = { ...DEFAULT_THRESHOLDS.status };
+  STATUS_KEYS.forEach(k => {
+    const v = json.status?.[k];
+    if (v == null) return;
+    if (isNum(v)) status[k] = v; else bad(`status.${k}`, v);
+  });
+  const net = {};
+  Object.entries(BAND_KEYS).forEach(([group, keys]) => {
+    net[group] = {};
+    keys.forEach(k => {
+      const band = net[group][k] = { ...DEFAULT_THRESHOLDS[group][k] };
+      ["warn","bad"].forEach(f => {
+        const v = json[group]?.[k]?.[f];
+        if (v == null) return;
+        if (isNum(v)) band[f] = v; else bad(`${group}.${k}.${f}`, v);
+      });
+      if (band.warn > band.bad) errors.push({ code:"thrErrOrder", params:{ path:`${group}.${k}` } });
+    });
+  });
+  const stations = {};
+  Object.entries(json.stations || {}).forEach(([code, o]) => {
+    const out = {};
+    STATUS_KEYS.forEach(k => {
+      const v = o?.status?.[k];
+      if (v == null) return;
+      if (isNum(v)) (out.status || (out.status = {}))[k] = v; else bad(`stations.${code}.status.${k}`, v);
+    });
+    Object.entries(BAND_KEYS).forEach(([group, keys]) => keys.forEach(k => {
+      ["warn","bad"].forEach(f => {
+        const v = o?.[group]?.[k]?.[f];
+        if (v == null) return;
+        if (isNum(v)) ((out[group] || (out[group] = {}))[k] || (out[group][k] = {}))[f] = v; else bad(`stations.${code}.${group}.${k}.${f}`, v);
+      });
+      // An override must keep amber ≤ red against the network value it leaves in place
+      const band = out[group]?.[k] && { ...net[group][k], ...out[group][k] };
+      if (band && band.warn > band.bad) errors.push({ code:"thrErrOrder", params:{ path:`stations.${code}.${group}.${k}` } });
+    }));
+    if (Object.keys(out).length) stations[code.toUpperCase()] = out;
+  });
+  return { thresholds: errors.length ? null : { status, ...net, stations }, errors };
+}
+
+export function loadThresholds() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return (raw && parseThresholds(JSON.parse(raw)).thresholds) || DEFAULT_THRESHOLDS;
+  } catch {
+    return DEFAULT_THRESHOLDS;
+  }
+}
+
+export function saveThresholds(th) {
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(th)); } catch { /* storage full or disabled */ }
+}
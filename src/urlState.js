@@ -0,0 +1,61 @@
+// ─── URL STATE ──────────────────────────────────────────────────────
+// Serializes the dashboard's view and filter state into the query string
+// so a link (or a reload) reopens the same tab, filters and drill-down.
+// Values equal to the defaults are left out to keep links short.
+
+// state field → query parameter
+const PARAMS = {
+  view:"view", year:"year", depots:"stations", from:"from", to:"to",
+  flowDefect:"defect", flowAttr:"attr", flowSite:"site", geoSite:"geo",
+  nccMin:"nccMin", lateMin:"lateMin", scMin:"scMin", lang:"lang", driver:"driver",
+  cycleStation:"cycle", cycleMin:"cycleMin", rank:"rank",
+};
+const COUNTS = ["nccMin","lateMin","scMin"];
+// Driver tables rank by raw defect count or by defects per volume
+export const DRIVER_RANKS = ["count","rate"];
+const WEEK_KEY = /^\d{4}-W\d{1,2}$/;
+
+const sameValue = (a, b) => Array.isArray(a) && Array.isArray(b)
+  ? a.length === b.length && a.every(v => b.includes(v))
+  : a === b;
+
+// Parse a query string → partial state; unknown or invalid values are dropped
+// options: { views, years, depots, langs } lists of accepted values;
+// years:null takes any four-digit year, for data that is still loading
+export function readUrlState(search, { views = [], years = [], depots = [], langs = [] } = {}) {
+  const q = new URLSearchParams(search);
+  const out = {};
+  Object.entries(PARAMS).forEach(([field, param]) => {
+    const raw = q.get(param);
+    if (raw == null || raw === "") return;
+    if (field === "view") { if (views.includes(raw)) out.view = raw; }
+    else if (field === "lang") { if (langs.includes(raw)) out.lang = raw; }
+    else if (field === "year") {
+      if (raw.toUpperCase() === "ALL") out.year = "ALL";
+      else if (years ? years.includes(parseInt(raw)) : /^\d{4}$/.test(raw)) out.year = parseInt(raw);
+    }
+    else if (field === "cycleStation") { if (depots.includes(raw.toUpperCase())) out.cycleStation = raw.toUpperCase(); }
+    else if (field === "rank") { if (DRIVER_RANKS.includes(raw)) out.rank = raw; }
+    else if (field === "cycleMin") { const n = parseFloat(raw); if (n > 0) out.cycleMin = n; }
+    else if (field === "depots") {
+      const list = raw.split(",").map(s => s.trim().toUpperCase()).filter(s => depots.includes(s));
+      if (list.length) out.depots = [...new Set(list)];
+    }
+    else if (field === "from" || field === "to") { if (WEEK_KEY.test(raw)) out[field] = raw; }
+    else if (COUNTS.includes(field)) { const n = parseInt(raw); if (n >= 0) out[field] = n; }
+    else out[field] = raw;
+  });
+  return out;
+}
+
+// State → "?a=b&..." (or "" when everything is at its default)
+export function writeUrlState(state, defaults) {
+  const q = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([field, param]) => {
+    const v = state[field];
+    if (v == null || sameValue(v, defaults[field])) return;
+    q.set(param, Array.isArray(v) ? v.join(",") : String(v));
+  });
+  const s = q.toString().replace(/%2C/g, ",");
+  return s ? `?${s}` : "";
+}
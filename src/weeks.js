@@ -0,0 +1,43 @@
+// ─── WEEK KEYS ──────────────────────────────────────────────────────
+// Weeks are stored as "W7" labels next to a numeric year; sortKey folds
+// both into a single comparable number (2026-W7 → 202607).
+export const weekNum = w => parseInt(w.slice(1));
+export const sortKey = (year, week) => year * 100 + weekNum(week);
+
+// Year-qualified week keys ("2026-W7") used by the week range pickers and
+// the defect datasets; compare them through their sortKey.
+export const weekKey = (year, week) => `${year}-${week}`;
+export const splitWeekKey = key => { const [y, w] = key.split("-"); return { year: +y, week: w }; };
+// Short labels for axes and column headers: "2026-W8" → "'26 W8" (yearTag "'26")
+export const yearTag = key => `'${String(splitWeekKey(key).year).slice(2)}`;
+export const weekLabel = key => `${yearTag(key)} ${splitWeekKey(key).week}`;
+export const keySortKey = key => { const { year, week } = splitWeekKey(key); return sortKey(year, week); };
+export const compareWeekKeys = (a, b) => keySortKey(a) - keySortKey(b);
+
+// ISO years have 53 weeks when they start on a Thursday (or a Wednesday in leap years)
+export const isoWeeksInYear = year => {
+  const jan1 = new Date(Date.UTC(year, 0, 1)).getUTCDay();
+  const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  return jan1 === 4 || (leap && jan1 === 3) ? 53 : 52;
+};
+// Whole weeks from { year, week } a to b (negative when b is earlier)
+export function weeksBetween(a, b) {
+  if (a.year > b.year) return -weeksBetween(b, a);
+  let n = weekNum(b.week) - weekNum(a.week);
+  for (let y = a.year; y < b.year; y++) n += isoWeeksInYear(y);
+  return n;
+}
+// { year, week } moved n weeks later (earlier when n is negative)
+export function addWeeks({ year, week }, n) {
+  let w = weekNum(week) + n, y = year;
+  while (w > isoWeeksInYear(y)) { w -= isoWeeksInYear(y); y++; }
+  while (w < 1) { y--; w += isoWeeksInYear(y); }
+  return { year: y, week: `W${w}` };
+}
+// "2026-02-12" → "2026-W7", the ISO week (Monday to Sunday) the date falls in
+export function isoWeekKey(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const year = d.getUTCFullYear();
+  return weekKey(year, `W${Math.ceil(((d - Date.UTC(year, 0, 1)) / 86400000 + 1) / 7)}`);
+}
@@ -0,0 +1,162 @@
+import { parseWeek, mapHeaders, normDefect } from "./dataImport";
+import { compareWeekKeys } from "./weeks";
+import { isStationCode } from "./stations";
+
+// ─── DELIVERY ZONES ─────────────────────────────────────────────────
+// Delivery-area polygons per station (postcode/CAP or route zone, from a
+// GeoJSON file) and the defects booked to each zone, from a zone-level
+// defect extract. Both live in the dataset as { areas, defects } so
+// snapshots keep them. A zone's `orders` property is its usual weekly
+// volume; with it the Geo View shades zones by defect rate, without it
+// by count.
+
+export const EMPTY_ZONES = { areas: [], defects: [] };
+
+const ZONE_KEYS = ["zone","cap","postcode","postalcode","zip","routezone","route","id","name"];
+const ORDER_KEYS = ["orders","volume","deliveries","packages","stops"];
+const normKey = k => String(k).toLowerCase().replace(/[^a-z0-9]/g, "");
+// First of `keys` present in props, compared without case or punctuation
+const pick = (props, keys) => {
+  const byKey = Object.fromEntries(Object.entries(props).map(([k, v]) => [normKey(k), v]));
+  const k = keys.find(k => byKey[k] != null && byKey[k] !== "");
+  return k == null ? null : byKey[k];
+};
+
+// GeoJSON FeatureCollection → { areas, errors }; features without a station
+// property are taken to belong to `station`. With knownStations, a zone of any
+// other station is rejected — it would have no place on the map.
+// areas: [{ type:"Feature", properties:{ station, zone, name, orders }, geometry }]
+export function parseZoneAreas(json, station = null, { knownStations = [] } = {}) {
+  if (json?.type !== "FeatureCollection" || !Array.isArray(json.features) || !json.features.length)
+    return { areas:null, errors:[{ row:null, code:"zonErrFormat", params:{} }] };
+  const errors = [];
+  const seen = new Set();
+  const areas = json.features.map((f, i) => {
+    const row = i + 1;
+    const props = f?.properties || {};
+    if (!["Polygon", "MultiPolygon"].includes(f?.geometry?.type)) { errors.push({ row, code:"zonErrGeometry", params:{ type:String(f?.geometry?.type ?? "") } }); return null; }
+    const zone = String(pick(props, ZONE_KEYS) ?? "").trim();
+    if (!zone) { errors.push({ row, code:"zonErrNoZone", params:{} }); return null; }
+    const stn = String(props.station ?? props.Station ?? station ?? "").trim().toUpperCase();
+    if (!stn) { errors.push({ row, code:"zonErrStation", params:{ zone } }); return null; }
+    if (!isStationCode(stn)) { errors.push({ row, code:"stnErrCode", params:{ value:stn } }); return null; }
+    if (knownStations.length && !knownStations.includes(stn)) { errors.push({ row, code:"zonErrUnknownStation", params:{ zone, station:stn } }); return null; }
+    if (seen.has(`${stn}|${zone}`)) { errors.push({ row, code:"zonErrDuplicate", params:{ zone, station:stn } }); return null; }
+    seen.add(`${stn}|${zone}`);
+    const ordersRaw = pick(props, ORDER_KEYS);
+    const orders = ordersRaw == null || ordersRaw === "" ? null : Number(ordersRaw);
+    if (orders != null && !(Number.isFinite(orders) && orders > 0)) { errors.push({ row, code:"zonErrOrders", params:{ zone, value:String(ordersRaw) } }); return null; }
+    const name = props.name != null && String(props.name).trim() !== zone ? String(props.name).trim() : null;
+    return { type:"Feature", properties:{ station:stn, zone, name, orders }, geometry:f.geometry };
+  });
+  return { areas: errors.length ? null : areas, errors };
+}
+
+// New areas replace every zone of the stations they cover
+export function mergeZoneAreas(zones, areas) {
+  const stations = new Set(areas.map(a => a.properties.station));
+  return { ...zones, areas: [...zones.areas.filter(a => !stations.has(a.properties.station)), ...areas] };
+}
+
+// The Geo View's defect types; NCC and unknown types are counted and skipped
+const ZONE_DEFECTS = ["late","late_gt15","ftfdf","ftpdf","pdnr","fdnr","ftdc"];
+
+const ZONE_ALIASES = {
+  station:    ["station","depot","site","stationcode","deliverystation"],
+  zone:       ["zone","cap","postcode","postalcode","zip","routezone","deliveryzone","route"],
+  year:       ["year","anno","ano","yr"],
+  week:       ["week","wk","isoweek","yearweek","settimana","semana"],
+  defect:     ["defect","defecttype","iordefect","type","defectcode"],
+  attribution:["attribution","iorattribution","rootcause","cause","reason"],
+  driver:     ["driver","name","drivername","transportername","tid","transporterid"],
+  count:      ["count","defects","n","qty","quantity"],
+};
+
+// Zone defect extract rows → { defects, errors, warnings }; one row per defective
+// order, or per group of them with a count column
+// defects: [{ wk, station, zone, defect, attribution, driver, count }] summed per key
+export function parseZoneDefectRows(rows, { knownStations = [] } = {}) {
+  const errors = [];
+  const warnings = [];
+  if (!rows.length) return { defects:[], errors:[{ row:null, code:"impErrNoRows", params:{} }], warnings };
+  const { mapping, missing, unknown } = mapHeaders(Object.keys(rows[0]), ZONE_ALIASES, ["station","zone","week","defect"]);
+  if (missing.length) return { defects:[], errors:[{ row:null, code:"impErrMissingCols", params:{ cols:missing.join(", ") } }], warnings };
+  if (unknown.length) warnings.push({ row:null, code:"impWarnIgnoredCols", params:{ cols:unknown.join(", ") } });
+
+  const col = field => Object.keys(mapping).find(h => mapping[h] === field);
+  const sums = new Map();
+  const unknownStations = new Set();
+  let other = 0;
+  rows.forEach((raw, i) => {
+    const row = i + 2;
+    const get = field => { const h = col(field); return h == null ? null : raw[h]; };
+    if (Object.values(raw).every(v => v == null || String(v).trim() === "")) return;
+    const station = String(get("station") ?? "").trim().toUpperCase();
+    if (!station) { errors.push({ row, code:"impErrNoStation", params:{} }); return; }
+    if (knownStations.length && !knownStations.includes(station)) unknownStations.add(station);
+    const zone = String(get("zone") ?? "").trim();
+    if (!zone) { errors.push({ row, code:"zonErrNoZone", params:{} }); return; }
+    const wk = parseWeek(get("week"));
+    if (!wk) { errors.push({ row, code:"impErrBadWeek", params:{ value:String(get("week") ?? "") } }); return; }
+    const yearRaw = String(get("year") ?? "").trim();
+    const year = yearRaw ? parseInt(yearRaw) : wk.year;
+    if (!year || (yearRaw && !/^\d{4}$/.test(yearRaw)) || (wk.year && yearRaw && wk.year !== year)) { errors.push({ row, code:"impErrBadYear", params:{ value:yearRaw } }); return; }
+    const defect = normDefect(get("defect"));
+    if (!defect) { errors.push({ row, code:"ordErrNoDefect", params:{} }); return; }
+    if (!ZONE_DEFECTS.includes(defect)) { other++; return; }
+    const countRaw = get("count");
+    const count = countRaw == null || String(countRaw).trim() === "" ? 1 : Number(countRaw);
+    if (!Number.isInteger(count) || count < 0) { errors.push({ row, code:"impErrBadNumber", params:{ col:col("count"), value:String(countRaw) } }); return; }
+    const attribution = String(get("attribution") ?? "").trim() || null;
+    const driver = String(get("driver") ?? "").trim() || null;
+    const rec = { wk:`${year}-${wk.week}`, station, zone, defect, attribution, driver, count:0 };
+    const key = [rec.wk, station, zone, defect, attribution, driver].join("|");
+    (sums.get(key) || sums.set(key, rec).get(key)).count += count;
+  });
+  if (unknownStations.size) warnings.push({ row:null, code:"impWarnUnknownStations", params:{ stations:[...unknownStations].join(", ") } });
+  if (other) warnings.push({ row:null, code:"ordWarnOtherDefects", params:{ n:other } });
+  return { defects:[...sums.values()].filter(d => d.count), errors, warnings };
+}
+
+// Imported weeks replace what the dataset held for the same station and week
+export function applyZoneDefects(zones, defects) {
+  const covered = new Set(defects.map(d => `${d.station}|${d.wk}`));
+  return { ...zones, defects: [...zones.defects.filter(d => !covered.has(`${d.station}|${d.wk}`)), ...defects] };
+}
+
+export const zoneWeeks = zones => [...new Set(zones.defects.map(d => d.wk))].sort(compareWeekKeys);
+
+const top = (map, n) => [...map].map(([label, count]) => ({ label, count })).sort((a, b) => b.count - a.count).slice(0, n);
+
+// Per-zone totals over `weeks` for the chosen defect types (and station)
+// → { zones:[{ key, station, zone, name, orders, count, rate, attributions, drivers }], unmapped }
+// rate: defects per 100 orders of usual volume (null without one); unmapped: defects in
+// zones that have no polygon
+export function zoneStats(zones, { weeks, defects, station = null, limit = 5 }) {
+  const wset = new Set(weeks), dset = new Set(defects);
+  const byKey = new Map(zones.areas.filter(a => !station || a.properties.station === station).map(a => {
+    const { station: s, zone, name, orders } = a.properties;
+    return [`${s}|${zone}`, { key:`${s}|${zone}`, station:s, zone, name, orders, count:0, attrs:new Map(), drvs:new Map() }];
+  }));
+  let unmapped = 0;
+  zones.defects.forEach(d => {
+    if (!wset.has(d.wk) || !dset.has(d.defect) || (station && d.station !== station)) return;
+    const z = byKey.get(`${d.station}|${d.zone}`);
+    if (!z) { unmapped += d.count; return; }
+    z.count += d.count;
+    if (d.attribution) { const k = `${d.defect}|${d.attribution}`; z.attrs.set(k, (z.attrs.get(k) || 0) + d.count); }
+    if (d.driver) z.drvs.set(d.driver, (z.drvs.get(d.driver) || 0) + d.count);
+  });
+  return {
+    zones: [...byKey.values()].map(({ attrs, drvs, ...z }) => ({
+      ...z,
+      rate: z.orders && weeks.length ? +(100 * z.count / (z.orders * weeks.length)).toFixed(2) : null,
+      attributions: top(attrs, limit).map(({ label, count }) => { const [defect, ...rest] = label.split("|"); return { defect, attribution:rest.join("|"), count }; }),
+      drivers: top(drvs, limit).map(({ label, count }) => ({ name:label, count })),
+    })),
+    unmapped,
+  };
+}
+
+// Fill colour at `ratio` of the worst zone shown: pale for few defects, deep red for the most
+export const zoneColor = ratio => ratio <= 0 ? "#1e293b" : ratio < 0.25 ? "#fde68a" : ratio < 0.5 ? "#fbbf24" : ratio < 0.75 ? "#f97316" : "#dc2626";